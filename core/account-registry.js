@@ -0,0 +1,192 @@
+import { InstagramBot } from './bot.js';
+import { TelegramBridge } from '../telegram/bridge.js';
+import { ModuleManager } from './module-manager.js';
+import { MessageHandler } from './message-handler.js';
+import { notifier } from './notifier.js';
+import { getAccounts, DEFAULT_ACCOUNT_ID } from './accounts.js';
+import { CONNECTION_ICONS } from './connection-supervisor.js';
+import { logger } from '../utils/logger.js';
+import { config } from '../config.js';
+
+const CONNECTION_NOTICES = {
+  online: 'is back online',
+  degraded: 'is degraded',
+  connecting: 'is reconnecting',
+  backoff: 'is down, retrying with backoff',
+  fatal: 'is down and no longer retried'
+};
+
+// Runs one bot stack (Instagram client, Telegram bridge, module manager and
+// message handler) per configured account. The main account must start; the
+// others are reported and skipped when they fail.
+export class AccountRegistry {
+  constructor(accounts = getAccounts()) {
+    this.entries = new Map(accounts.map(account => [account.id, {
+      account,
+      bot: null,
+      bridge: null,
+      moduleManager: null,
+      messageHandler: null,
+      status: 'stopped',
+      error: null,
+      startedAt: null
+    }]));
+    this.isShuttingDown = false;
+    this.restored = {}; // account id -> state from before a restart
+  }
+
+  get primary() {
+    return this.entries.get(DEFAULT_ACCOUNT_ID);
+  }
+
+  get(id) {
+    return this.entries.get(String(id).toLowerCase()) || null;
+  }
+
+  list() {
+    return [...this.entries.values()];
+  }
+
+  async startAll() {
+    await this.start(DEFAULT_ACCOUNT_ID);
+
+    for (const entry of this.list()) {
+      if (entry.account.primary) continue;
+      try {
+        await this.start(entry.account.id);
+      } catch (error) {
+        await notifier.notify(`❌ Account ${entry.account.id} failed to start: ${error.message}`);
+      }
+    }
+  }
+
+  async start(id) {
+    const entry = this.get(id);
+    if (!entry) throw new Error(`Unknown account: ${id}`);
+    if (entry.status === 'running') return entry;
+
+    const { account } = entry;
+    entry.status = 'starting';
+    entry.error = null;
+
+    try {
+      logger.info(`Connecting account ${account.id} (@${account.username}) to Instagram...`);
+      entry.bot = new InstagramBot(account);
+      entry.bot.restoreState(this.restored[account.id]);
+      await entry.bot.login();
+
+      if (config.telegram?.enabled) {
+        entry.bridge = new TelegramBridge(account);
+        await entry.bridge.initialize(entry.bot);
+        if (!entry.bridge.enabled) {
+          logger.warn(`Telegram bridge failed to initialize for account ${account.id}`);
+        }
+      }
+
+      // Admin notices go out through the main account
+      if (account.primary) {
+        notifier.attach(entry.bot, entry.bridge);
+      }
+
+      entry.moduleManager = new ModuleManager(entry.bot, entry.bridge, account, this);
+      await entry.moduleManager.loadModules();
+
+      entry.messageHandler = new MessageHandler(entry.bot, entry.moduleManager, entry.bridge);
+      entry.bot.on('message', (message) => {
+        entry.messageHandler.handleMessage(message);
+      });
+      this.watchConnection(entry);
+
+      entry.status = 'running';
+      entry.startedAt = new Date();
+      logger.info(`Account ${account.id} is running`);
+      return entry;
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error.message;
+      logger.error(`Account ${account.id} failed to start: ${error.message}`);
+      await this.teardown(entry);
+      throw error;
+    }
+  }
+
+  // Tells the admins when an account's connection changes state. Startup and the
+  // connecting <-> backoff retry loop stay in the log.
+  watchConnection(entry) {
+    entry.bot.supervisor.on('stateChange', ({ from, to, reason }) => {
+      if (this.isShuttingDown || from === 'stopped' || to === 'stopped') return;
+      if (['connecting', 'backoff'].includes(from) && ['connecting', 'backoff'].includes(to)) return;
+
+      const text = `${CONNECTION_ICONS[to]} Instagram connection of ${entry.account.id} ${CONNECTION_NOTICES[to]}` +
+        (reason && to !== 'online' ? `: ${reason}` : '') +
+        (to === 'fatal' ? '\nUse .reconnect or .restart once the cause is fixed' : '');
+      notifier.notify(text).catch(error => logger.error('Failed to send connection notice:', error.message));
+    });
+  }
+
+  async stop(id) {
+    const entry = this.get(id);
+    if (!entry) throw new Error(`Unknown account: ${id}`);
+    await this.teardown(entry);
+    entry.status = 'stopped';
+  }
+
+  async stopAll() {
+    this.isShuttingDown = true;
+    // Extra accounts first, the main account carries the admin notifier
+    for (const entry of this.list().reverse()) {
+      await this.teardown(entry);
+      entry.status = 'stopped';
+    }
+  }
+
+  async teardown(entry) {
+    try {
+      if (entry.moduleManager) {
+        await entry.moduleManager.cleanup();
+      }
+      if (entry.bridge) {
+        await entry.bridge.shutdown();
+      }
+      if (entry.bot) {
+        entry.bot.removeAllListeners('message');
+        entry.bot.supervisor.removeAllListeners('stateChange');
+        await entry.bot.disconnect();
+      }
+    } catch (error) {
+      logger.error(`Error while stopping account ${entry.account.id}:`, error.message);
+    }
+    entry.moduleManager = null;
+    entry.messageHandler = null;
+    entry.bridge = null;
+    entry.bot = null;
+  }
+
+  // In-memory state that should survive a restart (see core/lifecycle.js)
+  snapshot() {
+    return Object.fromEntries(this.list()
+      .filter(entry => entry.bot)
+      .map(entry => [entry.account.id, entry.bot.exportState()]));
+  }
+
+  restore(state) {
+    this.restored = state || {};
+  }
+
+  getStatus() {
+    return this.list().map(entry => {
+      const stats = entry.moduleManager?.getModuleStats();
+      return {
+        id: entry.account.id,
+        username: entry.account.username,
+        status: entry.status,
+        connection: entry.bot?.supervisor.state || null,
+        error: entry.error,
+        startedAt: entry.startedAt,
+        modules: stats?.totalModules || 0,
+        commands: stats?.totalCommands || 0,
+        bridge: Boolean(entry.bridge?.enabled)
+      };
+    });
+  }
+}
@@ -0,0 +1,70 @@
+import path from 'path';
+import { config } from '../config.js';
+
+export const DEFAULT_ACCOUNT_ID = 'main';
+
+const ACCOUNT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// The account configured in config.instagram. It keeps the original file
+// locations and un-prefixed storage so single-account setups are unchanged.
+export function getPrimaryAccount() {
+  const instagram = config.instagram || {};
+  return {
+    id: DEFAULT_ACCOUNT_ID,
+    primary: true,
+    username: instagram.username || process.env.IG_USERNAME,
+    password: instagram.password || process.env.IG_PASSWORD,
+    sessionPath: instagram.sessionPath || './session.json',
+    cookiesPath: instagram.cookiesPath || './cookies.json',
+    statePath: instagram.statePath || './state.json',
+    telegramChatId: config.telegram?.chatId,
+    modules: null
+  };
+}
+
+// Every configured account, the main one first. Extra accounts get their own
+// directory for session, cookie and state files.
+export function getAccounts() {
+  const dir = config.instagram?.sessionsDir || './sessions';
+  const extra = (config.accounts || []).map(account => ({
+    ...account,
+    primary: false,
+    sessionPath: path.join(dir, account.id, 'session.json'),
+    cookiesPath: path.join(dir, account.id, 'cookies.json'),
+    statePath: path.join(dir, account.id, 'state.json'),
+    telegramChatId: account.telegramChatId || config.telegram?.chatId,
+    modules: account.modules || null
+  }));
+  return [getPrimaryAccount(), ...extra];
+}
+
+// Returns a problem description for each invalid account entry
+export function checkAccounts(accounts = getAccounts()) {
+  const problems = [];
+  const seen = new Set();
+  for (const account of accounts) {
+    if (!ACCOUNT_ID_PATTERN.test(account.id)) {
+      problems.push(`Invalid account id "${account.id}" (use letters, digits, - and _)`);
+    } else if (seen.has(account.id)) {
+      problems.push(`Account id "${account.id}" is used more than once`);
+    }
+    seen.add(account.id);
+  }
+  return problems;
+}
+
+// Label used in log lines and Telegram topic names; empty for single-account setups
+export function accountLabel(account) {
+  if (!account || (account.primary && !config.accounts?.length)) return '';
+  return `[${account.id}] `;
+}
+
+// Storage view for one account: collections (and with them the key-value
+// helpers) are prefixed with the account id. The main account uses storage as is.
+export function namespaceStorage(storage, account) {
+  if (!storage || !account || account.primary) return storage;
+  return Object.create(storage, {
+    namespace: { value: account.id },
+    collection: { value: name => storage.collection(`${account.id}_${name}`) }
+  });
+}
@@ -1,9 +1,13 @@
 
-import { IgApiClient } from 'instagram-private-api';
+import {
+  IgApiClient, IgActionSpamError, IgNetworkError, IgResponseError,
+  IgLoginTwoFactorRequiredError, IgCheckpointError, IgChallengeWrongCodeError
+} from 'instagram-private-api';
 import { withFbnsAndRealtime, GraphQLSubscriptions, SkywalkerSubscriptions } from 'instagram_mqtt';
 import { promises as fs } from 'fs';
+import path from 'path';
 import { promisify } from 'util';
-import { writeFile, readFile, exists } from 'fs';
+import { readFile, exists } from 'fs';
 import tough from 'tough-cookie';
 import { config } from '../config.js';
 import { logger } from '../utils/logger.js';
@@ -11,29 +15,200 @@ import { EventEmitter } from 'events';
 import camelcaseKeys from 'camelcase-keys';
 import { ModuleManager } from './module-manager.js';
 import { MessageHandler } from './message-handler.js';
+import { rateLimiter } from './rate-limiter.js';
+import { settings } from './settings.js';
+import { getPrimaryAccount, accountLabel } from './accounts.js';
+import { SessionStore } from './session-store.js';
+import { LoginPrompt } from './login-prompt.js';
+import { ConnectionSupervisor, isDisconnectError } from './connection-supervisor.js';
+import { Client, Attachment } from './client/client.js';
+import { RealtimeEvents } from './events.js';
+import { FollowerEvents } from './follower-events.js';
+import { FollowerSync } from './follower-sync.js';
 
-const writeFileAsync = promisify(writeFile);
 const readFileAsync = promisify(readFile);
 const existsAsync = promisify(exists);
 
+const SEND_PRIORITIES = { high: 0, normal: 1, low: 2 };
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+const STATE_SAVE_DELAY = 10000;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Serializes every outgoing DM: paced with jitter, retried on transient
+// failures and paused when Instagram pushes back with spam/feedback responses.
+export class OutboundQueue {
+  constructor(bot) {
+    this.bot = bot;
+    this.items = [];
+    this.retrying = new Map(); // item -> timer of its scheduled retry
+    this.processing = false;
+    this.pausedUntil = 0;
+    this.sequence = 0;
+    this.stats = { sent: 0, failed: 0, retried: 0 };
+  }
+
+  get options() {
+    return {
+      maxRetries: config.outbound?.maxRetries ?? 3,
+      retryDelay: config.outbound?.retryDelay ?? 2000,
+      // Adjustable at runtime with .set
+      minDelay: settings.get('outbound.minDelay') ?? 1000,
+      maxDelay: settings.get('outbound.maxDelay') ?? 3000,
+      feedbackPause: settings.get('outbound.feedbackPause') ?? 600000
+    };
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  enqueue(label, task, priority = 'normal') {
+    return new Promise((resolve, reject) => {
+      this.insert({
+        label,
+        task,
+        priority: SEND_PRIORITIES[priority] ?? SEND_PRIORITIES.normal,
+        sequence: this.sequence++,
+        attempts: 0,
+        resolve,
+        reject
+      });
+    });
+  }
+
+  insert(item) {
+    const index = this.items.findIndex(queued =>
+      queued.priority > item.priority || (queued.priority === item.priority && queued.sequence > item.sequence));
+    this.items.splice(index === -1 ? this.items.length : index, 0, item);
+    this.process();
+  }
+
+  async process() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      while (this.items.length) {
+        const pause = this.pausedUntil - Date.now();
+        if (pause > 0) {
+          await wait(pause);
+          continue;
+        }
+
+        const item = this.items.shift();
+        await rateLimiter.acquireOutbound(this.bot.account.id);
+        item.attempts++;
+
+        try {
+          const result = await item.task();
+          this.stats.sent++;
+          item.resolve(result);
+        } catch (error) {
+          this.handleFailure(item, error);
+        }
+
+        if (this.items.length) {
+          const { minDelay, maxDelay } = this.options;
+          await wait(minDelay + Math.random() * (maxDelay - minDelay));
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  handleFailure(item, error) {
+    const { maxRetries, retryDelay, feedbackPause } = this.options;
+    const canRetry = item.attempts <= maxRetries;
+
+    if (this.isFeedbackError(error)) {
+      this.pausedUntil = Date.now() + feedbackPause;
+      this.bot.log('WARN', `🛑 Instagram rejected ${item.label} (${error.message}), pausing outgoing messages for ${Math.round(feedbackPause / 60000)}m`);
+      this.bot.emit('outboundPaused', { until: new Date(this.pausedUntil), reason: error.message });
+      if (canRetry) {
+        this.stats.retried++;
+        this.items.unshift(item);
+        return;
+      }
+    } else if (this.isTransientError(error) && canRetry) {
+      const backoff = retryDelay * 2 ** (item.attempts - 1) + Math.random() * 1000;
+      this.stats.retried++;
+      this.bot.log('WARN', `🔁 Retrying ${item.label} in ${Math.round(backoff / 1000)}s (attempt ${item.attempts}/${maxRetries}): ${error.message}`);
+      this.retrying.set(item, setTimeout(() => {
+        this.retrying.delete(item);
+        this.insert(item);
+      }, backoff));
+      return;
+    }
+
+    this.stats.failed++;
+    item.reject(error);
+  }
+
+  isFeedbackError(error) {
+    if (error instanceof IgActionSpamError) return true;
+    if (!(error instanceof IgResponseError)) return false;
+    const body = error.response?.body || {};
+    return error.response?.statusCode === 429 || body.message === 'feedback_required' || Boolean(body.feedback_required);
+  }
+
+  isTransientError(error) {
+    if (error instanceof IgNetworkError || TRANSIENT_ERROR_CODES.includes(error.code)) return true;
+    return error instanceof IgResponseError && error.response?.statusCode >= 500;
+  }
+
+  // Rejects queued items and those waiting for a retry
+  clear(reason = 'Outbound queue cleared') {
+    for (const timer of this.retrying.values()) clearTimeout(timer);
+    const items = [...this.items.splice(0), ...this.retrying.keys()];
+    this.retrying.clear();
+    for (const item of items) {
+      item.reject(new Error(reason));
+    }
+    return items.length;
+  }
+
+  getStatus() {
+    return {
+      queued: this.items.length,
+      retrying: this.retrying.size,
+      paused: this.pausedUntil > Date.now(),
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil) : null,
+      ...this.stats
+    };
+  }
+}
+
 export class InstagramBot extends EventEmitter {
-  constructor() {
+  // `account` comes from core/accounts.js; each account gets its own client,
+  // session, state file and outbound queue
+  constructor(account = getPrimaryAccount()) {
     super();
+    this.account = account;
+    this.sessions = new SessionStore(account);
+    this.stateSaveTimer = null;
     this.ig = withFbnsAndRealtime(new IgApiClient());
     this.isRunning = false;
     this.processedMessageIds = new Set();
     this.maxProcessedMessageIds = 1000;
     this.pushContext = {};
-    this.connectionRetries = 0;
-    this.maxRetries = config.app?.maxRetries || 5;
+    this.supervisor = new ConnectionSupervisor(this);
+    this.client = new Client(this); // Chat, User and Message objects (core/client/)
+    this.events = new RealtimeEvents(this); // typing:start, seen, reaction:add, ... (core/events.js)
+    this.followerSync = new FollowerSync(this); // Stored follower/following snapshots and diffs
+    this.followerEvents = new FollowerEvents(this); // newFollower, followRequest, ...
+    this.handlersRegistered = false;
     this.messageHandlers = [];
     this.lastMessageCheck = new Date(Date.now() - 60000); // Initialize to 1 min ago
     this.messageRequestsMonitorInterval = null;
+    this.outbox = new OutboundQueue(this);
   }
 
   log(level, message, ...args) {
     const timestamp = new Date().toISOString();
-    const formattedMessage = `[${timestamp}] [${level}] ${message}`;
+    const formattedMessage = `[${timestamp}] [${level}] ${accountLabel(this.account)}${message}`;
     switch (level.toUpperCase()) {
       case 'INFO':
         logger.info(formattedMessage, ...args);
@@ -57,39 +232,28 @@ export class InstagramBot extends EventEmitter {
 
   async login() {
     try {
-      const username = config.instagram?.username || process.env.IG_USERNAME || '';
+      const username = this.account.username;
       if (!username) {
-        throw new Error('❌ INSTAGRAM_USERNAME is missing');
+        throw new Error(`❌ Instagram username is missing for account ${this.account.id}`);
       }
 
       this.ig.state.generateDevice(username);
-      let loginSuccess = false;
 
       // Try reading FBNS/Realtime state first
       await this.readState();
 
-      // Try session login
-      if (await this.trySessionLogin()) {
-        loginSuccess = true;
-      }
-      // Try cookies if session failed
-      else if (await this.tryCookieLogin()) {
-        loginSuccess = true;
-      }
-      // Try fresh login if both failed
-      else if ((config.instagram?.password || process.env.IG_PASSWORD) && await this.tryFreshLogin()) {
-        loginSuccess = true;
-      }
-
-      if (!loginSuccess) {
+      if (!(await this.authenticate())) {
         throw new Error('❌ No valid login method succeeded (session, cookies, or credentials)');
       }
+      this.client.setUser({ pk: this.ig.state.cookieUserId, username });
 
       // Subscribe to request end for saving state
-      this.ig.request.end$.subscribe(() => this.saveState());
+      this.ig.request.end$.subscribe(() => this.scheduleStateSave());
 
-      // Setup FBNS and Realtime connections
+      // Setup FBNS and Realtime connections; the supervisor keeps them up from here
       await this.setupConnections();
+      this.supervisor.start();
+      this.followerEvents.start();
       this.isRunning = true;
       this.log('INFO', '🚀 Instagram bot is now running with FBNS and Realtime support');
       this.emit('ready');
@@ -102,26 +266,79 @@ export class InstagramBot extends EventEmitter {
     }
   }
 
+  // Session, then cookies, then a fresh login; also used when the session expires while running
+  async authenticate() {
+    if (await this.trySessionLogin()) return true;
+    if (await this.tryCookieLogin()) return true;
+    return Boolean(this.account.password) && await this.tryFreshLogin();
+  }
+
+  // Stored versions newest first, then the session file. An older version that
+  // still works becomes the newest again, so a bad save rolls itself back.
   async trySessionLogin() {
-    try {
-      await fs.access(config.instagram.sessionPath || './session.json');
-      const sessionData = JSON.parse(await fs.readFile(config.instagram.sessionPath || './session.json', 'utf-8'));
-      await this.ig.state.deserialize(sessionData);
-      await this.ig.account.currentUser();
-      this.log('INFO', '✅ Logged in from session.json');
-      return true;
-    } catch (error) {
-      this.log('DEBUG', `⚠️ Session login failed: ${error.message}`);
-      return false;
+    for (const candidate of await this.getSessionCandidates()) {
+      try {
+        const sessionData = await candidate.load();
+        if (!sessionData) continue;
+        await this.ig.state.deserialize(sessionData);
+        await this.ig.account.currentUser();
+        this.log('INFO', `✅ Logged in from saved session (${candidate.label})`);
+
+        if (candidate.version && candidate.version !== candidate.latest) {
+          await this.sessions.rollback('session', candidate.version);
+          this.log('WARN', `⏪ Newer sessions failed, rolled back to session v${candidate.version}`);
+        } else if (!candidate.version && this.sessions.enabled) {
+          await this.saveSession(`migrated from ${candidate.label}`);
+        }
+        return true;
+      } catch (error) {
+        this.log('DEBUG', `⚠️ Session login from ${candidate.label} failed: ${error.message}`);
+      }
+    }
+    return false;
+  }
+
+  async getSessionCandidates() {
+    const candidates = [];
+    if (this.sessions.enabled) {
+      try {
+        const versions = (await this.sessions.history('session')).slice(0, config.instagram?.sessionHistory || 5);
+        for (const { version } of versions) {
+          candidates.push({
+            label: `storage v${version}`,
+            version,
+            latest: versions[0].version,
+            load: async () => (await this.sessions.load('session', version))?.data
+          });
+        }
+      } catch (error) {
+        this.log('WARN', `⚠️ Stored sessions unavailable: ${error.message}`);
+      }
     }
+    candidates.push({ label: this.account.sessionPath, load: () => this.readJsonFile(this.account.sessionPath) });
+    return candidates;
   }
 
   async tryCookieLogin() {
     try {
-      await this.loadCookiesFromJson(config.instagram.cookiesPath || './cookies.json');
+      let source = 'storage';
+      let cookies = await this.loadStored('cookies');
+      if (!cookies) {
+        source = this.account.cookiesPath;
+        cookies = await this.readJsonFile(this.account.cookiesPath);
+      }
+      if (!cookies) {
+        this.log('DEBUG', '⚠️ No cookies stored or found on disk');
+        return false;
+      }
+
+      await this.applyCookies(cookies, source);
       const currentUserResponse = await this.ig.account.currentUser();
-      await this.saveSession();
-      this.log('INFO', `✅ Logged in using cookies.json as @${currentUserResponse.username}`);
+      if (source !== 'storage' && this.sessions.enabled) {
+        await this.sessions.save('cookies', cookies, { reason: `imported from ${source}` });
+      }
+      await this.saveSession('cookie login');
+      this.log('INFO', `✅ Logged in using cookies from ${source} as @${currentUserResponse.username}`);
       return true;
     } catch (error) {
       this.log('DEBUG', `⚠️ Cookie login failed: ${error.message}`);
@@ -130,60 +347,160 @@ export class InstagramBot extends EventEmitter {
   }
 
   async tryFreshLogin() {
+    let reason = 'fresh login';
     try {
-      const password = config.instagram.password || process.env.IG_PASSWORD || '';
-      await this.ig.account.login(config.instagram.username || process.env.IG_USERNAME, password);
-      await this.saveSession();
+      await this.ig.account.login(this.account.username, this.account.password);
       this.log('INFO', '✅ Fresh login successful');
-      return true;
     } catch (error) {
-      this.log('DEBUG', `⚠️ Fresh login failed: ${error.message}`);
-      return false;
+      if (!(error instanceof IgLoginTwoFactorRequiredError || error instanceof IgCheckpointError)) {
+        this.log('DEBUG', `⚠️ Fresh login failed: ${error.message}`);
+        return false;
+      }
+      reason = error instanceof IgCheckpointError ? 'login challenge' : 'two-factor login';
+      if (!(await this.completeVerification(error, reason))) return false;
     }
+    await this.saveSession(reason);
+    return true;
   }
 
-  async loadCookiesFromJson(path) {
+  // Two-factor and checkpoint logins need a code, asked from the admin through
+  // the Telegram bot's private chat or the terminal (core/login-prompt.js)
+  async completeVerification(error, label) {
+    const prompt = new LoginPrompt(this.account);
     try {
-      const raw = await fs.readFile(path, 'utf-8');
-      const cookies = JSON.parse(raw);
-      let cookiesLoaded = 0;
-      for (const cookie of cookies) {
-        const toughCookie = new tough.Cookie({
-          key: cookie.name,
-          value: cookie.value,
-          domain: cookie.domain.replace(/^\./, ''),
-          path: cookie.path || '/',
-          secure: cookie.secure !== false,
-          httpOnly: cookie.httpOnly !== false,
-        });
-        await this.ig.state.cookieJar.setCookie(
-          toughCookie.toString(),
-          `https://${toughCookie.domain}${toughCookie.path}`
-        );
-        cookiesLoaded++;
+      if (error instanceof IgLoginTwoFactorRequiredError) {
+        await this.submitTwoFactorCode(error, prompt);
+      } else {
+        await this.submitChallengeCode(prompt);
+      }
+      this.log('INFO', `✅ Logged in after ${label}`);
+      await prompt.tell(`✅ Logged in after ${label}`);
+      return true;
+    } catch (verifyError) {
+      this.log('ERROR', `❌ Could not complete ${label}: ${verifyError.message}`);
+      await prompt.tell(`❌ Could not complete ${label}: ${verifyError.message}`);
+      return false;
+    } finally {
+      await prompt.close();
+    }
+  }
+
+  async submitTwoFactorCode(error, prompt) {
+    const info = error.response?.body?.two_factor_info || {};
+    const totp = Boolean(info.totp_two_factor_on);
+    const question = totp
+      ? 'Instagram asks for the code from your authenticator app'
+      : `Instagram sent a login code by SMS to ${info.obfuscated_phone_number ? `…${info.obfuscated_phone_number}` : 'your phone'}`;
+
+    await this.submitCode(prompt, question, code => this.ig.account.twoFactorLogin({
+      username: info.username || this.account.username,
+      verificationCode: code,
+      twoFactorIdentifier: info.two_factor_identifier,
+      verificationMethod: totp ? '0' : '1',
+      trustThisDevice: '1'
+    }));
+  }
+
+  async submitChallengeCode(prompt) {
+    // Picks the verification method Instagram offers and has the code sent by SMS or email
+    await this.ig.challenge.auto(true);
+    await this.submitCode(prompt, 'Instagram flagged this login and sent a security code by SMS or email',
+      code => this.ig.challenge.sendSecurityCode(code));
+  }
+
+  // Asks again after a wrong code, up to config.instagram.loginCodeAttempts times
+  async submitCode(prompt, question, submit) {
+    const attempts = config.instagram?.loginCodeAttempts || 3;
+    for (let attempt = 1; ; attempt++) {
+      const code = await prompt.ask(attempt === 1 ? question : `Wrong code (${attempt - 1}/${attempts}), send the new code`);
+      try {
+        return await submit(code);
+      } catch (error) {
+        if (attempt >= attempts || !this.isWrongCodeError(error)) throw error;
+        this.log('WARN', `⚠️ Login code rejected: ${error.message}`);
       }
-      this.log('INFO', `🍪 Successfully loaded ${cookiesLoaded}/${cookies.length} cookies from ${path}`);
+    }
+  }
+
+  isWrongCodeError(error) {
+    if (error instanceof IgChallengeWrongCodeError) return true;
+    const body = error.response?.body || {};
+    return ['sms_code_validation_code_invalid', 'invalid_verification_code'].includes(body.error_type);
+  }
+
+  async applyCookies(cookies, source) {
+    let cookiesLoaded = 0;
+    for (const cookie of cookies) {
+      const toughCookie = new tough.Cookie({
+        key: cookie.name,
+        value: cookie.value,
+        domain: cookie.domain.replace(/^\./, ''),
+        path: cookie.path || '/',
+        secure: cookie.secure !== false,
+        httpOnly: cookie.httpOnly !== false,
+      });
+      await this.ig.state.cookieJar.setCookie(
+        toughCookie.toString(),
+        `https://${toughCookie.domain}${toughCookie.path}`
+      );
+      cookiesLoaded++;
+    }
+    this.log('INFO', `🍪 Successfully loaded ${cookiesLoaded}/${cookies.length} cookies from ${source}`);
+  }
+
+  async readJsonFile(file) {
+    if (!(await existsAsync(file))) return null;
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  }
+
+  // Newest stored version of a kind, or null when storage is off, empty or unreadable
+  async loadStored(kind) {
+    if (!this.sessions.enabled) return null;
+    try {
+      return (await this.sessions.load(kind))?.data ?? null;
     } catch (error) {
-      this.log('ERROR', `❌ Failed to load cookies from ${path}: ${error.message}`);
-      throw error;
+      this.log('WARN', `⚠️ Could not read stored ${kind}: ${error.message}`);
+      return null;
     }
   }
 
-  async saveSession() {
+  // Saves to the session store when enabled, and to the file when not (or when storage fails)
+  async persist(kind, data, file, reason) {
+    if (this.sessions.enabled) {
+      try {
+        const version = await this.sessions.save(kind, data, { reason });
+        this.log('DEBUG', `💾 ${kind} saved to storage (v${version})`);
+        return;
+      } catch (error) {
+        this.log('WARN', `⚠️ Could not save ${kind} to storage, writing ${file}: ${error.message}`);
+      }
+    }
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, typeof data === 'string' ? data : JSON.stringify(data, null, 2), 'utf-8');
+    this.log('DEBUG', `💾 ${kind} saved to ${file}`);
+  }
+
+  async saveSession(reason = 'save') {
     try {
       const session = await this.ig.state.serialize();
       delete session.constants;
-      await fs.writeFile(config.instagram.sessionPath || './session.json', JSON.stringify(session, null, 2));
-      this.log('DEBUG', '💾 Session saved successfully');
+      await this.persist('session', session, this.account.sessionPath, reason);
     } catch (error) {
       this.log('ERROR', `❌ Failed to save session: ${error.message}`);
     }
   }
 
+  // request.end$ fires after every API call, so state is written at most once per STATE_SAVE_DELAY
+  scheduleStateSave() {
+    if (this.stateSaveTimer) return;
+    this.stateSaveTimer = setTimeout(() => this.saveState(), STATE_SAVE_DELAY);
+  }
+
   async saveState() {
+    clearTimeout(this.stateSaveTimer);
+    this.stateSaveTimer = null;
     try {
-      await writeFileAsync('state.json', await this.ig.exportState(), { encoding: 'utf8' });
-      this.log('DEBUG', '💾 FBNS/Realtime state saved successfully');
+      await this.persist('state', await this.ig.exportState(), this.account.statePath, 'state');
     } catch (error) {
       this.log('ERROR', `❌ Failed to save FBNS/Realtime state: ${error.message}`);
     }
@@ -191,8 +508,10 @@ export class InstagramBot extends EventEmitter {
 
   async readState() {
     try {
-      if (!(await existsAsync('state.json'))) return;
-      await this.ig.importState(await readFileAsync('state.json', { encoding: 'utf8' }));
+      const state = await this.loadStored('state') ??
+        (await existsAsync(this.account.statePath) ? await readFileAsync(this.account.statePath, { encoding: 'utf8' }) : null);
+      if (!state) return;
+      await this.ig.importState(state);
       this.log('DEBUG', '📂 FBNS/Realtime state loaded successfully');
     } catch (error) {
       this.log('ERROR', `❌ Failed to load FBNS/Realtime state: ${error.message}`);
@@ -200,33 +519,14 @@ export class InstagramBot extends EventEmitter {
   }
 
   async setupConnections() {
-    this.registerHandlers();
-    
-    try {
-      await this.ig.realtime.connect({
-        graphQlSubs: [
-          GraphQLSubscriptions.getAppPresenceSubscription(),
-          GraphQLSubscriptions.getZeroProvisionSubscription(this.ig.state.phoneId),
-          GraphQLSubscriptions.getDirectStatusSubscription(),
-          GraphQLSubscriptions.getDirectTypingSubscription(this.ig.state.cookieUserId),
-          GraphQLSubscriptions.getAsyncAdSubscription(this.ig.state.cookieUserId),
-        ],
-        skywalkerSubs: [
-          SkywalkerSubscriptions.directSub(this.ig.state.cookieUserId),
-          SkywalkerSubscriptions.liveSub(this.ig.state.cookieUserId),
-        ],
-        irisData: await this.ig.feed.directInbox().request(),
-        connectOverrides: {},
-        socksOptions: config.proxy ? {
-          type: config.proxy.type || 5,
-          host: config.proxy.host,
-          port: config.proxy.port,
-          userId: config.proxy.username,
-          password: config.proxy.password,
-        } : undefined,
-      });
+    if (!this.handlersRegistered) {
+      this.registerHandlers();
+      this.handlersRegistered = true;
+    }
 
-      await this.ig.fbns.connect();
+    try {
+      await this.connectRealtime();
+      await this.connectFbns();
       this.log('INFO', '🔗 FBNS and Realtime connections established');
     } catch (error) {
       this.log('ERROR', `❌ Failed to establish connections: ${error.message}`);
@@ -234,12 +534,49 @@ export class InstagramBot extends EventEmitter {
     }
   }
 
+  // Reconnects are left to the supervisor, so the clients' own autoReconnect is off
+  async connectRealtime() {
+    await this.ig.realtime.connect({
+      graphQlSubs: [
+        GraphQLSubscriptions.getAppPresenceSubscription(),
+        GraphQLSubscriptions.getZeroProvisionSubscription(this.ig.state.phoneId),
+        GraphQLSubscriptions.getDirectStatusSubscription(),
+        GraphQLSubscriptions.getDirectTypingSubscription(this.ig.state.cookieUserId),
+        GraphQLSubscriptions.getAsyncAdSubscription(this.ig.state.cookieUserId),
+      ],
+      skywalkerSubs: [
+        SkywalkerSubscriptions.directSub(this.ig.state.cookieUserId),
+        SkywalkerSubscriptions.liveSub(this.ig.state.cookieUserId),
+      ],
+      irisData: await this.ig.feed.directInbox().request(),
+      connectOverrides: {},
+      autoReconnect: false,
+      socksOptions: this.getSocksOptions(),
+    });
+  }
+
+  async connectFbns() {
+    await this.ig.fbns.connect({ autoReconnect: false });
+  }
+
+  getSocksOptions() {
+    return config.proxy ? {
+      type: config.proxy.type || 5,
+      host: config.proxy.host,
+      port: config.proxy.port,
+      userId: config.proxy.username,
+      password: config.proxy.password,
+    } : undefined;
+  }
+
   registerHandlers() {
     this.log('INFO', '📡 Registering Realtime and FBNS event handlers...');
 
     // Realtime (MQTT) Handlers
     this.ig.realtime.on('message', async (data) => {
       try {
+        // Seen receipts, reactions, unsends and admin changes arrive here too
+        if (data.message && this.events.handleSync(data.message)) return;
         if (!data.message || !this.isNewMessageById(data.message.item_id, data.message.thread_id)) {
           this.log('DEBUG', `⚠️ Message ${data.message.item_id} filtered as duplicate`);
           return;
@@ -257,8 +594,8 @@ export class InstagramBot extends EventEmitter {
           this.log('INFO', '✅ Processing new direct message (by ID)...');
           await this.handleMessage(data.message, data);
         } else {
-          this.log('INFO', 'ℹ️ Received non-message direct event');
           this.log('DEBUG', 'Direct event details:', JSON.stringify(data, null, 2));
+          this.events.handlePatch(data);
         }
       } catch (error) {
         this.log('ERROR', `❌ Error in direct handler: ${error.message}`);
@@ -303,19 +640,19 @@ export class InstagramBot extends EventEmitter {
 
     this.ig.realtime.on('connect', () => {
       this.log('INFO', '🔗 Realtime connection established');
-      this.connectionRetries = 0;
-      this.isRunning = true;
     });
 
+    // A dropped link arrives as an error (ClientDisconnectedError); other errors leave it up
     this.ig.realtime.on('error', (error) => {
       this.log('ERROR', `🚨 Realtime connection error: ${error.message}`);
-      this.handleConnectionError();
+      if (isDisconnectError(error)) {
+        this.supervisor.channelDown('realtime', error);
+      }
     });
 
     this.ig.realtime.on('close', () => {
       this.log('WARN', '🔌 Realtime connection closed');
-      this.isRunning = false;
-      this.handleConnectionError();
+      this.supervisor.channelDown('realtime', new Error('Connection closed'));
     });
 
     this.ig.realtime.on('receive', (topic, messages) => {
@@ -328,8 +665,8 @@ export class InstagramBot extends EventEmitter {
     });
 
     this.ig.realtime.on('threadUpdate', (data) => {
-      this.log('INFO', '🧵 Thread update event received');
       this.log('DEBUG', 'Thread update details:', JSON.stringify(data, null, 2));
+      this.events.handleThreadUpdate(data);
     });
 
     this.ig.realtime.on('realtimeSub', (data) => {
@@ -337,19 +674,15 @@ export class InstagramBot extends EventEmitter {
       this.log('DEBUG', 'RealtimeSub details:', JSON.stringify(data, null, 2));
     });
 
-    this.ig.realtime.on('presence', (data) => {
-      this.log('INFO', '👤 Presence update event received');
+    // GraphQL subscriptions are emitted under their QueryIDs names. Typing
+    // indicators come in as activity_indicator patches on 'direct'.
+    this.ig.realtime.on('appPresence', (data) => {
       this.log('DEBUG', 'Presence details:', JSON.stringify(data, null, 2));
+      this.events.handlePresence(data);
     });
 
-    this.ig.realtime.on('typing', (data) => {
-      this.log('INFO', '⌨️ Typing indicator event received');
-      this.log('DEBUG', 'Typing details:', JSON.stringify(data, null, 2));
-    });
-
-    this.ig.realtime.on('messageStatus', (data) => {
-      this.log('INFO', '📊 Message status update event received');
-      this.log('DEBUG', 'MessageStatus details:', JSON.stringify(data, null, 2));
+    this.ig.realtime.on('directStatus', (data) => {
+      this.log('DEBUG', 'Direct status details:', JSON.stringify(data, null, 2));
     });
 
     this.ig.realtime.on('liveNotification', (data) => {
@@ -375,6 +708,7 @@ export class InstagramBot extends EventEmitter {
       this.log('INFO', '🔔 FBNS push notification received');
       this.log('DEBUG', 'FBNS push details:', JSON.stringify(data, null, 2));
       this.emit('fbnsPush', data);
+      this.events.handlePush(data);
     });
 
     this.ig.fbns.on('auth', async (auth) => {
@@ -386,6 +720,9 @@ export class InstagramBot extends EventEmitter {
 
     this.ig.fbns.on('error', (error) => {
       this.log('ERROR', `❌ FBNS error: ${error.message}`);
+      if (isDisconnectError(error)) {
+        this.supervisor.channelDown('fbns', error);
+      }
       this.emit('fbnsError', error);
     });
 
@@ -395,22 +732,15 @@ export class InstagramBot extends EventEmitter {
     });
   }
 
-  async handleConnectionError() {
-    if (this.connectionRetries < this.maxRetries) {
-      this.connectionRetries++;
-      this.log('INFO', `🔁 Attempting to reconnect (${this.connectionRetries}/${this.maxRetries})...`);
-      
-      setTimeout(async () => {
-        try {
-          await this.setupConnections();
-        } catch (error) {
-          this.log('ERROR', `❌ Reconnection failed: ${error.message}`);
-          this.handleConnectionError();
-        }
-      }, config.app?.retryDelay || 5000);
-    } else {
-      this.log('ERROR', '❌ Max reconnection attempts reached');
-      this.emit('error', new Error('Connection lost and max retries exceeded'));
+  // Recently handled message ids carried over a restart, so a message delivered
+  // again after reconnecting (e.g. the .restart command itself) is not handled twice
+  exportState() {
+    return { processedMessageIds: [...this.processedMessageIds].slice(-200) };
+  }
+
+  restoreState(state) {
+    for (const id of state?.processedMessageIds || []) {
+      this.processedMessageIds.add(id);
     }
   }
 
@@ -448,28 +778,9 @@ export class InstagramBot extends EventEmitter {
         return;
       }
 
-      let senderUsername = `user_${message.user_id}`;
-      if (eventData.thread?.users) {
-        const sender = eventData.thread.users.find(u => u.pk?.toString() === message.user_id?.toString());
-        if (sender?.username) {
-          senderUsername = sender.username;
-        }
-      }
+      const processedMessage = this.client.createMessage(message, eventData?.thread);
 
-      const processedMessage = {
-        id: message.item_id,
-        text: message.text || '',
-        senderId: message.user_id,
-        senderUsername: senderUsername,
-        timestamp: new Date(parseInt(message.timestamp, 10) / 1000),
-        threadId: eventData.thread?.thread_id || message.thread_id || 'unknown_thread',
-        threadTitle: eventData.thread?.thread_title || message.thread_title || 'Direct Message',
-        type: message.item_type || 'text',
-        media: message.media || null,
-        raw: message
-      };
-
-      this.log('INFO', `💬 [${processedMessage.threadTitle}] New message from @${senderUsername}: "${processedMessage.text}"`);
+      this.log('INFO', `💬 [${processedMessage.threadTitle}] New message from @${processedMessage.senderUsername}: "${processedMessage.text}"`);
       for (const handler of this.messageHandlers) {
         try {
           await handler(processedMessage);
@@ -493,50 +804,82 @@ export class InstagramBot extends EventEmitter {
     }
   }
 
-  async sendMessage(threadId, text) {
+  // options.priority: 'high' for command replies, 'normal' (default), 'low' for automated messages.
+  // options.replyTo: a Message (or { id, raw }) to quote.
+  // Sends resolve with Instagram's payload (item_id, thread_id, timestamp).
+  async sendMessage(threadId, text, options = {}) {
     if (!threadId || !text) {
       this.log('WARN', '⚠️ sendMessage called with missing threadId or text');
       throw new Error('Thread ID and text are required');
     }
 
     try {
-      await this.ig.entity.directThread(threadId).broadcastText(text);
+      const thread = this.ig.entity.directThread(threadId);
+      const { replyTo } = options;
+      const payload = await this.outbox.enqueue(`message to ${threadId}`, () => replyTo
+        ? thread.broadcast({
+          item: 'text',
+          form: { text, replied_to_item_id: replyTo.id, replied_to_client_context: replyTo.raw?.client_context }
+        })
+        : thread.broadcastText(text), options.priority);
       this.log('INFO', `📤 Message sent to thread ${threadId}: "${text}"`);
-      return true;
+      return payload;
     } catch (error) {
       this.log('ERROR', `❌ Error sending message to thread ${threadId}: ${error.message}`);
       throw error;
     }
   }
 
-  async sendPhoto(threadId, photoPath, caption = '') {
+  // photo: file path, URL, Buffer or Attachment; converted to JPEG when needed
+  async sendPhoto(threadId, photo, caption = '', options = {}) {
     try {
-      await this.ig.entity.directThread(threadId).broadcastPhoto({
-        file: photoPath,
-        caption: caption
-      });
+      const attachment = photo instanceof Attachment ? photo : new Attachment(photo);
+      const file = await attachment.load();
+      const payload = await this.outbox.enqueue(`photo to ${threadId}`, () =>
+        this.ig.entity.directThread(threadId).broadcastPhoto({
+          file,
+          caption: caption
+        }), options.priority);
       this.log('INFO', `📷 Photo sent to thread ${threadId}`);
-      return true;
+      return payload;
     } catch (error) {
       this.log('ERROR', `❌ Error sending photo to thread ${threadId}: ${error.message}`);
       throw error;
     }
   }
 
-  async sendVideo(threadId, videoPath, caption = '') {
+  async sendVideo(threadId, videoPath, caption = '', options = {}) {
     try {
-      await this.ig.entity.directThread(threadId).broadcastVideo({
-        video: videoPath,
-        caption: caption
-      });
+      const payload = await this.outbox.enqueue(`video to ${threadId}`, () =>
+        this.ig.entity.directThread(threadId).broadcastVideo({
+          video: videoPath,
+          caption: caption
+        }), options.priority);
       this.log('INFO', `🎥 Video sent to thread ${threadId}`);
-      return true;
+      return payload;
     } catch (error) {
       this.log('ERROR', `❌ Error sending video to thread ${threadId}: ${error.message}`);
       throw error;
     }
   }
 
+  // Reactions go over Realtime but are queued like DMs, so they respect pacing and feedback pauses
+  async sendReaction(threadId, itemId, emoji, options = {}) {
+    try {
+      await this.outbox.enqueue(`reaction in ${threadId}`, () =>
+        this.ig.realtime.direct.sendReaction({ threadId, itemId, emoji, reactionStatus: 'created' }), options.priority ?? 'high');
+      this.log('INFO', `${emoji} Reacted to message ${itemId} in thread ${threadId}`);
+      return true;
+    } catch (error) {
+      this.log('ERROR', `❌ Error reacting to message ${itemId} in thread ${threadId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  getOutboxStatus() {
+    return this.outbox.getStatus();
+  }
+
   async getThreadInfo(threadId) {
     try {
       const thread = await this.ig.entity.directThread(threadId).info();
@@ -552,27 +895,51 @@ export class InstagramBot extends EventEmitter {
     }
   }
 
+  // Users in the stored snapshot (core/follower-sync.js) in the shape Instagram
+  // returns them; a list that was never synced is synced first
   async getFollowers() {
+    return this.getSyncedUsers('followers');
+  }
+
+  async getFollowing() {
+    return this.getSyncedUsers('following');
+  }
+
+  async getSyncedUsers(kind) {
     try {
-      const followersFeed = this.ig.feed.accountFollowers(this.ig.state.cookieUserId);
-      const followers = await followersFeed.items();
-      this.log('INFO', `📋 Fetched ${followers.length} followers`);
-      return followers;
+      if (!(await this.followerSync.getStatus(kind))?.completedAt) {
+        await this.followerSync.sync(kind);
+      }
+      const users = (await this.followerSync.getSnapshot(kind)).map(entry => ({
+        pk: entry.userId,
+        username: entry.username,
+        full_name: entry.fullName,
+        is_private: entry.isPrivate
+      }));
+      this.log('INFO', `📋 Fetched ${users.length} ${kind}`);
+      return users;
     } catch (error) {
-      this.log('ERROR', `❌ Error getting followers: ${error.message}`);
+      this.log('ERROR', `❌ Error getting ${kind}: ${error.message}`);
       return [];
     }
   }
 
-  async getFollowing() {
+  // Exact username lookup; resolves with the user as Instagram returns it, or null
+  async searchUser(username) {
     try {
-      const followingFeed = this.ig.feed.accountFollowing(this.ig.state.cookieUserId);
-      const following = await followingFeed.items();
-      this.log('INFO', `📋 Fetched ${following.length} following`);
-      return following;
+      return await this.ig.user.searchExact(username);
     } catch (error) {
-      this.log('ERROR', `❌ Error getting following: ${error.message}`);
-      return [];
+      this.log('WARN', `⚠️ User @${username} not found: ${error.message}`);
+      return null;
+    }
+  }
+
+  async getUserInfo(userId) {
+    try {
+      return await this.ig.user.info(userId);
+    } catch (error) {
+      this.log('ERROR', `❌ Error getting user info for ${userId}: ${error.message}`);
+      return null;
     }
   }
 
@@ -580,6 +947,7 @@ export class InstagramBot extends EventEmitter {
     try {
       await this.ig.friendship.create(userId);
       this.log('INFO', `✅ Successfully followed user ${userId}`);
+      this.emit('userFollowed', String(userId));
       return true;
     } catch (error) {
       this.log('ERROR', `❌ Error following user ${userId}: ${error.message}`);
@@ -591,6 +959,7 @@ export class InstagramBot extends EventEmitter {
     try {
       await this.ig.friendship.destroy(userId);
       this.log('INFO', `✅ Successfully unfollowed user ${userId}`);
+      this.emit('userUnfollowed', String(userId));
       return true;
     } catch (error) {
       this.log('ERROR', `❌ Error unfollowing user ${userId}: ${error.message}`);
@@ -637,6 +1006,7 @@ export class InstagramBot extends EventEmitter {
     try {
       await this.ig.directThread.approve(threadId);
       this.log('INFO', `✅ Approved message request: ${threadId}`);
+      this.emit('messageRequestApproved', String(threadId));
       return true;
     } catch (error) {
       this.log('ERROR', `❌ Error approving message request ${threadId}: ${error.message}`);
@@ -721,8 +1091,25 @@ export class InstagramBot extends EventEmitter {
 
   async disconnect() {
     this.log('INFO', '🔌 Initiating graceful disconnect from Instagram...');
+    this.supervisor.stop();
+
+    // The next process (after .restart or a crash) continues with this session and state
+    if (this.isRunning) {
+      await this.saveSession('shutdown');
+    }
     this.isRunning = false;
     this.pushContext = {};
+    this.events.stop();
+    this.followerEvents.stop();
+
+    if (this.stateSaveTimer) {
+      await this.saveState();
+    }
+
+    const dropped = this.outbox.clear('Bot disconnected');
+    if (dropped) {
+      this.log('WARN', `📭 Dropped ${dropped} queued outgoing messages`);
+    }
 
     if (this.messageRequestsMonitorInterval) {
       clearInterval(this.messageRequestsMonitorInterval);
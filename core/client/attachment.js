@@ -0,0 +1,37 @@
+import axios from 'axios';
+import { promises as fs } from 'fs';
+import Jimp from 'jimp';
+
+const JPEG_EXTENSIONS = /\.jpe?g$/i;
+
+// A photo to upload: a Buffer, a file path or an http(s) URL. Instagram only
+// takes JPEG uploads, anything else is converted first.
+export class Attachment {
+  constructor(data) {
+    this.data = data;
+    this.file = null; // JPEG buffer, set by load()
+  }
+
+  async load() {
+    if (this.file) return this.file;
+    if (!this.data) throw new Error('Attachment is empty');
+
+    if (Buffer.isBuffer(this.data)) {
+      this.file = await this.toJpeg(this.data);
+    } else if (typeof this.data === 'string' && /^https?:\/\//.test(this.data)) {
+      const response = await axios.get(this.data, { responseType: 'arraybuffer', timeout: 60000 });
+      this.file = await this.toJpeg(Buffer.from(response.data));
+    } else if (typeof this.data === 'string') {
+      const buffer = await fs.readFile(this.data);
+      this.file = JPEG_EXTENSIONS.test(this.data) ? buffer : await this.toJpeg(buffer);
+    } else {
+      throw new Error('Unsupported attachment, expected a Buffer, a file path or a URL');
+    }
+    return this.file;
+  }
+
+  async toJpeg(buffer) {
+    const image = await Jimp.read(buffer);
+    return image.getBufferAsync(Jimp.MIME_JPEG);
+  }
+}
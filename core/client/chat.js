@@ -0,0 +1,141 @@
+import { Collection } from '@discordjs/collection';
+import { Message } from './message.js';
+import { Attachment } from './attachment.js';
+
+const MAX_CACHED_MESSAGES = 100; // Per chat, oldest dropped first
+const TYPING_REFRESH = 9000; // Instagram hides the indicator after ~10s
+
+// A direct thread, one-to-one or group. Sends go through the bot's outbound
+// queue, so they are paced and rate limited like every other DM.
+export class Chat {
+  constructor(client, threadId, data = {}) {
+    Object.defineProperty(this, 'client', { value: client });
+    this.id = String(threadId);
+    this.messages = new Collection();
+    this.users = new Collection();
+    this.leftUsers = new Collection();
+    this.adminUserIds = [];
+    this.name = null;
+    this.isGroup = false;
+    this.pending = false;
+    this.muted = false;
+    this.typing = false;
+    this.typingTimer = null;
+    this.typingInterval = null;
+    this.patch(data);
+  }
+
+  get threadEntity() {
+    return this.client.ig.entity.directThread(this.id);
+  }
+
+  patch(data) {
+    if (data.users) {
+      this.users = new Collection(data.users.map(user => [String(user.pk), this.client.patchOrCreateUser(user)]));
+    }
+    if (data.left_users) {
+      this.leftUsers = new Collection(data.left_users.map(user => [String(user.pk), this.client.patchOrCreateUser(user)]));
+    }
+    if (data.items) {
+      for (const item of [...data.items].reverse()) {
+        this.addMessage(new Message(this.client, item, this.id));
+      }
+    }
+    if ('admin_user_ids' in data) this.adminUserIds = data.admin_user_ids.map(String);
+    if ('thread_title' in data) this.name = data.thread_title;
+    if ('is_group' in data) this.isGroup = data.is_group;
+    if ('pending' in data) this.pending = data.pending;
+    if ('muted' in data) this.muted = data.muted;
+    if ('last_activity_at' in data) this.lastActivityAt = new Date(parseInt(data.last_activity_at, 10) / 1000);
+  }
+
+  addMessage(message) {
+    this.messages.set(message.id, message);
+    if (this.messages.size > MAX_CACHED_MESSAGES) {
+      this.messages.delete(this.messages.firstKey());
+    }
+    return message;
+  }
+
+  // Creates the Message for something the bot just sent
+  addSent(payload, item) {
+    if (!payload?.item_id) return null;
+    return this.addMessage(new Message(this.client, {
+      item_id: payload.item_id,
+      user_id: this.client.user?.id,
+      timestamp: payload.timestamp || Date.now() * 1000,
+      ...item
+    }, this.id));
+  }
+
+  // options as for bot.sendMessage (priority, replyTo)
+  async sendMessage(text, options = {}) {
+    const payload = await this.client.bot.sendMessage(this.id, text, options);
+    return this.addSent(payload, { item_type: 'text', text });
+  }
+
+  // photo: Attachment, Buffer, file path or URL
+  async sendPhoto(photo, options = {}) {
+    const attachment = photo instanceof Attachment ? photo : new Attachment(photo);
+    const payload = await this.client.bot.sendPhoto(this.id, await attachment.load(), '', options);
+    return this.addSent(payload, { item_type: 'media' });
+  }
+
+  // buffer: an mp4/m4a audio buffer
+  async sendVoice(buffer, options = {}) {
+    const payload = await this.client.bot.outbox.enqueue(`voice to ${this.id}`, () =>
+      this.threadEntity.broadcastVoice({ file: buffer }), options.priority);
+    return this.addSent(payload, { item_type: 'voice_media' });
+  }
+
+  async markMessageSeen(messageId) {
+    await this.threadEntity.markItemSeen(messageId);
+  }
+
+  async deleteMessage(messageId) {
+    await this.threadEntity.deleteItem(messageId);
+    this.messages.delete(String(messageId));
+  }
+
+  // Accepts a pending message request
+  async approve() {
+    await this.client.ig.directThread.approve(this.id);
+    this.pending = false;
+    this.client.bot.emit('messageRequestApproved', this.id);
+  }
+
+  // Shows "typing..." for `duration` ms or until stopTyping()
+  async startTyping({ duration = 10000 } = {}) {
+    await this.stopTyping(false);
+    this.typing = true;
+    await this.indicateTyping(true);
+    this.typingInterval = setInterval(() => this.indicateTyping(true).catch(() => {}), TYPING_REFRESH);
+    this.typingTimer = setTimeout(() => this.stopTyping().catch(() => {}), duration);
+  }
+
+  async stopTyping(notify = true) {
+    clearInterval(this.typingInterval);
+    clearTimeout(this.typingTimer);
+    this.typingInterval = this.typingTimer = null;
+    if (!this.typing) return;
+    this.typing = false;
+    if (notify) await this.indicateTyping(false);
+  }
+
+  async indicateTyping(isActive) {
+    await this.client.ig.realtime.direct.indicateActivity({ threadId: this.id, isActive });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      isGroup: this.isGroup,
+      pending: this.pending,
+      muted: this.muted,
+      adminUserIds: this.adminUserIds,
+      users: [...this.users.keys()],
+      messages: [...this.messages.keys()]
+    };
+  }
+}
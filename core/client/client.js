@@ -0,0 +1,115 @@
+import { EventEmitter } from 'events';
+import { Collection } from '@discordjs/collection';
+import { Chat } from './chat.js';
+import { Message } from './message.js';
+import { User, ClientUser } from './user.js';
+
+export { Chat, Message, User, ClientUser };
+export { MessageCollector } from './message-collector.js';
+export { Conversation } from './conversation.js';
+export { Attachment } from './attachment.js';
+
+// Object model over one InstagramBot (bot.client): cached users and chats,
+// Message objects for incoming DMs and helpers to look users and chats up.
+// The bot keeps the login, the Realtime/FBNS connections and the outbound
+// queue; this only shapes what it receives and sends.
+//
+// Emits 'messageCreate' with a Message for every new incoming message.
+export class Client extends EventEmitter {
+  constructor(bot) {
+    super();
+    this.bot = bot;
+    this.user = null; // ClientUser, set once logged in
+    this.cache = {
+      users: new Collection(),
+      chats: new Collection()
+    };
+    this.conversations = new Map(); // "threadId:userId" -> collector of an open question
+  }
+
+  get ig() {
+    return this.bot.ig;
+  }
+
+  get ready() {
+    return this.bot.isRunning;
+  }
+
+  // Called by the bot after a successful login
+  setUser(data) {
+    this.user = new ClientUser(this, data);
+    this.cache.users.set(this.user.id, this.user);
+    return this.user;
+  }
+
+  patchOrCreateUser(data) {
+    const id = String(data.pk);
+    const user = this.cache.users.get(id);
+    if (user) {
+      user.patch(data);
+      return user;
+    }
+    const created = new User(this, data);
+    this.cache.users.set(id, created);
+    return created;
+  }
+
+  patchOrCreateChat(threadId, data = {}) {
+    const id = String(threadId);
+    const chat = this.cache.chats.get(id);
+    if (chat) {
+      chat.patch(data);
+      return chat;
+    }
+    const created = new Chat(this, id, data);
+    this.cache.chats.set(id, created);
+    return created;
+  }
+
+  // Turns a Realtime message item into a Message. The thread payload that
+  // comes with it fills the chat and its users without extra requests.
+  createMessage(item, thread = null) {
+    const threadId = String(thread?.thread_id || item.thread_id || 'unknown_thread');
+    const { items, ...threadData } = thread || {};
+    if (!threadData.thread_title && item.thread_title) threadData.thread_title = item.thread_title;
+    const chat = this.patchOrCreateChat(threadId, threadData);
+    const message = chat.addMessage(new Message(this, item, threadId));
+    // Decided before 'messageCreate': the question's collector closes as soon
+    // as it gets the answer, before the message pipeline reaches it
+    message.isAnswer = this.isAnswer(message);
+    this.emit('messageCreate', message);
+    return message;
+  }
+
+  // The message answers an open question (core/client/conversation.js)
+  isAnswer(message) {
+    return this.conversations.has(`${message.threadId}:${message.senderId}`);
+  }
+
+  // query: a user id or a username
+  async fetchUser(query, force = false) {
+    const id = /^\d+$/.test(String(query)) ? String(query) : String(await this.ig.user.getIdByUsername(query));
+    const cached = this.cache.users.get(id);
+    if (cached && !force && cached.followerCount !== undefined) return cached;
+    return this.patchOrCreateUser(await this.ig.user.info(id));
+  }
+
+  async fetchChat(threadId, force = false) {
+    const cached = this.cache.chats.get(String(threadId));
+    if (cached && !force && cached.users.size) return cached;
+    const { thread } = await this.ig.feed.directThread({ thread_id: threadId }).request();
+    return this.patchOrCreateChat(threadId, thread);
+  }
+
+  // The one-to-one chat with a user, created when they have never talked
+  async fetchPrivateChat(userId) {
+    const { thread } = await this.ig.directThread.getByParticipants([userId]);
+    if (thread?.thread_id) return this.patchOrCreateChat(thread.thread_id, thread);
+    return this.createChat([userId]);
+  }
+
+  async createChat(userIds, title) {
+    const thread = await this.ig.direct.createGroupThread(userIds.map(String), title);
+    return this.patchOrCreateChat(thread.thread_id, thread);
+  }
+}
@@ -0,0 +1,117 @@
+import { config } from '../../config.js';
+import { MessageCollector } from './message-collector.js';
+
+const YES_WORDS = ['yes', 'y', 'yeah', 'yep', 'ok', 'okay', 'sure', 'confirm'];
+const MAX_CHOICE_ATTEMPTS = 3;
+
+const normalize = text => String(text || '').trim().toLowerCase().replace(/[.!]+$/, '');
+
+// Follow-up questions to one user in one chat, usually started from a command
+// handler through the Message helpers:
+//
+//   const answer = await message.ask('What should the welcome message say?');
+//   if (!(await message.confirm('Unfollow @someone?'))) return;
+//   const units = await message.choose('Which units?', ['metric', 'imperial']);
+//
+// While a question is open, that user's messages in the chat are answers: the
+// message handler skips commands and the Telegram bridge for them. A cancel
+// word (config.conversation.cancelWords) or no answer within the timeout ends
+// the question; ask() and choose() then resolve with null, confirm() with false.
+// A new question to the same user in the same chat replaces an open one.
+export class Conversation {
+  constructor(chat, userId, options = {}) {
+    this.client = chat.client;
+    this.chat = chat;
+    this.userId = String(userId);
+    this.timeout = options.timeout ?? config.conversation?.timeout ?? 120000;
+  }
+
+  get key() {
+    return `${this.chat.id}:${this.userId}`;
+  }
+
+  // Resolves with the answer Message
+  async ask(question, { timeout = this.timeout } = {}) {
+    const { collector, answered } = this.waitForAnswer(timeout);
+    try {
+      if (question) await this.say(question);
+    } catch (error) {
+      collector.end('error');
+      throw error;
+    }
+
+    const { reason, message } = await answered;
+    if (reason === 'idle') {
+      await this.say('⌛ No answer, cancelled');
+    } else if (reason === 'cancelled') {
+      await this.say('❎ Cancelled');
+    }
+    return message;
+  }
+
+  // Anything but a yes-word counts as no
+  async confirm(question, options = {}) {
+    const answer = await this.ask(`${question}\n\nReply yes or no`, options);
+    if (!answer) return false;
+    if (YES_WORDS.includes(normalize(answer.text))) return true;
+    await this.say('❎ Cancelled');
+    return false;
+  }
+
+  // choices: strings or { label, value }; answered by number or label.
+  // Resolves with the chosen value.
+  async choose(question, choices, options = {}) {
+    const items = choices.map(choice => typeof choice === 'object' ? choice : { label: String(choice), value: choice });
+    const list = items.map((item, index) => `${index + 1}. ${item.label}`).join('\n');
+    let prompt = `${question}\n\n${list}\n\nReply with a number or a name`;
+
+    for (let attempt = 1; attempt <= MAX_CHOICE_ATTEMPTS; attempt++) {
+      const answer = await this.ask(prompt, options);
+      if (!answer) return null;
+
+      const text = normalize(answer.text);
+      const picked = items[Number(text) - 1] || items.find(item => normalize(item.label) === text);
+      if (picked) return picked.value;
+      prompt = `❌ Not one of the choices, reply with 1-${items.length}`;
+    }
+
+    await this.say('❎ Cancelled');
+    return null;
+  }
+
+  isCancelWord(text) {
+    const words = config.conversation?.cancelWords || ['cancel'];
+    return words.includes(normalize(text));
+  }
+
+  // The collector is registered before the question goes out, so a quick
+  // answer is never handled as an ordinary message
+  waitForAnswer(timeout) {
+    this.client.conversations.get(this.key)?.end('replaced');
+
+    const collector = new MessageCollector(this.chat, {
+      filter: message => message.senderId === this.userId,
+      idle: timeout
+    });
+    this.client.conversations.set(this.key, collector);
+
+    let answer = null;
+    const answered = new Promise(resolve => {
+      collector.once('message', message => {
+        answer = message;
+        collector.end(this.isCancelWord(message.text) ? 'cancelled' : 'answered');
+      });
+      collector.once('end', reason => {
+        if (this.client.conversations.get(this.key) === collector) {
+          this.client.conversations.delete(this.key);
+        }
+        resolve({ reason, message: reason === 'answered' ? answer : null });
+      });
+    });
+    return { collector, answered };
+  }
+
+  async say(text) {
+    return this.chat.sendMessage(text, { priority: 'high' });
+  }
+}
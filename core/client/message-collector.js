@@ -0,0 +1,42 @@
+import { EventEmitter } from 'events';
+
+// Collects the messages arriving in one chat. Emits 'message' for every
+// message that passes `filter` and 'end' (with the reason) once stopped,
+// either by end() or after `idle` ms without a collected message.
+export class MessageCollector extends EventEmitter {
+  constructor(chat, { filter = () => true, idle = 10000 } = {}) {
+    super();
+    this.client = chat.client;
+    this.chat = chat;
+    this.filter = filter;
+    this.idle = idle;
+    this.ended = false;
+    this.idleTimer = null;
+    this.resetIdle();
+
+    this.handleMessage = this.handleMessage.bind(this);
+    this.client.on('messageCreate', this.handleMessage);
+  }
+
+  resetIdle() {
+    clearTimeout(this.idleTimer);
+    if (this.idle) {
+      this.idleTimer = setTimeout(() => this.end('idle'), this.idle);
+    }
+  }
+
+  async handleMessage(message) {
+    if (this.ended || message.threadId !== this.chat.id) return;
+    if (!(await this.filter(message))) return;
+    this.emit('message', message);
+    if (!this.ended) this.resetIdle();
+  }
+
+  end(reason = 'user') {
+    if (this.ended) return;
+    this.ended = true;
+    clearTimeout(this.idleTimer);
+    this.client.off('messageCreate', this.handleMessage);
+    this.emit('end', reason);
+  }
+}
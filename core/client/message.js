@@ -0,0 +1,94 @@
+import { MessageCollector } from './message-collector.js';
+import { Conversation } from './conversation.js';
+
+// A direct message item. The plain fields (text, senderUsername, threadId, ...)
+// are what modules and the Telegram bridge have always read; `raw` is the item
+// as Instagram sent it.
+export class Message {
+  constructor(client, item, threadId) {
+    Object.defineProperty(this, 'client', { value: client });
+    this.id = String(item.item_id);
+    this.text = item.text || item.link?.text || '';
+    this.senderId = String(item.user_id);
+    this.senderUsername = client.cache.users.get(this.senderId)?.username || `user_${this.senderId}`;
+    this.timestamp = new Date(parseInt(item.timestamp, 10) / 1000);
+    this.threadId = threadId;
+    this.threadTitle = this.chat?.name || 'Direct Message';
+    this.type = item.item_type || 'text';
+    this.media = item.media || null;
+    this.accountId = client.bot.account.id;
+    this.isAnswer = false; // Answers an open question, set by the client
+    this.raw = item;
+  }
+
+  get chat() {
+    return this.client.cache.chats.get(this.threadId);
+  }
+
+  get author() {
+    return this.client.cache.users.get(this.senderId);
+  }
+
+  // Replies are sent ahead of automated messages (priority 'high')
+  async reply(text, options = {}) {
+    return this.chat.sendMessage(text, { priority: 'high', ...options });
+  }
+
+  // A reply that quotes this message, like swiping to reply in the app
+  async quoteReply(text, options = {}) {
+    return this.reply(text, { ...options, replyTo: this });
+  }
+
+  // photo: Attachment, Buffer, file path or URL
+  async replyWithPhoto(photo, options = {}) {
+    return this.chat.sendPhoto(photo, { priority: 'high', ...options });
+  }
+
+  async react(emoji = '❤️') {
+    await this.client.bot.sendReaction(this.threadId, this.id, emoji);
+  }
+
+  async markSeen() {
+    await this.chat.markMessageSeen(this.id);
+  }
+
+  async delete() {
+    await this.chat.deleteMessage(this.id);
+  }
+
+  // Follow-up questions to the sender, see core/client/conversation.js.
+  // options.timeout overrides config.conversation.timeout.
+  async ask(question, options = {}) {
+    return new Conversation(this.chat, this.senderId, options).ask(question);
+  }
+
+  async confirm(question, options = {}) {
+    return new Conversation(this.chat, this.senderId, options).confirm(question);
+  }
+
+  async choose(question, choices, options = {}) {
+    return new Conversation(this.chat, this.senderId, options).choose(question, choices);
+  }
+
+  createMessageCollector(options) {
+    return new MessageCollector(this.chat, options);
+  }
+
+  toString() {
+    return this.text;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      text: this.text,
+      senderId: this.senderId,
+      senderUsername: this.senderUsername,
+      timestamp: this.timestamp,
+      threadId: this.threadId,
+      threadTitle: this.threadTitle,
+      type: this.type,
+      accountId: this.accountId
+    };
+  }
+}
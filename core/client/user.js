@@ -0,0 +1,138 @@
+import { Collection } from '@discordjs/collection';
+import { walkFeed } from '../follower-sync.js';
+
+// An Instagram user. Instances are cached by the client (client.cache.users)
+// and patched whenever a thread or API response brings newer data.
+export class User {
+  constructor(client, data) {
+    Object.defineProperty(this, 'client', { value: client });
+    this.id = String(data.pk);
+    // Filled by fetchFollowers() / fetchFollowing()
+    this.followers = new Collection();
+    this.following = new Collection();
+    this.patch(data);
+  }
+
+  patch(data) {
+    const fields = {
+      username: 'username',
+      fullName: 'full_name',
+      isPrivate: 'is_private',
+      isVerified: 'is_verified',
+      isBusiness: 'is_business',
+      avatarURL: 'profile_pic_url',
+      biography: 'biography',
+      mediaCount: 'media_count',
+      followerCount: 'follower_count',
+      followingCount: 'following_count'
+    };
+    for (const [field, key] of Object.entries(fields)) {
+      if (key in data) this[field] = data[key];
+    }
+  }
+
+  // The one-to-one chat with this user, when it is cached
+  get privateChat() {
+    return this.client.cache.chats.find(chat => !chat.isGroup && chat.users.size === 1 && chat.users.has(this.id));
+  }
+
+  // Loads the full profile (counts, biography)
+  async fetch() {
+    return this.client.fetchUser(this.id, true);
+  }
+
+  async fetchPrivateChat() {
+    return this.privateChat || this.client.fetchPrivateChat(this.id);
+  }
+
+  // Every page of the feed, paced like a follower sync
+  async fetchFollowers() {
+    return this.fetchList(this.client.ig.feed.accountFollowers(this.id), this.followers);
+  }
+
+  async fetchFollowing() {
+    return this.fetchList(this.client.ig.feed.accountFollowing(this.id), this.following);
+  }
+
+  async fetchList(feed, list) {
+    const items = [];
+    await walkFeed(feed, page => items.push(...page));
+    list.clear();
+    for (const item of items) {
+      list.set(String(item.pk), this.client.patchOrCreateUser(item));
+    }
+    return list;
+  }
+
+  async follow() {
+    await this.client.ig.friendship.create(this.id);
+  }
+
+  async unfollow() {
+    await this.client.ig.friendship.destroy(this.id);
+  }
+
+  async block() {
+    await this.client.ig.friendship.block(this.id);
+  }
+
+  async unblock() {
+    await this.client.ig.friendship.unblock(this.id);
+  }
+
+  async approveFollow() {
+    await this.client.ig.friendship.approve(this.id);
+  }
+
+  async denyFollow() {
+    await this.client.ig.friendship.deny(this.id);
+  }
+
+  async removeFollower() {
+    await this.client.ig.friendship.removeFollower(this.id);
+  }
+
+  // Sends a DM, opening the private chat first when needed
+  async send(text, options = {}) {
+    const chat = await this.fetchPrivateChat();
+    return chat.sendMessage(text, options);
+  }
+
+  toString() {
+    return this.username ? `@${this.username}` : this.id;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      username: this.username,
+      fullName: this.fullName,
+      isPrivate: this.isPrivate,
+      isVerified: this.isVerified,
+      isBusiness: this.isBusiness,
+      avatarURL: this.avatarURL,
+      biography: this.biography,
+      mediaCount: this.mediaCount,
+      followerCount: this.followerCount,
+      followingCount: this.followingCount
+    };
+  }
+}
+
+// The account the bot is logged in as; actions aimed at other users don't apply
+export class ClientUser extends User {
+  constructor(client, data) {
+    super(client, data);
+    for (const action of ['follow', 'unfollow', 'block', 'unblock', 'approveFollow', 'denyFollow', 'removeFollower', 'send']) {
+      this[action] = async () => {
+        throw new Error(`${action}() is not available for the bot's own account`);
+      };
+    }
+  }
+
+  async setBiography(text) {
+    await this.client.ig.account.setBiography(text);
+    this.biography = text;
+    return this.biography;
+  }
+}
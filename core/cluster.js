@@ -0,0 +1,57 @@
+import cluster from 'cluster';
+import { logger } from '../utils/logger.js';
+import { RESTART_EXIT_CODE, CONFIG_EXIT_CODE } from './lifecycle.js';
+
+const MAX_CRASH_DELAY = 300000;
+const CRASH_WINDOW = 600000; // Crashes further apart than this do not grow the delay
+
+// Runs the bot in a worker process and keeps it running: a worker that exits
+// with RESTART_EXIT_CODE is replaced at once, one that crashes after startup is
+// replaced after a delay that doubles with every crash in CRASH_WINDOW. A clean
+// exit, an invalid configuration or a failed first start end the supervisor too.
+export function superviseWorker() {
+  const crashes = [];
+  let worker = null;
+  let started = false; // a worker has reached lifecycle.ready()
+  let stopping = false;
+
+  const fork = () => {
+    worker = cluster.fork();
+    worker.on('message', (message) => {
+      if (message?.type === 'ready') started = true;
+    });
+  };
+
+  cluster.on('exit', (exited, code, signal) => {
+    if (exited !== worker) return;
+
+    if (stopping || code === 0 || code === CONFIG_EXIT_CODE || !started) {
+      process.exit(code ?? 1);
+    }
+
+    if (code === RESTART_EXIT_CODE) {
+      logger.info('♻️ Starting a new bot process...');
+      fork();
+      return;
+    }
+
+    const now = Date.now();
+    crashes.push(now);
+    while (now - crashes[0] > CRASH_WINDOW) crashes.shift();
+    const delay = Math.min(MAX_CRASH_DELAY, 1000 * 2 ** (crashes.length - 1));
+    logger.error(`💥 Bot process exited (${signal || `code ${code}`}), starting it again in ${Math.round(delay / 1000)}s`);
+    setTimeout(fork, delay);
+  });
+
+  // Ctrl+C reaches the worker directly; SIGTERM (Docker, systemd) only the supervisor
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+      stopping = true;
+      if (!worker || worker.isDead()) process.exit(0);
+      worker.process.kill(signal);
+    });
+  }
+
+  logger.info(`🛡️ Process supervisor ${process.pid} started`);
+  fork();
+}
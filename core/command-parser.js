@@ -0,0 +1,239 @@
+// Command line parsing for chat commands.
+//
+// Commands may declare an argument schema next to their handler:
+//
+//   args: [
+//     { name: 'username', type: 'username', required: true },
+//     { name: 'count', type: 'integer', default: 10, min: 1, max: 50 },
+//     { name: 'state', type: 'string', choices: ['on', 'off'] },
+//     { name: 'text', type: 'string', rest: true, label: 'message' }
+//   ],
+//   flags: {
+//     here: { type: 'boolean', short: 'h', description: 'Only this chat' },
+//     limit: { type: 'integer', default: 5 }
+//   }
+//
+// Supported types: string, number, integer, boolean, username.
+
+const USERNAME_PATTERN = /^[a-z0-9._]{1,30}$/i;
+const TRUE_VALUES = ['true', 'yes', 'on', '1'];
+const FALSE_VALUES = ['false', 'no', 'off', '0'];
+const QUOTES = { '"': '"', "'": "'", '“': '”', '”': '”' }; // opening -> closing
+
+export function tokenize(input) {
+  const tokens = [];
+  let current = null;
+  let quote = null;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (char === '\\' && i + 1 < input.length && (quote || /["'\\\s]/.test(input[i + 1]))) {
+      current = current || { value: '', quoted: false };
+      current.value += input[++i];
+      continue;
+    }
+
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else {
+        current.value += char;
+      }
+      continue;
+    }
+
+    // Quotes only open at the start of a token and need a closing quote;
+    // anywhere else they are literal, as in "don't"
+    if (!current && QUOTES[char] && hasClosingQuote(input, i + 1, QUOTES[char])) {
+      quote = QUOTES[char];
+      current = { value: '', quoted: true };
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      if (current) tokens.push(current);
+      current = null;
+      continue;
+    }
+
+    current = current || { value: '', quoted: false };
+    current.value += char;
+  }
+
+  if (current) tokens.push(current);
+  return tokens;
+}
+
+function hasClosingQuote(input, start, close) {
+  for (let i = start; i < input.length; i++) {
+    if (input[i] === '\\') i++;
+    else if (input[i] === close) return true;
+  }
+  return false;
+}
+
+export function splitCommand(text) {
+  const tokens = tokenize(text);
+  const [nameToken, ...rest] = tokens;
+  return { name: nameToken?.value || '', tokens: rest };
+}
+
+function findFlag(flags, name) {
+  if (flags[name]) return [name, flags[name]];
+  return Object.entries(flags).find(([, spec]) => spec.short === name) || null;
+}
+
+// Also used to validate settings, which share the argument spec format
+export function coerceValue(value, spec, label) {
+  switch (spec.type || 'string') {
+    case 'string':
+      break;
+    case 'username':
+      value = value.replace(/^@/, '');
+      if (!USERNAME_PATTERN.test(value)) {
+        throw new Error(`${label} must be a valid Instagram username`);
+      }
+      break;
+    case 'number':
+    case 'integer': {
+      const number = Number(value);
+      if (value === '' || Number.isNaN(number) || (spec.type === 'integer' && !Number.isInteger(number))) {
+        throw new Error(`${label} must be ${spec.type === 'integer' ? 'a whole number' : 'a number'}`);
+      }
+      if (spec.min !== undefined && number < spec.min) throw new Error(`${label} must be at least ${spec.min}`);
+      if (spec.max !== undefined && number > spec.max) throw new Error(`${label} must be at most ${spec.max}`);
+      value = number;
+      break;
+    }
+    case 'boolean': {
+      const lower = String(value).toLowerCase();
+      if (TRUE_VALUES.includes(lower)) value = true;
+      else if (FALSE_VALUES.includes(lower)) value = false;
+      else throw new Error(`${label} must be yes or no`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown argument type for ${label}: ${spec.type}`);
+  }
+
+  if (spec.choices) {
+    const match = spec.choices.find(choice => String(choice).toLowerCase() === String(value).toLowerCase());
+    if (match === undefined) {
+      throw new Error(`${label} must be one of: ${spec.choices.join(', ')}`);
+    }
+    value = match;
+  }
+  return value;
+}
+
+// Returns { args, params }: args keeps the raw positional strings for handlers
+// that read them directly, params holds the validated named args and flags.
+export function parseArguments(tokens, command = {}) {
+  // Commands without a schema get plain positional arguments
+  if (!command.args && !command.flags) {
+    return { args: tokens.map(token => token.value), params: {} };
+  }
+
+  const flagSpecs = command.flags || {};
+  const positionals = [];
+  const flagValues = {};
+  let flagsEnded = false;
+
+  const assignFlag = (rawName, inlineValue, index) => {
+    const found = findFlag(flagSpecs, rawName);
+    if (!found) throw new Error(`Unknown option: ${rawName.length === 1 ? '-' : '--'}${rawName}`);
+    const [name, spec] = found;
+    if ((spec.type || 'boolean') === 'boolean' && inlineValue === undefined) {
+      flagValues[name] = true;
+      return index;
+    }
+    let value = inlineValue;
+    if (value === undefined) {
+      if (index + 1 >= tokens.length) throw new Error(`Option --${name} needs a value`);
+      value = tokens[++index].value;
+    }
+    flagValues[name] = coerceValue(value, { ...spec, type: spec.type || 'boolean' }, `--${name}`);
+    return index;
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const { value, quoted } = tokens[i];
+
+    if (quoted || flagsEnded || value === '-' || /^-\d/.test(value) || !value.startsWith('-')) {
+      positionals.push(value);
+      continue;
+    }
+
+    if (value === '--') {
+      flagsEnded = true;
+      continue;
+    }
+
+    if (value.startsWith('--')) {
+      const [name, ...inline] = value.slice(2).split('=');
+      i = assignFlag(name, inline.length ? inline.join('=') : undefined, i);
+      continue;
+    }
+
+    // Short flags may be combined (-abc); only the last one can take a value
+    const letters = value.slice(1).split('');
+    for (const letter of letters.slice(0, -1)) {
+      const found = findFlag(flagSpecs, letter);
+      if (found && (found[1].type || 'boolean') !== 'boolean') {
+        throw new Error(`Option -${letter} takes a value and must come last`);
+      }
+      i = assignFlag(letter, undefined, i);
+    }
+    i = assignFlag(letters[letters.length - 1], undefined, i);
+  }
+
+  const params = {};
+  const argSpecs = command.args || [];
+
+  argSpecs.forEach((spec, index) => {
+    const label = spec.name;
+    let raw = positionals[index];
+    if (spec.rest) {
+      raw = positionals.slice(index).join(' ') || undefined;
+    }
+    if (raw === undefined) {
+      if (spec.required) throw new Error(`Missing required argument: ${label}`);
+      params[spec.name] = spec.default;
+      return;
+    }
+    params[spec.name] = coerceValue(raw, spec, label);
+  });
+
+  if (command.args && !argSpecs.some(spec => spec.rest) && positionals.length > argSpecs.length && command.strict !== false) {
+    throw new Error(`Too many arguments (expected at most ${argSpecs.length})`);
+  }
+
+  for (const [name, spec] of Object.entries(flagSpecs)) {
+    params[name] = name in flagValues ? flagValues[name] : (spec.default ?? ((spec.type || 'boolean') === 'boolean' ? false : undefined));
+  }
+
+  return { args: positionals, params };
+}
+
+function formatArg(spec) {
+  const label = spec.label || (spec.choices ? spec.choices.join('|') : spec.name);
+  const body = `${label}${spec.rest ? '...' : ''}`;
+  return spec.required ? `<${body}>` : `[${body}]`;
+}
+
+function formatFlag(name, spec) {
+  const flag = spec.short ? `-${spec.short}|--${name}` : `--${name}`;
+  return (spec.type || 'boolean') === 'boolean' ? `[${flag}]` : `[${flag}=<${spec.type}>]`;
+}
+
+export function formatUsage(name, command, prefix = '.') {
+  if (!command.args && !command.flags) {
+    // Hand-written usage strings are written with the default "." prefix
+    return command.usage ? command.usage.replace(/^\./, prefix) : `${prefix}${name}`;
+  }
+  const parts = [`${prefix}${name}`];
+  for (const spec of command.args || []) parts.push(formatArg(spec));
+  for (const [flagName, spec] of Object.entries(command.flags || {})) parts.push(formatFlag(flagName, spec));
+  return parts.join(' ');
+}
@@ -0,0 +1,269 @@
+import { EventEmitter } from 'events';
+import { IgLoginRequiredError, IgCheckpointError } from 'instagram-private-api';
+import { ClientDisconnectedError } from 'instagram_mqtt';
+import { config } from '../config.js';
+
+export const CONNECTION_ICONS = {
+  stopped: '⚪',
+  connecting: '🟡',
+  online: '🟢',
+  degraded: '🟠',
+  backoff: '⏳',
+  fatal: '🔴'
+};
+
+const CHANNELS = {
+  http: 'HTTP session',
+  realtime: 'Realtime (MQTT)',
+  fbns: 'FBNS push'
+};
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND'];
+
+// The session is gone and only a new login helps
+export function isSessionError(error) {
+  return error instanceof IgLoginRequiredError || error instanceof IgCheckpointError;
+}
+
+// Errors that mean an MQTT link dropped; other client errors leave the link up
+export function isDisconnectError(error) {
+  return error instanceof ClientDisconnectedError || NETWORK_ERROR_CODES.includes(error?.code);
+}
+
+// Keeps one bot's connections alive: the HTTP session (checked every
+// healthCheckInterval), MQTT Realtime (DMs) and FBNS (push notifications).
+// Each channel recovers on its own with exponential backoff and jitter;
+// Realtime and FBNS wait while the session is being recovered by logging in again.
+//
+//   online     every channel is up
+//   degraded   Realtime is up, FBNS or the session check is failing
+//   connecting a Realtime or session recovery attempt is running
+//   backoff    Realtime is down, waiting for the next attempt
+//   fatal      gave up (login failed or config.connection.maxAttempts reached)
+//
+// Emits 'stateChange' with { from, to, reason }.
+export class ConnectionSupervisor extends EventEmitter {
+  constructor(bot) {
+    super();
+    this.bot = bot;
+    this.state = 'stopped';
+    this.reason = null;
+    this.since = new Date();
+    this.active = false;
+    this.healthTimer = null;
+    this.channels = Object.fromEntries(Object.keys(CHANNELS).map(name => [name, this.createChannel()]));
+  }
+
+  createChannel() {
+    return { status: 'down', attempts: 0, error: null, timer: null, retryAt: null, recovering: false, waiting: false };
+  }
+
+  get options() {
+    const connection = config.connection || {};
+    return {
+      baseDelay: connection.baseDelay ?? 2000,
+      maxDelay: connection.maxDelay ?? 300000,
+      maxAttempts: connection.maxAttempts ?? 0,
+      healthCheckInterval: connection.healthCheckInterval ?? 300000
+    };
+  }
+
+  // Called by the bot once it is logged in and connected
+  start() {
+    this.active = true;
+    for (const channel of Object.values(this.channels)) {
+      Object.assign(channel, this.createChannel(), { status: 'up' });
+    }
+    this.setState('online');
+
+    clearInterval(this.healthTimer);
+    this.healthTimer = setInterval(() => this.checkSession(), this.options.healthCheckInterval);
+    this.healthTimer.unref?.();
+  }
+
+  stop() {
+    this.active = false;
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+    for (const channel of Object.values(this.channels)) {
+      clearTimeout(channel.timer);
+      channel.timer = null;
+    }
+    this.setState('stopped');
+  }
+
+  // Starts over after a fatal state (or skips a pending backoff), e.g. from .reconnect
+  reconnect() {
+    if (!this.active) return false;
+    if (this.state === 'fatal') this.setState('connecting', 'reconnect requested');
+    for (const [name, channel] of Object.entries(this.channels)) {
+      if (channel.status === 'up' || channel.recovering) continue;
+      clearTimeout(channel.timer);
+      Object.assign(channel, { timer: null, attempts: 0, waiting: false });
+      this.recover(name);
+    }
+    return true;
+  }
+
+  async checkSession() {
+    const http = this.channels.http;
+    if (!this.active || http.status !== 'up') return;
+    try {
+      await this.bot.ig.account.currentUser();
+    } catch (error) {
+      this.channelDown('http', error);
+    }
+  }
+
+  // Reported by the bot's Realtime/FBNS handlers and by failed session checks
+  channelDown(name, error = null) {
+    const channel = this.channels[name];
+    if (!this.active || channel.recovering || channel.timer || channel.waiting) return;
+    channel.status = 'down';
+    channel.error = error?.message || null;
+    if (this.state === 'fatal') return;
+    this.bot.log('WARN', `🔌 ${CHANNELS[name]} lost${error ? `: ${error.message}` : ''}`);
+    this.scheduleRecovery(name);
+  }
+
+  getDelay(attempts) {
+    const { baseDelay, maxDelay } = this.options;
+    const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempts);
+    return ceiling / 2 + Math.random() * ceiling / 2;
+  }
+
+  scheduleRecovery(name) {
+    const channel = this.channels[name];
+    const { maxAttempts } = this.options;
+    if (maxAttempts && channel.attempts >= maxAttempts) {
+      this.fail(`${CHANNELS[name]} still down after ${channel.attempts} attempts (${channel.error})`);
+      return;
+    }
+
+    const delay = this.getDelay(channel.attempts);
+    channel.retryAt = new Date(Date.now() + delay);
+    channel.timer = setTimeout(() => this.recover(name), delay);
+    this.bot.log('INFO', `⏳ Reconnecting ${CHANNELS[name]} in ${Math.round(delay / 1000)}s (attempt ${channel.attempts + 1}${maxAttempts ? `/${maxAttempts}` : ''})`);
+    this.updateState();
+  }
+
+  async recover(name) {
+    const channel = this.channels[name];
+    channel.timer = null;
+    channel.retryAt = null;
+    if (!this.active || this.state === 'fatal') return;
+
+    // Realtime and FBNS need a working session; they resume once it is back
+    if (name !== 'http' && this.channels.http.status !== 'up') {
+      channel.waiting = true;
+      this.updateState();
+      return;
+    }
+
+    channel.attempts++;
+    channel.recovering = true;
+    this.updateState();
+
+    try {
+      await this.runRecovery(name);
+      channel.recovering = false;
+      this.markUp(name);
+    } catch (error) {
+      channel.recovering = false;
+      channel.error = error.message;
+      this.bot.log('WARN', `⚠️ ${CHANNELS[name]} recovery failed: ${error.message}`);
+
+      if (error.fatal) {
+        this.fail(error.message);
+      } else if (name !== 'http' && isSessionError(error)) {
+        channel.waiting = true;
+        this.channelDown('http', error);
+      } else {
+        this.scheduleRecovery(name);
+      }
+    }
+  }
+
+  async runRecovery(name) {
+    if (name === 'realtime') return this.bot.connectRealtime();
+    if (name === 'fbns') return this.bot.connectFbns();
+
+    try {
+      await this.bot.ig.account.currentUser();
+    } catch (error) {
+      if (!isSessionError(error)) throw error;
+      this.bot.log('WARN', '🔑 Instagram session expired, logging in again');
+      // Repeated failed logins get accounts locked, so a failed login is final
+      if (!(await this.bot.authenticate())) {
+        throw Object.assign(new Error('Session expired and no login method succeeded'), { fatal: true });
+      }
+    }
+  }
+
+  markUp(name) {
+    const channel = this.channels[name];
+    Object.assign(channel, { status: 'up', attempts: 0, error: null, waiting: false });
+    this.bot.log('INFO', `✅ ${CHANNELS[name]} recovered`);
+
+    if (name === 'http') {
+      for (const [other, state] of Object.entries(this.channels)) {
+        if (state.waiting) {
+          state.waiting = false;
+          this.recover(other);
+        }
+      }
+    }
+    this.updateState();
+  }
+
+  fail(reason) {
+    for (const channel of Object.values(this.channels)) {
+      clearTimeout(channel.timer);
+      Object.assign(channel, { timer: null, retryAt: null });
+    }
+    this.setState('fatal', reason);
+  }
+
+  updateState() {
+    if (!this.active || this.state === 'fatal') return;
+    const { http, realtime, fbns } = this.channels;
+
+    let state;
+    if (realtime.status === 'up') {
+      state = http.status === 'up' && fbns.status === 'up' ? 'online' : 'degraded';
+    } else {
+      state = realtime.recovering || http.recovering ? 'connecting' : 'backoff';
+    }
+
+    const [name, down] = Object.entries(this.channels).find(([, channel]) => channel.status !== 'up') || [];
+    this.setState(state, down ? `${CHANNELS[name]}${down.error ? `: ${down.error}` : ' down'}` : null);
+  }
+
+  setState(state, reason = null) {
+    if (state === this.state) {
+      this.reason = reason;
+      return;
+    }
+    const from = this.state;
+    this.state = state;
+    this.reason = reason;
+    this.since = new Date();
+    this.bot.log(state === 'fatal' ? 'ERROR' : 'INFO', `📶 Connection ${from} → ${state}${reason ? ` (${reason})` : ''}`);
+    this.emit('stateChange', { from, to: state, reason });
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      reason: this.reason,
+      since: this.since,
+      channels: Object.fromEntries(Object.entries(this.channels).map(([name, channel]) => [name, {
+        label: CHANNELS[name],
+        status: channel.recovering ? 'recovering' : channel.waiting ? 'waiting' : channel.status,
+        attempts: channel.attempts,
+        retryAt: channel.retryAt,
+        error: channel.error
+      }]))
+    };
+  }
+}
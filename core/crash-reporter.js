@@ -0,0 +1,134 @@
+import { logger } from '../utils/logger.js';
+import { connectDb } from '../utils/db.js';
+import { redact } from '../utils/secrets.js';
+import { notifier } from './notifier.js';
+
+const STACK_LINES = 8; // Stack frames included in the admin notice
+const REPEAT_WINDOW = 600000; // The same crash is sent once per 10 minutes
+const KEEP_DAYS = 30;
+
+// Mistakes in the code rather than failures of Instagram, the network or user input
+const PROGRAMMING_ERRORS = [TypeError, ReferenceError, RangeError, SyntaxError];
+
+// Records errors that escaped a module, command handler, scheduled task or the
+// process itself: logged, stored in the `crashes` collection and sent to the
+// admins with their stack trace. Reports written while the process was going
+// down are delivered after the next start.
+export class CrashReporter {
+  constructor() {
+    this.collection = null;
+    this.recent = new Map(); // signature -> { at, repeats }
+  }
+
+  async initialize() {
+    try {
+      const db = await connectDb();
+      this.collection = db.collection('crashes');
+      const cutoff = new Date(Date.now() - KEEP_DAYS * 86400000);
+      await this.collection.deleteMany({ at: { $lte: cutoff } });
+    } catch (error) {
+      logger.error('Crash reports will not be stored:', error.message);
+    }
+  }
+
+  isProgrammingError(error) {
+    return PROGRAMMING_ERRORS.some(type => error instanceof type);
+  }
+
+  // Module a stack trace points into, e.g. "followers" for modules/followers.js
+  findModule(stack = '') {
+    const match = String(stack).match(/[\\/]modules[\\/]([\w.-]+?)\.js/);
+    return match ? match[1] : null;
+  }
+
+  // For errors already contained by a module boundary: only bugs are reported,
+  // expected failures (API errors, bad input) stay in the log
+  async capture(error, context = {}) {
+    if (!this.isProgrammingError(error)) return null;
+    return this.report(error, context).catch(() => null);
+  }
+
+  // context: { source, module, account, fatal }. Fatal reports are stored for
+  // delivery after the restart that follows them.
+  async report(error, { source = 'process', module = null, account = null, fatal = false } = {}) {
+    const err = error instanceof Error ? error : new Error(String(error));
+    const report = {
+      source,
+      module: module || this.findModule(err.stack),
+      account,
+      fatal,
+      name: err.name,
+      message: redact(err.message),
+      stack: redact(err.stack || `${err.name}: ${err.message}`),
+      at: new Date(),
+      pending: fatal
+    };
+
+    logger.error(`💥 ${fatal ? 'Fatal error' : 'Unhandled error'} in ${this.describe(report)}: ${report.message}`);
+    logger.debug(report.stack);
+
+    const signature = `${report.source}|${report.module}|${report.name}|${report.message}`;
+    const seen = this.recent.get(signature);
+    if (seen && Date.now() - seen.at < REPEAT_WINDOW && !fatal) {
+      seen.repeats++;
+      return report;
+    }
+    report.repeats = seen?.repeats || 0;
+    this.recent.set(signature, { at: Date.now(), repeats: 0 });
+
+    try {
+      const { insertedId } = await this.collection?.insertOne(report) || {};
+      report._id = insertedId;
+    } catch (error) {
+      logger.error('Failed to store crash report:', error.message);
+    }
+
+    if (!fatal) {
+      await this.deliver(report);
+    }
+    return report;
+  }
+
+  async deliver(report) {
+    const delivered = await notifier.notify(this.format(report)).catch(() => false);
+    if (report._id && report.pending) {
+      await this.collection?.updateOne({ _id: report._id }, { $set: { pending: false } }).catch(() => {});
+    }
+    return delivered;
+  }
+
+  // Fatal reports from before the last restart
+  async deliverPending() {
+    if (!this.collection) return 0;
+    const pending = await this.collection.find({ pending: true }).sort({ at: 1 }).toArray();
+    for (const report of pending) {
+      await this.deliver(report);
+    }
+    return pending.length;
+  }
+
+  async list(limit = 10) {
+    if (!this.collection) return [];
+    return this.collection.find({}).sort({ at: -1 }).limit(limit).toArray();
+  }
+
+  describe(report) {
+    return [
+      report.module ? `module ${report.module}` : null,
+      report.source,
+      report.account ? `account ${report.account}` : null
+    ].filter(Boolean).join(', ');
+  }
+
+  format(report) {
+    const frames = report.stack.split('\n').slice(1).map(line => line.trim());
+    const shown = frames.slice(0, STACK_LINES);
+    return `💥 ${report.fatal ? 'Crash' : 'Error'} in ${this.describe(report)}\n` +
+      `${new Date(report.at).toLocaleString()}${report.repeats ? ` (repeated ${report.repeats}x before)` : ''}\n\n` +
+      `${report.name}: ${report.message}\n` +
+      shown.join('\n') +
+      (frames.length > shown.length ? `\n… ${frames.length - shown.length} more frames` : '');
+  }
+}
+
+export const crashReporter = new CrashReporter();
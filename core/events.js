@@ -0,0 +1,377 @@
+import { EventEmitter } from 'events';
+import { logger } from '../utils/logger.js';
+import { crashReporter } from './crash-reporter.js';
+
+// Events modules can subscribe to through context.events, with their payloads.
+// `chat`, `user` and `message` are the cached client objects (core/client) and
+// can be missing for chats and users the bot has not seen yet.
+export const REALTIME_EVENTS = {
+  'typing:start': 'Someone started typing: { chat, threadId, userId, user }',
+  'typing:stop': 'Someone stopped typing: { chat, threadId, userId, user }',
+  'seen': 'Someone read the chat up to a message: { chat, threadId, userId, user, itemId, seenAt }',
+  'reaction:add': 'A reaction was added: { chat, threadId, itemId, message, userId, user, emoji }',
+  'reaction:remove': 'A reaction was removed: { chat, threadId, itemId, message, userId, user, emoji }',
+  'message:delete': 'A message was unsent: { chat, threadId, itemId, message }',
+  'thread:rename': 'A group was renamed: { chat, threadId, name, previousName }',
+  'member:join': 'Someone joined a group: { chat, threadId, userId, user }',
+  'member:leave': 'Someone left or was removed from a group: { chat, threadId, userId, user }',
+  'admin:add': 'Someone became a group admin: { chat, threadId, userId, user }',
+  'admin:remove': 'Someone is no longer a group admin: { chat, threadId, userId, user }',
+  'presence': 'A user came online or went away: { userId, user, active, lastActivityAt }',
+  'push': 'Any FBNS push notification: { kind, collapseKey, userId, username, text, raw }',
+  'push:follow': 'Someone followed the account (push payload)',
+  'push:follow-request': 'Someone asked to follow the private account (push payload)',
+  'push:follow-approved': 'A follow request of the account was approved (push payload)',
+  'push:like': 'A post or comment was liked (push payload)',
+  'push:comment': 'A post was commented on (push payload)',
+  'push:mention': 'The account was mentioned or tagged (push payload)',
+  'push:message': 'A direct message or message request arrived (push payload)',
+  'push:live': 'Someone started a live video (push payload)'
+};
+
+// FBNS collapse keys -> push:<kind>. Other keys only emit 'push' with kind null.
+const PUSH_KINDS = {
+  new_follower: 'follow',
+  private_user_follow_request: 'follow-request',
+  follow_request_approved: 'follow-approved',
+  like: 'like',
+  comment_like: 'like',
+  comment: 'comment',
+  mentioned_comment: 'mention',
+  usertag: 'mention',
+  direct_v2_message: 'message',
+  direct_v2_pending: 'message',
+  live_broadcast: 'live'
+};
+
+// Iris patch paths, captures are [threadId, id]
+const PATHS = {
+  item: /^\/direct_v2\/threads\/(\d+)\/items\/([^/]+)$/,
+  admin: /^\/direct_v2\/threads\/(\d+)\/admin_user_ids\/(\d+)$/,
+  seen: /^\/direct_v2\/threads\/(\d+)\/participants\/(\d+)\/has_seen$/,
+  activity: /^\/direct_v2\/threads\/(\d+)\/activity_indicator_id\/([^/]+)$/,
+  inboxThread: /^\/direct_v2\/inbox\/threads\/(\d+)$/
+};
+
+const DEFAULT_TYPING_TTL = 12000; // Instagram stops showing the indicator on its own
+const RECENT_REACTION = 60000; // Reactions on uncached messages newer than this are new
+
+// Returns the path type and its captures, e.g. { type: 'item', threadId, id }
+export function matchPath(path) {
+  for (const [type, pattern] of Object.entries(PATHS)) {
+    const match = String(path || '').match(pattern);
+    if (match) return { type, threadId: match[1], id: match[2] };
+  }
+  return null;
+}
+
+// Realtime and FBNS events of one account, turned into the events above. The
+// bot feeds it the raw Iris patches, thread updates, presence and pushes;
+// changes are found by comparing with the client cache before patching it.
+export class RealtimeEvents extends EventEmitter {
+  constructor(bot) {
+    super();
+    this.bot = bot;
+    this.typing = new Map(); // "threadId:userId" -> timer that emits typing:stop
+    this.setMaxListeners(100); // One scope per module and event
+  }
+
+  get client() {
+    return this.bot.client;
+  }
+
+  // Listeners of one module, detached when it unloads. A failing listener is
+  // logged and reported instead of breaking the other listeners.
+  scope(owner) {
+    return new EventSubscriptions(this, owner);
+  }
+
+  on(event, listener) {
+    assertEvent(event);
+    return super.on(event, listener);
+  }
+
+  once(event, listener) {
+    assertEvent(event);
+    return super.once(event, listener);
+  }
+
+  // A message-sync patch (`message` event of the Realtime client). Returns false
+  // for new items, which the bot handles as messages.
+  handleSync(data) {
+    const { path, op, thread_id: threadId, ...value } = data;
+    if (!path) return false;
+    const matched = matchPath(path);
+    if (matched?.type === 'item' && op === 'add') return false;
+    this.handlePatch({ path, op, value, threadId });
+    return true;
+  }
+
+  // One Iris patch: { op, path, value }, value parsed or a JSON string
+  handlePatch({ op, path, value }) {
+    const matched = matchPath(path);
+    if (!matched) {
+      logger.debug(`Unhandled realtime patch ${op} ${path}`);
+      return;
+    }
+    const data = typeof value === 'string' ? parseJson(value) : value;
+    const { type, threadId, id } = matched;
+
+    if (type === 'item') {
+      if (op === 'remove') this.emitMessageDelete(threadId, id);
+      else if (op === 'replace' && data) this.emitReactionChanges(threadId, id, data);
+    } else if (type === 'admin') {
+      this.emitAdminChange(threadId, id, op);
+    } else if (type === 'seen' && data) {
+      this.emitEvent('seen', {
+        ...this.chatAndUser(threadId, id),
+        itemId: String(data.item_id),
+        seenAt: new Date(parseInt(data.timestamp, 10) / 1000)
+      });
+    } else if (type === 'activity' && data) {
+      this.handleTyping(threadId, String(data.sender_id), data.activity_status, data.ttl);
+    } else if (type === 'inboxThread' && data) {
+      this.handleThreadUpdate({ meta: { path, op, thread_id: threadId }, update: data });
+    }
+  }
+
+  // The Realtime client's `threadUpdate`: { meta: { path, op, thread_id }, update }
+  handleThreadUpdate({ meta, update }) {
+    const threadId = meta?.thread_id;
+    if (!threadId || !update) return;
+    if (!PATHS.inboxThread.test(meta.path)) {
+      this.handlePatch({ op: meta.op, path: meta.path, value: update });
+      return;
+    }
+
+    const cached = this.client.cache.chats.get(String(threadId));
+    if (!cached) {
+      this.client.patchOrCreateChat(threadId, update);
+      return;
+    }
+
+    const previousName = cached.name;
+    const previousUsers = new Set(cached.users.keys());
+    const previousAdmins = new Set(cached.adminUserIds);
+    const chat = this.client.patchOrCreateChat(threadId, update);
+
+    if ('thread_title' in update && chat.name !== previousName) {
+      this.emitEvent('thread:rename', { chat, threadId: chat.id, name: chat.name, previousName });
+    }
+    if (update.users) {
+      for (const userId of chat.users.keys()) {
+        if (!previousUsers.has(userId)) this.emitEvent('member:join', this.chatAndUser(threadId, userId));
+      }
+      for (const userId of previousUsers) {
+        if (!chat.users.has(userId)) this.emitEvent('member:leave', this.chatAndUser(threadId, userId));
+      }
+    }
+    if (update.admin_user_ids) {
+      for (const userId of chat.adminUserIds) {
+        if (!previousAdmins.has(userId)) this.emitEvent('admin:add', this.chatAndUser(threadId, userId));
+      }
+      for (const userId of previousAdmins) {
+        if (!chat.adminUserIds.includes(userId)) this.emitEvent('admin:remove', this.chatAndUser(threadId, userId));
+      }
+    }
+  }
+
+  // The Realtime client's `appPresence`
+  handlePresence(data) {
+    const event = (typeof data === 'string' ? parseJson(data) : data)?.presence_event;
+    if (!event?.user_id) return;
+    const userId = String(event.user_id);
+    this.emitEvent('presence', {
+      userId,
+      user: this.client.cache.users.get(userId) || null,
+      active: Boolean(event.is_active),
+      lastActivityAt: event.last_activity_at_ms ? new Date(Number(event.last_activity_at_ms)) : null
+    });
+  }
+
+  // An FBNS push notification
+  handlePush(notification) {
+    const collapseKey = notification?.collapseKey || null;
+    const kind = PUSH_KINDS[collapseKey] || null;
+    const text = notification?.message || '';
+    const payload = {
+      kind,
+      collapseKey,
+      userId: notification?.sourceUserId ? String(notification.sourceUserId) : null,
+      // Notification texts start with the username: "someone started following you."
+      username: text.match(/^([\w.]+)\s/)?.[1] || null,
+      text,
+      raw: notification
+    };
+    this.emitEvent('push', payload);
+    if (kind) this.emitEvent(`push:${kind}`, payload);
+  }
+
+  // activity_status 1 is typing, 0 stopped. A stop that never arrives is
+  // emitted once the indicator's ttl runs out.
+  handleTyping(threadId, userId, status, ttl) {
+    const key = `${threadId}:${userId}`;
+    const timer = this.typing.get(key);
+    clearTimeout(timer);
+
+    if (Number(status) !== 1) {
+      if (this.typing.delete(key)) this.emitEvent('typing:stop', this.chatAndUser(threadId, userId));
+      return;
+    }
+
+    const stop = setTimeout(() => this.handleTyping(threadId, userId, 0), Number(ttl) || DEFAULT_TYPING_TTL);
+    stop.unref?.();
+    this.typing.set(key, stop);
+    if (!timer) this.emitEvent('typing:start', this.chatAndUser(threadId, userId));
+  }
+
+  emitMessageDelete(threadId, itemId) {
+    const chat = this.client.cache.chats.get(threadId) || null;
+    const message = chat?.messages.get(itemId) || null;
+    chat?.messages.delete(itemId);
+    this.emitEvent('message:delete', { chat, threadId, itemId, message });
+  }
+
+  emitAdminChange(threadId, userId, op) {
+    const chat = this.client.cache.chats.get(threadId);
+    if (chat) {
+      chat.adminUserIds = chat.adminUserIds.filter(id => id !== userId);
+      if (op === 'add') chat.adminUserIds.push(userId);
+    }
+    if (op === 'add' || op === 'remove') {
+      this.emitEvent(op === 'add' ? 'admin:add' : 'admin:remove', this.chatAndUser(threadId, userId));
+    }
+  }
+
+  // Compares the reactions of an updated item with the cached message
+  emitReactionChanges(threadId, itemId, item) {
+    const chat = this.client.cache.chats.get(threadId) || null;
+    const message = chat?.messages.get(itemId) || null;
+    const current = reactionsOf(item.reactions);
+    let previous;
+    if (message) {
+      previous = reactionsOf(message.raw.reactions);
+      message.raw = { ...message.raw, reactions: item.reactions };
+    } else {
+      // Without the old state only recent reactions count as new
+      const since = (Date.now() - RECENT_REACTION) * 1000;
+      previous = new Map([...current].filter(([, reaction]) => Number(reaction.timestamp) < since));
+    }
+
+    for (const [key, reaction] of current) {
+      if (!previous.has(key)) this.emitReaction('reaction:add', chat, threadId, itemId, message, reaction);
+    }
+    for (const [key, reaction] of previous) {
+      if (!current.has(key)) this.emitReaction('reaction:remove', chat, threadId, itemId, message, reaction);
+    }
+  }
+
+  emitReaction(event, chat, threadId, itemId, message, { userId, emoji }) {
+    this.emitEvent(event, {
+      chat,
+      threadId,
+      itemId,
+      message,
+      userId,
+      user: this.client.cache.users.get(userId) || null,
+      emoji
+    });
+  }
+
+  chatAndUser(threadId, userId) {
+    return {
+      chat: this.client.cache.chats.get(String(threadId)) || null,
+      threadId: String(threadId),
+      userId: String(userId),
+      user: this.client.cache.users.get(String(userId)) || null
+    };
+  }
+
+  emitEvent(event, payload) {
+    logger.debug(`📣 ${event} in ${payload.threadId || payload.collapseKey || payload.userId}`);
+    this.emit(event, payload);
+  }
+
+  stop() {
+    for (const timer of this.typing.values()) clearTimeout(timer);
+    this.typing.clear();
+  }
+}
+
+// The subscriptions of one module (context.events)
+export class EventSubscriptions {
+  constructor(bus, owner) {
+    this.bus = bus;
+    this.owner = owner;
+    this.listeners = []; // { event, listener, wrapped }
+  }
+
+  on(event, listener) {
+    return this.add(event, listener, false);
+  }
+
+  once(event, listener) {
+    return this.add(event, listener, true);
+  }
+
+  off(event, listener) {
+    this.listeners = this.listeners.filter(entry => {
+      if (entry.event !== event || entry.listener !== listener) return true;
+      this.bus.off(event, entry.wrapped);
+      return false;
+    });
+    return this;
+  }
+
+  removeAll() {
+    for (const { event, wrapped } of this.listeners) {
+      this.bus.off(event, wrapped);
+    }
+    this.listeners = [];
+  }
+
+  add(event, listener, once) {
+    assertEvent(event);
+    const entry = { event, listener };
+    entry.wrapped = async (payload) => {
+      if (once) this.off(event, listener);
+      try {
+        await listener(payload);
+      } catch (error) {
+        logger.error(`Event listener ${this.owner} (${event}) failed:`, error.message);
+        // Owners are "module" or "account:module"
+        const [module, account = null] = this.owner.split(':').reverse();
+        crashReporter.capture(error, { source: `event ${event}`, module, account });
+      }
+    };
+    this.listeners.push(entry);
+    this.bus.on(event, entry.wrapped);
+    return this;
+  }
+}
+
+function assertEvent(event) {
+  if (!(event in REALTIME_EVENTS)) {
+    throw new Error(`Unknown event ${event}, expected one of: ${Object.keys(REALTIME_EVENTS).join(', ')}`);
+  }
+}
+
+// reactions payload -> Map "userId:emoji" -> { userId, emoji, timestamp }
+function reactionsOf(reactions) {
+  const result = new Map();
+  for (const like of reactions?.likes || []) {
+    result.set(`${like.sender_id}:❤️`, { userId: String(like.sender_id), emoji: '❤️', timestamp: like.timestamp });
+  }
+  for (const reaction of reactions?.emojis || []) {
+    result.set(`${reaction.sender_id}:${reaction.emoji}`, { userId: String(reaction.sender_id), emoji: reaction.emoji, timestamp: reaction.timestamp });
+  }
+  return result;
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,122 @@
+import { config } from '../config.js';
+
+const ANNOUNCED_LIMIT = 5000; // Followers announced by push but not in the last sync yet
+
+// Turns FBNS follow notifications into bot events:
+//
+//   newFollower (User)            someone followed the account
+//   followRequest (User)          someone asked to follow the private account
+//   followRequestApproved (id)    a follow request sent by the account was accepted
+//
+// Pushes can be missed (FBNS down, bot offline), so the follower list is also
+// synced (core/follower-sync.js) every config.followers.reconcileInterval and
+// followers the sync adds are announced as newFollower, including those who
+// followed while the bot was offline. Nothing is fetched while no one listens
+// for newFollower.
+//
+// userFollowed, userUnfollowed and messageRequestApproved are emitted by the
+// bot itself when it follows, unfollows or accepts a message request.
+export class FollowerEvents {
+  constructor(bot) {
+    this.bot = bot;
+    this.announced = new Set(); // Ids announced by push since the last sync, so they don't fire twice
+    this.timer = null;
+    this.reconciling = false;
+    this.listeners = {
+      'push:follow': payload => this.onFollowPush(payload),
+      'push:follow-request': payload => this.onFollowRequestPush(payload),
+      'push:follow-approved': payload => this.onFollowApprovedPush(payload)
+    };
+  }
+
+  start() {
+    this.stop();
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.bot.events.on(event, listener);
+    }
+    const interval = config.followers?.reconcileInterval ?? 1800000;
+    if (interval > 0) {
+      this.timer = setInterval(() => this.reconcile(), interval);
+      this.timer.unref?.();
+      // Catches up on follows missed while the bot was offline
+      setTimeout(() => this.reconcile(), 10000).unref?.();
+    }
+  }
+
+  stop() {
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.bot.events.off(event, listener);
+    }
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  get wanted() {
+    return this.bot.listenerCount('newFollower') > 0;
+  }
+
+  async onFollowPush({ userId, username }) {
+    if (!this.wanted) return;
+    const user = await this.resolveUser(userId, username);
+    if (!user) return;
+    const known = await this.bot.followerSync.isKnown('followers', user.id).catch(() => false);
+    if (!known) this.announce(user, 'push');
+  }
+
+  async onFollowRequestPush({ userId, username }) {
+    const user = await this.resolveUser(userId, username);
+    if (!user) return;
+    this.bot.log('INFO', `📬 Follow request from @${user.username}`);
+    this.bot.emit('followRequest', user);
+  }
+
+  async onFollowApprovedPush({ userId, username }) {
+    const user = await this.resolveUser(userId, username);
+    if (!user) return;
+    this.bot.log('INFO', `✅ @${user.username} accepted the follow request`);
+    this.bot.emit('followRequestApproved', user.id);
+  }
+
+  announce(user, source) {
+    if (this.announced.has(user.id)) return;
+    this.announced.add(user.id);
+    if (this.announced.size > ANNOUNCED_LIMIT) {
+      this.announced.delete(this.announced.values().next().value);
+    }
+    this.bot.log('INFO', `👤 New follower @${user.username} (${source})`);
+    this.bot.emit('newFollower', user);
+  }
+
+  // Announces the followers a sync adds; runs only while someone listens
+  async reconcile() {
+    if (this.reconciling || !this.bot.isRunning || !this.wanted) return;
+    this.reconciling = true;
+    try {
+      const { complete, added } = await this.bot.followerSync.sync('followers');
+      if (!complete) return;
+      for (const entry of added) {
+        this.announce(this.bot.client.patchOrCreateUser({
+          pk: entry.userId,
+          username: entry.username,
+          full_name: entry.fullName,
+          is_private: entry.isPrivate
+        }), 'reconciliation');
+      }
+      this.announced.clear();
+    } catch (error) {
+      this.bot.log('ERROR', `❌ Follower reconciliation failed: ${error.message}`);
+    } finally {
+      this.reconciling = false;
+    }
+  }
+
+  // Pushes carry the user id, the username only in the notification text
+  async resolveUser(userId, username) {
+    try {
+      return await this.bot.client.fetchUser(userId || username);
+    } catch (error) {
+      this.bot.log('WARN', `⚠️ Could not look up @${username || userId} from a push: ${error.message}`);
+      return null;
+    }
+  }
+}
@@ -0,0 +1,230 @@
+import { config } from '../config.js';
+import { connectDb } from '../utils/db.js';
+
+export const SYNC_KINDS = ['followers', 'following'];
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function syncOptions() {
+  return {
+    pageDelay: { min: 2000, max: 5000 },
+    longPauseEvery: 20, // pages
+    longPause: 60000,
+    resumeWindow: 86400000, // An interrupted sync older than this starts over
+    ...config.followers?.sync
+  };
+}
+
+// Walks a feed page by page with a random pause between pages and a longer
+// one every `longPauseEvery` pages. onPage(items, page) runs after each page;
+// `feed.serialize()` then resumes from the next page.
+export async function walkFeed(feed, onPage, { startPage = 0 } = {}) {
+  const { pageDelay, longPauseEvery, longPause } = syncOptions();
+  let page = startPage;
+  do {
+    if (page > startPage) {
+      const pause = longPauseEvery && page % longPauseEvery === 0
+        ? longPause
+        : pageDelay.min + Math.random() * (pageDelay.max - pageDelay.min);
+      await wait(pause);
+    }
+    const items = await feed.items();
+    page++;
+    await onPage(items, page);
+  } while (feed.isMoreAvailable());
+  return page;
+}
+
+// Full follower/following lists of one account, kept in storage:
+//
+//   follower_snapshots  one document per user and kind: userId, username,
+//                       fullName, isPrivate, firstSeen, lastSeen, active and
+//                       `since` (when the current follow started)
+//   follower_syncs      the running or last sync per kind, with the feed
+//                       cursor so an interrupted sync resumes where it stopped
+//
+// sync() resolves with the difference to the previous complete sync:
+// { kind, initial, complete, added, removed, total, pages }. The first sync
+// of a kind only records the list (initial: true, nothing added). When
+// Instagram rate limits the walk it stops with complete: false and the next
+// sync() continues from the saved cursor.
+export class FollowerSync {
+  constructor(bot) {
+    this.bot = bot;
+    this.snapshots = null;
+    this.syncs = null;
+    this.running = new Map(); // kind -> { promise, fresh } of the sync in progress
+    this.queued = new Map(); // kind -> promise of a fresh sync waiting for the running one
+  }
+
+  get account() {
+    return this.bot.account;
+  }
+
+  async getCollections() {
+    if (!this.snapshots) {
+      const db = await connectDb();
+      this.snapshots = db.collection('follower_snapshots');
+      this.syncs = db.collection('follower_syncs');
+    }
+    return { snapshots: this.snapshots, syncs: this.syncs };
+  }
+
+  filter(kind, extra = {}) {
+    return { account: this.account.id, kind, ...extra };
+  }
+
+  checkKind(kind) {
+    if (!SYNC_KINDS.includes(kind)) {
+      throw new Error(`Unknown sync kind: ${kind} (${SYNC_KINDS.join(', ')})`);
+    }
+  }
+
+  // A second call while a sync of the same kind runs shares its result. A
+  // `fresh` call can't join a resumed sync, it starts over once that one ends.
+  sync(kind = 'followers', options = {}) {
+    this.checkKind(kind);
+    const running = this.running.get(kind);
+    if (running && options.fresh && !running.fresh) {
+      if (!this.queued.has(kind)) {
+        this.queued.set(kind, running.promise.catch(() => {}).then(() => {
+          this.queued.delete(kind);
+          return this.sync(kind, options);
+        }));
+      }
+      return this.queued.get(kind);
+    }
+    if (!running) {
+      const promise = this.run(kind, options).finally(() => this.running.delete(kind));
+      this.running.set(kind, { promise, fresh: Boolean(options.fresh) });
+      return promise;
+    }
+    return running.promise;
+  }
+
+  async run(kind, { fresh = false } = {}) {
+    const { snapshots, syncs } = await this.getCollections();
+    const state = await syncs.findOne(this.filter(kind));
+    const feed = kind === 'followers'
+      ? this.bot.ig.feed.accountFollowers(this.bot.ig.state.cookieUserId)
+      : this.bot.ig.feed.accountFollowing(this.bot.ig.state.cookieUserId);
+
+    // 'running' is left behind by a process that stopped mid-sync
+    const resumable = !fresh && ['running', 'interrupted'].includes(state?.status) && state.cursor &&
+      Date.now() - state.startedAt.getTime() < syncOptions().resumeWindow;
+    const startedAt = resumable ? state.startedAt : new Date();
+    const initial = !state?.completedAt;
+    let pages = resumable ? state.pages : 0;
+    if (resumable) {
+      feed.deserialize(state.cursor);
+      this.bot.log('INFO', `🔄 Resuming ${kind} sync at page ${pages + 1}`);
+    }
+    await syncs.updateOne(this.filter(kind), {
+      $set: { status: 'running', startedAt, pages, error: null, updatedAt: new Date() }
+    }, { upsert: true });
+
+    try {
+      pages = await walkFeed(feed, async (items, page) => {
+        await this.recordPage(snapshots, kind, items);
+        pages = page;
+        await syncs.updateOne(this.filter(kind), {
+          $set: { cursor: feed.serialize(), pages: page, updatedAt: new Date() }
+        });
+      }, { startPage: pages });
+    } catch (error) {
+      const rateLimited = this.bot.outbox.isFeedbackError(error);
+      await syncs.updateOne(this.filter(kind), {
+        $set: { status: 'interrupted', error: error.message, updatedAt: new Date() }
+      });
+      if (!rateLimited) throw error;
+      this.bot.log('WARN', `🛑 ${kind} sync rate limited after ${pages} pages, continuing next time`);
+      return { kind, initial, complete: false, added: [], removed: [], total: null, pages };
+    }
+
+    // Users not seen in this walk are gone
+    const removed = await snapshots.find(this.filter(kind, { active: true, lastSeen: { $lt: startedAt } })).toArray();
+    if (removed.length) {
+      await snapshots.updateMany(this.filter(kind, { userId: { $in: removed.map(entry => entry.userId) } }), {
+        $set: { active: false, removedAt: new Date() }
+      });
+    }
+    const added = initial ? [] : await snapshots.find(this.filter(kind, { active: true, since: { $gte: startedAt } })).toArray();
+    const total = await snapshots.countDocuments(this.filter(kind, { active: true }));
+
+    await syncs.updateOne(this.filter(kind), {
+      $set: {
+        status: 'complete',
+        cursor: null,
+        pages,
+        total,
+        added: added.length,
+        removed: removed.length,
+        completedAt: new Date(),
+        updatedAt: new Date()
+      }
+    });
+    this.bot.log('INFO', `📋 Synced ${total} ${kind} in ${pages} pages (+${added.length} -${removed.length})`);
+    return { kind, initial, complete: true, added, removed, total, pages };
+  }
+
+  // Inserts new users, reactivates returning ones and marks everyone on the page as seen
+  async recordPage(snapshots, kind, items) {
+    if (!items.length) return;
+    const now = new Date();
+    const ids = items.map(item => String(item.pk));
+    const known = new Map((await snapshots.find(this.filter(kind, { userId: { $in: ids } })).toArray())
+      .map(entry => [entry.userId, entry]));
+
+    const fresh = [];
+    for (const item of items) {
+      const userId = String(item.pk);
+      const entry = known.get(userId);
+      if (!entry) {
+        fresh.push(this.filter(kind, {
+          userId,
+          username: item.username,
+          fullName: item.full_name || '',
+          isPrivate: Boolean(item.is_private),
+          firstSeen: now,
+          lastSeen: now,
+          since: now,
+          active: true
+        }));
+      } else if (entry.username !== item.username || entry.fullName !== (item.full_name || '')) {
+        await snapshots.updateOne(this.filter(kind, { userId }), {
+          $set: { username: item.username, fullName: item.full_name || '' }
+        });
+      }
+    }
+    if (fresh.length) await snapshots.insertMany(fresh);
+
+    const returning = [...known.values()].filter(entry => !entry.active).map(entry => entry.userId);
+    if (returning.length) {
+      await snapshots.updateMany(this.filter(kind, { userId: { $in: returning } }), {
+        $set: { active: true, since: now, removedAt: null }
+      });
+    }
+    if (known.size) {
+      await snapshots.updateMany(this.filter(kind, { userId: { $in: [...known.keys()] } }), {
+        $set: { lastSeen: now }
+      });
+    }
+  }
+
+  // Current users of a kind from the last syncs, without asking Instagram
+  async getSnapshot(kind = 'followers') {
+    this.checkKind(kind);
+    const { snapshots } = await this.getCollections();
+    return snapshots.find(this.filter(kind, { active: true })).toArray();
+  }
+
+  async isKnown(kind, userId) {
+    const { snapshots } = await this.getCollections();
+    return Boolean(await snapshots.findOne(this.filter(kind, { userId: String(userId), active: true })));
+  }
+
+  async getStatus(kind = 'followers') {
+    const { syncs } = await this.getCollections();
+    return syncs.findOne(this.filter(kind));
+  }
+}
@@ -0,0 +1,76 @@
+import cluster from 'cluster';
+import { logger } from '../utils/logger.js';
+import { connectDb } from '../utils/db.js';
+
+export const RESTART_EXIT_CODE = 75; // Asks the process supervisor to start the bot again at once
+export const CONFIG_EXIT_CODE = 78; // Invalid configuration; restarting would not help
+
+const RESTART_KEY = 'lifecycle.restart';
+
+// Restarts of the bot process. restart() stores why it happened and a snapshot
+// of in-memory state, shuts down gracefully (sessions and state are saved) and
+// exits with RESTART_EXIT_CODE. The built-in supervisor (core/cluster.js)
+// starts a new worker right away; without it pm2, Docker or systemd must.
+export class Lifecycle {
+  constructor() {
+    this.shutdownHandler = null;
+    this.snapshotProvider = null;
+    this.restarting = false;
+  }
+
+  get supervised() {
+    return cluster.isWorker;
+  }
+
+  // shutdown(exitCode) stops everything and exits; snapshot() returns state to carry over
+  attach({ shutdown, snapshot = null }) {
+    this.shutdownHandler = shutdown;
+    this.snapshotProvider = snapshot;
+  }
+
+  // details: { reason, requestedBy, threadId, account }
+  async restart(details = {}) {
+    if (this.restarting) return false;
+    this.restarting = true;
+    logger.info(`♻️ Restarting (${details.reason || 'restart'})...`);
+
+    try {
+      const db = await connectDb();
+      await db.set(RESTART_KEY, {
+        reason: 'restart',
+        ...details,
+        at: new Date(),
+        state: this.snapshotProvider?.() || null
+      });
+    } catch (error) {
+      logger.warn(`⚠️ Could not save state before restarting: ${error.message}`);
+    }
+
+    if (this.shutdownHandler) {
+      await this.shutdownHandler(RESTART_EXIT_CODE);
+    } else {
+      process.exit(RESTART_EXIT_CODE);
+    }
+    return true;
+  }
+
+  // What restart() stored before the previous process exited; read once
+  async consumeRestartMarker() {
+    try {
+      const db = await connectDb();
+      const marker = await db.get(RESTART_KEY);
+      if (marker) await db.delete(RESTART_KEY);
+      return marker;
+    } catch (error) {
+      logger.warn(`⚠️ Could not read restart state: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Tells the supervisor that startup finished; failures before this are not retried
+  ready() {
+    if (this.supervised) process.send?.({ type: 'ready' });
+  }
+}
+
+export const lifecycle = new Lifecycle();
@@ -0,0 +1,142 @@
+import readline from 'readline';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { attachTelegramClient, detachTelegramClient } from '../telegram/client.js';
+import { accountLabel } from './accounts.js';
+
+let pending = Promise.resolve(); // one login conversation at a time, accounts log in one after another
+
+// Where codes can be asked for: the Telegram bot's private chat with
+// config.telegram.adminUserId, else the terminal; null when neither is available
+export function getPromptChannel() {
+  const telegram = config.telegram || {};
+  if (telegram.enabled && telegram.botToken && telegram.adminUserId) return 'telegram';
+  if (process.stdin.isTTY) return 'stdin';
+  return null;
+}
+
+// Asks the admin for two-factor and challenge codes during login. Telegram runs
+// before any bridge exists, so the prompt attaches to the shared bot client
+// itself; close() releases it (and the turn of the next waiting account).
+export class LoginPrompt {
+  constructor(account) {
+    this.account = account;
+    this.channel = getPromptChannel();
+    this.telegramClient = null;
+    this.readline = null;
+    this.lines = [];
+    this.release = null;
+  }
+
+  get timeout() {
+    return config.instagram?.loginCodeTimeout || 300000;
+  }
+
+  async open() {
+    if (this.release) return;
+    const previous = pending;
+    pending = new Promise(resolve => { this.release = resolve; });
+    await previous;
+
+    if (this.channel === 'telegram') {
+      this.telegramClient = attachTelegramClient(config.telegram.botToken, this);
+    }
+  }
+
+  format(text) {
+    return `🔐 ${accountLabel(this.account)}@${this.account.username}: ${text}`;
+  }
+
+  // Resolves with the code (whitespace removed); rejects on timeout or "cancel"
+  async ask(question) {
+    if (!this.channel) {
+      throw new Error('Instagram asked for a login code, but there is nobody to ask (set TELEGRAM_ADMIN_ID or start the bot in a terminal)');
+    }
+    await this.open();
+    logger.info(this.format(`${question}, waiting for the code (${this.channel})`));
+    const answer = this.channel === 'telegram'
+      ? await this.askTelegram(this.format(`${question}.\n\nReply with the code, or "cancel".`))
+      : await this.askStdin(this.format(`${question}.\nCode (or "cancel"): `));
+
+    if (/^cancel$/i.test(answer)) throw new Error('Login cancelled by the admin');
+    return answer.replace(/\s+/g, '');
+  }
+
+  askTelegram(text) {
+    const bot = this.telegramClient.bot;
+    const adminId = String(config.telegram.adminUserId);
+
+    return new Promise((resolve, reject) => {
+      const finish = () => {
+        clearTimeout(timer);
+        bot.removeListener('message', onMessage);
+      };
+      const onMessage = (msg) => {
+        if (msg.chat.type !== 'private' || String(msg.from?.id) !== adminId || !msg.text) return;
+        finish();
+        resolve(msg.text.trim());
+      };
+      const timer = setTimeout(() => {
+        finish();
+        reject(new Error(`No login code received within ${Math.round(this.timeout / 60000)}m`));
+      }, this.timeout);
+
+      bot.on('message', onMessage);
+      bot.sendMessage(adminId, text).catch(error => {
+        finish();
+        reject(new Error(`Could not send the login prompt to the Telegram admin: ${error.message}`));
+      });
+    });
+  }
+
+  // Lines are queued so input typed (or piped) ahead of the question is not lost
+  askStdin(text) {
+    if (!this.readline) {
+      this.readline = readline.createInterface({ input: process.stdin, output: process.stdout });
+      this.readline.on('line', line => this.lines.push(line));
+    }
+    process.stdout.write(text);
+
+    return new Promise((resolve, reject) => {
+      const finish = () => {
+        clearTimeout(timer);
+        this.readline?.removeListener('line', onLine);
+      };
+      const onLine = () => {
+        finish();
+        resolve(this.lines.shift().trim());
+      };
+      const timer = setTimeout(() => {
+        finish();
+        reject(new Error(`No login code received within ${Math.round(this.timeout / 60000)}m`));
+      }, this.timeout);
+
+      if (this.lines.length) onLine();
+      else this.readline.on('line', onLine);
+    });
+  }
+
+  closeReadline() {
+    this.readline?.close();
+    this.readline = null;
+  }
+
+  // Result of the login, on the channel the code was asked on
+  async tell(text) {
+    logger.info(this.format(text));
+    if (this.telegramClient) {
+      await this.telegramClient.bot.sendMessage(String(config.telegram.adminUserId), this.format(text))
+        .catch(error => logger.error('Failed to send login result to Telegram:', error.message));
+    }
+  }
+
+  async close() {
+    this.closeReadline();
+    if (this.telegramClient) {
+      await detachTelegramClient(config.telegram.botToken, this).catch(() => {});
+      this.telegramClient = null;
+    }
+    this.release?.();
+    this.release = null;
+  }
+}
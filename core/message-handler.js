@@ -1,61 +1,128 @@
 import { logger } from '../utils/utils.js';
 import { config } from '../config.js';
+import { permissions } from './permissions.js';
+import { prefixes } from './prefixes.js';
+import { rateLimiter } from './rate-limiter.js';
+import { splitCommand, parseArguments, formatUsage } from './command-parser.js';
+import { crashReporter } from './crash-reporter.js';
+import { MIDDLEWARE_PRIORITY } from './pipeline.js';
 
 export class MessageHandler {
   constructor(instagramBot, moduleManager, telegramBridge) {
     this.instagramBot = instagramBot;
     this.moduleManager = moduleManager;
     this.telegramBridge = telegramBridge;
+    this.registerStages();
   }
 
-  async handleMessage(message) {
-    try {
-      // Process through modules for stats/logging
-      message = await this.moduleManager.processMessage(message);
+  // The core stages of the account's message pipeline; module middleware
+  // (core/module-manager.js) runs in between
+  registerStages() {
+    const pipeline = this.moduleManager.pipeline;
 
-      // Handle commands INSTANTLY
-      if (message.text?.startsWith('.')) {
-        await this.handleCommand(message);
-        return;
-      }
+    // Answers to a question a command asked are picked up by its conversation
+    pipeline.use('conversation', (message, next) =>
+      message.isAnswer ? undefined : next(), { priority: MIDDLEWARE_PRIORITY.conversation });
 
-      // Forward to Telegram if enabled
+    pipeline.use('commands', async (message, next) => {
+      const match = prefixes.match(message.text, message.threadId, this.instagramBot.account?.username);
+      if (!match) return next();
+      message.prefix = match.prefix;
+      message.commandText = match.body;
+      await this.handleCommand(message);
+    }, { priority: MIDDLEWARE_PRIORITY.commands });
+
+    pipeline.use('telegram', async (message, next) => {
       if (this.telegramBridge?.enabled && config.telegram.enabled) {
         await this.telegramBridge.sendToTelegram(message);
       }
+      await next();
+    }, { priority: MIDDLEWARE_PRIORITY.bridge });
+  }
 
+  async handleMessage(message) {
+    try {
+      const stoppedBy = await this.moduleManager.pipeline.run(message);
+      if (stoppedBy) {
+        logger.debug(`Message ${message.id} stopped by ${stoppedBy}`);
+      }
     } catch (error) {
       logger.error('Message handling error:', error.message);
+      crashReporter.capture(error, { source: 'message handling', account: this.instagramBot.account?.id });
     }
   }
 
   async handleCommand(message) {
-    const commandText = message.text.slice(1).trim();
-    const [commandName, ...args] = commandText.split(' ');
+    const commandText = message.commandText;
+    const commandName = commandText.split(/\s+/)[0];
     const command = this.moduleManager.getCommand(commandName);
 
-    if (!command) return;
+    if (!command) {
+      await this.handleUnknownCommand(commandName, message);
+      return;
+    }
+
+    if (!this.moduleManager.isModuleEnabled(command.module, message.threadId)) {
+      await message.reply(`⏸️ The ${command.moduleName} module is disabled in this chat`);
+      return;
+    }
+
+    // Permission check
+    const access = permissions.canRun(message.senderUsername, command.name, command, message.threadId);
+    if (!access.allowed) {
+      if (access.reason === 'banned') return;
+      // Denials share the "slow down" throttle so spamming a command gets one reply
+      if (!rateLimiter.shouldWarn(message.senderUsername)) return;
+      const denial = access.reason === 'role' ? `❌ Requires ${access.required} role` : '❌ You are not allowed to use this command';
+      await message.reply(denial);
+      return;
+    }
 
-    // Admin check
-    if (command.adminOnly && !this.isAdmin(message.senderUsername)) {
-      await this.instagramBot.sendMessage(message.threadId, '❌ Admin only');
+    // Cooldowns and per-user command rate; owners are never limited
+    if (access.role !== 'owner') {
+      const limit = rateLimiter.checkCommand(command.name, command, message);
+      if (limit.limited) {
+        logger.debug(`Rate limited ${command.name} for @${message.senderUsername} (${limit.scope})`);
+        if (rateLimiter.shouldWarn(message.senderUsername)) {
+          await message.reply(`⏳ Slow down, try again in ${Math.ceil(limit.retryAfter / 1000)}s`);
+        }
+        return;
+      }
+    }
+
+    // Parse and validate arguments against the command's schema
+    let parsed;
+    try {
+      parsed = parseArguments(splitCommand(commandText).tokens, command);
+    } catch (error) {
+      await message.reply(`❌ ${error.message}\n💡 Usage: ${formatUsage(command.name, command, message.prefix)}`);
       return;
     }
 
     try {
       // Log command execution
-      logger.info(`⚡ Command executed: .${commandName} by @${message.senderUsername}`);
+      logger.info(`⚡ Command executed: ${message.prefix}${command.name} by @${message.senderUsername}`);
       
       // Execute command INSTANTLY
-      await command.handler(args, message);
+      await command.handler(parsed.args, message, parsed.params);
       
     } catch (error) {
-      logger.error(`Command ${commandName} error:`, error.message);
-      await this.instagramBot.sendMessage(message.threadId, `❌ Error: ${error.message}`);
+      logger.error(`Command ${command.name} error:`, error.message);
+      crashReporter.capture(error, { source: `command ${command.name}`, module: command.moduleName, account: this.instagramBot.account?.id });
+      await message.reply(`❌ Error: ${error.message}`);
     }
   }
 
-  isAdmin(username) {
-    return config.admin.users.includes(username.toLowerCase());
+  async handleUnknownCommand(commandName, message) {
+    // Only suggest commands the sender could actually run
+    const suggestions = this.moduleManager.suggestCommands(commandName)
+      .filter(name => permissions.canRun(message.senderUsername, name, this.moduleManager.getCommand(name), message.threadId).allowed);
+    if (!suggestions.length || !rateLimiter.shouldWarn(message.senderUsername)) return;
+
+    await message.reply(`❓ Unknown command: ${message.prefix}${commandName}\n💡 Did you mean: ${suggestions.map(name => `${message.prefix}${name}`).join(', ')}?`);
+  }
+
+  isAdmin(username, threadId = null) {
+    return permissions.hasRole(username, 'admin', threadId);
   }
 }
@@ -1,15 +1,40 @@
 import { logger } from '../utils/logger.js';
 import fs from 'fs';
 import path from 'path';
+import { pathToFileURL } from 'url';
+import { formatUsage } from './command-parser.js';
+import { stringUtils } from '../utils/utils.js';
+import { config } from '../config.js';
+import { notifier } from './notifier.js';
+import { permissions } from './permissions.js';
+import { Scheduler } from './scheduler.js';
+import { crashReporter } from './crash-reporter.js';
+import { MessagePipeline, MIDDLEWARE_PRIORITY } from './pipeline.js';
+import { moduleStore } from './module-store.js';
+import { connectDb } from '../utils/db.js';
+import { getPrimaryAccount, namespaceStorage, accountLabel } from './accounts.js';
+
+// Modules the bot cannot be managed without
+const PROTECTED_MODULES = ['core', 'loader'];
 
 export class ModuleManager {
-  constructor(instagramBot = null, telegramBridge = null) {
+  // Each account runs its own manager, so module instances, commands and
+  // storage never leak between accounts
+  constructor(instagramBot = null, telegramBridge = null, account = null, accounts = null) {
+    this.account = account || instagramBot?.account || getPrimaryAccount();
+    this.accounts = accounts; // AccountRegistry, when running under one
     this.modules = [];
     this.commandRegistry = new Map();
+    this.aliasRegistry = new Map(); // alias -> command name
+    this.pipeline = new MessagePipeline(this.account); // Incoming messages; core stages come from MessageHandler
+    this.loadErrors = [];
     this.instagramBot = instagramBot;
     this.telegramBridge = telegramBridge;
     this.modulesPath = './modules';
     this.loadedModules = new Set();
+    this.moduleFiles = new Map(); // filename -> module instance
+    this.watcher = null;
+    this.watchTimers = new Map();
   }
 
   async loadModules() {
@@ -25,70 +50,323 @@ export class ModuleManager {
 
       logger.info(`Found ${moduleFiles.length} module files`);
 
+      this.storage = namespaceStorage(await this.connectStorage(), this.account);
+
+      // Import everything first so manifests can be ordered by their dependencies
+      const entries = [];
       for (const file of moduleFiles) {
-        await this.loadModule(file);
+        try {
+          entries.push({ filename: file, ModuleClass: await this.importModule(file) });
+        } catch (error) {
+          this.recordLoadError(file, error);
+        }
+      }
+
+      // Globally disabled modules are skipped before ordering, so their dependents report it
+      const enabledEntries = entries.filter(entry => {
+        const manifest = this.getManifest(entry.ModuleClass, entry.filename);
+        if (!this.isModuleAllowed(manifest)) {
+          logger.debug(`Module ${manifest.name} is not in the module set of account ${this.account.id}`);
+          return false;
+        }
+        if (moduleStore.isEnabled(manifest)) return true;
+        logger.info(`⏸️ Module ${manifest.name} is disabled, not loading ${entry.filename}`);
+        return false;
+      });
+
+      for (const entry of this.resolveLoadOrder(enabledEntries)) {
+        await this.loadModule(entry.filename, { ModuleClass: entry.ModuleClass });
       }
 
       this.buildCommandRegistry();
-      logger.info(`Successfully loaded ${this.modules.length} modules with ${this.commandRegistry.size} commands`);
+      this.buildMiddleware();
+      await this.readyModules(this.modules);
+      logger.info(`${accountLabel(this.account)}Successfully loaded ${this.modules.length} modules with ${this.commandRegistry.size} commands`);
+
+      if (config.modules?.watch) {
+        this.startWatcher();
+      }
 
     } catch (error) {
       logger.error('Error loading modules:', error.message);
     }
   }
 
-  async loadModule(filename) {
+  async connectStorage() {
     try {
-      if (this.loadedModules.has(filename)) {
-        logger.debug(`Module ${filename} already loaded, skipping`);
-        return;
+      return await connectDb();
+    } catch (error) {
+      logger.warn(`Modules will run without storage: ${error.message}`);
+      return null;
+    }
+  }
+
+  async importModule(filename, version = null) {
+    const modulePath = path.resolve(this.modulesPath, filename);
+    // A query string makes Node's ESM loader treat the file as a new module. Old
+    // versions stay in the loader cache, so every reload keeps a little memory.
+    const moduleUrl = pathToFileURL(modulePath).href + (version ? `?v=${version}` : '');
+    const moduleImport = await import(moduleUrl);
+    
+    // Get the first exported class
+    const ModuleClass = Object.values(moduleImport).find(exp => 
+      typeof exp === 'function' && exp.prototype && exp.prototype.constructor === exp
+    );
+    
+    if (!ModuleClass) {
+      throw new Error(`No valid module class found in ${filename}`);
+    }
+    return ModuleClass;
+  }
+
+  // Normalized `static manifest` of a module class. Classes without one are
+  // legacy modules and keep the old (instagramBot, telegramBridge) constructor.
+  getManifest(ModuleClass, filename) {
+    const manifest = ModuleClass.manifest || {};
+    return {
+      name: (manifest.name || ModuleClass.name.replace(/Module$/, '') || path.basename(filename, '.js')).toLowerCase(),
+      version: manifest.version || '0.0.0',
+      description: manifest.description || '',
+      dependencies: (manifest.dependencies || []).map(name => name.toLowerCase()),
+      requiredConfig: manifest.requiredConfig || [],
+      conflicts: (manifest.conflicts || []).map(name => name.toLowerCase()),
+      enabledByDefault: manifest.enabledByDefault !== false,
+      defaultConfig: manifest.defaultConfig || {},
+      legacy: !ModuleClass.manifest
+    };
+  }
+
+  // Orders modules so dependencies load first. Modules with missing or cyclic
+  // dependencies are reported as load errors and left out.
+  resolveLoadOrder(entries) {
+    const byName = new Map();
+    for (const entry of entries) {
+      const manifest = this.getManifest(entry.ModuleClass, entry.filename);
+      if (byName.has(manifest.name)) {
+        this.recordLoadError(entry.filename, new Error(`Module name ${manifest.name} is already used by ${byName.get(manifest.name).filename}`));
+        continue;
       }
+      byName.set(manifest.name, { ...entry, manifest });
+    }
 
-      const modulePath = path.resolve(this.modulesPath, filename);
-      const moduleImport = await import(`file://${modulePath}`);
-      
-      // Get the first exported class
-      const ModuleClass = Object.values(moduleImport).find(exp => 
-        typeof exp === 'function' && exp.prototype && exp.prototype.constructor === exp
-      );
-      
-      if (!ModuleClass) {
-        throw new Error(`No valid module class found in ${filename}`);
+    const ordered = [];
+    const state = new Map(); // name -> 'visiting', or the load error (null when fine)
+
+    const visit = (name, trail = []) => {
+      if (state.get(name) === 'visiting') {
+        return `Dependency cycle: ${[...trail.slice(trail.indexOf(name)), name].join(' -> ')}`;
       }
+      if (state.has(name)) return state.get(name);
+
+      const entry = byName.get(name);
+      state.set(name, 'visiting');
 
-      let moduleInstance;
-      const moduleName = ModuleClass.name;
+      let error = null;
+      for (const dependency of entry.manifest.dependencies) {
+        if (!byName.has(dependency)) {
+          if (!this.findModuleByName(dependency)) error = `Missing or disabled dependency: ${dependency}`;
+        } else {
+          const dependencyError = visit(dependency, [...trail, name]);
+          if (dependencyError) {
+            error = dependencyError.startsWith('Dependency cycle') ? dependencyError : `Dependency ${dependency} failed to load`;
+          }
+        }
+        if (error) break;
+      }
 
-      // Initialize module with appropriate dependencies
-      if (moduleName === 'CoreModule') {
-        moduleInstance = new ModuleClass(this.instagramBot);
-      } else if (moduleName === 'HelpModule') {
-        moduleInstance = new ModuleClass(this);
-      } else if (moduleName === 'FollowersModule') {
-        moduleInstance = new ModuleClass(this.instagramBot);
+      state.set(name, error);
+      if (error) {
+        this.recordLoadError(entry.filename, new Error(error));
       } else {
-        // Generic module initialization
-        moduleInstance = new ModuleClass(this.instagramBot, this.telegramBridge);
+        ordered.push(entry);
+      }
+      return error;
+    };
+
+    for (const name of byName.keys()) {
+      visit(name);
+    }
+    return ordered;
+  }
+
+  createContext(manifest) {
+    const owner = this.account.primary ? manifest.name : `${this.account.id}:${manifest.name}`;
+    return {
+      name: manifest.name,
+      manifest,
+      account: this.account,
+      accounts: this.accounts,
+      bot: this.instagramBot,
+      client: this.instagramBot?.client, // Chat, User and Message objects
+      bridge: this.telegramBridge,
+      storage: this.storage,
+      config,
+      logger,
+      scheduler: new Scheduler(owner),
+      // Typed realtime events (core/events.js); listeners are removed on unload
+      events: this.instagramBot?.events?.scope(owner),
+      // Per-module settings stored in the database, defaulting to manifest.defaultConfig
+      moduleConfig: {
+        get: key => moduleStore.getConfig(manifest)[key],
+        all: () => moduleStore.getConfig(manifest),
+        set: (key, value) => moduleStore.setConfig(manifest, key, value)
+      },
+      permissions,
+      notifier,
+      // Look modules up when needed instead of keeping references; reloads replace instances
+      modules: {
+        get: name => this.findModuleByName(name),
+        list: () => this.modules.map(module => module.name)
+      },
+      manager: this
+    };
+  }
+
+  // Constructs a module and runs its onLoad hook; throws on failure
+  async createModule(ModuleClass, filename) {
+    const manifest = this.getManifest(ModuleClass, filename);
+
+    const missingDependencies = manifest.dependencies.filter(name => !this.findModuleByName(name));
+    if (missingDependencies.length) {
+      throw new Error(`Missing or disabled dependency: ${missingDependencies.join(', ')}`);
+    }
+
+    const conflicting = this.modules.find(module => module.name !== manifest.name &&
+      (manifest.conflicts.includes(module.name) || module.manifest?.conflicts.includes(manifest.name)));
+    if (conflicting) {
+      throw new Error(`Module ${manifest.name} conflicts with ${conflicting.name}, disable it first`);
+    }
+
+    const missingConfig = manifest.requiredConfig.filter(key => {
+      const value = key.split('.').reduce((section, part) => section?.[part], config);
+      return value === undefined || value === null || value === '';
+    });
+    if (missingConfig.length) {
+      throw new Error(`Missing required config: ${missingConfig.join(', ')}`);
+    }
+
+    let moduleInstance;
+    if (manifest.legacy) {
+      moduleInstance = new ModuleClass(this.instagramBot, this.telegramBridge);
+    } else {
+      const context = this.createContext(manifest);
+      moduleInstance = new ModuleClass(context);
+      moduleInstance.context = context;
+    }
+
+    moduleInstance.moduleManager = this;
+    moduleInstance.manifest = manifest;
+    moduleInstance.name = moduleInstance.name || manifest.name;
+    moduleInstance.description = moduleInstance.description || manifest.description;
+
+    if (typeof moduleInstance.onLoad === 'function') {
+      try {
+        await moduleInstance.onLoad(moduleInstance.context);
+      } catch (error) {
+        await this.teardownModule(moduleInstance);
+        throw error;
       }
+    }
+    return moduleInstance;
+  }
 
-      // Set module manager reference
-      if (moduleInstance) {
-        moduleInstance.moduleManager = this;
-        this.modules.push(moduleInstance);
-        this.loadedModules.add(filename);
-        
-        logger.debug(`Loaded module: ${moduleName} from ${filename}`);
+  async loadModule(filename, { version = null, throwErrors = false, ModuleClass = null } = {}) {
+    try {
+      if (this.loadedModules.has(filename)) {
+        logger.debug(`Module ${filename} already loaded, skipping`);
+        return this.moduleFiles.get(filename);
       }
 
+      const moduleClass = ModuleClass || await this.importModule(filename, version);
+      const moduleInstance = await this.createModule(moduleClass, filename);
+      this.modules.push(moduleInstance);
+      this.loadedModules.add(filename);
+      this.moduleFiles.set(filename, moduleInstance);
+      this.clearLoadError(filename);
+      
+      logger.debug(`Loaded module: ${moduleInstance.name}@${moduleInstance.manifest.version} from ${filename}`);
+      return moduleInstance;
+
     } catch (error) {
-      logger.error(`Failed to load module ${filename}:`, error.message);
+      this.recordLoadError(filename, error);
+      if (throwErrors) throw error;
+      return null;
+    }
+  }
+
+  // onReady runs once the command registry includes the module
+  async readyModules(modules) {
+    for (const module of modules) {
+      if (typeof module.onReady !== 'function') continue;
+      try {
+        await module.onReady(module.context);
+      } catch (error) {
+        logger.error(`Module ${module.name} failed in onReady:`, error.message);
+        crashReporter.capture(error, { source: 'onReady', module: module.name, account: this.account.id });
+        this.loadErrors.push({ type: 'ready', module: this.getModuleFile(module), message: error.message, at: new Date() });
+      }
+    }
+  }
+
+  recordLoadError(filename, error) {
+    logger.error(`Failed to load module ${filename}:`, error.message);
+    this.clearLoadError(filename);
+    this.loadErrors.push({ type: 'module', module: filename, message: error.message, at: new Date() });
+  }
+
+  clearLoadError(filename) {
+    this.loadErrors = this.loadErrors.filter(entry => !(entry.type !== 'command' && entry.module === filename));
+  }
+
+  // Accepts a file name ("followers.js"), a bare file name or a module name
+  resolveModuleFile(name) {
+    if (!name) return null;
+    const search = name.toLowerCase();
+    const filename = search.endsWith('.js') ? search : `${search}.js`;
+
+    if (this.moduleFiles.has(filename) || fs.existsSync(path.resolve(this.modulesPath, filename))) {
+      return filename;
+    }
+
+    const module = this.getModule(search);
+    return module ? this.getModuleFile(module) : null;
+  }
+
+  getModuleFile(module) {
+    return [...this.moduleFiles].find(([, instance]) => instance === module)?.[0] || null;
+  }
+
+  findModuleByName(name) {
+    return this.modules.find(module => module.name === name) || null;
+  }
+
+  // Modules that declare `name` as a dependency
+  getDependents(name) {
+    return this.modules.filter(module => module.manifest?.dependencies.includes(name));
+  }
+
+  async teardownModule(module) {
+    for (const hook of ['onUnload', 'cleanup']) {
+      try {
+        if (typeof module[hook] === 'function') {
+          await module[hook]();
+        }
+      } catch (error) {
+        logger.error(`Error in ${hook} of module ${module.name || module.constructor.name}:`, error.message);
+      }
     }
+    module.context?.scheduler.cancelAll();
+    module.context?.events?.removeAll();
   }
 
   buildCommandRegistry() {
     this.commandRegistry.clear();
-    
+    this.aliasRegistry.clear();
+    this.loadErrors = this.loadErrors.filter(entry => entry.type !== 'command');
+    const owners = new Map(); // name or alias -> module name, for collision reports
+
     for (const module of this.modules) {
+      const moduleName = module.name || module.constructor.name.replace('Module', '').toLowerCase();
       try {
         const commands = module.getCommands();
         if (!commands || typeof commands !== 'object') {
@@ -103,27 +381,64 @@ export class ModuleManager {
           }
 
           const commandKey = name.toLowerCase();
-          if (this.commandRegistry.has(commandKey)) {
-            logger.warn(`Command ${name} already exists, overriding`);
+          const aliases = [...new Set((command.aliases || []).map(alias => alias.toLowerCase()))]
+            .filter(alias => alias !== commandKey);
+
+          // The first module to register a name keeps it
+          const collisions = [commandKey, ...aliases].filter(key => owners.has(key));
+          if (collisions.length) {
+            for (const key of collisions) {
+              this.reportLoadError('command', moduleName,
+                `Command ${key} from module ${moduleName} conflicts with module ${owners.get(key)}`);
+            }
+            if (collisions.includes(commandKey)) continue;
           }
 
           this.commandRegistry.set(commandKey, {
             ...command,
+            name: commandKey,
+            aliases: aliases.filter(alias => !collisions.includes(alias)),
+            usage: formatUsage(commandKey, command),
             module: module,
-            moduleName: module.name || module.constructor.name.replace('Module', '').toLowerCase()
+            moduleName
           });
+          owners.set(commandKey, moduleName);
+
+          for (const alias of aliases) {
+            if (collisions.includes(alias)) continue;
+            this.aliasRegistry.set(alias, commandKey);
+            owners.set(alias, moduleName);
+          }
         }
       } catch (error) {
         logger.error(`Error building commands for module ${module.constructor.name}:`, error.message);
       }
     }
 
-    logger.debug(`Built command registry with ${this.commandRegistry.size} commands`);
+    logger.debug(`Built command registry with ${this.commandRegistry.size} commands and ${this.aliasRegistry.size} aliases`);
+  }
+
+  reportLoadError(type, moduleName, message) {
+    logger.error(message);
+    this.loadErrors.push({ type, module: moduleName, message, at: new Date() });
+  }
+
+  getLoadErrors() {
+    return this.loadErrors;
   }
 
   getCommand(name) {
     if (!name) return null;
-    return this.commandRegistry.get(name.toLowerCase());
+    const key = name.toLowerCase();
+    return this.commandRegistry.get(key) || this.commandRegistry.get(this.aliasRegistry.get(key)) || null;
+  }
+
+  // Registered names and aliases closest to an unknown command
+  suggestCommands(name, limit = 3) {
+    const candidates = [...this.commandRegistry.keys(), ...this.aliasRegistry.keys()];
+    const names = stringUtils.closestMatches(name, candidates, limit * 2)
+      .map(candidate => this.aliasRegistry.get(candidate) || candidate);
+    return [...new Set(names)].slice(0, limit);
   }
 
   getAllCommands() {
@@ -133,6 +448,9 @@ export class ModuleManager {
   getModule(name) {
     if (!name) return null;
     
+    const exact = this.findModuleByName(name.toLowerCase());
+    if (exact) return exact;
+    
     return this.modules.find(module => {
       const moduleName = module.constructor.name.toLowerCase();
       const moduleAlias = module.name?.toLowerCase();
@@ -144,46 +462,226 @@ export class ModuleManager {
     });
   }
 
-  async processMessage(message) {
+  // Module middleware: getMiddleware() entries ({ name, priority, handler }) and,
+  // for modules that only observe messages, process() followed by next()
+  buildMiddleware() {
+    this.pipeline.removeModuleMiddleware();
+    this.loadErrors = this.loadErrors.filter(entry => entry.type !== 'middleware');
+
     for (const module of this.modules) {
+      const moduleName = module.name || module.constructor.name.replace('Module', '').toLowerCase();
+      const entries = [];
       try {
+        if (typeof module.getMiddleware === 'function') {
+          entries.push(...(module.getMiddleware() || []));
+        }
         if (typeof module.process === 'function') {
-          message = await module.process(message);
+          entries.push({
+            name: 'process',
+            handler: async (message, next) => {
+              await module.process(message);
+              await next();
+            }
+          });
         }
       } catch (error) {
-        logger.error(`Error processing message in module ${module.constructor.name}:`, error.message);
+        logger.error(`Error building middleware for module ${moduleName}:`, error.message);
+        continue;
+      }
+
+      for (const entry of entries) {
+        const name = `${moduleName}:${entry.name || 'middleware'}`;
+        if (typeof entry.handler !== 'function') {
+          this.reportLoadError('middleware', moduleName, `Middleware ${name} has no handler`);
+          continue;
+        }
+        // Modules disabled in a chat are skipped there
+        this.pipeline.use(name, (message, next) =>
+          this.isModuleEnabled(module, message.threadId) ? entry.handler(message, next) : next(), {
+          priority: entry.priority ?? MIDDLEWARE_PRIORITY.normal,
+          module: moduleName
+        });
       }
     }
-    return message;
   }
 
   async reloadModule(filename) {
+    const oldModule = this.moduleFiles.get(filename);
+    if (!oldModule) {
+      const module = await this.loadModule(filename, { version: Date.now(), throwErrors: true });
+      this.buildCommandRegistry();
+      this.buildMiddleware();
+      await this.readyModules([module]);
+      logger.info(`Loaded module: ${filename}`);
+      return module;
+    }
+
+    // Build the new instance first so a broken edit leaves the old one running
+    let module;
     try {
-      // Remove from loaded modules
-      this.loadedModules.delete(filename);
-      
-      // Remove existing module instance
-      const moduleIndex = this.modules.findIndex(m => 
-        m.constructor.name.toLowerCase().includes(filename.replace('.js', '').toLowerCase())
-      );
-      
-      if (moduleIndex !== -1) {
-        const module = this.modules[moduleIndex];
-        if (typeof module.cleanup === 'function') {
-          await module.cleanup();
-        }
-        this.modules.splice(moduleIndex, 1);
+      module = await this.createModule(await this.importModule(filename, Date.now()), filename);
+    } catch (error) {
+      this.recordLoadError(filename, error);
+      throw error;
+    }
+
+    await this.teardownModule(oldModule);
+    this.modules[this.modules.indexOf(oldModule)] = module;
+    this.moduleFiles.set(filename, module);
+    this.clearLoadError(filename);
+    this.buildCommandRegistry();
+    this.buildMiddleware();
+    await this.readyModules([module]);
+
+    logger.info(`Successfully reloaded module: ${filename}`);
+    return module;
+  }
+
+  async unloadModule(filename) {
+    const module = this.moduleFiles.get(filename);
+    if (!module) {
+      throw new Error(`Module ${filename} is not loaded`);
+    }
+
+    const dependents = this.getDependents(module.name);
+    if (dependents.length) {
+      throw new Error(`Module ${module.name} is required by ${dependents.map(dependent => dependent.name).join(', ')}`);
+    }
+
+    await this.teardownModule(module);
+    this.modules.splice(this.modules.indexOf(module), 1);
+    this.moduleFiles.delete(filename);
+    this.loadedModules.delete(filename);
+    this.clearLoadError(filename);
+    this.buildCommandRegistry();
+    this.buildMiddleware();
+
+    logger.info(`Unloaded module: ${filename}`);
+  }
+
+  // account.modules limits which modules an account runs; protected modules always load
+  isModuleAllowed(manifest) {
+    const allowed = this.account.modules;
+    return !allowed || PROTECTED_MODULES.includes(manifest.name) || allowed.includes(manifest.name);
+  }
+
+  isModuleEnabled(module, threadId = null) {
+    return !module.manifest || moduleStore.isEnabled(module.manifest, threadId);
+  }
+
+  // Every module file with its manifest, loaded or not
+  async listAvailableModules() {
+    const files = fs.readdirSync(this.modulesPath)
+      .filter(file => file.endsWith('.js') && !file.startsWith('.'))
+      .sort();
+
+    const available = [];
+    for (const filename of files) {
+      const module = this.moduleFiles.get(filename);
+      if (module) {
+        available.push({ filename, manifest: module.manifest, module });
+        continue;
+      }
+      try {
+        const ModuleClass = await this.importModule(filename, fs.statSync(path.resolve(this.modulesPath, filename)).mtimeMs);
+        available.push({ filename, manifest: this.getManifest(ModuleClass, filename), module: null });
+      } catch (error) {
+        available.push({ filename, manifest: null, module: null, error: error.message });
       }
+    }
+    return available;
+  }
 
-      // Reload the module
-      await this.loadModule(filename);
-      this.buildCommandRegistry();
-      
-      logger.info(`Successfully reloaded module: ${filename}`);
-      return true;
+  async findAvailableModule(name) {
+    const search = name.toLowerCase().replace(/\.js$/, '');
+    const available = await this.listAvailableModules();
+    return available.find(entry => entry.manifest?.name === search) ||
+      available.find(entry => entry.filename === `${search}.js`) || null;
+  }
+
+  // Globally disabling unloads the module; per-thread switches only hide it in that thread
+  async setModuleEnabled(name, enabled, threadId = null) {
+    const entry = await this.findAvailableModule(name);
+    if (!entry?.manifest) {
+      throw new Error(entry?.error || `Unknown module: ${name}`);
+    }
+    const { filename, manifest } = entry;
+
+    if (!enabled && PROTECTED_MODULES.includes(manifest.name)) {
+      throw new Error(`Module ${manifest.name} cannot be disabled`);
+    }
+    if (enabled && !this.isModuleAllowed(manifest)) {
+      throw new Error(`Module ${manifest.name} is not part of the module set of account ${this.account.id}`);
+    }
+
+    if (threadId) {
+      await moduleStore.setEnabled(manifest.name, enabled, threadId);
+      return manifest;
+    }
+
+    if (enabled && !this.moduleFiles.has(filename)) {
+      try {
+        await this.reloadModule(filename);
+      } catch (error) {
+        // Reported to whoever asked; it is not a startup problem
+        this.clearLoadError(filename);
+        throw error;
+      }
+    } else if (!enabled && this.moduleFiles.has(filename)) {
+      await this.unloadModule(filename);
+    }
+    await moduleStore.setEnabled(manifest.name, enabled);
+    return manifest;
+  }
+
+  startWatcher() {
+    if (this.watcher) return;
+    const debounce = config.modules?.watchDebounce || 500;
+
+    try {
+      this.watcher = fs.watch(this.modulesPath, (eventType, filename) => {
+        if (!filename || !filename.endsWith('.js') || filename.startsWith('.')) return;
+
+        // Editors fire several events per save
+        clearTimeout(this.watchTimers.get(filename));
+        this.watchTimers.set(filename, setTimeout(() => {
+          this.watchTimers.delete(filename);
+          this.handleFileChange(filename);
+        }, debounce));
+      });
+      this.watcher.on('error', error => logger.error('Module watcher error:', error.message));
+      logger.info(`👀 Watching ${this.modulesPath} for module changes`);
+    } catch (error) {
+      logger.error('Failed to start module watcher:', error.message);
+    }
+  }
+
+  stopWatcher() {
+    for (const timer of this.watchTimers.values()) clearTimeout(timer);
+    this.watchTimers.clear();
+    this.watcher?.close();
+    this.watcher = null;
+  }
+
+  async handleFileChange(filename) {
+    const exists = fs.existsSync(path.resolve(this.modulesPath, filename));
+    try {
+      if (!exists) {
+        if (!this.moduleFiles.has(filename)) return;
+        await this.unloadModule(filename);
+        await notifier.notify(`${accountLabel(this.account)}🗑️ Module ${filename} was removed and unloaded`);
+        return;
+      }
+
+      const wasLoaded = this.moduleFiles.has(filename);
+      if (!wasLoaded) {
+        const manifest = this.getManifest(await this.importModule(filename, Date.now()), filename);
+        if (!this.isModuleAllowed(manifest) || !moduleStore.isEnabled(manifest)) return;
+      }
+      await this.reloadModule(filename);
+      await notifier.notify(`${accountLabel(this.account)}♻️ Module ${filename} ${wasLoaded ? 'reloaded' : 'loaded'} after a file change`);
     } catch (error) {
-      logger.error(`Failed to reload module ${filename}:`, error.message);
-      return false;
+      await notifier.notify(`${accountLabel(this.account)}❌ Module ${filename} failed to ${exists ? 'reload' : 'unload'}: ${error.message}`);
     }
   }
 
@@ -194,6 +692,8 @@ export class ModuleManager {
       modules: this.modules.map(module => ({
         name: module.constructor.name,
         alias: module.name,
+        version: module.manifest?.version,
+        file: this.getModuleFile(module),
         commands: Object.keys(module.getCommands?.() || {}).length
       }))
     };
@@ -201,20 +701,19 @@ export class ModuleManager {
 
   async cleanup() {
     logger.info('Cleaning up module manager...');
+    this.stopWatcher();
     
-    for (const module of this.modules) {
-      try {
-        if (typeof module.cleanup === 'function') {
-          await module.cleanup();
-        }
-      } catch (error) {
-        logger.error(`Error cleaning up module ${module.constructor.name}:`, error.message);
-      }
+    // Dependents first
+    for (const module of [...this.modules].reverse()) {
+      await this.teardownModule(module);
     }
     
     this.modules = [];
     this.commandRegistry.clear();
+    this.aliasRegistry.clear();
+    this.pipeline.removeModuleMiddleware();
     this.loadedModules.clear();
+    this.moduleFiles.clear();
     
     logger.info('Module manager cleanup complete');
   }
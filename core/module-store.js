@@ -0,0 +1,136 @@
+import { logger } from '../utils/logger.js';
+import { config } from '../config.js';
+import { connectDb } from '../utils/db.js';
+
+const GLOBAL_SCOPE = '*';
+
+// Module enablement (global and per thread) and per-module config blobs,
+// persisted in the `modules` collection.
+export class ModuleStore {
+  constructor() {
+    this.collection = null;
+    this.enabled = new Map(); // `${scope}:${module}` -> boolean
+    this.configs = new Map(); // module -> stored config overrides
+  }
+
+  async initialize() {
+    try {
+      const db = await connectDb();
+      this.collection = db.collection('modules');
+      const docs = await this.collection.find({}).toArray();
+      for (const doc of docs) {
+        if (doc.type === 'enabled') {
+          this.enabled.set(this.key(doc.module, doc.threadId), doc.enabled);
+        } else if (doc.type === 'config') {
+          this.configs.set(doc.module, doc.config || {});
+        }
+      }
+      logger.info(`🧩 Loaded ${this.enabled.size} module switches and ${this.configs.size} module configs`);
+    } catch (error) {
+      logger.error('Failed to load module settings, using defaults:', error.message);
+    }
+  }
+
+  key(module, threadId = null) {
+    return `${threadId || GLOBAL_SCOPE}:${module}`;
+  }
+
+  // config.modules.disabled and manifest.enabledByDefault give the default
+  isEnabledByDefault(manifest) {
+    if ((config.modules?.disabled || []).includes(manifest.name)) return false;
+    return manifest.enabledByDefault !== false;
+  }
+
+  isEnabled(manifest, threadId = null) {
+    if (threadId && this.enabled.has(this.key(manifest.name, threadId))) {
+      return this.enabled.get(this.key(manifest.name, threadId));
+    }
+    if (this.enabled.has(this.key(manifest.name))) {
+      return this.enabled.get(this.key(manifest.name));
+    }
+    return this.isEnabledByDefault(manifest);
+  }
+
+  getThreadSwitch(module, threadId) {
+    return this.enabled.get(this.key(module, threadId));
+  }
+
+  async setEnabled(module, enabled, threadId = null) {
+    this.enabled.set(this.key(module, threadId), enabled);
+    await this.collection?.updateOne(
+      { type: 'enabled', module, threadId },
+      { $set: { type: 'enabled', module, threadId, enabled, updatedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  async clearEnabled(module, threadId = null) {
+    const existed = this.enabled.delete(this.key(module, threadId));
+    await this.collection?.deleteOne({ type: 'enabled', module, threadId });
+    return existed;
+  }
+
+  listThreadSwitches(threadId) {
+    return [...this.enabled]
+      .filter(([key]) => key.startsWith(`${threadId}:`))
+      .map(([key, enabled]) => ({ module: key.slice(threadId.length + 1), enabled }));
+  }
+
+  getConfig(manifest) {
+    return { ...(manifest.defaultConfig || {}), ...(this.configs.get(manifest.name) || {}) };
+  }
+
+  // Coerces the value to the type of the default and rejects unknown keys
+  validateConfigValue(manifest, key, value) {
+    const defaults = manifest.defaultConfig || {};
+    if (!(key in defaults)) {
+      throw new Error(`Unknown config key for ${manifest.name}: ${key}`);
+    }
+
+    const expected = typeof defaults[key];
+    if (expected === 'string' && typeof value !== 'string') return String(value);
+    if (expected === 'number' && typeof value !== 'number') {
+      const number = Number(value);
+      if (Number.isNaN(number)) throw new Error(`${key} must be a number`);
+      return number;
+    }
+    if (expected === 'boolean' && typeof value !== 'boolean') {
+      if (['true', 'on', 'yes', '1'].includes(String(value).toLowerCase())) return true;
+      if (['false', 'off', 'no', '0'].includes(String(value).toLowerCase())) return false;
+      throw new Error(`${key} must be true or false`);
+    }
+    if (expected === 'object' && typeof value === 'string') {
+      try {
+        return JSON.parse(value);
+      } catch {
+        throw new Error(`${key} must be quoted JSON, e.g. '${JSON.stringify(defaults[key])}'`);
+      }
+    }
+    return value;
+  }
+
+  async setConfig(manifest, key, value) {
+    const coerced = this.validateConfigValue(manifest, key, value);
+    const stored = { ...(this.configs.get(manifest.name) || {}), [key]: coerced };
+    this.configs.set(manifest.name, stored);
+    await this.saveConfig(manifest.name, stored);
+    return coerced;
+  }
+
+  async resetConfig(manifest, key = null) {
+    const stored = key ? { ...(this.configs.get(manifest.name) || {}) } : {};
+    delete stored[key];
+    this.configs.set(manifest.name, stored);
+    await this.saveConfig(manifest.name, stored);
+  }
+
+  async saveConfig(module, stored) {
+    await this.collection?.updateOne(
+      { type: 'config', module },
+      { $set: { type: 'config', module, config: stored, updatedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+}
+
+export const moduleStore = new ModuleStore();
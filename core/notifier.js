@@ -0,0 +1,45 @@
+import { logger } from '../utils/logger.js';
+import { config } from '../config.js';
+
+// Sends operational notices to the bot admins: the Telegram admin chat when the
+// bridge is up, and the Instagram thread in config.admin.threadId when set.
+export class AdminNotifier {
+  constructor() {
+    this.instagramBot = null;
+    this.telegramBridge = null;
+  }
+
+  attach(instagramBot, telegramBridge = null) {
+    this.instagramBot = instagramBot;
+    this.telegramBridge = telegramBridge;
+  }
+
+  async notify(text) {
+    const deliveries = [];
+
+    const telegramAdmin = config.telegram?.adminUserId;
+    if (telegramAdmin && this.telegramBridge?.enabled && this.telegramBridge.telegramBot) {
+      deliveries.push(this.telegramBridge.telegramBot.sendMessage(telegramAdmin, text));
+    }
+
+    const adminThread = config.admin?.threadId;
+    if (adminThread && this.instagramBot?.isRunning) {
+      deliveries.push(this.instagramBot.sendMessage(adminThread, text, { priority: 'high' }));
+    }
+
+    if (!deliveries.length) {
+      logger.info(`📢 ${text}`);
+      return false;
+    }
+
+    const results = await Promise.allSettled(deliveries);
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        logger.error('Failed to deliver admin notification:', result.reason?.message);
+      }
+    }
+    return results.some(result => result.status === 'fulfilled');
+  }
+}
+
+export const notifier = new AdminNotifier();
@@ -0,0 +1,200 @@
+import { logger } from '../utils/logger.js';
+import { config } from '../config.js';
+import { connectDb } from '../utils/db.js';
+
+// Ordered from least to most privileged
+export const ROLES = ['banned', 'user', 'moderator', 'admin', 'owner'];
+
+const GLOBAL_SCOPE = '*';
+
+export class PermissionManager {
+  constructor() {
+    this.collection = null;
+    this.roles = new Map(); // `${scope}:${username}` -> role
+    this.grants = new Map(); // `${scope}:${username}` -> Map(target -> allow)
+  }
+
+  async initialize() {
+    try {
+      const db = await connectDb();
+      this.collection = db.collection('permissions');
+      await this.load();
+    } catch (error) {
+      logger.error('Failed to load permissions, using config roles only:', error.message);
+    }
+  }
+
+  async load() {
+    this.roles.clear();
+    this.grants.clear();
+    const docs = await this.collection.find({}).toArray();
+    for (const doc of docs) {
+      const key = this.key(doc.username, doc.threadId);
+      if (doc.type === 'role') {
+        this.roles.set(key, doc.role);
+      } else if (doc.type === 'grant') {
+        if (!this.grants.has(key)) this.grants.set(key, new Map());
+        this.grants.get(key).set(doc.target, doc.allow);
+      }
+    }
+    logger.info(`🔐 Loaded ${this.roles.size} role assignments and ${docs.length - this.roles.size} grants`);
+  }
+
+  normalizeUsername(username) {
+    return String(username || '').replace(/^@/, '').toLowerCase();
+  }
+
+  key(username, threadId = null) {
+    return `${threadId || GLOBAL_SCOPE}:${this.normalizeUsername(username)}`;
+  }
+
+  isRole(role) {
+    return ROLES.includes(role);
+  }
+
+  rank(role) {
+    return ROLES.indexOf(role);
+  }
+
+  getConfigRole(username) {
+    const name = this.normalizeUsername(username);
+    const lower = list => (list || []).map(entry => entry.toLowerCase());
+    if (lower(config.admin.owners).includes(name)) return 'owner';
+    if (lower(config.admin.users).includes(name)) return 'admin';
+    return null;
+  }
+
+  getRole(username, threadId = null) {
+    // Owners from config can never be demoted at runtime
+    const configRole = this.getConfigRole(username);
+    if (configRole === 'owner') return 'owner';
+
+    if (threadId && this.roles.has(this.key(username, threadId))) {
+      return this.roles.get(this.key(username, threadId));
+    }
+    if (this.roles.has(this.key(username))) {
+      return this.roles.get(this.key(username));
+    }
+    return configRole || 'user';
+  }
+
+  hasRole(username, role, threadId = null) {
+    return this.rank(this.getRole(username, threadId)) >= this.rank(role);
+  }
+
+  getRequiredRole(command) {
+    if (command.role && this.isRole(command.role)) return command.role;
+    return command.adminOnly ? 'admin' : 'user';
+  }
+
+  getGrant(username, target, threadId = null) {
+    const scopes = threadId ? [threadId, null] : [null];
+    for (const scope of scopes) {
+      const grants = this.grants.get(this.key(username, scope));
+      if (grants?.has(target)) return grants.get(target);
+    }
+    return undefined;
+  }
+
+  isAllowedByConfig(role, commandName) {
+    // config.admin.allowedCommands limits what the admin role may run; '*' means everything
+    if (role !== 'admin') return true;
+    const allowed = config.admin.allowedCommands || ['*'];
+    return allowed.includes('*') || allowed.includes(commandName);
+  }
+
+  canRun(username, commandName, command, threadId = null) {
+    const role = this.getRole(username, threadId);
+    if (role === 'banned') {
+      return { allowed: false, role, reason: 'banned' };
+    }
+    if (role === 'owner') {
+      return { allowed: true, role };
+    }
+
+    const commandGrant = this.getGrant(username, `command:${commandName}`, threadId);
+    if (commandGrant !== undefined) {
+      return { allowed: commandGrant, role, reason: commandGrant ? 'grant' : 'revoked' };
+    }
+
+    const moduleGrant = this.getGrant(username, `module:${command.moduleName}`, threadId);
+    if (moduleGrant !== undefined) {
+      return { allowed: moduleGrant, role, reason: moduleGrant ? 'grant' : 'revoked' };
+    }
+
+    const required = this.getRequiredRole(command);
+    if (this.rank(role) < this.rank(required)) {
+      return { allowed: false, role, required, reason: 'role' };
+    }
+    if (!this.isAllowedByConfig(role, commandName)) {
+      return { allowed: false, role, required, reason: 'config' };
+    }
+    return { allowed: true, role };
+  }
+
+  async setRole(username, role, threadId = null, grantedBy = null) {
+    if (!this.isRole(role)) throw new Error(`Unknown role: ${role}`);
+    const name = this.normalizeUsername(username);
+    this.roles.set(this.key(name, threadId), role);
+    await this.collection?.updateOne(
+      { type: 'role', username: name, threadId },
+      { $set: { type: 'role', username: name, threadId, role, grantedBy, updatedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  async clearRole(username, threadId = null) {
+    const name = this.normalizeUsername(username);
+    const existed = this.roles.delete(this.key(name, threadId));
+    await this.collection?.deleteOne({ type: 'role', username: name, threadId });
+    return existed;
+  }
+
+  async setGrant(username, target, allow, threadId = null, grantedBy = null) {
+    const name = this.normalizeUsername(username);
+    const key = this.key(name, threadId);
+    if (!this.grants.has(key)) this.grants.set(key, new Map());
+    this.grants.get(key).set(target, allow);
+    await this.collection?.updateOne(
+      { type: 'grant', username: name, threadId, target },
+      { $set: { type: 'grant', username: name, threadId, target, allow, grantedBy, updatedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  async clearGrant(username, target, threadId = null) {
+    const name = this.normalizeUsername(username);
+    const existed = this.grants.get(this.key(name, threadId))?.delete(target) || false;
+    await this.collection?.deleteOne({ type: 'grant', username: name, threadId, target });
+    return existed;
+  }
+
+  getExplicitGrant(username, target, threadId = null) {
+    return this.grants.get(this.key(username, threadId))?.get(target);
+  }
+
+  listAssignments(username = null) {
+    const name = username ? this.normalizeUsername(username) : null;
+    const entries = [];
+    const parse = key => {
+      const index = key.indexOf(':');
+      const scope = key.slice(0, index);
+      return { username: key.slice(index + 1), threadId: scope === GLOBAL_SCOPE ? null : scope };
+    };
+
+    for (const [key, role] of this.roles) {
+      const entry = parse(key);
+      if (!name || entry.username === name) entries.push({ ...entry, type: 'role', role });
+    }
+    for (const [key, grants] of this.grants) {
+      const entry = parse(key);
+      if (name && entry.username !== name) continue;
+      for (const [target, allow] of grants) {
+        entries.push({ ...entry, type: 'grant', target, allow });
+      }
+    }
+    return entries;
+  }
+}
+
+export const permissions = new PermissionManager();
@@ -0,0 +1,116 @@
+import { logger } from '../utils/logger.js';
+import { crashReporter } from './crash-reporter.js';
+
+// Lower runs first. Modules pick a priority below `commands` to see (and drop)
+// messages before commands run and the Telegram bridge forwards them.
+export const MIDDLEWARE_PRIORITY = {
+  first: 0,
+  conversation: 100, // answers to open questions stop here
+  filter: 200, // spam filters, blocklists
+  normal: 500, // module default, also used for process()
+  commands: 800, // commands stop here
+  bridge: 900 // forwarded to Telegram
+};
+
+// The chain every incoming message of one account runs through. A middleware
+// is `async (message, next) => {}`: awaiting next() hands the message on,
+// returning without it stops the message there. A middleware that throws is
+// logged (bugs are reported to the admins) and the message moves on as if it
+// had called next(). Runs, stops, errors and time spent (excluding the
+// middleware after it) are counted per middleware.
+export class MessagePipeline {
+  constructor(account) {
+    this.account = account;
+    this.middleware = [];
+    this.stats = new Map(); // name -> { runs, stopped, errors, time, maxTime }
+  }
+
+  // options: { priority, module }. A middleware with the same name is replaced.
+  use(name, handler, { priority = MIDDLEWARE_PRIORITY.normal, module = null } = {}) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Middleware ${name} is not a function`);
+    }
+    this.remove(name);
+    const entry = { name, handler, priority, module };
+    const index = this.middleware.findIndex(existing => existing.priority > priority);
+    this.middleware.splice(index === -1 ? this.middleware.length : index, 0, entry);
+    return entry;
+  }
+
+  remove(name) {
+    this.middleware = this.middleware.filter(entry => entry.name !== name);
+  }
+
+  // Drops every middleware registered by modules, before the module list is rebuilt
+  removeModuleMiddleware() {
+    this.middleware = this.middleware.filter(entry => !entry.module);
+  }
+
+  // Resolves with the name of the middleware that stopped the message, or null
+  async run(message) {
+    const chain = [...this.middleware];
+    let stoppedBy = null;
+
+    const dispatch = async (index) => {
+      const entry = chain[index];
+      if (!entry) return;
+
+      const stats = this.getEntryStats(entry.name);
+      let passed = false;
+      let downstream = 0;
+      const next = async () => {
+        if (passed) return;
+        passed = true;
+        const started = performance.now();
+        await dispatch(index + 1);
+        downstream = performance.now() - started;
+      };
+
+      const started = performance.now();
+      try {
+        await entry.handler(message, next);
+      } catch (error) {
+        stats.errors++;
+        logger.error(`Middleware ${entry.name} failed:`, error.message);
+        crashReporter.capture(error, { source: `middleware ${entry.name}`, module: entry.module, account: this.account?.id });
+        await next();
+      }
+
+      const time = performance.now() - started - downstream;
+      stats.runs++;
+      stats.time += time;
+      stats.maxTime = Math.max(stats.maxTime, time);
+      if (!passed) {
+        stats.stopped++;
+        stoppedBy = entry.name;
+      }
+    };
+
+    await dispatch(0);
+    return stoppedBy;
+  }
+
+  getEntryStats(name) {
+    if (!this.stats.has(name)) {
+      this.stats.set(name, { runs: 0, stopped: 0, errors: 0, time: 0, maxTime: 0 });
+    }
+    return this.stats.get(name);
+  }
+
+  // Middleware in run order with their counters; averages and maximums in ms
+  getStatus() {
+    return this.middleware.map(({ name, priority, module }) => {
+      const stats = this.getEntryStats(name);
+      return {
+        name,
+        priority,
+        module,
+        runs: stats.runs,
+        stopped: stats.stopped,
+        errors: stats.errors,
+        avgTime: stats.runs ? stats.time / stats.runs : 0,
+        maxTime: stats.maxTime
+      };
+    });
+  }
+}
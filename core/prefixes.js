@@ -0,0 +1,97 @@
+import { logger } from '../utils/logger.js';
+import { config } from '../config.js';
+import { connectDb } from '../utils/db.js';
+
+const MAX_PREFIX_LENGTH = 5;
+
+export class PrefixManager {
+  constructor() {
+    this.collection = null;
+    this.threadPrefixes = new Map(); // threadId -> prefix
+  }
+
+  async initialize() {
+    try {
+      const db = await connectDb();
+      this.collection = db.collection('prefixes');
+      const docs = await this.collection.find({}).toArray();
+      for (const doc of docs) {
+        this.threadPrefixes.set(doc.threadId, doc.prefix);
+      }
+      logger.info(`🔤 Loaded ${docs.length} chat prefixes`);
+    } catch (error) {
+      logger.error('Failed to load chat prefixes, using global prefix only:', error.message);
+    }
+  }
+
+  getGlobalPrefix() {
+    return config.commands?.prefix || '.';
+  }
+
+  // The prefix shown in help and usage text for a thread
+  getPrefix(threadId = null) {
+    return (threadId && this.threadPrefixes.get(threadId)) || this.getGlobalPrefix();
+  }
+
+  // `username` is the receiving account; each account answers to its own mention
+  getMentions(username = config.instagram?.username) {
+    if (config.commands?.mentionPrefix === false) return [];
+    return username ? [`@${username.toLowerCase()}`] : [];
+  }
+
+  // A thread override replaces the global prefix; aliases and mentions always work
+  getPrefixes(threadId = null) {
+    const prefixes = [this.getPrefix(threadId), ...(config.commands?.aliases || [])];
+    return [...new Set(prefixes.filter(Boolean))];
+  }
+
+  // Returns { prefix, body } for command text, or null for regular messages
+  match(text, threadId = null, username = undefined) {
+    if (!text) return null;
+
+    for (const mention of this.getMentions(username)) {
+      if (text.toLowerCase().startsWith(mention) && /^\s/.test(text.slice(mention.length))) {
+        const body = text.slice(mention.length).trim();
+        // "@bot .help" and "@bot help" both work
+        const prefix = this.getPrefixes(threadId).find(candidate => body.startsWith(candidate));
+        const command = prefix ? body.slice(prefix.length).trim() : body;
+        return command ? { prefix: this.getPrefix(threadId), body: command } : null;
+      }
+    }
+
+    // Longest first so "!!" wins over "!"
+    const prefix = this.getPrefixes(threadId)
+      .sort((a, b) => b.length - a.length)
+      .find(candidate => text.startsWith(candidate));
+    if (!prefix) return null;
+
+    const body = text.slice(prefix.length).trim();
+    return body ? { prefix, body } : null;
+  }
+
+  validate(prefix) {
+    if (!prefix || /\s/.test(prefix)) return 'Prefix cannot be empty or contain spaces';
+    if (prefix.length > MAX_PREFIX_LENGTH) return `Prefix can be at most ${MAX_PREFIX_LENGTH} characters`;
+    if (/^[a-z0-9@]/i.test(prefix)) return 'Prefix must start with a symbol';
+    return null;
+  }
+
+  async setThreadPrefix(threadId, prefix, setBy = null) {
+    const invalid = this.validate(prefix);
+    if (invalid) throw new Error(invalid);
+    this.threadPrefixes.set(threadId, prefix);
+    await this.collection?.updateOne(
+      { threadId },
+      { $set: { threadId, prefix, setBy, updatedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  async clearThreadPrefix(threadId) {
+    const existed = this.threadPrefixes.delete(threadId);
+    await this.collection?.deleteOne({ threadId });
+    return existed;
+  }
+}
+
+export const prefixes = new PrefixManager();
@@ -0,0 +1,135 @@
+import { config } from '../config.js';
+import { settings } from './settings.js';
+
+const COOLDOWN_SCOPES = ['user', 'thread', 'global'];
+
+export class TokenBucket {
+  constructor(capacity, refillPerMinute) {
+    this.capacity = capacity;
+    this.refillPerMs = refillPerMinute / 60000;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  take(count = 1) {
+    this.refill();
+    if (this.tokens < count) return false;
+    this.tokens -= count;
+    return true;
+  }
+
+  msUntilAvailable(count = 1) {
+    this.refill();
+    if (this.tokens >= count) return 0;
+    return Math.ceil((count - this.tokens) / this.refillPerMs);
+  }
+
+  isFull() {
+    this.refill();
+    return this.tokens >= this.capacity;
+  }
+}
+
+export class RateLimiter {
+  constructor() {
+    this.outboundBuckets = new Map(); // account id -> TokenBucket
+    this.userBuckets = new Map(); // username -> TokenBucket
+    this.cooldowns = new Map(); // `${scope}:${command}:${id}` -> expiry timestamp
+    this.warnings = new Map(); // username -> last warning reply timestamp
+  }
+
+  // Instagram limits each account separately, so every account gets its own bucket
+  getOutboundBucket(accountId = 'main') {
+    const limits = config.rateLimit?.outbound || {};
+    if (!this.outboundBuckets.has(accountId)) {
+      this.outboundBuckets.set(accountId, new TokenBucket(limits.capacity || 10, limits.perMinute || 20));
+    }
+    return this.outboundBuckets.get(accountId);
+  }
+
+  // Waits until the account's outbound bucket has room; every DM the bot sends goes through here
+  async acquireOutbound(accountId = 'main') {
+    const bucket = this.getOutboundBucket(accountId);
+    while (!bucket.take()) {
+      await new Promise(resolve => setTimeout(resolve, bucket.msUntilAvailable()));
+    }
+  }
+
+  getUserBucket(username) {
+    const limits = config.rateLimit?.commands || {};
+    if (!this.userBuckets.has(username)) {
+      this.userBuckets.set(username, new TokenBucket(limits.capacity || 5, limits.perMinute || 10));
+    }
+    return this.userBuckets.get(username);
+  }
+
+  // `cooldown: 5` is shorthand for `cooldown: { user: 5 }` (seconds)
+  getCooldowns(command) {
+    if (!command.cooldown) return {};
+    return typeof command.cooldown === 'number' ? { user: command.cooldown } : command.cooldown;
+  }
+
+  cooldownKey(scope, commandName, message) {
+    const id = scope === 'user' ? message.senderUsername : scope === 'thread' ? message.threadId : '*';
+    return `${scope}:${commandName}:${id}`;
+  }
+
+  // Returns { limited, retryAfter (ms), scope }; consumes nothing when limited
+  checkCommand(commandName, command, message) {
+    const now = Date.now();
+    const cooldowns = this.getCooldowns(command);
+
+    for (const scope of COOLDOWN_SCOPES) {
+      const expiresAt = this.cooldowns.get(this.cooldownKey(scope, commandName, message));
+      if (expiresAt && expiresAt > now) {
+        return { limited: true, retryAfter: expiresAt - now, scope };
+      }
+    }
+
+    const bucket = this.getUserBucket(message.senderUsername);
+    if (!bucket.take()) {
+      return { limited: true, retryAfter: bucket.msUntilAvailable(), scope: 'rate' };
+    }
+
+    for (const scope of COOLDOWN_SCOPES) {
+      if (cooldowns[scope]) {
+        this.cooldowns.set(this.cooldownKey(scope, commandName, message), now + cooldowns[scope] * 1000);
+      }
+    }
+
+    this.sweep(now);
+    return { limited: false };
+  }
+
+  // Warning replies ("slow down", permission denials, unknown commands) are
+  // limited to one per user per warning interval
+  shouldWarn(username) {
+    const now = Date.now();
+    const interval = (settings.get('rateLimit.warnInterval') || 30) * 1000;
+    if (now - (this.warnings.get(username) || 0) < interval) return false;
+    this.warnings.set(username, now);
+    return true;
+  }
+
+  sweep(now = Date.now()) {
+    if (this.cooldowns.size + this.userBuckets.size + this.warnings.size < 500) return;
+    for (const [key, expiresAt] of this.cooldowns) {
+      if (expiresAt <= now) this.cooldowns.delete(key);
+    }
+    for (const [username, bucket] of this.userBuckets) {
+      if (bucket.isFull()) this.userBuckets.delete(username);
+    }
+    const interval = (settings.get('rateLimit.warnInterval') || 30) * 1000;
+    for (const [username, warnedAt] of this.warnings) {
+      if (now - warnedAt >= interval) this.warnings.delete(username);
+    }
+  }
+}
+
+export const rateLimiter = new RateLimiter();
@@ -0,0 +1,66 @@
+import { logger } from '../utils/logger.js';
+import { crashReporter } from './crash-reporter.js';
+
+// Named timers owned by one module. Everything is cancelled when the module
+// unloads, and a failing task is logged instead of crashing the process.
+export class Scheduler {
+  constructor(owner) {
+    this.owner = owner;
+    this.timers = new Map(); // name -> { type, handle, running }
+  }
+
+  // Runs task every `ms`; a run is skipped while the previous one is still busy
+  every(name, ms, task) {
+    this.cancel(name);
+    const timer = { type: 'interval', running: false };
+    timer.handle = setInterval(async () => {
+      if (timer.running) return;
+      timer.running = true;
+      await this.run(name, task);
+      timer.running = false;
+    }, ms);
+    this.timers.set(name, timer);
+    return name;
+  }
+
+  after(name, ms, task) {
+    this.cancel(name);
+    const timer = { type: 'timeout' };
+    timer.handle = setTimeout(async () => {
+      this.timers.delete(name);
+      await this.run(name, task);
+    }, ms);
+    this.timers.set(name, timer);
+    return name;
+  }
+
+  async run(name, task) {
+    try {
+      await task();
+    } catch (error) {
+      logger.error(`Scheduled task ${this.owner}:${name} failed:`, error.message);
+      // Owners are "module" or "account:module"
+      const [module, account = null] = this.owner.split(':').reverse();
+      crashReporter.capture(error, { source: `task ${name}`, module, account });
+    }
+  }
+
+  cancel(name) {
+    const timer = this.timers.get(name);
+    if (!timer) return false;
+    if (timer.type === 'interval') clearInterval(timer.handle);
+    else clearTimeout(timer.handle);
+    this.timers.delete(name);
+    return true;
+  }
+
+  cancelAll() {
+    for (const name of [...this.timers.keys()]) {
+      this.cancel(name);
+    }
+  }
+
+  list() {
+    return [...this.timers].map(([name, timer]) => ({ name, type: timer.type }));
+  }
+}
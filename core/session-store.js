@@ -0,0 +1,203 @@
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { connectDb } from '../utils/db.js';
+
+export const SESSION_KINDS = ['session', 'cookies', 'state'];
+// FBNS/Realtime state is saved up to every STATE_SAVE_DELAY (core/bot.js), so
+// fewer of its versions are kept
+const STATE_HISTORY = 3;
+export const EXPORT_FORMAT = 'hyper-insta-session';
+
+const CIPHER = 'aes-256-gcm';
+const KEY_SALT = 'hyper-insta-sessions';
+
+let cachedKey; // { key, keyId } derived from SESSION_ENCRYPTION_KEY, or null
+
+// SESSION_ENCRYPTION_KEY may be 64 hex characters (used as is) or any
+// passphrase (stretched with scrypt)
+function getKey() {
+  if (cachedKey !== undefined) return cachedKey;
+  const secret = config.instagram?.sessionEncryptionKey;
+  if (!secret) {
+    cachedKey = null;
+  } else {
+    const key = /^[0-9a-f]{64}$/i.test(secret) ? Buffer.from(secret, 'hex') : crypto.scryptSync(secret, KEY_SALT, 32);
+    cachedKey = { key, keyId: crypto.createHash('sha256').update(key).digest('hex').slice(0, 8) };
+  }
+  return cachedKey;
+}
+
+function encrypt(plaintext) {
+  const keyInfo = getKey();
+  if (!keyInfo) return { alg: 'none', data: plaintext };
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, keyInfo.key, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return {
+    alg: CIPHER,
+    keyId: keyInfo.keyId,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decrypt(payload) {
+  if (payload.alg === 'none') return payload.data;
+  if (payload.alg !== CIPHER) throw new Error(`Unsupported session cipher: ${payload.alg}`);
+
+  const keyInfo = getKey();
+  if (!keyInfo) throw new Error('Session is encrypted but SESSION_ENCRYPTION_KEY is not set');
+  if (payload.keyId && payload.keyId !== keyInfo.keyId) {
+    throw new Error('Session was encrypted with a different SESSION_ENCRYPTION_KEY');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, keyInfo.key, Buffer.from(payload.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]).toString('utf8');
+  } catch {
+    throw new Error('Session data failed its integrity check (wrong key or corrupted data)');
+  }
+}
+
+export function isEncryptionEnabled() {
+  return Boolean(getKey());
+}
+
+// Versioned, encrypted copies of one account's Instagram session, imported
+// cookies and FBNS/Realtime state in the `sessions` collection. Every save adds
+// a version; the newest `config.instagram.sessionHistory` versions are kept
+// (at most STATE_HISTORY for state).
+export class SessionStore {
+  constructor(account) {
+    this.account = account;
+    this.collection = null;
+  }
+
+  get enabled() {
+    return config.instagram?.useMongoSession !== false;
+  }
+
+  historySize(kind) {
+    const size = config.instagram?.sessionHistory || 5;
+    return kind === 'state' ? Math.min(size, STATE_HISTORY) : size;
+  }
+
+  async getCollection() {
+    if (!this.collection) {
+      const db = await connectDb();
+      this.collection = db.collection('sessions');
+    }
+    return this.collection;
+  }
+
+  checkKind(kind) {
+    if (!SESSION_KINDS.includes(kind)) {
+      throw new Error(`Unknown session kind: ${kind} (${SESSION_KINDS.join(', ')})`);
+    }
+  }
+
+  filter(kind, extra = {}) {
+    return { account: this.account.id, kind, ...extra };
+  }
+
+  // Stores `data` as a new version unless it matches the newest one; returns the version number
+  async save(kind, data, { reason = 'save', savedBy = null } = {}) {
+    this.checkKind(kind);
+    const collection = await this.getCollection();
+    const plaintext = JSON.stringify(data);
+    const hash = crypto.createHash('sha256').update(plaintext).digest('hex');
+
+    const [latest] = await collection.find(this.filter(kind)).sort({ version: -1 }).limit(1).toArray();
+    if (latest?.hash === hash && latest.payload.alg === (isEncryptionEnabled() ? CIPHER : 'none')) {
+      return latest.version;
+    }
+
+    const version = (latest?.version || 0) + 1;
+    await collection.insertOne({
+      ...this.filter(kind),
+      version,
+      hash,
+      payload: encrypt(plaintext),
+      size: plaintext.length,
+      reason,
+      savedBy,
+      savedAt: new Date()
+    });
+    await this.prune(kind, version);
+    return version;
+  }
+
+  // Newest version, or a specific one; null when nothing is stored
+  async load(kind, version = null) {
+    this.checkKind(kind);
+    const collection = await this.getCollection();
+    const [doc] = await collection.find(this.filter(kind, version ? { version } : {})).sort({ version: -1 }).limit(1).toArray();
+    if (!doc) return null;
+    return { version: doc.version, savedAt: doc.savedAt, data: JSON.parse(decrypt(doc.payload)) };
+  }
+
+  // Versions newest first, without the data
+  async history(kind) {
+    this.checkKind(kind);
+    const collection = await this.getCollection();
+    const docs = await collection.find(this.filter(kind)).sort({ version: -1 }).toArray();
+    return docs.map(doc => ({
+      version: doc.version,
+      savedAt: doc.savedAt,
+      reason: doc.reason,
+      savedBy: doc.savedBy,
+      size: doc.size,
+      encrypted: doc.payload.alg !== 'none'
+    }));
+  }
+
+  // Makes an older version the newest again (the previous one by default)
+  async rollback(kind, version = null, savedBy = null) {
+    const versions = await this.history(kind);
+    const target = version ? versions.find(entry => entry.version === version) : versions[1];
+    if (!target) {
+      throw new Error(version ? `No ${kind} version ${version}` : `No earlier ${kind} version to roll back to`);
+    }
+    const { data } = await this.load(kind, target.version);
+    return this.save(kind, data, { reason: `rollback to v${target.version}`, savedBy });
+  }
+
+  async prune(kind, newest) {
+    const collection = await this.getCollection();
+    await collection.deleteMany(this.filter(kind, { version: { $lte: newest - this.historySize(kind) } }));
+  }
+
+  // Portable copy of one version. The payload stays encrypted, so it can only be
+  // imported by a deployment with the same SESSION_ENCRYPTION_KEY.
+  async export(kind, version = null) {
+    this.checkKind(kind);
+    const collection = await this.getCollection();
+    const [doc] = await collection.find(this.filter(kind, version ? { version } : {})).sort({ version: -1 }).limit(1).toArray();
+    if (!doc) throw new Error(`No ${kind} stored for account ${this.account.id}`);
+    return {
+      format: EXPORT_FORMAT,
+      account: this.account.id,
+      kind,
+      version: doc.version,
+      exportedAt: new Date().toISOString(),
+      payload: doc.payload
+    };
+  }
+
+  // Accepts an export from `export()`, a plain session.json/state object or a
+  // cookies.json array; returns { kind, version }
+  async import(content, kind = null, savedBy = null) {
+    if (content?.format === EXPORT_FORMAT) {
+      const data = JSON.parse(decrypt(content.payload));
+      const version = await this.save(kind || content.kind, data, { reason: `import of ${content.account} v${content.version}`, savedBy });
+      return { kind: kind || content.kind, version };
+    }
+
+    const detected = kind || (Array.isArray(content) ? 'cookies' : 'session');
+    const version = await this.save(detected, content, { reason: 'import', savedBy });
+    return { kind: detected, version };
+  }
+}
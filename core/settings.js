@@ -0,0 +1,151 @@
+import { EventEmitter } from 'events';
+import { logger } from '../utils/logger.js';
+import { config } from '../config.js';
+import { connectDb } from '../utils/db.js';
+import { coerceValue } from './command-parser.js';
+
+// Settings that can change at runtime. Defaults come from config.js; an
+// environment variable pins the value, otherwise `.set` stores an override.
+// Specs use the same format as command arguments (type, min, max, choices);
+// `atMost`/`atLeast` name the other end of a min/max pair of settings.
+export const SETTINGS_SCHEMA = {
+  'followers.autoFollowBack': { type: 'boolean', env: 'FOLLOWERS_AUTO_FOLLOW_BACK', description: 'Follow back new followers' },
+  'followers.autoAcceptRequests': { type: 'boolean', env: 'FOLLOWERS_AUTO_ACCEPT', description: 'Accept pending follow requests' },
+  'followers.autoMessageNewFollowers': { type: 'boolean', env: 'FOLLOWERS_AUTO_MESSAGE', description: 'Send the welcome message to new followers' },
+  'followers.welcomeMessage': { type: 'string', env: 'FOLLOWERS_WELCOME_MESSAGE', description: 'Message sent to new followers' },
+  'followers.checkInterval': { type: 'integer', min: 60000, description: 'Follower polling interval (ms)' },
+  'followers.maxFollowsPerHour': { type: 'integer', min: 1, max: 200, description: 'Follow limit per hour' },
+  'followers.followDelay.min': { type: 'integer', min: 0, atMost: 'followers.followDelay.max', description: 'Shortest delay between follows (ms)' },
+  'followers.followDelay.max': { type: 'integer', min: 0, atLeast: 'followers.followDelay.min', description: 'Longest delay between follows (ms)' },
+  'outbound.minDelay': { type: 'integer', min: 0, atMost: 'outbound.maxDelay', description: 'Shortest pause between sent messages (ms)' },
+  'outbound.maxDelay': { type: 'integer', min: 0, atLeast: 'outbound.minDelay', description: 'Longest pause between sent messages (ms)' },
+  'outbound.feedbackPause': { type: 'integer', min: 60000, description: 'Pause after a spam/feedback response (ms)' },
+  'rateLimit.warnInterval': { type: 'integer', min: 1, description: 'Seconds between "slow down", denial and unknown command replies' }
+};
+
+export class SettingsService extends EventEmitter {
+  constructor(schema = SETTINGS_SCHEMA) {
+    super();
+    this.schema = schema;
+    this.collection = null;
+    this.overrides = new Map(); // key -> value stored at runtime
+  }
+
+  async initialize() {
+    try {
+      const db = await connectDb();
+      this.collection = db.collection('settings');
+      const docs = await this.collection.find({}).toArray();
+      for (const doc of docs) {
+        try {
+          this.overrides.set(doc.key, this.validate(doc.key, doc.value));
+        } catch (error) {
+          logger.warn(`Ignoring stored setting ${doc.key}: ${error.message}`);
+        }
+      }
+      logger.info(`⚙️ Loaded ${this.overrides.size} runtime settings`);
+    } catch (error) {
+      logger.error('Failed to load runtime settings, using config defaults:', error.message);
+    }
+  }
+
+  // Case-insensitive lookup of a schema key
+  resolveKey(key) {
+    if (this.schema[key]) return key;
+    return Object.keys(this.schema).find(name => name.toLowerCase() === String(key).toLowerCase()) || null;
+  }
+
+  getSpec(key) {
+    const name = this.resolveKey(key);
+    if (!name) throw new Error(`Unknown setting: ${key}`);
+    return [name, this.schema[name]];
+  }
+
+  validate(key, value) {
+    const [name, spec] = this.getSpec(key);
+    return coerceValue(String(value), spec, name);
+  }
+
+  getDefault(key) {
+    return key.split('.').reduce((section, part) => section?.[part], config);
+  }
+
+  getEnvValue(spec) {
+    return spec.env && process.env[spec.env] !== undefined ? process.env[spec.env] : undefined;
+  }
+
+  getSource(key) {
+    const [name, spec] = this.getSpec(key);
+    if (this.getEnvValue(spec) !== undefined) return 'env';
+    if (this.overrides.has(name)) return 'runtime';
+    return 'default';
+  }
+
+  get(key) {
+    const [name, spec] = this.getSpec(key);
+    const envValue = this.getEnvValue(spec);
+    if (envValue !== undefined) {
+      try {
+        return this.validate(name, envValue);
+      } catch (error) {
+        logger.warn(`Invalid ${spec.env} environment variable: ${error.message}`);
+      }
+    }
+    return this.overrides.has(name) ? this.overrides.get(name) : this.getDefault(name);
+  }
+
+  async set(key, value, changedBy = null) {
+    const [name, spec] = this.getSpec(key);
+    if (this.getEnvValue(spec) !== undefined) {
+      throw new Error(`${name} is set by the ${spec.env} environment variable`);
+    }
+
+    const previous = this.get(name);
+    const next = this.validate(name, value);
+    this.checkBounds(name, next);
+    this.overrides.set(name, next);
+    await this.collection?.updateOne(
+      { key: name },
+      { $set: { key: name, value: next, changedBy, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    this.emitChange(name, next, previous);
+    return next;
+  }
+
+  async reset(key) {
+    const [name] = this.getSpec(key);
+    if (this.getSource(name) === 'runtime') this.checkBounds(name, this.getDefault(name));
+    const previous = this.get(name);
+    const existed = this.overrides.delete(name);
+    await this.collection?.deleteOne({ key: name });
+    this.emitChange(name, this.get(name), previous);
+    return existed;
+  }
+
+  // Keeps min/max pairs in order
+  checkBounds(name, value) {
+    const { atMost, atLeast } = this.schema[name];
+    if (atMost && value > this.get(atMost)) {
+      throw new Error(`${name} must be at most ${atMost} (${this.get(atMost)})`);
+    }
+    if (atLeast && value < this.get(atLeast)) {
+      throw new Error(`${name} must be at least ${atLeast} (${this.get(atLeast)})`);
+    }
+  }
+
+  // Emits `change` with { key, value, previous } and `change:<key>` with the new value
+  emitChange(key, value, previous) {
+    if (value === previous) return;
+    this.emit('change', { key, value, previous });
+    this.emit(`change:${key}`, value, previous);
+  }
+
+  list(filter = null) {
+    return Object.entries(this.schema)
+      .filter(([key]) => !filter || key.toLowerCase().startsWith(filter.toLowerCase()))
+      .map(([key, spec]) => ({ key, spec, value: this.get(key), source: this.getSource(key) }));
+  }
+}
+
+export const settings = new SettingsService();
@@ -1,72 +1,81 @@
 
-import { InstagramBot } from './core/bot.js';
-import { TelegramBridge } from './telegram/bridge.js';
-import { ModuleManager } from './core/module-manager.js';
-import { MessageHandler } from './core/message-handler.js';
+import cluster from 'cluster';
+import { AccountRegistry } from './core/account-registry.js';
 import { logger } from './utils/logger.js'; 
 import { config } from './config.js';
-import { connectDb } from './utils/db.js';
+import { connectDb, closeDb } from './utils/db.js';
+import { permissions } from './core/permissions.js';
+import { prefixes } from './core/prefixes.js';
+import { moduleStore } from './core/module-store.js';
+import { settings } from './core/settings.js';
+import { validateConfig, formatConfigReport } from './utils/config-validator.js';
+import { notifier } from './core/notifier.js';
+import { crashReporter } from './core/crash-reporter.js';
+import { lifecycle, CONFIG_EXIT_CODE } from './core/lifecycle.js';
+import { superviseWorker } from './core/cluster.js';
+
+const SHUTDOWN_TIMEOUT = 20000; // Exit anyway when a graceful shutdown hangs
 
 class HyperInsta {
   constructor() {
     this.startTime = new Date();
-    this.instagramBot = new InstagramBot();
-    this.telegramBridge = config.telegram?.enabled ? new TelegramBridge() : null;
-    this.moduleManager = null;
-    this.messageHandler = null;
+    this.accounts = new AccountRegistry();
     this.isShuttingDown = false;
+    lifecycle.attach({
+      shutdown: exitCode => this.gracefulShutdown(exitCode),
+      snapshot: () => this.accounts.snapshot()
+    });
+  }
+
+  // The main account, kept for the status banner
+  get instagramBot() {
+    return this.accounts.primary.bot;
+  }
+
+  get telegramBridge() {
+    return this.accounts.primary.bridge;
+  }
+
+  get moduleManager() {
+    return this.accounts.primary.moduleManager;
   }
 
   async initialize() {
     try {
-      this.showStartupBanner();
+      this.setupErrorHandlers();
 
-      // Initialize database connection
-      logger.info('Connecting to MongoDB...');
-      await connectDb();
-      logger.info('MongoDB connected successfully');
+      // Initialize storage; the bot keeps running without it
+      logger.info('Connecting to storage...');
+      try {
+        const storage = await connectDb();
+        logger.info(`Storage connected successfully (${storage.driver})`);
+      } catch (error) {
+        logger.error(`Storage unavailable, continuing without persistence: ${error.message}`);
+      }
 
-      // Initialize Instagram bot
-      logger.info('Connecting to Instagram...');
-      await this.instagramBot.login();
-      logger.info('Instagram connected successfully');
+      await permissions.initialize();
+      await prefixes.initialize();
+      await moduleStore.initialize();
+      await settings.initialize();
+      await crashReporter.initialize();
 
-      // Initialize Telegram bridge if enabled
-      if (this.telegramBridge) {
-        logger.info('Initializing Telegram bridge...');
-        await this.telegramBridge.initialize(this.instagramBot);
-        if (this.telegramBridge.enabled) {
-          logger.info('Telegram bridge connected successfully');
-        } else {
-          logger.warn('Telegram bridge failed to initialize');
-        }
-      }
+      // State the previous process left behind when it restarted
+      const restart = await lifecycle.consumeRestartMarker();
+      this.accounts.restore(restart?.state);
 
-      // Initialize module manager
-      logger.info('Loading modules...');
-      this.moduleManager = new ModuleManager(this.instagramBot, this.telegramBridge);
-      await this.moduleManager.loadModules();
-      logger.info('Modules loaded successfully');
-
-      // Initialize message handler
-      logger.info('Setting up message handler...');
-      this.messageHandler = new MessageHandler(
-        this.instagramBot, 
-        this.moduleManager, 
-        this.telegramBridge
-      );
-
-      // Connect message handler to Instagram bot
-      this.instagramBot.on('message', (message) => {
-        this.messageHandler.handleMessage(message);
-      });
-
-      // Setup error handlers
-      this.setupErrorHandlers();
+      // Every account gets its own Instagram client, Telegram bridge and modules
+      const accountCount = this.accounts.list().length;
+      logger.info(`Starting ${accountCount} Instagram account${accountCount === 1 ? '' : 's'}...`);
+      await this.accounts.startAll();
+      logger.info('Instagram connected successfully');
 
       logger.info('Bot initialization complete');
+      lifecycle.ready();
       this.showLiveStatus();
 
+      await this.announceRestart(restart);
+      await crashReporter.deliverPending();
+
       return true;
 
     } catch (error) {
@@ -77,32 +86,19 @@ class HyperInsta {
   }
 
   setupErrorHandlers() {
-    // Instagram bot error handler
-    this.instagramBot.on('error', async (error) => {
-      logger.error('Instagram bot error:', error.message);
-      if (!this.isShuttingDown) {
-        // Attempt to restart after a delay
-        setTimeout(async () => {
-          try {
-            logger.info('Attempting to restart Instagram connection...');
-            await this.instagramBot.login();
-          } catch (restartError) {
-            logger.error('Failed to restart Instagram connection:', restartError.message);
-          }
-        }, 30000); // 30 second delay
-      }
+    // A rejected promise nobody awaited is reported; the bot keeps running
+    process.on('unhandledRejection', (reason) => {
+      crashReporter.report(reason, { source: 'unhandled rejection' }).catch(() => {});
     });
 
-    // Process error handlers
-    process.on('uncaughtException', (error) => {
-      logger.error('Uncaught Exception:', error.message);
-      logger.error('Stack:', error.stack);
-      this.gracefulShutdown();
-    });
-
-    process.on('unhandledRejection', (reason, promise) => {
-      logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
-      this.gracefulShutdown();
+    // After an uncaught exception the process state is unknown: report it and restart
+    process.on('uncaughtException', async (error) => {
+      if (this.isShuttingDown) {
+        logger.error('Uncaught exception during shutdown:', error.message);
+        return;
+      }
+      await crashReporter.report(error, { source: 'uncaught exception', fatal: true }).catch(() => {});
+      await lifecycle.restart({ reason: `crash: ${error.message}` });
     });
 
     // Graceful shutdown handlers
@@ -117,7 +113,25 @@ class HyperInsta {
     });
   }
 
-  async gracefulShutdown() {
+  // Reply in the chat that asked for .restart, or tell the admins after a crash
+  async announceRestart(restart) {
+    if (!restart) return;
+    const seconds = Math.round((Date.now() - new Date(restart.at).getTime()) / 1000);
+    logger.info(`♻️ Restarted in ${seconds}s (${restart.reason})`);
+
+    try {
+      const bot = restart.account && this.accounts.get(restart.account)?.bot;
+      if (restart.threadId && bot) {
+        await bot.sendMessage(restart.threadId, `✅ Back online, the restart took ${seconds}s`, { priority: 'high' });
+      } else if (restart.reason !== 'restart') {
+        await notifier.notify(`♻️ Bot restarted in ${seconds}s (${restart.reason})`);
+      }
+    } catch (error) {
+      logger.warn(`Could not announce the restart: ${error.message}`);
+    }
+  }
+
+  async gracefulShutdown(exitCode = 0) {
     if (this.isShuttingDown) {
       logger.warn('Shutdown already in progress...');
       return;
@@ -125,25 +139,19 @@ class HyperInsta {
 
     this.isShuttingDown = true;
     logger.info('Starting graceful shutdown...');
+    setTimeout(() => {
+      logger.error('Graceful shutdown timed out, exiting');
+      process.exit(exitCode || 1);
+    }, SHUTDOWN_TIMEOUT).unref();
 
     try {
-      // Cleanup modules
-      if (this.moduleManager) {
-        await this.moduleManager.cleanup();
-      }
+      // Modules, Telegram bridges and Instagram clients of every account
+      await this.accounts.stopAll();
 
-      // Shutdown Telegram bridge
-      if (this.telegramBridge) {
-        await this.telegramBridge.shutdown();
-      }
-
-      // Disconnect Instagram bot
-      if (this.instagramBot) {
-        await this.instagramBot.disconnect();
-      }
+      await closeDb();
 
       logger.info('Graceful shutdown complete');
-      process.exit(0);
+      process.exit(exitCode);
 
     } catch (error) {
       logger.error('Error during shutdown:', error.message);
@@ -153,15 +161,7 @@ class HyperInsta {
 
   async cleanup() {
     try {
-      if (this.instagramBot) {
-        await this.instagramBot.disconnect();
-      }
-      if (this.telegramBridge) {
-        await this.telegramBridge.shutdown();
-      }
-      if (this.moduleManager) {
-        await this.moduleManager.cleanup();
-      }
+      await this.accounts.stopAll();
     } catch (error) {
       logger.error('Error during cleanup:', error.message);
     }
@@ -182,6 +182,9 @@ class HyperInsta {
   showLiveStatus() {
     const uptime = Date.now() - this.startTime;
     const moduleStats = this.moduleManager?.getModuleStats();
+    const accounts = this.accounts.getStatus()
+      .map(account => `${account.id} (@${account.username}, ${account.status})`)
+      .join(', ');
     
     console.clear();
     console.log(`
@@ -201,13 +204,28 @@ class HyperInsta {
 
 🔥 Bot is running at maximum performance!
 💡 Type .help in Instagram to see all commands
+👥 Accounts: ${accounts}
 📊 Environment: ${config.app.environment}
 🔧 Log Level: ${config.app.logLevel}
     `);
   }
 
+  // Prints the configuration report; returns false when a required value is
+  // missing, malformed or still a placeholder
+  checkConfig() {
+    const report = validateConfig();
+    console.log(formatConfigReport(report));
+    return report.valid;
+  }
+
   async start() {
     try {
+      this.showStartupBanner();
+      if (!this.checkConfig()) {
+        logger.error('Refusing to start with an invalid configuration');
+        process.exit(CONFIG_EXIT_CODE);
+      }
+
       await this.initialize();
       
       // Keep the process alive
@@ -224,9 +242,13 @@ class HyperInsta {
   }
 }
 
-// Start the bot
-const bot = new HyperInsta();
-bot.start().catch((error) => {
-  logger.error('Unhandled startup error:', error.message);
-  process.exit(1);
-});
+// Start the bot, in a supervised worker process unless config.app.supervise is off
+if (cluster.isPrimary && config.app.supervise) {
+  superviseWorker();
+} else {
+  const bot = new HyperInsta();
+  bot.start().catch((error) => {
+    logger.error('Unhandled startup error:', error.message);
+    process.exit(1);
+  });
+}
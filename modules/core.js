@@ -1,8 +1,22 @@
+import { prefixes } from '../core/prefixes.js';
+import { validateConfig } from '../utils/config-validator.js';
+import { redact } from '../utils/secrets.js';
+import { CONNECTION_ICONS } from '../core/connection-supervisor.js';
+import { lifecycle } from '../core/lifecycle.js';
+import { crashReporter } from '../core/crash-reporter.js';
+
 export class CoreModule {
-  constructor(instagramBot) {
-    this.instagramBot = instagramBot;
-    this.name = 'core';
-    this.description = 'Core bot commands and system information';
+  static manifest = {
+    name: 'core',
+    version: '1.0.0',
+    description: 'Core bot commands and system information'
+  };
+
+  constructor(context) {
+    this.instagramBot = context.bot;
+    this.account = context.account;
+    this.accounts = context.accounts;
+    this.moduleManager = context.manager;
     this.startTime = new Date();
     this.messageCount = 0;
     this.commandCount = 0;
@@ -17,6 +31,7 @@ export class CoreModule {
       handler: this.handlePing.bind(this),
       description: 'Test bot responsiveness with actual ping',
       usage: '.ping',
+      cooldown: { user: 5 },
       adminOnly: false
     };
 
@@ -24,6 +39,7 @@ export class CoreModule {
       handler: this.handleStatus.bind(this),
       description: 'Show bot operational status',
       usage: '.status',
+      cooldown: { user: 10, thread: 5 },
       adminOnly: false
     };
 
@@ -31,20 +47,64 @@ export class CoreModule {
       handler: this.handleServer.bind(this),
       description: 'Show server system information',
       usage: '.server',
+      cooldown: { user: 10, thread: 5 },
       adminOnly: false
     };
 
     this.commands['logs'] = {
       handler: this.handleLogs.bind(this),
       description: 'Show recent bot activity logs',
-      usage: '.logs [count]',
+      args: [
+        { name: 'count', type: 'integer', default: 10, min: 1 }
+      ],
+      adminOnly: true
+    };
+
+    this.commands['prefix'] = {
+      handler: this.handlePrefix.bind(this),
+      description: 'Show or change the command prefix for this chat',
+      args: [
+        { name: 'prefix', type: 'string', label: 'new prefix|reset' }
+      ],
+      adminOnly: true
+    };
+
+    this.commands['accounts'] = {
+      handler: this.handleAccounts.bind(this),
+      description: 'List the Instagram accounts this bot runs',
+      usage: '.accounts',
+      adminOnly: true
+    };
+
+    this.commands['reconnect'] = {
+      handler: this.handleReconnect.bind(this),
+      description: 'Retry lost Instagram connections now, also after the supervisor gave up',
+      usage: '.reconnect',
       adminOnly: true
     };
 
     this.commands['restart'] = {
       handler: this.handleRestart.bind(this),
-      description: 'Restart the bot',
-      usage: '.restart',
+      description: 'Restart the bot process, keeping sessions and state',
+      flags: {
+        yes: { type: 'boolean', short: 'y', description: 'Skip the confirmation' }
+      },
+      adminOnly: true
+    };
+
+    this.commands['crashes'] = {
+      handler: this.handleCrashes.bind(this),
+      description: 'Show recent crash reports',
+      args: [
+        { name: 'count', type: 'integer', default: 5, min: 1, max: 20 }
+      ],
+      adminOnly: true
+    };
+
+    this.commands['pipeline'] = {
+      handler: this.handlePipeline.bind(this),
+      description: 'Show the message pipeline in run order with timings',
+      usage: '.pipeline',
       adminOnly: true
     };
   }
@@ -70,14 +130,24 @@ export class CoreModule {
     const uptime = this.getUptime();
     const memUsage = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
     
+    const loadErrors = this.moduleManager?.getLoadErrors().length || 0;
+    const outbox = this.instagramBot.getOutboxStatus();
+    const configWarnings = validateConfig().results.filter(result => result.level !== 'ok').length;
+    const connection = this.instagramBot.supervisor.getStatus();
+    
     const status = `🚀 **Bot Status**\n\n` +
-      `✅ Status: Online\n` +
+      `${CONNECTION_ICONS[connection.state]} Connection: ${connection.state}${connection.reason ? ` (${connection.reason})` : ''}\n` +
       `⏱️ Uptime: ${uptime}\n` +
       `📊 Messages: ${this.messageCount}\n` +
       `🎯 Commands: ${this.commandCount}\n` +
-      `💾 Memory: ${memUsage}MB`;
+      `💾 Memory: ${memUsage}MB\n` +
+      `📬 Outbox: ${outbox.queued} queued, ${outbox.retrying} retrying, ${outbox.sent} sent, ${outbox.failed} failed\n` +
+      `🔐 Config: ${configWarnings ? `${configWarnings} warning(s)` : 'OK'}` +
+      (outbox.paused ? `\n🛑 Sending paused until ${outbox.pausedUntil.toLocaleTimeString()}` : '') +
+      (loadErrors ? `\n⚠️ Load errors: ${loadErrors}` : '') +
+      (this.accounts?.list().length > 1 ? `\n👤 Account: ${this.account.id} (@${this.account.username})` : '');
 
-    await this.sendReply(message, status);
+    await this.sendReply(message, redact(status));
   }
 
   async handleServer(args, message) {
@@ -92,8 +162,8 @@ export class CoreModule {
     await this.sendReply(message, serverInfo);
   }
 
-  async handleLogs(args, message) {
-    const count = Math.min(parseInt(args[0]) || 10, this.maxLogBuffer);
+  async handleLogs(args, message, params) {
+    const count = Math.min(params.count, this.maxLogBuffer);
     const logs = this.logBuffer.slice(-count);
     
     if (logs.length === 0) {
@@ -105,14 +175,97 @@ export class CoreModule {
     await this.sendReply(message, logsMessage);
   }
 
-  async handleRestart(args, message) {
-    await this.sendReply(message, '🔄 Restarting...');
-    setTimeout(() => process.exit(0), 1000);
+  async handlePrefix(args, message, params) {
+    const current = prefixes.getPrefix(message.threadId);
+
+    if (!params.prefix) {
+      const aliases = prefixes.getPrefixes(message.threadId).filter(prefix => prefix !== current);
+      const mentions = prefixes.getMentions(this.instagramBot.account?.username);
+      await this.sendReply(message, `🔤 **Command Prefix**\n\n` +
+        `➡️ This chat: \`${current}\`\n` +
+        `🌐 Global: \`${prefixes.getGlobalPrefix()}\`` +
+        (aliases.length ? `\n🔁 Aliases: ${aliases.map(prefix => `\`${prefix}\``).join(', ')}` : '') +
+        (mentions.length ? `\n📣 Mention: ${mentions.join(', ')}` : ''));
+      return;
+    }
+
+    if (params.prefix.toLowerCase() === 'reset') {
+      await prefixes.clearThreadPrefix(message.threadId);
+      await this.sendReply(message, `✅ Prefix reset to \`${prefixes.getGlobalPrefix()}\``);
+      return;
+    }
+
+    const invalid = prefixes.validate(params.prefix);
+    if (invalid) {
+      await this.sendReply(message, `❌ ${invalid}`);
+      return;
+    }
+
+    await prefixes.setThreadPrefix(message.threadId, params.prefix, message.senderUsername);
+    await this.sendReply(message, `✅ Prefix for this chat is now \`${params.prefix}\``);
+  }
+
+  async handleAccounts(args, message) {
+    const accounts = this.accounts?.getStatus() || [{
+      id: this.account.id, username: this.account.username, status: 'running',
+      connection: this.instagramBot.supervisor.state, modules: this.moduleManager?.modules.length || 0
+    }];
+    const icons = { running: '🟢', starting: '🟡', failed: '🔴', stopped: '⚪' };
+
+    const lines = accounts.map(account =>
+      `${icons[account.status] || '⚪'} ${account.id} (@${account.username}) — ${account.status}` +
+      (account.status === 'running' ? `, ${CONNECTION_ICONS[account.connection] || ''} ${account.connection}, ${account.modules} modules` : '') +
+      (account.id === this.account.id ? ' 👈' : '') +
+      (account.error ? `\n   ⚠️ ${account.error}` : ''));
+    await this.sendReply(message, redact(`👥 **Accounts (${accounts.length})**\n\n${lines.join('\n')}`));
+  }
+
+  async handleReconnect(args, message) {
+    const supervisor = this.instagramBot.supervisor;
+    const down = Object.values(supervisor.getStatus().channels).filter(channel => channel.status !== 'up');
+    if (!down.length) {
+      await this.sendReply(message, `${CONNECTION_ICONS.online} All connections are up`);
+      return;
+    }
+
+    supervisor.reconnect();
+    await this.sendReply(message, `🔁 Reconnecting ${down.map(channel => channel.label).join(', ')}...`);
+  }
+
+  async handleRestart(args, message, params) {
+    if (!params.yes && !(await message.confirm('🔄 Restart the bot?'))) return;
+    await this.sendReply(message, lifecycle.supervised ? '🔄 Restarting...' : '🔄 Restarting (exiting for the process manager)...');
+    await lifecycle.restart({
+      reason: 'restart',
+      requestedBy: message.senderUsername,
+      threadId: message.threadId,
+      account: this.account.id
+    });
+  }
+
+  async handlePipeline(args, message) {
+    const lines = this.moduleManager.pipeline.getStatus().map(entry =>
+      `${entry.priority} ${entry.name}: ${entry.runs} runs, ${entry.avgTime.toFixed(1)}ms avg, ${entry.maxTime.toFixed(1)}ms max` +
+      (entry.stopped ? `, ${entry.stopped} stopped` : '') +
+      (entry.errors ? `, ⚠️ ${entry.errors} errors` : ''));
+    await this.sendReply(message, `🧵 **Message pipeline**\n\n${lines.join('\n')}`);
+  }
+
+  async handleCrashes(args, message, params) {
+    const reports = await crashReporter.list(params.count);
+    if (!reports.length) {
+      await this.sendReply(message, '✅ No crash reports');
+      return;
+    }
+
+    const lines = reports.map(report =>
+      `${report.fatal ? '💥' : '⚠️'} ${new Date(report.at).toLocaleString()} — ${crashReporter.describe(report)}\n   ${report.name}: ${report.message}`);
+    await this.sendReply(message, `🧯 **Recent crashes (${reports.length})**\n\n${lines.join('\n')}`);
   }
 
   async sendReply(message, text) {
     this.commandCount++;
-    return await this.instagramBot.sendMessage(message.threadId, text);
+    return await message.reply(text);
   }
 
   getUptime() {
@@ -129,7 +282,7 @@ export class CoreModule {
   }
 
   addToLogBuffer(entry) {
-    this.logBuffer.push(entry);
+    this.logBuffer.push(redact(entry));
     if (this.logBuffer.length > this.maxLogBuffer) {
       this.logBuffer.shift();
     }
@@ -1,16 +1,24 @@
 import { EventEmitter } from 'events';
 import { logger } from '../utils/logger.js';
-import { config } from '../config.js';
-import { connectDb } from '../utils/db.js';
+import { settings } from '../core/settings.js';
 
 export class FollowersRealtimeModule extends EventEmitter {
-  constructor(instagramClient) {
+  static manifest = {
+    name: 'followers-realtime',
+    version: '1.0.0',
+    description: 'Real-time followers management with event-based automation',
+    requiredConfig: ['followers.welcomeMessage'],
+    // Registers the same commands as the polling followers module
+    conflicts: ['followers'],
+    enabledByDefault: false
+  };
+
+  constructor(context) {
     super();
-    this.instagramClient = instagramClient;
-    this.name = 'followers';
-    this.description = 'Real-time followers management with event-based automation';
+    this.instagramClient = context.bot;
+    this.storage = context.storage;
+    this.scheduler = context.scheduler;
     
-    this.db = null;
     this.collection = null;
     this.followersCache = new Map();
     this.followingCache = new Map();
@@ -21,14 +29,17 @@ export class FollowersRealtimeModule extends EventEmitter {
     
     this.commands = {};
     this.setupCommands();
+  }
+
+  async onReady() {
+    // Loading the initial followers can take a while, don't hold up the other modules
     this.initializeDatabase();
     this.setupEventListeners();
   }
 
   async initializeDatabase() {
     try {
-      this.db = await connectDb();
-      this.collection = this.db.collection('followers_realtime');
+      this.collection = this.storage?.collection('followers_realtime') || null;
       await this.loadInitialData();
     } catch (error) {
       logger.error('Failed to initialize followers database:', error.message);
@@ -37,24 +48,31 @@ export class FollowersRealtimeModule extends EventEmitter {
 
   async loadInitialData() {
     try {
-      // Load current followers and following only once at startup
-      const followers = await this.instagramClient.getFollowers();
-      const following = await this.instagramClient.getFollowing();
-      
-      followers.forEach(user => {
-        this.followersCache.set(user.pk.toString(), {
-          username: user.username,
-          fullName: user.full_name,
-          isPrivate: user.is_private,
-          followedAt: new Date()
+      // Followers from the stored snapshot; the bot's reconciliation keeps it
+      // current and announces changes. Only a first run waits for a full sync.
+      const sync = this.instagramClient.followerSync;
+      let followers = await sync.getSnapshot('followers');
+      if (!followers.length) {
+        await sync.sync('followers');
+        followers = await sync.getSnapshot('followers');
+      }
+      await sync.sync('following');
+      const following = await sync.getSnapshot('following');
+
+      followers.forEach(entry => {
+        this.followersCache.set(entry.userId, {
+          username: entry.username,
+          fullName: entry.fullName,
+          isPrivate: entry.isPrivate,
+          followedAt: entry.since
         });
       });
 
-      following.forEach(user => {
-        this.followingCache.set(user.pk.toString(), {
-          username: user.username,
-          fullName: user.full_name,
-          followedAt: new Date()
+      following.forEach(entry => {
+        this.followingCache.set(entry.userId, {
+          username: entry.username,
+          fullName: entry.fullName,
+          followedAt: entry.since
         });
       });
 
@@ -65,37 +83,32 @@ export class FollowersRealtimeModule extends EventEmitter {
   }
 
   setupEventListeners() {
-    // Listen for new followers in real-time (no polling!)
-    this.instagramClient.on('newFollower', async (user) => {
-      await this.handleNewFollower(user);
-    });
-
-    // Listen for user followed events
-    this.instagramClient.on('userFollowed', async (userId) => {
-      await this.handleUserFollowed(userId);
-    });
-
-    // Listen for user unfollowed events
-    this.instagramClient.on('userUnfollowed', async (userId) => {
-      await this.handleUserUnfollowed(userId);
-    });
-
-    // Listen for follow request approved events
-    this.instagramClient.on('followRequestApproved', async (userId) => {
-      await this.handleFollowRequestApproved(userId);
-    });
+    // Kept so onUnload() can detach them when the module is reloaded
+    this.listeners = {
+      // Listen for new followers in real-time (no polling!)
+      newFollower: async (user) => await this.handleNewFollower(user),
+      // Listen for user followed events
+      userFollowed: async (userId) => await this.handleUserFollowed(userId),
+      // Listen for user unfollowed events
+      userUnfollowed: async (userId) => await this.handleUserUnfollowed(userId),
+      // Listen for follow requests to the private account
+      followRequest: async (user) => await this.handleFollowRequest(user),
+      // Listen for follow request approved events
+      followRequestApproved: async (userId) => await this.handleFollowRequestApproved(userId),
+      // Listen for message request approved events
+      messageRequestApproved: async (threadId) => await this.handleMessageRequestApproved(threadId)
+    };
 
-    // Listen for message request approved events
-    this.instagramClient.on('messageRequestApproved', async (threadId) => {
-      await this.handleMessageRequestApproved(threadId);
-    });
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.instagramClient.on(event, listener);
+    }
 
     // Process follow queue periodically (but only when needed)
-    setInterval(() => {
+    this.scheduler.every('follow-queue', 30000, async () => { // Check every 30 seconds
       if (this.followQueue.length > 0) {
-        this.processFollowQueue();
+        await this.processFollowQueue();
       }
-    }, 30000); // Check every 30 seconds
+    });
 
     logger.info('🎯 Real-time followers event listeners setup complete');
   }
@@ -105,6 +118,7 @@ export class FollowersRealtimeModule extends EventEmitter {
       handler: this.handleFollowersCommand.bind(this),
       description: 'Show followers statistics',
       usage: '.followers',
+      cooldown: { user: 10, thread: 5 },
       adminOnly: false
     };
 
@@ -112,41 +126,55 @@ export class FollowersRealtimeModule extends EventEmitter {
       handler: this.handleFollowingCommand.bind(this),
       description: 'Show following statistics',
       usage: '.following',
+      cooldown: { user: 10, thread: 5 },
       adminOnly: false
     };
 
     this.commands['follow'] = {
       handler: this.handleFollowCommand.bind(this),
       description: 'Follow a user by username',
-      usage: '.follow <username>',
+      args: [
+        { name: 'username', type: 'username', required: true }
+      ],
       adminOnly: true
     };
 
     this.commands['unfollow'] = {
       handler: this.handleUnfollowCommand.bind(this),
       description: 'Unfollow a user by username',
-      usage: '.unfollow <username>',
+      args: [
+        { name: 'username', type: 'username', required: true }
+      ],
+      flags: {
+        yes: { type: 'boolean', short: 'y', description: 'Skip the confirmation' }
+      },
       adminOnly: true
     };
 
     this.commands['autofollow'] = {
       handler: this.handleAutoFollowCommand.bind(this),
       description: 'Toggle auto follow back',
-      usage: '.autofollow [on|off]',
+      args: [
+        { name: 'state', type: 'string', choices: ['on', 'off'] }
+      ],
       adminOnly: true
     };
 
     this.commands['autorequests'] = {
       handler: this.handleAutoRequestsCommand.bind(this),
       description: 'Toggle auto accept follow requests',
-      usage: '.autorequests [on|off]',
+      args: [
+        { name: 'state', type: 'string', choices: ['on', 'off'] }
+      ],
       adminOnly: true
     };
 
     this.commands['automessage'] = {
       handler: this.handleAutoMessageCommand.bind(this),
       description: 'Toggle auto message new followers',
-      usage: '.automessage [on|off]',
+      args: [
+        { name: 'state', type: 'string', choices: ['on', 'off'] }
+      ],
       adminOnly: true
     };
 
@@ -169,10 +197,6 @@ export class FollowersRealtimeModule extends EventEmitter {
     return this.commands;
   }
 
-  async process(message) {
-    return message;
-  }
-
   // Real-time event handlers (NO POLLING!)
   async handleNewFollower(user) {
     try {
@@ -194,17 +218,17 @@ export class FollowersRealtimeModule extends EventEmitter {
       logger.info(`👤 New follower detected: @${user.username}`);
 
       // Auto follow back if enabled
-      if (config.followers.autoFollowBack && !this.followingCache.has(userId)) {
+      if (settings.get('followers.autoFollowBack') && !this.followingCache.has(userId)) {
         await this.queueFollow(userId, user.username);
       }
 
       // Auto message new follower if enabled
-      if (config.followers.autoMessageNewFollowers) {
+      if (settings.get('followers.autoMessageNewFollowers')) {
         try {
           // Create or get private chat
           const privateChat = await user.fetchPrivateChat();
           if (privateChat) {
-            await privateChat.sendMessage(config.followers.welcomeMessage);
+            await privateChat.sendMessage(settings.get('followers.welcomeMessage'), { priority: 'low' });
             logger.info(`💬 Sent welcome message to @${user.username}`);
           }
         } catch (error) {
@@ -262,6 +286,18 @@ export class FollowersRealtimeModule extends EventEmitter {
     }
   }
 
+  async handleFollowRequest(user) {
+    try {
+      if (!settings.get('followers.autoAcceptRequests')) return;
+      const success = await this.instagramClient.approveFollowRequest(user.id);
+      if (success) {
+        logger.info(`🤖 Auto-approved follow request from @${user.username}`);
+      }
+    } catch (error) {
+      logger.error('Error handling follow request:', error.message);
+    }
+  }
+
   async handleFollowRequestApproved(userId) {
     try {
       logger.info(`✅ Follow request approved for user ${userId}`);
@@ -287,12 +323,12 @@ export class FollowersRealtimeModule extends EventEmitter {
     const stats = `👥 **Followers Statistics**\n\n` +
       `👤 Followers: ${followersCount}\n` +
       `➡️ Following: ${followingCount}\n` +
-      `🔄 Auto Follow Back: ${config.followers.autoFollowBack ? 'ON' : 'OFF'}\n` +
-      `✅ Auto Accept Requests: ${config.followers.autoAcceptRequests ? 'ON' : 'OFF'}\n` +
-      `💬 Auto Message: ${config.followers.autoMessageNewFollowers ? 'ON' : 'OFF'}\n` +
+      `🔄 Auto Follow Back: ${settings.get('followers.autoFollowBack') ? 'ON' : 'OFF'}\n` +
+      `✅ Auto Accept Requests: ${settings.get('followers.autoAcceptRequests') ? 'ON' : 'OFF'}\n` +
+      `💬 Auto Message: ${settings.get('followers.autoMessageNewFollowers') ? 'ON' : 'OFF'}\n` +
       `⏳ Follow Queue: ${this.followQueue.length} pending`;
 
-    await this.sendReply(message, stats);
+    await message.reply(stats);
   }
 
   async handleFollowingCommand(args, message) {
@@ -305,115 +341,107 @@ export class FollowersRealtimeModule extends EventEmitter {
       `${following || 'No one followed yet'}\n\n` +
       `${this.followingCache.size > 10 ? '...and more' : ''}`;
 
-    await this.sendReply(message, response);
+    await message.reply(response);
   }
 
-  async handleFollowCommand(args, message) {
-    if (!args[0]) {
-      await this.sendReply(message, '❌ Please provide a username');
-      return;
-    }
-
-    const username = args[0].replace('@', '');
+  async handleFollowCommand(args, message, params) {
+    const { username } = params;
     
     try {
       const user = await this.instagramClient.searchUser(username);
       if (!user) {
-        await this.sendReply(message, `❌ User @${username} not found`);
+        await message.reply(`❌ User @${username} not found`);
         return;
       }
 
       if (this.followingCache.has(user.pk.toString())) {
-        await this.sendReply(message, `ℹ️ Already following @${username}`);
+        await message.reply(`ℹ️ Already following @${username}`);
         return;
       }
 
       const success = await this.instagramClient.followUser(user.pk);
       if (success) {
-        await this.sendReply(message, `✅ Successfully followed @${username}`);
+        await message.reply(`✅ Successfully followed @${username}`);
       } else {
-        await this.sendReply(message, `❌ Failed to follow @${username}`);
+        await message.reply(`❌ Failed to follow @${username}`);
       }
     } catch (error) {
-      await this.sendReply(message, `❌ Error: ${error.message}`);
+      await message.reply(`❌ Error: ${error.message}`);
     }
   }
 
-  async handleUnfollowCommand(args, message) {
-    if (!args[0]) {
-      await this.sendReply(message, '❌ Please provide a username');
-      return;
-    }
-
-    const username = args[0].replace('@', '');
+  async handleUnfollowCommand(args, message, params) {
+    const { username } = params;
     
     try {
       const user = await this.instagramClient.searchUser(username);
       if (!user) {
-        await this.sendReply(message, `❌ User @${username} not found`);
+        await message.reply(`❌ User @${username} not found`);
         return;
       }
 
       if (!this.followingCache.has(user.pk.toString())) {
-        await this.sendReply(message, `ℹ️ Not following @${username}`);
+        await message.reply(`ℹ️ Not following @${username}`);
         return;
       }
 
+      if (!params.yes && !(await message.confirm(`Unfollow @${username}?`))) return;
+
       const success = await this.instagramClient.unfollowUser(user.pk);
       if (success) {
-        await this.sendReply(message, `✅ Successfully unfollowed @${username}`);
+        await message.reply(`✅ Successfully unfollowed @${username}`);
       } else {
-        await this.sendReply(message, `❌ Failed to unfollow @${username}`);
+        await message.reply(`❌ Failed to unfollow @${username}`);
       }
     } catch (error) {
-      await this.sendReply(message, `❌ Error: ${error.message}`);
+      await message.reply(`❌ Error: ${error.message}`);
     }
   }
 
-  async handleAutoFollowCommand(args, message) {
-    const action = args[0]?.toLowerCase();
+  async handleAutoFollowCommand(args, message, params) {
+    const action = params.state;
     
     if (action === 'on') {
-      config.followers.autoFollowBack = true;
-      await this.sendReply(message, '✅ Auto follow back enabled');
+      await settings.set('followers.autoFollowBack', true, message.senderUsername);
+      await message.reply('✅ Auto follow back enabled');
     } else if (action === 'off') {
-      config.followers.autoFollowBack = false;
-      await this.sendReply(message, '❌ Auto follow back disabled');
+      await settings.set('followers.autoFollowBack', false, message.senderUsername);
+      await message.reply('❌ Auto follow back disabled');
     } else {
-      const status = config.followers.autoFollowBack ? 'ON' : 'OFF';
-      await this.sendReply(message, `🔄 Auto follow back is currently: ${status}`);
+      const status = settings.get('followers.autoFollowBack') ? 'ON' : 'OFF';
+      await message.reply(`🔄 Auto follow back is currently: ${status}`);
     }
   }
 
-  async handleAutoRequestsCommand(args, message) {
-    const action = args[0]?.toLowerCase();
+  async handleAutoRequestsCommand(args, message, params) {
+    const action = params.state;
     
     if (action === 'on') {
-      config.followers.autoAcceptRequests = true;
-      await this.sendReply(message, '✅ Auto accept requests enabled');
+      await settings.set('followers.autoAcceptRequests', true, message.senderUsername);
+      await message.reply('✅ Auto accept requests enabled');
       // Start processing existing requests
       this.processFollowRequests();
     } else if (action === 'off') {
-      config.followers.autoAcceptRequests = false;
-      await this.sendReply(message, '❌ Auto accept requests disabled');
+      await settings.set('followers.autoAcceptRequests', false, message.senderUsername);
+      await message.reply('❌ Auto accept requests disabled');
     } else {
-      const status = config.followers.autoAcceptRequests ? 'ON' : 'OFF';
-      await this.sendReply(message, `✅ Auto accept requests is currently: ${status}`);
+      const status = settings.get('followers.autoAcceptRequests') ? 'ON' : 'OFF';
+      await message.reply(`✅ Auto accept requests is currently: ${status}`);
     }
   }
 
-  async handleAutoMessageCommand(args, message) {
-    const action = args[0]?.toLowerCase();
+  async handleAutoMessageCommand(args, message, params) {
+    const action = params.state;
     
     if (action === 'on') {
-      config.followers.autoMessageNewFollowers = true;
-      await this.sendReply(message, '✅ Auto message new followers enabled');
+      await settings.set('followers.autoMessageNewFollowers', true, message.senderUsername);
+      await message.reply('✅ Auto message new followers enabled');
     } else if (action === 'off') {
-      config.followers.autoMessageNewFollowers = false;
-      await this.sendReply(message, '❌ Auto message new followers disabled');
+      await settings.set('followers.autoMessageNewFollowers', false, message.senderUsername);
+      await message.reply('❌ Auto message new followers disabled');
     } else {
-      const status = config.followers.autoMessageNewFollowers ? 'ON' : 'OFF';
-      await this.sendReply(message, `💬 Auto message new followers is currently: ${status}`);
+      const status = settings.get('followers.autoMessageNewFollowers') ? 'ON' : 'OFF';
+      await message.reply(`💬 Auto message new followers is currently: ${status}`);
     }
   }
 
@@ -422,7 +450,7 @@ export class FollowersRealtimeModule extends EventEmitter {
       const requests = await this.instagramClient.getPendingFollowRequests();
       
       if (requests.length === 0) {
-        await this.sendReply(message, '📭 No pending follow requests');
+        await message.reply('📭 No pending follow requests');
         return;
       }
 
@@ -435,9 +463,9 @@ export class FollowersRealtimeModule extends EventEmitter {
         `${requests.length > 10 ? '...and more\n\n' : ''}` +
         `Use .autorequests on to auto-accept`;
 
-      await this.sendReply(message, response);
+      await message.reply(response);
     } catch (error) {
-      await this.sendReply(message, `❌ Error getting requests: ${error.message}`);
+      await message.reply(`❌ Error getting requests: ${error.message}`);
     }
   }
 
@@ -446,7 +474,7 @@ export class FollowersRealtimeModule extends EventEmitter {
       const requests = await this.instagramClient.getMessageRequests();
       
       if (requests.length === 0) {
-        await this.sendReply(message, '📭 No pending message requests');
+        await message.reply('📭 No pending message requests');
         return;
       }
 
@@ -461,9 +489,9 @@ export class FollowersRealtimeModule extends EventEmitter {
         `${requestsList}\n\n` +
         `${requests.length > 10 ? '...and more' : ''}`;
 
-      await this.sendReply(message, response);
+      await message.reply(response);
     } catch (error) {
-      await this.sendReply(message, `❌ Error getting message requests: ${error.message}`);
+      await message.reply(`❌ Error getting message requests: ${error.message}`);
     }
   }
 
@@ -483,7 +511,7 @@ export class FollowersRealtimeModule extends EventEmitter {
     }
 
     // Check rate limit
-    if (this.followCount >= config.followers.maxFollowsPerHour) {
+    if (this.followCount >= settings.get('followers.maxFollowsPerHour')) {
       logger.debug('Follow rate limit reached, waiting...');
       return;
     }
@@ -496,11 +524,11 @@ export class FollowersRealtimeModule extends EventEmitter {
         const success = await this.instagramClient.followUser(followItem.userId);
         if (success) {
           this.followCount++;
-          logger.info(`🤖 Auto-followed @${followItem.username} (${this.followCount}/${config.followers.maxFollowsPerHour})`);
+          logger.info(`🤖 Auto-followed @${followItem.username} (${this.followCount}/${settings.get('followers.maxFollowsPerHour')})`);
         }
 
         // Random delay between follows
-        const delay = Math.random() * (config.followers.followDelay.max - config.followers.followDelay.min) + config.followers.followDelay.min;
+        const delay = Math.random() * (settings.get('followers.followDelay.max') - settings.get('followers.followDelay.min')) + settings.get('followers.followDelay.min');
         await this.delay(delay);
       }
     } catch (error) {
@@ -512,7 +540,7 @@ export class FollowersRealtimeModule extends EventEmitter {
 
   // Process follow requests (only when auto-accept is enabled)
   async processFollowRequests() {
-    if (!config.followers.autoAcceptRequests) return;
+    if (!settings.get('followers.autoAcceptRequests')) return;
 
     try {
       const requests = await this.instagramClient.getPendingFollowRequests();
@@ -531,16 +559,15 @@ export class FollowersRealtimeModule extends EventEmitter {
     }
   }
 
-  async sendReply(message, text) {
-    return await this.instagramClient.sendMessage(message.threadId, text);
-  }
-
   delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  async cleanup() {
+  async onUnload() {
     logger.info('Cleaning up followers realtime module...');
+    for (const [event, listener] of Object.entries(this.listeners || {})) {
+      this.instagramClient.off(event, listener);
+    }
     this.followQueue = [];
     this.followersCache.clear();
     this.followingCache.clear();
@@ -1,14 +1,19 @@
 import { logger } from '../utils/logger.js';
-import { config } from '../config.js';
-import { connectDb } from '../utils/db.js';
+import { settings } from '../core/settings.js';
 
 export class FollowersModule {
-  constructor(instagramBot) {
-    this.instagramBot = instagramBot;
-    this.name = 'followers';
-    this.description = 'Manage followers, auto-follow, and follow requests';
+  static manifest = {
+    name: 'followers',
+    version: '1.0.0',
+    description: 'Manage followers, auto-follow, and follow requests',
+    requiredConfig: ['followers.checkInterval', 'followers.welcomeMessage']
+  };
+
+  constructor(context) {
+    this.instagramBot = context.bot;
+    this.storage = context.storage;
+    this.scheduler = context.scheduler;
     
-    this.db = null;
     this.collection = null;
     this.followersCache = new Map();
     this.followingCache = new Map();
@@ -19,53 +24,60 @@ export class FollowersModule {
     
     this.commands = {};
     this.setupCommands();
+  }
+
+  async onReady() {
+    // Fetching followers can take a while, don't hold up the other modules
     this.initializeDatabase();
     this.startMonitoring();
+
+    this.onIntervalChange = () => this.startMonitoring();
+    settings.on('change:followers.checkInterval', this.onIntervalChange);
   }
 
   async initializeDatabase() {
     try {
-      this.db = await connectDb();
-      this.collection = this.db.collection('followers_data');
+      this.collection = this.storage?.collection('followers_data') || null;
       await this.loadFollowersCache();
+      // Handles whoever followed while the bot was offline
+      await this.checkNewFollowers();
     } catch (error) {
       logger.error('Failed to initialize followers database:', error.message);
     }
   }
 
+  // Followers come from the stored snapshot (checkNewFollowers syncs it),
+  // following is synced here
   async loadFollowersCache() {
     try {
-      const followers = await this.instagramBot.getFollowers();
-      const following = await this.instagramBot.getFollowing();
-      
-      followers.forEach(user => {
-        this.followersCache.set(user.pk.toString(), {
-          username: user.username,
-          fullName: user.full_name,
-          isPrivate: user.is_private,
-          followedAt: new Date()
-        });
-      });
-
-      following.forEach(user => {
-        this.followingCache.set(user.pk.toString(), {
-          username: user.username,
-          fullName: user.full_name,
-          followedAt: new Date()
-        });
-      });
-
-      logger.info(`Loaded ${followers.length} followers and ${following.length} following`);
+      const sync = this.instagramBot.followerSync;
+      await sync.sync('following');
+      this.fillCache(this.followingCache, await sync.getSnapshot('following'));
+      this.fillCache(this.followersCache, await sync.getSnapshot('followers'));
+      logger.info(`Loaded ${this.followersCache.size} followers and ${this.followingCache.size} following`);
     } catch (error) {
       logger.error('Error loading followers cache:', error.message);
     }
   }
 
+  fillCache(cache, entries) {
+    cache.clear();
+    for (const entry of entries) {
+      cache.set(entry.userId, {
+        username: entry.username,
+        fullName: entry.fullName,
+        isPrivate: entry.isPrivate,
+        followedAt: entry.since
+      });
+    }
+  }
+
   setupCommands() {
     this.commands['followers'] = {
       handler: this.handleFollowersCommand.bind(this),
       description: 'Show followers statistics',
       usage: '.followers',
+      cooldown: { user: 10, thread: 5 },
       adminOnly: false
     };
 
@@ -73,41 +85,55 @@ export class FollowersModule {
       handler: this.handleFollowingCommand.bind(this),
       description: 'Show following statistics',
       usage: '.following',
+      cooldown: { user: 10, thread: 5 },
       adminOnly: false
     };
 
     this.commands['follow'] = {
       handler: this.handleFollowCommand.bind(this),
       description: 'Follow a user by username',
-      usage: '.follow <username>',
+      args: [
+        { name: 'username', type: 'username', required: true }
+      ],
       adminOnly: true
     };
 
     this.commands['unfollow'] = {
       handler: this.handleUnfollowCommand.bind(this),
       description: 'Unfollow a user by username',
-      usage: '.unfollow <username>',
+      args: [
+        { name: 'username', type: 'username', required: true }
+      ],
+      flags: {
+        yes: { type: 'boolean', short: 'y', description: 'Skip the confirmation' }
+      },
       adminOnly: true
     };
 
     this.commands['autofollow'] = {
       handler: this.handleAutoFollowCommand.bind(this),
       description: 'Toggle auto follow back',
-      usage: '.autofollow [on|off]',
+      args: [
+        { name: 'state', type: 'string', choices: ['on', 'off'] }
+      ],
       adminOnly: true
     };
 
     this.commands['autorequests'] = {
       handler: this.handleAutoRequestsCommand.bind(this),
       description: 'Toggle auto accept follow requests',
-      usage: '.autorequests [on|off]',
+      args: [
+        { name: 'state', type: 'string', choices: ['on', 'off'] }
+      ],
       adminOnly: true
     };
 
     this.commands['automessage'] = {
       handler: this.handleAutoMessageCommand.bind(this),
       description: 'Toggle auto message new followers',
-      usage: '.automessage [on|off]',
+      args: [
+        { name: 'state', type: 'string', choices: ['on', 'off'] }
+      ],
       adminOnly: true
     };
 
@@ -130,10 +156,6 @@ export class FollowersModule {
     return this.commands;
   }
 
-  async process(message) {
-    return message;
-  }
-
   async handleFollowersCommand(args, message) {
     const followersCount = this.followersCache.size;
     const followingCount = this.followingCache.size;
@@ -141,11 +163,11 @@ export class FollowersModule {
     const stats = `👥 **Followers Statistics**\n\n` +
       `👤 Followers: ${followersCount}\n` +
       `➡️ Following: ${followingCount}\n` +
-      `🔄 Auto Follow Back: ${config.followers.autoFollowBack ? 'ON' : 'OFF'}\n` +
-      `✅ Auto Accept Requests: ${config.followers.autoAcceptRequests ? 'ON' : 'OFF'}\n` +
-      `💬 Auto Message: ${config.followers.autoMessageNewFollowers ? 'ON' : 'OFF'}`;
+      `🔄 Auto Follow Back: ${settings.get('followers.autoFollowBack') ? 'ON' : 'OFF'}\n` +
+      `✅ Auto Accept Requests: ${settings.get('followers.autoAcceptRequests') ? 'ON' : 'OFF'}\n` +
+      `💬 Auto Message: ${settings.get('followers.autoMessageNewFollowers') ? 'ON' : 'OFF'}`;
 
-    await this.sendReply(message, stats);
+    await message.reply(stats);
   }
 
   async handleFollowingCommand(args, message) {
@@ -158,114 +180,106 @@ export class FollowersModule {
       `${following || 'No one followed yet'}\n\n` +
       `${this.followingCache.size > 10 ? '...and more' : ''}`;
 
-    await this.sendReply(message, response);
+    await message.reply(response);
   }
 
-  async handleFollowCommand(args, message) {
-    if (!args[0]) {
-      await this.sendReply(message, '❌ Please provide a username');
-      return;
-    }
-
-    const username = args[0].replace('@', '');
+  async handleFollowCommand(args, message, params) {
+    const { username } = params;
     
     try {
       const user = await this.instagramBot.ig.user.searchExact(username);
       if (!user) {
-        await this.sendReply(message, `❌ User @${username} not found`);
+        await message.reply(`❌ User @${username} not found`);
         return;
       }
 
       if (this.followingCache.has(user.pk.toString())) {
-        await this.sendReply(message, `ℹ️ Already following @${username}`);
+        await message.reply(`ℹ️ Already following @${username}`);
         return;
       }
 
       const success = await this.followUser(user.pk);
       if (success) {
-        await this.sendReply(message, `✅ Successfully followed @${username}`);
+        await message.reply(`✅ Successfully followed @${username}`);
       } else {
-        await this.sendReply(message, `❌ Failed to follow @${username}`);
+        await message.reply(`❌ Failed to follow @${username}`);
       }
     } catch (error) {
-      await this.sendReply(message, `❌ Error: ${error.message}`);
+      await message.reply(`❌ Error: ${error.message}`);
     }
   }
 
-  async handleUnfollowCommand(args, message) {
-    if (!args[0]) {
-      await this.sendReply(message, '❌ Please provide a username');
-      return;
-    }
-
-    const username = args[0].replace('@', '');
+  async handleUnfollowCommand(args, message, params) {
+    const { username } = params;
     
     try {
       const user = await this.instagramBot.ig.user.searchExact(username);
       if (!user) {
-        await this.sendReply(message, `❌ User @${username} not found`);
+        await message.reply(`❌ User @${username} not found`);
         return;
       }
 
       if (!this.followingCache.has(user.pk.toString())) {
-        await this.sendReply(message, `ℹ️ Not following @${username}`);
+        await message.reply(`ℹ️ Not following @${username}`);
         return;
       }
 
+      if (!params.yes && !(await message.confirm(`Unfollow @${username}?`))) return;
+
       const success = await this.instagramBot.unfollowUser(user.pk);
       if (success) {
         this.followingCache.delete(user.pk.toString());
-        await this.sendReply(message, `✅ Successfully unfollowed @${username}`);
+        await message.reply(`✅ Successfully unfollowed @${username}`);
       } else {
-        await this.sendReply(message, `❌ Failed to unfollow @${username}`);
+        await message.reply(`❌ Failed to unfollow @${username}`);
       }
     } catch (error) {
-      await this.sendReply(message, `❌ Error: ${error.message}`);
+      await message.reply(`❌ Error: ${error.message}`);
     }
   }
 
-  async handleAutoFollowCommand(args, message) {
-    const action = args[0]?.toLowerCase();
+  async handleAutoFollowCommand(args, message, params) {
+    const action = params.state;
     
     if (action === 'on') {
-      config.followers.autoFollowBack = true;
-      await this.sendReply(message, '✅ Auto follow back enabled');
+      await settings.set('followers.autoFollowBack', true, message.senderUsername);
+      await message.reply('✅ Auto follow back enabled');
     } else if (action === 'off') {
-      config.followers.autoFollowBack = false;
-      await this.sendReply(message, '❌ Auto follow back disabled');
+      await settings.set('followers.autoFollowBack', false, message.senderUsername);
+      await message.reply('❌ Auto follow back disabled');
     } else {
-      const status = config.followers.autoFollowBack ? 'ON' : 'OFF';
-      await this.sendReply(message, `🔄 Auto follow back is currently: ${status}`);
+      const status = settings.get('followers.autoFollowBack') ? 'ON' : 'OFF';
+      await message.reply(`🔄 Auto follow back is currently: ${status}`);
     }
   }
 
-  async handleAutoRequestsCommand(args, message) {
-    const action = args[0]?.toLowerCase();
+  async handleAutoRequestsCommand(args, message, params) {
+    const action = params.state;
     
     if (action === 'on') {
-      config.followers.autoAcceptRequests = true;
-      await this.sendReply(message, '✅ Auto accept requests enabled');
+      await settings.set('followers.autoAcceptRequests', true, message.senderUsername);
+      await message.reply('✅ Auto accept requests enabled');
     } else if (action === 'off') {
-      config.followers.autoAcceptRequests = false;
-      await this.sendReply(message, '❌ Auto accept requests disabled');
+      await settings.set('followers.autoAcceptRequests', false, message.senderUsername);
+      await message.reply('❌ Auto accept requests disabled');
     } else {
-      const status = config.followers.autoAcceptRequests ? 'ON' : 'OFF';
-      await this.sendReply(message, `✅ Auto accept requests is currently: ${status}`);
+      const status = settings.get('followers.autoAcceptRequests') ? 'ON' : 'OFF';
+      await message.reply(`✅ Auto accept requests is currently: ${status}`);
     }
   }
 
-  async handleAutoMessageCommand(args, message) {
-    const action = args[0]?.toLowerCase();
+  async handleAutoMessageCommand(args, message, params) {
+    const action = params.state;
     
     if (action === 'on') {
-      config.followers.autoMessageNewFollowers = true;
-      await this.sendReply(message, '✅ Auto message new followers enabled');
+      await settings.set('followers.autoMessageNewFollowers', true, message.senderUsername);
+      await message.reply('✅ Auto message new followers enabled');
     } else if (action === 'off') {
-      config.followers.autoMessageNewFollowers = false;
-      await this.sendReply(message, '❌ Auto message new followers disabled');
+      await settings.set('followers.autoMessageNewFollowers', false, message.senderUsername);
+      await message.reply('❌ Auto message new followers disabled');
     } else {
-      const status = config.followers.autoMessageNewFollowers ? 'ON' : 'OFF';
-      await this.sendReply(message, `💬 Auto message new followers is currently: ${status}`);
+      const status = settings.get('followers.autoMessageNewFollowers') ? 'ON' : 'OFF';
+      await message.reply(`💬 Auto message new followers is currently: ${status}`);
     }
   }
 
@@ -274,7 +288,7 @@ export class FollowersModule {
       const requests = await this.instagramBot.getPendingFollowRequests();
       
       if (requests.length === 0) {
-        await this.sendReply(message, '📭 No pending follow requests');
+        await message.reply('📭 No pending follow requests');
         return;
       }
 
@@ -287,9 +301,9 @@ export class FollowersModule {
         `${requests.length > 10 ? '...and more\n\n' : ''}` +
         `Use .autorequests on to auto-accept`;
 
-      await this.sendReply(message, response);
+      await message.reply(response);
     } catch (error) {
-      await this.sendReply(message, `❌ Error getting requests: ${error.message}`);
+      await message.reply(`❌ Error getting requests: ${error.message}`);
     }
   }
 
@@ -298,7 +312,7 @@ export class FollowersModule {
       const requests = await this.instagramBot.getMessageRequests();
       
       if (requests.length === 0) {
-        await this.sendReply(message, '📭 No pending message requests');
+        await message.reply('📭 No pending message requests');
         return;
       }
 
@@ -313,42 +327,32 @@ export class FollowersModule {
         `${requestsList}\n\n` +
         `${requests.length > 10 ? '...and more' : ''}`;
 
-      await this.sendReply(message, response);
+      await message.reply(response);
     } catch (error) {
-      await this.sendReply(message, `❌ Error getting message requests: ${error.message}`);
+      await message.reply(`❌ Error getting message requests: ${error.message}`);
     }
   }
 
   async startMonitoring() {
-    setInterval(async () => {
+    this.scheduler.every('monitor', settings.get('followers.checkInterval'), async () => {
       await this.checkNewFollowers();
       await this.processFollowRequests();
       await this.processMessageRequests();
       await this.processFollowQueue();
-    }, config.followers.checkInterval);
+    });
 
     logger.info('Followers monitoring started');
   }
 
+  // New followers are the ones the sync added since the previous complete sync
   async checkNewFollowers() {
     try {
-      const currentFollowers = await this.instagramBot.getFollowers();
-      const newFollowers = [];
-
-      for (const follower of currentFollowers) {
-        const userId = follower.pk.toString();
-        if (!this.followersCache.has(userId)) {
-          newFollowers.push(follower);
-          this.followersCache.set(userId, {
-            username: follower.username,
-            fullName: follower.full_name,
-            isPrivate: follower.is_private,
-            followedAt: new Date()
-          });
-        }
-      }
+      const sync = this.instagramBot.followerSync;
+      const { complete, added } = await sync.sync('followers');
+      if (!complete) return;
+      this.fillCache(this.followersCache, await sync.getSnapshot('followers'));
 
-      for (const newFollower of newFollowers) {
+      for (const newFollower of added) {
         await this.handleNewFollower(newFollower);
       }
 
@@ -357,19 +361,20 @@ export class FollowersModule {
     }
   }
 
+  // follower: a snapshot entry (userId, username, fullName, ...)
   async handleNewFollower(follower) {
     logger.info(`New follower detected: @${follower.username}`);
 
     // Auto follow back
-    if (config.followers.autoFollowBack && !this.followingCache.has(follower.pk.toString())) {
-      await this.queueFollow(follower.pk, follower.username);
+    if (settings.get('followers.autoFollowBack') && !this.followingCache.has(follower.userId)) {
+      await this.queueFollow(follower.userId, follower.username);
     }
 
     // Auto message new follower
-    if (config.followers.autoMessageNewFollowers) {
+    if (settings.get('followers.autoMessageNewFollowers')) {
       try {
-        const thread = await this.instagramBot.ig.entity.directThread([follower.pk.toString()]);
-        await this.instagramBot.sendMessage(thread.thread_id, config.followers.welcomeMessage);
+        const chat = await this.instagramBot.client.fetchPrivateChat(follower.userId);
+        await chat.sendMessage(settings.get('followers.welcomeMessage'), { priority: 'low' });
         logger.info(`Sent welcome message to @${follower.username}`);
       } catch (error) {
         logger.error(`Failed to send welcome message to @${follower.username}:`, error.message);
@@ -381,9 +386,9 @@ export class FollowersModule {
       try {
         await this.collection.insertOne({
           type: 'new_follower',
-          userId: follower.pk.toString(),
+          userId: follower.userId,
           username: follower.username,
-          fullName: follower.full_name,
+          fullName: follower.fullName,
           timestamp: new Date()
         });
       } catch (error) {
@@ -393,7 +398,7 @@ export class FollowersModule {
   }
 
   async processFollowRequests() {
-    if (!config.followers.autoAcceptRequests) return;
+    if (!settings.get('followers.autoAcceptRequests')) return;
 
     try {
       const requests = await this.instagramBot.getPendingFollowRequests();
@@ -446,7 +451,7 @@ export class FollowersModule {
     }
 
     // Check rate limit
-    if (this.followCount >= config.followers.maxFollowsPerHour) {
+    if (this.followCount >= settings.get('followers.maxFollowsPerHour')) {
       logger.debug('Follow rate limit reached, waiting...');
       return;
     }
@@ -459,11 +464,11 @@ export class FollowersModule {
         const success = await this.followUser(followItem.userId);
         if (success) {
           this.followCount++;
-          logger.info(`Auto-followed @${followItem.username} (${this.followCount}/${config.followers.maxFollowsPerHour})`);
+          logger.info(`Auto-followed @${followItem.username} (${this.followCount}/${settings.get('followers.maxFollowsPerHour')})`);
         }
 
         // Random delay between follows
-        const delay = Math.random() * (config.followers.followDelay.max - config.followers.followDelay.min) + config.followers.followDelay.min;
+        const delay = Math.random() * (settings.get('followers.followDelay.max') - settings.get('followers.followDelay.min')) + settings.get('followers.followDelay.min');
         await this.delay(delay);
       }
     } catch (error) {
@@ -492,16 +497,13 @@ export class FollowersModule {
     }
   }
 
-  async sendReply(message, text) {
-    return await this.instagramBot.sendMessage(message.threadId, text);
-  }
-
   delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  async cleanup() {
+  async onUnload() {
     logger.info('Cleaning up followers module...');
+    settings.off('change:followers.checkInterval', this.onIntervalChange);
     this.followQueue = [];
     this.followersCache.clear();
     this.followingCache.clear();
@@ -1,8 +1,17 @@
+import { permissions } from '../core/permissions.js';
+import { formatUsage } from '../core/command-parser.js';
+import { prefixes } from '../core/prefixes.js';
+
 export class HelpModule {
-  constructor(moduleManager) {
-    this.moduleManager = moduleManager;
-    this.name = 'help';
-    this.description = 'Dynamic help system';
+  static manifest = {
+    name: 'help',
+    version: '1.0.0',
+    description: 'Dynamic help system'
+  };
+
+  constructor(context) {
+    this.instagramBot = context.bot;
+    this.moduleManager = context.manager;
     this.commands = {};
     this.setupCommands();
   }
@@ -11,7 +20,11 @@ export class HelpModule {
     this.commands['help'] = {
       handler: this.handleHelp.bind(this),
       description: 'Show help for commands or modules',
-      usage: '.help [command|module]',
+      aliases: ['h', 'commands'],
+      cooldown: { user: 10, thread: 3 },
+      args: [
+        { name: 'query', type: 'string', label: 'command|module' }
+      ],
       adminOnly: false
     };
   }
@@ -20,12 +33,9 @@ export class HelpModule {
     return this.commands;
   }
 
-  async process(message) {
-    return message;
-  }
-
-  async handleHelp(args, message) {
-    const query = args[0]?.toLowerCase();
+  async handleHelp(args, message, params) {
+    const query = params.query?.toLowerCase();
+    const prefix = prefixes.getPrefix(message.threadId);
     
     if (!query) {
       // Show all commands organized by module
@@ -34,6 +44,7 @@ export class HelpModule {
       
       // Group commands by module
       for (const [name, cmd] of allCommands) {
+        if (!this.moduleManager.isModuleEnabled(cmd.module, message.threadId)) continue;
         const moduleName = cmd.moduleName;
         if (!moduleGroups[moduleName]) {
           moduleGroups[moduleName] = [];
@@ -46,27 +57,28 @@ export class HelpModule {
       for (const [moduleName, commands] of Object.entries(moduleGroups)) {
         helpText += `**${moduleName.toUpperCase()}:**\n`;
         for (const cmd of commands) {
-          helpText += `• \`.${cmd.name}\` - ${cmd.description}\n`;
+          helpText += `• \`${prefix}${cmd.name}\` - ${cmd.description}\n`;
         }
         helpText += `\n`;
       }
       
-      helpText += `💡 Use \`.help <command>\` for detailed help`;
+      helpText += `💡 Use \`${prefix}help <command>\` for detailed help`;
       
-      await this.sendReply(message, helpText);
+      await message.reply(helpText);
       return;
     }
 
     // Check if it's a specific command
     const command = this.moduleManager.getCommand(query);
     if (command) {
-      const helpText = `🎯 **${query}**\n\n` +
+      const helpText = `🎯 **${command.name}**\n\n` +
         `📝 ${command.description}\n` +
-        `💡 Usage: \`${command.usage}\`\n` +
+        `💡 Usage: \`${formatUsage(command.name, command, prefix)}\`\n` +
+        (command.aliases?.length ? `🔁 Aliases: ${command.aliases.map(alias => `\`${prefix}${alias}\``).join(', ')}\n` : '') +
         `🔧 Module: ${command.moduleName}` +
-        (command.adminOnly ? '\n⚠️ Admin only' : '');
+        (permissions.getRequiredRole(command) !== 'user' ? `\n⚠️ Requires ${permissions.getRequiredRole(command)} role` : '');
       
-      await this.sendReply(message, helpText);
+      await message.reply(helpText);
       return;
     }
 
@@ -75,22 +87,19 @@ export class HelpModule {
     if (module) {
       const commands = module.getCommands();
       const commandList = Object.entries(commands)
-        .map(([name, cmd]) => `• \`.${name}\` - ${cmd.description}`)
+        .map(([name, cmd]) => `• \`${prefix}${name}\` - ${cmd.description}`)
         .join('\n');
       
       const helpText = `🔌 **${module.name} Module**\n\n` +
         `📝 ${module.description}\n\n` +
         `**Commands:**\n${commandList || 'No commands'}`;
       
-      await this.sendReply(message, helpText);
+      await message.reply(helpText);
       return;
     }
 
-    await this.sendReply(message, `❌ '${query}' not found`);
-  }
-
-  async sendReply(message, text) {
-    const coreModule = this.moduleManager.getModule('core');
-    return await coreModule.instagramBot.sendMessage(message.threadId, text);
+    const suggestions = this.moduleManager.suggestCommands(query);
+    await message.reply(`❌ '${query}' not found` +
+      (suggestions.length ? `\n💡 Did you mean: ${suggestions.map(name => `${prefix}${name}`).join(', ')}?` : ''));
   }
 }
\ No newline at end of file
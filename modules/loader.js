@@ -0,0 +1,203 @@
+import { moduleStore } from '../core/module-store.js';
+
+// The loader cannot unload itself, otherwise .load would be gone until restart
+const PROTECTED_FILES = ['loader.js'];
+
+export class LoaderModule {
+  static manifest = {
+    name: 'loader',
+    version: '1.0.0',
+    description: 'Load, unload, enable and configure modules'
+  };
+
+  constructor(context) {
+    this.instagramBot = context.bot;
+    this.commands = {};
+    this.setupCommands();
+  }
+
+  setupCommands() {
+    this.commands['reload'] = {
+      handler: this.handleReload.bind(this),
+      description: 'Reload a module from disk, or all modules',
+      args: [
+        { name: 'module', type: 'string' }
+      ],
+      adminOnly: true
+    };
+
+    this.commands['load'] = {
+      handler: this.handleLoad.bind(this),
+      description: 'Load a module file from ./modules',
+      args: [
+        { name: 'module', type: 'string', required: true }
+      ],
+      adminOnly: true
+    };
+
+    this.commands['unload'] = {
+      handler: this.handleUnload.bind(this),
+      description: 'Unload a running module',
+      args: [
+        { name: 'module', type: 'string', required: true }
+      ],
+      adminOnly: true
+    };
+
+    this.commands['module'] = {
+      handler: this.handleModule.bind(this),
+      description: 'List, enable, disable or configure modules',
+      args: [
+        { name: 'action', type: 'string', choices: ['list', 'enable', 'disable', 'config', 'reset'], default: 'list' },
+        { name: 'module', type: 'string' },
+        { name: 'key', type: 'string' },
+        { name: 'value', type: 'string', rest: true }
+      ],
+      flags: {
+        here: { type: 'boolean', description: 'Only apply in this chat' }
+      },
+      adminOnly: true
+    };
+  }
+
+  getCommands() {
+    return this.commands;
+  }
+
+  async handleReload(args, message, params) {
+    if (!params.module) {
+      const files = [...this.moduleManager.moduleFiles.keys()].filter(file => !PROTECTED_FILES.includes(file));
+      const failed = [];
+      for (const file of files) {
+        try {
+          await this.moduleManager.reloadModule(file);
+        } catch (error) {
+          failed.push(`• ${file}: ${error.message}`);
+        }
+      }
+      await message.reply(failed.length
+        ? `⚠️ Reloaded ${files.length - failed.length}/${files.length} modules\n\n${failed.join('\n')}`
+        : `♻️ Reloaded ${files.length} modules`);
+      return;
+    }
+
+    const filename = this.moduleManager.resolveModuleFile(params.module);
+    if (!filename || !this.moduleManager.moduleFiles.has(filename)) {
+      await message.reply(`❌ Module ${params.module} is not loaded`);
+      return;
+    }
+
+    try {
+      await this.moduleManager.reloadModule(filename);
+      await message.reply(`♻️ Reloaded ${filename}`);
+    } catch (error) {
+      await message.reply(`❌ Reload of ${filename} failed, the previous version is still running:\n${error.message}`);
+    }
+  }
+
+  async handleLoad(args, message, params) {
+    const filename = this.moduleManager.resolveModuleFile(params.module);
+    if (!filename) {
+      await message.reply(`❌ No module file found for ${params.module}`);
+      return;
+    }
+    if (this.moduleManager.moduleFiles.has(filename)) {
+      await message.reply(`ℹ️ ${filename} is already loaded, use reload instead`);
+      return;
+    }
+
+    try {
+      const module = await this.moduleManager.reloadModule(filename);
+      const commands = Object.keys(module.getCommands?.() || {}).length;
+      await message.reply(`✅ Loaded ${filename} (${commands} commands)`);
+    } catch (error) {
+      await message.reply(`❌ Failed to load ${filename}: ${error.message}`);
+    }
+  }
+
+  async handleUnload(args, message, params) {
+    const filename = this.moduleManager.resolveModuleFile(params.module);
+    if (!filename || !this.moduleManager.moduleFiles.has(filename)) {
+      await message.reply(`❌ Module ${params.module} is not loaded`);
+      return;
+    }
+    if (PROTECTED_FILES.includes(filename)) {
+      await message.reply(`❌ ${filename} cannot be unloaded`);
+      return;
+    }
+
+    try {
+      await this.moduleManager.unloadModule(filename);
+      await message.reply(`🗑️ Unloaded ${filename}`);
+    } catch (error) {
+      await message.reply(`❌ Failed to unload ${filename}: ${error.message}`);
+    }
+  }
+
+  async handleModule(args, message, params) {
+    const { action, module: name, key, value, here } = params;
+
+    if (action === 'list') {
+      await message.reply(await this.formatModuleList(message.threadId));
+      return;
+    }
+
+    if (!name) {
+      await message.reply(`❌ Missing module name for ${action}`);
+      return;
+    }
+
+    try {
+      if (action === 'enable' || action === 'disable') {
+        const enabled = action === 'enable';
+        const manifest = await this.moduleManager.setModuleEnabled(name, enabled, here ? message.threadId : null);
+        await message.reply(`${enabled ? '✅ Enabled' : '⏸️ Disabled'} ${manifest.name}${here ? ' in this chat' : ''}`);
+        return;
+      }
+
+      const entry = await this.moduleManager.findAvailableModule(name);
+      if (!entry?.manifest) {
+        await message.reply(`❌ Unknown module: ${name}`);
+        return;
+      }
+      const { manifest } = entry;
+
+      if (action === 'reset') {
+        await moduleStore.resetConfig(manifest, key || null);
+        await message.reply(`♻️ Reset ${key ? `${manifest.name}.${key}` : `all settings of ${manifest.name}`} to defaults`);
+        return;
+      }
+
+      if (!key) {
+        const current = moduleStore.getConfig(manifest);
+        const lines = Object.entries(current).map(([configKey, configValue]) => `• ${configKey}: ${JSON.stringify(configValue)}`);
+        await message.reply(`⚙️ **${manifest.name} config**\n\n${lines.join('\n') || 'No settings'}`);
+        return;
+      }
+
+      if (value === undefined) {
+        await message.reply(`⚙️ ${manifest.name}.${key} = ${JSON.stringify(moduleStore.getConfig(manifest)[key])}`);
+        return;
+      }
+
+      const stored = await moduleStore.setConfig(manifest, key, value);
+      await message.reply(`✅ ${manifest.name}.${key} = ${JSON.stringify(stored)}`);
+    } catch (error) {
+      await message.reply(`❌ ${error.message}`);
+    }
+  }
+
+  async formatModuleList(threadId) {
+    const available = await this.moduleManager.listAvailableModules();
+    const lines = available.map(({ filename, manifest, module, error }) => {
+      if (!manifest) return `• ❌ ${filename}: ${error}`;
+      const threadSwitch = moduleStore.getThreadSwitch(manifest.name, threadId);
+      const status = !module ? '⏸️' : threadSwitch === false ? '🔇' : '✅';
+      const scope = threadSwitch === undefined ? '' : threadSwitch ? ' (on here)' : ' (off here)';
+      return `• ${status} ${manifest.name} v${manifest.version}${scope}`;
+    });
+
+    return `🧩 **Modules**\n\n${lines.join('\n')}\n\n` +
+      `✅ loaded  ⏸️ disabled  🔇 off in this chat`;
+  }
+}
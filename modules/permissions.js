@@ -0,0 +1,216 @@
+import { config } from '../config.js';
+import { permissions, ROLES } from '../core/permissions.js';
+
+export class PermissionsModule {
+  static manifest = {
+    name: 'permissions',
+    version: '1.0.0',
+    description: 'Role-based command permissions'
+  };
+
+  constructor(context) {
+    this.instagramBot = context.bot;
+    this.commands = {};
+    this.setupCommands();
+  }
+
+  setupCommands() {
+    const targetArgs = [
+      { name: 'username', type: 'username', required: true, label: '@user' },
+      { name: 'target', type: 'string', required: true, label: 'role|command:name|module:name' }
+    ];
+    const scopeFlags = {
+      here: { type: 'boolean', description: 'Only apply in this chat' }
+    };
+
+    this.commands['grant'] = {
+      handler: this.handleGrant.bind(this),
+      description: 'Give a user a role, or access to a command or module',
+      args: targetArgs,
+      flags: scopeFlags,
+      adminOnly: true
+    };
+
+    this.commands['revoke'] = {
+      handler: this.handleRevoke.bind(this),
+      description: 'Remove a role, or deny a command or module',
+      args: targetArgs,
+      flags: scopeFlags,
+      adminOnly: true
+    };
+
+    this.commands['roles'] = {
+      handler: this.handleRoles.bind(this),
+      description: 'List role assignments and grants',
+      args: [
+        { name: 'username', type: 'username', label: '@user' }
+      ],
+      adminOnly: true
+    };
+  }
+
+  getCommands() {
+    return this.commands;
+  }
+
+  parseRequest(params, message) {
+    return {
+      username: permissions.normalizeUsername(params.username),
+      target: this.resolveTarget(params.target.toLowerCase()),
+      threadId: params.here ? message.threadId : null
+    };
+  }
+
+  // Aliases are stored under the command's registered name, modules under theirs
+  resolveTarget(target) {
+    const [kind, name] = target.split(':');
+    const command = kind === 'command' ? this.moduleManager.getCommand(name) : null;
+    if (command) return `command:${command.name}`;
+    const module = kind === 'module' ? this.moduleManager.getModule(name) : null;
+    return module?.name ? `module:${module.name}` : target;
+  }
+
+  validateTarget(target) {
+    if (permissions.isRole(target)) return null;
+
+    const [kind, name] = target.split(':');
+    if (kind === 'command') {
+      return this.moduleManager.getCommand(name) ? null : `❌ Unknown command: ${name}`;
+    }
+    if (kind === 'module') {
+      return this.moduleManager.getModule(name) ? null : `❌ Unknown module: ${name}`;
+    }
+    return `❌ Unknown role or target: ${target}\n💡 Roles: ${ROLES.join(', ')}`;
+  }
+
+  checkRoleChange(actor, username, role, threadId) {
+    const actorRole = permissions.getRole(actor, threadId);
+    if (role === 'owner') {
+      return '❌ Owners can only be configured in config.js';
+    }
+    if (actorRole !== 'owner') {
+      if (permissions.rank(role) >= permissions.rank(actorRole)) {
+        return `❌ You cannot manage the ${role} role`;
+      }
+      if (permissions.rank(permissions.getRole(username, threadId)) >= permissions.rank(actorRole)) {
+        return `❌ You cannot change the role of @${username}`;
+      }
+    }
+    return null;
+  }
+
+  // Command and module grants: the actor must outrank the user and be able to
+  // run everything the grant or revoke covers
+  checkTargetChange(actor, username, target, threadId) {
+    const actorRole = permissions.getRole(actor, threadId);
+    if (actorRole === 'owner') return null;
+    if (permissions.rank(permissions.getRole(username, threadId)) >= permissions.rank(actorRole)) {
+      return `❌ You cannot change the permissions of @${username}`;
+    }
+
+    const [kind, name] = target.split(':');
+    const commands = kind === 'command'
+      ? [this.moduleManager.getCommand(name)]
+      : [...this.moduleManager.getAllCommands().values()].filter(command => command.moduleName === name);
+    const blocked = commands.find(command => !permissions.canRun(actor, command.name, command, threadId).allowed);
+    return blocked ? `❌ You cannot manage ${target}, you are not allowed to run ${blocked.name}` : null;
+  }
+
+  async handleGrant(args, message, params) {
+    const { username, target, threadId } = this.parseRequest(params, message);
+    const invalid = this.validateTarget(target);
+    if (invalid) {
+      await message.reply(invalid);
+      return;
+    }
+
+    const scopeText = threadId ? ' in this chat' : '';
+
+    if (permissions.isRole(target)) {
+      const denied = this.checkRoleChange(message.senderUsername, username, target, threadId);
+      if (denied) {
+        await message.reply(denied);
+        return;
+      }
+      await permissions.setRole(username, target, threadId, message.senderUsername);
+      await message.reply(`✅ @${username} is now ${target}${scopeText}`);
+      return;
+    }
+
+    const denied = this.checkTargetChange(message.senderUsername, username, target, threadId);
+    if (denied) {
+      await message.reply(denied);
+      return;
+    }
+
+    // Granting over an explicit revoke just lifts the revoke
+    if (permissions.getExplicitGrant(username, target, threadId) === false) {
+      await permissions.clearGrant(username, target, threadId);
+      await message.reply(`✅ Lifted revoke of ${target} for @${username}${scopeText}`);
+      return;
+    }
+
+    await permissions.setGrant(username, target, true, threadId, message.senderUsername);
+    await message.reply(`✅ Granted ${target} to @${username}${scopeText}`);
+  }
+
+  async handleRevoke(args, message, params) {
+    const { username, target, threadId } = this.parseRequest(params, message);
+    const invalid = this.validateTarget(target);
+    if (invalid) {
+      await message.reply(invalid);
+      return;
+    }
+
+    const scopeText = threadId ? ' in this chat' : '';
+
+    if (permissions.isRole(target)) {
+      const denied = this.checkRoleChange(message.senderUsername, username, permissions.getRole(username, threadId), threadId);
+      if (denied) {
+        await message.reply(denied);
+        return;
+      }
+      const removed = await permissions.clearRole(username, threadId);
+      await message.reply(removed
+        ? `✅ Removed stored role of @${username}${scopeText} (now ${permissions.getRole(username, threadId)})`
+        : `ℹ️ @${username} has no stored role${scopeText}`);
+      return;
+    }
+
+    const denied = this.checkTargetChange(message.senderUsername, username, target, threadId);
+    if (denied) {
+      await message.reply(denied);
+      return;
+    }
+
+    // Revoking an explicit grant removes it; otherwise record an explicit deny
+    if (permissions.getExplicitGrant(username, target, threadId) === true) {
+      await permissions.clearGrant(username, target, threadId);
+      await message.reply(`✅ Removed grant of ${target} from @${username}${scopeText}`);
+      return;
+    }
+
+    await permissions.setGrant(username, target, false, threadId, message.senderUsername);
+    await message.reply(`🚫 Revoked ${target} from @${username}${scopeText}`);
+  }
+
+  async handleRoles(args, message, params) {
+    const username = params.username ? permissions.normalizeUsername(params.username) : null;
+    const entries = permissions.listAssignments(username);
+    const formatScope = entry => entry.threadId ? (entry.threadId === message.threadId ? ' (this chat)' : ` (thread ${entry.threadId})`) : '';
+
+    const lines = entries.map(entry => entry.type === 'role'
+      ? `• @${entry.username}: ${entry.role}${formatScope(entry)}`
+      : `• @${entry.username}: ${entry.allow ? '✅' : '🚫'} ${entry.target}${formatScope(entry)}`);
+
+    let response = `🔐 **Roles & Grants**\n\n`;
+    if (username) {
+      response += `👤 @${username} is ${permissions.getRole(username, message.threadId)} here\n\n`;
+    }
+    response += lines.join('\n') || 'No stored assignments';
+    response += `\n\n👑 Owners: ${(config.admin.owners || []).join(', ') || 'none'}\n` +
+      `🛡️ Config admins: ${config.admin.users.join(', ') || 'none'}`;
+
+    await message.reply(response);
+  }
+}
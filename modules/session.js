@@ -0,0 +1,136 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { SESSION_KINDS, isEncryptionEnabled } from '../core/session-store.js';
+
+export class SessionModule {
+  static manifest = {
+    name: 'session',
+    version: '1.0.0',
+    description: 'Inspect, export, import and roll back the stored Instagram session'
+  };
+
+  constructor(context) {
+    this.instagramBot = context.bot;
+    this.account = context.account;
+    this.config = context.config;
+    this.commands = {};
+    this.setupCommands();
+  }
+
+  get sessions() {
+    return this.instagramBot.sessions;
+  }
+
+  setupCommands() {
+    this.commands['session'] = {
+      handler: this.handleSession.bind(this),
+      description: 'Show, export, import or roll back the stored session, cookies and state',
+      args: [
+        { name: 'action', type: 'string', choices: ['status', 'history', 'export', 'import', 'rollback'], default: 'status' },
+        { name: 'target', type: 'string', label: 'kind|file' }
+      ],
+      flags: {
+        kind: { type: 'string', choices: SESSION_KINDS, description: 'session, cookies or state' },
+        version: { type: 'integer', min: 1, description: 'Stored version to use' }
+      },
+      role: 'owner'
+    };
+  }
+
+  getCommands() {
+    return this.commands;
+  }
+
+  async handleSession(args, message, params) {
+    if (!this.sessions.enabled) {
+      await message.reply('❌ Session storage is off (config.instagram.useMongoSession), sessions are kept in files');
+      return;
+    }
+
+    try {
+      switch (params.action) {
+        case 'status':
+          await message.reply(await this.formatStatus());
+          break;
+        case 'history':
+          await message.reply(await this.formatHistory(this.getKind(params, params.target)));
+          break;
+        case 'export':
+          await this.handleExport(message, this.getKind(params, params.target), params.version);
+          break;
+        case 'import':
+          await this.handleImport(message, params);
+          break;
+        case 'rollback': {
+          const kind = this.getKind(params, params.target);
+          const version = await this.sessions.rollback(kind, params.version || null, message.senderUsername);
+          await message.reply(`⏪ ${kind} rolled back, now stored as v${version}\n💡 Takes effect at the next login (.restart)`);
+          break;
+        }
+      }
+    } catch (error) {
+      await message.reply(`❌ ${error.message}`);
+    }
+  }
+
+  // --kind wins; otherwise a positional kind ("export cookies"), defaulting to the session
+  getKind(params, target) {
+    if (params.kind) return params.kind;
+    if (!target) return 'session';
+    if (!SESSION_KINDS.includes(target.toLowerCase())) {
+      throw new Error(`Unknown kind: ${target} (${SESSION_KINDS.join(', ')})`);
+    }
+    return target.toLowerCase();
+  }
+
+  async formatStatus() {
+    const lines = [];
+    for (const kind of SESSION_KINDS) {
+      const [latest, ...older] = await this.sessions.history(kind);
+      lines.push(latest
+        ? `• ${kind}: v${latest.version}, ${this.formatDate(latest.savedAt)}${latest.encrypted ? ' 🔒' : ' ⚠️ unencrypted'} (${older.length} older)`
+        : `• ${kind}: nothing stored`);
+    }
+    return `🔑 **Session (${this.account.id})**\n\n${lines.join('\n')}\n\n` +
+      (isEncryptionEnabled() ? '🔒 Encryption: AES-256-GCM' : '⚠️ Encryption off, set SESSION_ENCRYPTION_KEY');
+  }
+
+  async formatHistory(kind) {
+    const versions = await this.sessions.history(kind);
+    if (!versions.length) return `📭 No ${kind} stored`;
+    const lines = versions.map(entry =>
+      `• v${entry.version} ${this.formatDate(entry.savedAt)} — ${entry.reason}${entry.savedBy ? ` by @${entry.savedBy}` : ''}${entry.encrypted ? '' : ' ⚠️'}`);
+    return `🕒 **${kind} history**\n\n${lines.join('\n')}`;
+  }
+
+  // Exports stay encrypted; they are written to the storage directory, never sent in chat
+  async handleExport(message, kind, version) {
+    const data = await this.sessions.export(kind, version || null);
+    const file = path.resolve(this.config.storage?.path || './data', 'exports',
+      `${this.account.id}-${kind}-v${data.version}-${Date.now()}.json`);
+    await fs.outputFile(file, JSON.stringify(data, null, 2), { mode: 0o600 });
+    await message.reply(`📤 Exported ${kind} v${data.version} to ${file}` +
+      (data.payload.alg === 'none' ? '\n⚠️ The file is not encrypted, handle it like a password' : ''));
+  }
+
+  async handleImport(message, params) {
+    if (!params.target) {
+      await message.reply('❌ Missing file to import');
+      return;
+    }
+
+    const file = path.resolve(params.target);
+    if (!(await fs.pathExists(file))) {
+      await message.reply(`❌ File not found: ${file}`);
+      return;
+    }
+
+    const content = await fs.readJson(file);
+    const { kind, version } = await this.sessions.import(content, params.kind || null, message.senderUsername);
+    await message.reply(`📥 Imported ${kind} as v${version}\n💡 Takes effect at the next login (.restart)`);
+  }
+
+  formatDate(date) {
+    return new Date(date).toLocaleString();
+  }
+}
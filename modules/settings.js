@@ -0,0 +1,104 @@
+import { settings } from '../core/settings.js';
+
+const SOURCE_LABELS = { default: 'config.js', runtime: 'set at runtime', env: 'environment' };
+
+export class SettingsModule {
+  static manifest = {
+    name: 'settings',
+    version: '1.0.0',
+    description: 'View and change runtime settings'
+  };
+
+  constructor(context) {
+    this.instagramBot = context.bot;
+    this.commands = {};
+    this.setupCommands();
+  }
+
+  setupCommands() {
+    this.commands['set'] = {
+      handler: this.handleSet.bind(this),
+      description: 'Change a setting, or restore its default with --reset',
+      args: [
+        { name: 'key', type: 'string', required: true },
+        { name: 'value', type: 'string', rest: true }
+      ],
+      flags: {
+        reset: { type: 'boolean', description: 'Restore the config.js default' }
+      },
+      adminOnly: true
+    };
+
+    this.commands['get'] = {
+      handler: this.handleGet.bind(this),
+      description: 'Show a setting and where its value comes from',
+      args: [
+        { name: 'key', type: 'string', required: true }
+      ],
+      adminOnly: true
+    };
+
+    this.commands['settings'] = {
+      handler: this.handleSettings.bind(this),
+      description: 'List settings, optionally filtered by prefix',
+      args: [
+        { name: 'filter', type: 'string', label: 'prefix' }
+      ],
+      adminOnly: true
+    };
+  }
+
+  getCommands() {
+    return this.commands;
+  }
+
+  async handleSet(args, message, params) {
+    try {
+      if (params.reset) {
+        await settings.reset(params.key);
+        const [key] = settings.getSpec(params.key);
+        await message.reply(`♻️ ${key} reset to ${JSON.stringify(settings.get(key))}`);
+        return;
+      }
+
+      if (params.value === undefined) {
+        await message.reply('❌ Missing value (use --reset to restore the default)');
+        return;
+      }
+
+      const [key] = settings.getSpec(params.key);
+      const value = await settings.set(key, params.value, message.senderUsername);
+      await message.reply(`✅ ${key} = ${JSON.stringify(value)}`);
+    } catch (error) {
+      await message.reply(`❌ ${error.message}`);
+    }
+  }
+
+  async handleGet(args, message, params) {
+    try {
+      const [key, spec] = settings.getSpec(params.key);
+      await message.reply(`⚙️ **${key}**\n\n` +
+        `📝 ${spec.description || 'No description'}\n` +
+        `💾 Value: ${JSON.stringify(settings.get(key))} (${SOURCE_LABELS[settings.getSource(key)]})\n` +
+        `🔤 Type: ${spec.type}${spec.choices ? ` (${spec.choices.join('|')})` : ''}` +
+        (spec.min !== undefined ? `, min ${spec.min}` : '') +
+        (spec.max !== undefined ? `, max ${spec.max}` : '') +
+        (spec.atMost ? `, at most ${spec.atMost}` : '') +
+        (spec.atLeast ? `, at least ${spec.atLeast}` : ''));
+    } catch (error) {
+      await message.reply(`❌ ${error.message}`);
+    }
+  }
+
+  async handleSettings(args, message, params) {
+    const entries = settings.list(params.filter);
+    if (!entries.length) {
+      await message.reply(`❌ No settings match ${params.filter}`);
+      return;
+    }
+
+    const markers = { default: '', runtime: ' ✏️', env: ' 🔒' };
+    const lines = entries.map(({ key, value, source }) => `• ${key}: ${JSON.stringify(value)}${markers[source]}`);
+    await message.reply(`⚙️ **Settings**\n\n${lines.join('\n')}\n\n✏️ changed at runtime  🔒 set by environment`);
+  }
+}
@@ -1,6 +1,5 @@
 
 // telegram/bridge.js
-import TelegramBot from 'node-telegram-bot-api';
 import fs from 'fs-extra';
 import path from 'path';
 import axios from 'axios';
@@ -8,15 +7,52 @@ import mime from 'mime-types';
 import { connectDb } from '../utils/db.js';
 import { config } from '../config.js';
 import { logger } from '../utils/utils.js'; // Assuming you have a logger utility
+import { getPrimaryAccount, accountLabel, DEFAULT_ACCOUNT_ID } from '../core/accounts.js';
+import { attachTelegramClient, detachTelegramClient } from './client.js';
+
+// Instagram DM item types that carry downloadable media
+const INSTAGRAM_MEDIA_TYPES = ['media', 'media_share', 'clip', 'story_share', 'reel_share', 'raven_media', 'voice_media', 'animated_media'];
+
+const MEDIA_LABELS = {
+    media_share: '📰 Shared post',
+    clip: '🎬 Reel',
+    story_share: '📖 Story',
+    reel_share: '🎬 Story reply',
+    raven_media: '👁️ View-once media',
+    voice_media: '🎤 Voice message',
+    photo: '📷 [Photo]',
+    video: '🎥 [Video]',
+    voice: '🎤 [Voice Message]',
+    animation: '🎬 [Animation/GIF]',
+    sticker: '🎭 [Sticker]'
+};
+
+const DEFAULT_CONTENT_TYPES = {
+    photo: 'image/jpeg',
+    video: 'video/mp4',
+    voice: 'audio/mp4',
+    animation: 'video/mp4',
+    sticker: 'image/webp'
+};
+
+const DEFAULT_EXTENSIONS = {
+    photo: 'jpg',
+    video: 'mp4',
+    voice: 'm4a',
+    animation: 'mp4',
+    sticker: 'webp'
+};
 
 class TelegramBridge {
-    constructor() {
+    // Each account gets its own bridge, forum (account.telegramChatId) and topic mappings
+    constructor(account = getPrimaryAccount()) {
+        this.account = account;
         this.instagramBot = null; // Will be set later
         this.telegramBot = null;
         this.chatMappings = new Map(); // instagramThreadId -> telegramTopicId
         this.userMappings = new Map(); // instagramUserId -> { username, fullName, firstSeen, messageCount }
         this.profilePicCache = new Map(); // instagramId (thread/user) -> profilePicUrl
-        this.tempDir = path.join(process.cwd(), 'temp');
+        this.tempDir = path.join(process.cwd(), 'temp', this.account.id);
         this.db = null;
         this.collection = null; // Single 'bridge' collection like WA
         this.telegramChatId = null; // Supergroup ID for forum
@@ -30,7 +66,7 @@ class TelegramBridge {
         this.instagramBot = instagramBotInstance; // Link to the main Instagram bot instance
 
         const token = config.telegram?.botToken;
-        this.telegramChatId = config.telegram?.chatId;
+        this.telegramChatId = this.account.telegramChatId;
 
         if (!token || token.includes('YOUR_BOT_TOKEN') || !this.telegramChatId || this.telegramChatId.includes('YOUR_CHAT_ID')) {
             logger.warn('⚠️ Telegram bot token or chat ID not configured for Instagram bridge');
@@ -40,10 +76,8 @@ class TelegramBridge {
         try {
             await this.initializeDatabase();
             await fs.ensureDir(this.tempDir);
-            this.telegramBot = new TelegramBot(token, {
-                polling: true,
-                // onlyFirstMatch: true // Add if needed
-            });
+            this.telegramClient = attachTelegramClient(token, this);
+            this.telegramBot = this.telegramClient.bot;
 
             await this.setupTelegramHandlers();
             await this.loadMappingsFromDb();
@@ -53,7 +87,7 @@ class TelegramBridge {
             this.setupInstagramHandlers();
 
             this.enabled = true;
-            logger.info('✅ Instagram-Telegram bridge initialized');
+            logger.info(`✅ ${accountLabel(this.account)}Instagram-Telegram bridge initialized`);
         } catch (error) {
             logger.error('❌ Failed to initialize Instagram-Telegram bridge:', error.message);
             // Disable bridge on critical init failure
@@ -64,11 +98,13 @@ class TelegramBridge {
     async initializeDatabase() {
         try {
             this.db = await connectDb();
-            await this.db.command({ ping: 1 });
-            logger.info('✅ MongoDB connection successful for Instagram bridge');
+            await this.db.ping();
+            logger.info(`✅ Storage connection successful for Instagram bridge (${this.db.driver})`);
             this.collection = this.db.collection('bridge'); // Reuse 'bridge' collection
             // Create indexes similar to TelegramBridge (adjust field names for Instagram)
-            await this.collection.createIndex({ type: 1, 'data.instagramThreadId': 1 }, { unique: true, partialFilterExpression: { type: 'chat' } });
+            // Chat mappings are unique per account; the older index was unique per thread
+            await this.collection.dropIndex?.('type_1_data.instagramThreadId_1').catch(() => {});
+            await this.collection.createIndex({ type: 1, account: 1, 'data.instagramThreadId': 1 }, { unique: true, partialFilterExpression: { type: 'chat' } });
             await this.collection.createIndex({ type: 1, 'data.instagramUserId': 1 }, { unique: true, partialFilterExpression: { type: 'user' } });
             // Add index for profile pictures if stored separately (or store within chat mapping)
             logger.info('📊 Database initialized for Instagram bridge (single collection: bridge)');
@@ -88,6 +124,7 @@ class TelegramBridge {
             for (const mapping of mappings) {
                 switch (mapping.type) {
                     case 'chat': // Maps Instagram Thread to Telegram Topic
+                        if (!this.ownsMapping(mapping)) break;
                         this.chatMappings.set(mapping.data.instagramThreadId, mapping.data.telegramTopicId);
                         if (mapping.data.profilePicUrl) {
                             this.profilePicCache.set(mapping.data.instagramThreadId, mapping.data.profilePicUrl);
@@ -103,17 +140,31 @@ class TelegramBridge {
                         break;
                 }
             }
-            logger.info(`📊 Loaded Instagram mappings: ${this.chatMappings.size} chats, ${this.userMappings.size} users`);
+            logger.info(`📊 ${accountLabel(this.account)}Loaded Instagram mappings: ${this.chatMappings.size} chats, ${this.userMappings.size} users`);
         } catch (error) {
             logger.error('❌ Failed to load Instagram mappings:', error.message);
         }
     }
 
+    // Chat mappings saved before multi-account support have no account field and belong to the main account
+    ownsMapping(mapping) {
+        return (mapping.account || DEFAULT_ACCOUNT_ID) === this.account.id;
+    }
+
+    chatFilter(instagramThreadId) {
+        return {
+            type: 'chat',
+            account: this.account.id === DEFAULT_ACCOUNT_ID ? { $in: [null, DEFAULT_ACCOUNT_ID] } : this.account.id,
+            'data.instagramThreadId': instagramThreadId
+        };
+    }
+
     async saveChatMapping(instagramThreadId, telegramTopicId, profilePicUrl = null) {
         if (!this.collection) return;
         try {
             const updateData = {
                 type: 'chat',
+                account: this.account.id,
                 data: {
                     instagramThreadId,
                     telegramTopicId,
@@ -125,7 +176,7 @@ class TelegramBridge {
                 updateData.data.profilePicUrl = profilePicUrl;
             }
             await this.collection.updateOne(
-                { type: 'chat', 'data.instagramThreadId': instagramThreadId },
+                this.chatFilter(instagramThreadId),
                 { $set: updateData },
                 { upsert: true }
             );
@@ -172,7 +223,7 @@ class TelegramBridge {
         try {
             // Update the chat mapping where instagramId matches threadId
             await this.collection.updateOne(
-                { type: 'chat', 'data.instagramThreadId': instagramId },
+                this.chatFilter(instagramId),
                 { $set: { 'data.profilePicUrl': profilePicUrl, 'data.lastProfilePicUpdate': new Date() } }
             );
             this.profilePicCache.set(instagramId, profilePicUrl);
@@ -218,6 +269,7 @@ class TelegramBridge {
 
             try {
                 let topicName = `Instagram Chat ${instagramThreadId.substring(0, 10)}...`;
+                const label = accountLabel(this.account); // Tells accounts apart in a shared forum
                 let iconColor = 0x7ABA3C; // Default green
 
                 // Try to get better name from user mapping
@@ -235,7 +287,7 @@ class TelegramBridge {
                     });
                 }
 
-                const topic = await this.telegramBot.createForumTopic(this.telegramChatId, topicName, {
+                const topic = await this.telegramBot.createForumTopic(this.telegramChatId, `${label}${topicName}`, {
                     icon_color: iconColor
                 });
 
@@ -303,7 +355,7 @@ escapeMarkdownV2(text) {
 
 async sendWelcomeMessage(topicId, instagramThreadId, senderUserId, initialProfilePicUrl = null) {
     try {
-        const chatId = config.telegram?.chatId;
+        const chatId = this.telegramChatId;
         if (!chatId) {
             logger.error('❌ Telegram chat ID not configured for welcome message');
             return;
@@ -442,25 +494,20 @@ async sendWelcomeMessage(topicId, instagramThreadId, senderUserId, initialProfil
             }
 
             // Handle different message types
-            if (message.type === 'text') {
-                let messageText = message.text || '';
-                // Add sender info if needed (e.g., group context if available later)
-                // For now, assume DM context
-
-                await this.sendSimpleMessage(topicId, messageText, instagramThreadId);
-            } else if (['media', 'photo', 'video', 'clip'].includes(message.type)) {
-                 // Handle media sent via Instagram API methods (broadcastPhoto, etc.)
-                 // This requires the raw message data to contain media info
-                 // This part is tricky without knowing the exact structure from ig_mqtt
-                 // We'll handle it in the handler for now, assuming it comes through
-                 // a different path or needs specific handling based on message.raw
-                 logger.warn(`⚠️ Media type '${message.type}' received, handling needs specific raw data access.`);
-                 // Placeholder for media handling logic if raw data is accessible
-                 await this.handleInstagramMedia(message, topicId);
-
+            const itemType = message.raw?.item_type || message.type;
+            if (itemType === 'text') {
+                await this.sendSimpleMessage(topicId, message.text || '', instagramThreadId);
+            } else if (itemType === 'link') {
+                const linkText = message.raw?.link?.text || message.text || '';
+                const linkUrl = message.raw?.link?.link_context?.link_url || '';
+                await this.sendSimpleMessage(topicId, linkUrl && !linkText.includes(linkUrl) ? `${linkText}\n🔗 ${linkUrl}` : linkText, instagramThreadId);
+            } else if (itemType === 'like') {
+                await this.sendSimpleMessage(topicId, '❤️', instagramThreadId);
+            } else if (INSTAGRAM_MEDIA_TYPES.includes(itemType)) {
+                await this.handleInstagramMedia(message, topicId);
             } else {
                  // Handle other types or fallback to text representation
-                 let fallbackText = `[Unsupported Message Type: ${message.type}]`;
+                 let fallbackText = `[Unsupported Message Type: ${itemType}]`;
                  if (message.text) {
                     fallbackText += `\n${message.text}`;
                  }
@@ -481,7 +528,7 @@ async sendWelcomeMessage(topicId, instagramThreadId, senderUserId, initialProfil
                 // Trigger recreation logic
                 this.chatMappings.delete(instagramThreadId);
                 this.profilePicCache.delete(instagramThreadId);
-                await this.collection.deleteOne({ type: 'chat', 'data.instagramThreadId': instagramThreadId });
+                await this.collection?.deleteOne(this.chatFilter(instagramThreadId));
                 // The next message will trigger getOrCreateTopic again
                 // Don't send now, let it retry on next message
                 return null;
@@ -497,7 +544,7 @@ async sendWelcomeMessage(topicId, instagramThreadId, senderUserId, initialProfil
                 logger.warn(`🗑️ Topic ID ${topicId} for Instagram thread ${instagramThreadId} is missing. Marking for recreation.`);
                 this.chatMappings.delete(instagramThreadId);
                 this.profilePicCache.delete(instagramThreadId);
-                await this.collection.deleteOne({ type: 'chat', 'data.instagramThreadId': instagramThreadId });
+                await this.collection?.deleteOne(this.chatFilter(instagramThreadId));
                 // Don't retry immediately, let next message handle it
             } else {
                 logger.error('❌ Failed to send message to Telegram:', desc);
@@ -506,29 +553,157 @@ async sendWelcomeMessage(topicId, instagramThreadId, senderUserId, initialProfil
         }
     }
 
-    // Placeholder for media handling - needs integration with Instagram's media download methods
+    // --- Instagram Media -> Telegram ---
+
     async handleInstagramMedia(message, topicId) {
-         // This is complex because it requires downloading media from Instagram
-         // using the `instagram-private-api` methods and then sending to Telegram.
-         // The `message` object needs to contain enough raw data or references
-         // to do this. Implementation depends heavily on how media messages
-         // are structured in the `processedMessage` passed from your InstagramBot.
-         logger.warn("Instagram media handling not fully implemented in bridge. Requires raw media data access.");
-         // Example pseudo-code structure:
-         /*
-         try {
-            // 1. Identify media type from message.raw
-            // 2. Use ig.client or message context to download media buffer/stream
-            //    e.g., const stream = await this.instagramBot.ig.feed.mediaDownload(message.raw.mediaId).stream();
-            // 3. Save buffer to temp file
-            // 4. Determine Telegram method (sendPhoto, sendVideo, etc.)
-            // 5. Send using this.telegramBot.send[Type](chatId, buffer/file, { message_thread_id: topicId, caption: ... });
-            // 6. Clean up temp file
-         } catch (err) {
-             logger.error("❌ Error handling Instagram media:", err.message);
-             await this.sendSimpleMessage(topicId, `[Media: ${message.type}] ${message.text || 'No caption'}`, message.threadId);
-         }
-         */
+        const instagramThreadId = message.threadId;
+        const items = this.extractInstagramMedia(message.raw || {});
+
+        if (items.length === 0) {
+            const label = MEDIA_LABELS[message.raw?.item_type] || `[Media: ${message.type}]`;
+            const text = this.extractInstagramMediaText(message.raw || {}) || message.text;
+            await this.sendSimpleMessage(topicId, text ? `${label}\n${text}` : `${label} (unavailable)`, instagramThreadId);
+            return;
+        }
+
+        const caption = this.buildMediaCaption(message);
+        for (const [index, item] of items.entries()) {
+            // Only the first item of a carousel carries the caption
+            await this.sendInstagramMediaItem(topicId, item, index === 0 ? caption : '', instagramThreadId);
+        }
+    }
+
+    extractInstagramMedia(raw) {
+        switch (raw.item_type) {
+            case 'media':
+                return this.extractFromMediaPayload(raw.media);
+            case 'media_share':
+                return this.extractFromMediaPayload(raw.media_share);
+            case 'clip':
+                return this.extractFromMediaPayload(raw.clip?.clip || raw.clip);
+            case 'story_share':
+                return this.extractFromMediaPayload(raw.story_share?.media);
+            case 'reel_share':
+                return this.extractFromMediaPayload(raw.reel_share?.media);
+            case 'raven_media':
+                return this.extractFromMediaPayload(raw.visual_media?.media || raw.raven_media);
+            case 'voice_media': {
+                const audio = raw.voice_media?.media?.audio;
+                if (!audio?.audio_src) return [];
+                return [{ kind: 'voice', url: audio.audio_src, duration: Math.round((audio.duration || 0) / 1000) }];
+            }
+            case 'animated_media': {
+                const images = raw.animated_media?.images || {};
+                if (raw.animated_media?.is_sticker && images.fixed_height?.webp) {
+                    return [{ kind: 'sticker', url: images.fixed_height.webp }];
+                }
+                const rendition = images.fixed_height || images.fixed_width;
+                const url = rendition?.mp4 || rendition?.url;
+                return url ? [{ kind: 'animation', url }] : [];
+            }
+            default:
+                return [];
+        }
+    }
+
+    extractFromMediaPayload(media) {
+        if (!media) return [];
+
+        if (media.carousel_media?.length > 0) {
+            return media.carousel_media.flatMap(item => this.extractFromMediaPayload(item));
+        }
+
+        if (media.video_versions?.length > 0) {
+            return [{ kind: 'video', url: media.video_versions[0].url, duration: Math.round(media.video_duration || 0) }];
+        }
+
+        if (media.image_versions2?.candidates?.length > 0) {
+            return [{ kind: 'photo', url: media.image_versions2.candidates[0].url }];
+        }
+
+        return [];
+    }
+
+    extractInstagramMediaText(raw) {
+        switch (raw.item_type) {
+            case 'story_share':
+                return raw.story_share?.message || raw.story_share?.title || '';
+            case 'reel_share':
+                return raw.reel_share?.text || '';
+            case 'media_share':
+                return raw.media_share?.caption?.text || '';
+            case 'clip':
+                return (raw.clip?.clip || raw.clip)?.caption?.text || '';
+            default:
+                return raw.text || '';
+        }
+    }
+
+    buildMediaCaption(message) {
+        const raw = message.raw || {};
+        const label = MEDIA_LABELS[raw.item_type] || '';
+        const text = this.extractInstagramMediaText(raw) || message.text || '';
+        const caption = [label, text].filter(Boolean).join('\n');
+        // Telegram rejects captions longer than 1024 characters
+        return caption.length > 1024 ? `${caption.slice(0, 1021)}...` : caption;
+    }
+
+    async downloadInstagramMedia(url, kind) {
+        const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 60000 });
+        const contentType = response.headers['content-type']?.split(';')[0] || DEFAULT_CONTENT_TYPES[kind];
+        const extension = mime.extension(contentType) || DEFAULT_EXTENSIONS[kind];
+        const fileName = `ig_${kind}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}.${extension}`;
+        const filePath = path.join(this.tempDir, fileName);
+        await fs.writeFile(filePath, Buffer.from(response.data));
+        return { filePath, fileName, contentType };
+    }
+
+    async sendInstagramMediaItem(topicId, item, caption, instagramThreadId) {
+        let download = null;
+        try {
+            download = await this.downloadInstagramMedia(item.url, item.kind);
+            const options = { message_thread_id: topicId };
+            const fileOptions = { filename: download.fileName, contentType: download.contentType };
+            if (caption && item.kind !== 'sticker') {
+                options.caption = caption;
+            }
+
+            switch (item.kind) {
+                case 'photo':
+                    await this.telegramBot.sendPhoto(this.telegramChatId, download.filePath, options, fileOptions);
+                    break;
+                case 'video':
+                    if (item.duration) options.duration = item.duration;
+                    await this.telegramBot.sendVideo(this.telegramChatId, download.filePath, options, fileOptions);
+                    break;
+                case 'voice':
+                    if (item.duration) options.duration = item.duration;
+                    await this.telegramBot.sendVoice(this.telegramChatId, download.filePath, options, fileOptions);
+                    break;
+                case 'animation':
+                    await this.telegramBot.sendAnimation(this.telegramChatId, download.filePath, options, fileOptions);
+                    break;
+                case 'sticker':
+                    await this.telegramBot.sendSticker(this.telegramChatId, download.filePath, options, fileOptions);
+                    if (caption) {
+                        await this.sendSimpleMessage(topicId, caption, instagramThreadId);
+                    }
+                    break;
+                default:
+                    throw new Error(`Unsupported media kind: ${item.kind}`);
+            }
+            logger.debug(`📎 Sent Instagram ${item.kind} to topic ${topicId}`);
+        } catch (error) {
+            const desc = error.response?.body?.description || error.message;
+            logger.error(`❌ Failed to forward Instagram ${item.kind} to Telegram:`, desc);
+            // Fall back to a text notice so the conversation is not silently missing an item
+            const fallback = `${MEDIA_LABELS[item.kind] || '📎 Media'}${caption ? `\n${caption}` : ''}\n${item.url}`;
+            await this.sendSimpleMessage(topicId, fallback, instagramThreadId);
+        } finally {
+            if (download) {
+                await fs.remove(download.filePath).catch(() => {});
+            }
+        }
     }
 
 
@@ -544,8 +719,10 @@ async sendWelcomeMessage(topicId, instagramThreadId, senderUserId, initialProfil
                 msg.is_topic_message &&
                 msg.message_thread_id
             ) {
-                await this.handleTelegramMessage(msg);
-            } else if (msg.chat.type === 'private') {
+                if (this.ownsTopicMessage(msg)) {
+                    await this.handleTelegramMessage(msg);
+                }
+            } else if (msg.chat.type === 'private' && this.getSharedBridges()[0] === this) {
                  // Handle direct commands to the bot if needed
                  logger.info(`📩 Received private message from Telegram user ${msg.from.id}: ${msg.text}`);
                  // Add command logic here if desired
@@ -553,15 +730,23 @@ async sendWelcomeMessage(topicId, instagramThreadId, senderUserId, initialProfil
             // Ignore other message types/groups
         }));
 
-        this.telegramBot.on('polling_error', (error) => {
-            logger.error('Instagram-Telegram polling error:', error.message);
-        });
+        logger.info('📱 Instagram-Telegram message handlers set up');
+    }
 
-        this.telegramBot.on('error', (error) => {
-            logger.error('Instagram-Telegram bot error:', error.message);
-        });
+    // Bridges attached to the same client; the login prompt may share it too
+    getSharedBridges() {
+        return this.telegramClient.owners.filter(owner => owner instanceof TelegramBridge);
+    }
 
-        logger.info('📱 Instagram-Telegram message handlers set up');
+    // Every bridge on a shared client sees every update. A topic belongs to the
+    // bridge that mapped it; unknown topics are answered by the first bridge of that forum.
+    ownsTopicMessage(msg) {
+        if (String(msg.chat.id) !== String(this.telegramChatId)) return false;
+        if (this.findInstagramThreadIdByTopic(msg.message_thread_id)) return true;
+
+        const forumBridges = this.getSharedBridges().filter(bridge => String(bridge.telegramChatId) === String(msg.chat.id));
+        const owner = forumBridges.find(bridge => bridge.findInstagramThreadIdByTopic(msg.message_thread_id));
+        return !owner && forumBridges[0] === this;
     }
 
     wrapHandler(handler) {
@@ -801,8 +986,7 @@ async sendWelcomeMessage(topicId, instagramThreadId, senderUserId, initialProfil
         logger.info('🛑 Shutting down Instagram-Telegram bridge...');
         if (this.telegramBot) {
             try {
-                await this.telegramBot.stopPolling();
-                logger.info('📱 Instagram-Telegram bot polling stopped.');
+                await detachTelegramClient(config.telegram?.botToken, this);
             } catch (error) {
                 logger.debug('Error stopping Telegram polling:', error.message);
             }
@@ -0,0 +1,35 @@
+// telegram/client.js
+import TelegramBot from 'node-telegram-bot-api';
+import { logger } from '../utils/utils.js';
+
+// One polling client per bot token; Telegram rejects a second poller for the
+// same token, so everything using a token (the bridges of accounts that share
+// it, the login prompt) shares the client. Polling stops with the last owner.
+const telegramClients = new Map(); // token -> { bot, owners: [] }
+
+export function attachTelegramClient(token, owner) {
+    let client = telegramClients.get(token);
+    if (!client) {
+        const bot = new TelegramBot(token, { polling: true });
+        bot.on('polling_error', (error) => {
+            logger.error('Instagram-Telegram polling error:', error.message);
+        });
+        bot.on('error', (error) => {
+            logger.error('Instagram-Telegram bot error:', error.message);
+        });
+        client = { bot, owners: [] };
+        telegramClients.set(token, client);
+    }
+    client.owners.push(owner);
+    return client;
+}
+
+export async function detachTelegramClient(token, owner) {
+    const client = telegramClients.get(token);
+    if (!client) return;
+    client.owners = client.owners.filter(attached => attached !== owner);
+    if (client.owners.length) return;
+    telegramClients.delete(token);
+    await client.bot.stopPolling();
+    logger.info('📱 Instagram-Telegram bot polling stopped.');
+}
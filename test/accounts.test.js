@@ -0,0 +1,65 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { config } from '../config.js';
+import { getAccounts, checkAccounts, accountLabel, namespaceStorage } from '../core/accounts.js';
+import { ModuleManager } from '../core/module-manager.js';
+
+beforeEach(() => {
+  config.instagram.username = 'hyperbot';
+  config.instagram.sessionsDir = './sessions';
+  config.telegram.chatId = '-100';
+  config.accounts = [];
+});
+
+test('the main account keeps its files and extra accounts get their own directory', () => {
+  config.accounts = [{ id: 'shop', username: 'shopbot', modules: ['followers'] }];
+  const [main, shop] = getAccounts();
+
+  assert.equal(main.id, 'main');
+  assert.equal(main.primary, true);
+  assert.equal(main.username, 'hyperbot');
+  assert.equal(main.sessionPath, config.instagram.sessionPath);
+
+  assert.equal(shop.primary, false);
+  assert.equal(shop.sessionPath, path.join('sessions', 'shop', 'session.json'));
+  assert.equal(shop.statePath, path.join('sessions', 'shop', 'state.json'));
+  assert.equal(shop.telegramChatId, '-100');
+  assert.deepEqual(shop.modules, ['followers']);
+});
+
+test('account ids must be valid and unique', () => {
+  assert.deepEqual(checkAccounts([{ id: 'main' }, { id: 'shop' }]), []);
+  assert.deepEqual(checkAccounts([{ id: 'main' }, { id: 'Shop!' }, { id: 'main' }]), [
+    'Invalid account id "Shop!" (use letters, digits, - and _)',
+    'Account id "main" is used more than once'
+  ]);
+});
+
+test('log labels only appear once there are several accounts', () => {
+  const [main] = getAccounts();
+  assert.equal(accountLabel(main), '');
+  config.accounts = [{ id: 'shop' }];
+  assert.equal(accountLabel(main), '[main] ');
+  assert.equal(accountLabel(getAccounts()[1]), '[shop] ');
+});
+
+test('extra accounts see prefixed collections', () => {
+  const storage = { collection: name => ({ name }), kind: 'file' };
+  const [main] = getAccounts();
+  assert.equal(namespaceStorage(storage, main), storage);
+
+  const shopStorage = namespaceStorage(storage, { id: 'shop', primary: false });
+  assert.equal(shopStorage.collection('followers').name, 'shop_followers');
+  assert.equal(shopStorage.namespace, 'shop');
+  assert.equal(shopStorage.kind, 'file');
+  assert.equal(namespaceStorage(null, { id: 'shop' }), null);
+});
+
+test('an account module set limits modules except the protected ones', () => {
+  const manager = new ModuleManager(null, null, { id: 'shop', primary: false, modules: ['followers'] });
+  assert.equal(manager.isModuleAllowed({ name: 'followers' }), true);
+  assert.equal(manager.isModuleAllowed({ name: 'core' }), true);
+  assert.equal(manager.isModuleAllowed({ name: 'games' }), false);
+  assert.equal(new ModuleManager().isModuleAllowed({ name: 'games' }), true);
+});
@@ -0,0 +1,163 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config.js';
+import { Client } from '../core/client/client.js';
+import { InstagramBot } from '../core/bot.js';
+
+const user = (pk, username, extra = {}) => ({ pk, username, full_name: username.toUpperCase(), ...extra });
+const item = (id, userId, text) => ({ item_id: id, user_id: userId, timestamp: '1700000000000000', item_type: 'text', text });
+
+let client;
+let sent;
+let reactions;
+
+beforeEach(() => {
+  sent = [];
+  reactions = [];
+  client = new Client({
+    account: { id: 'main' },
+    isRunning: true,
+    ig: {},
+    sendMessage: async (threadId, text, options) => {
+      sent.push({ threadId, text, options });
+      return { item_id: `sent-${sent.length}` };
+    },
+    sendReaction: async (threadId, itemId, emoji) => { reactions.push({ threadId, itemId, emoji }); }
+  });
+  client.setUser(user(1, 'hyperbot'));
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('incoming messages fill the chat and user caches', () => {
+  const created = [];
+  client.on('messageCreate', message => created.push(message));
+  const thread = { thread_id: 't1', thread_title: 'Friends', is_group: true, users: [user(2, 'alice'), user(3, 'bob')], items: [] };
+
+  const message = client.createMessage(item('m1', 2, 'hi all'), thread);
+  assert.deepEqual(created, [message]);
+  assert.equal(message.senderUsername, 'alice');
+  assert.equal(message.threadTitle, 'Friends');
+  assert.equal(message.accountId, 'main');
+  assert.equal(message.timestamp.getTime(), 1700000000000);
+  assert.equal(message.author, client.cache.users.get('2'));
+  assert.equal(message.chat.isGroup, true);
+  assert.deepEqual([...message.chat.users.keys()], ['2', '3']);
+  assert.deepEqual(message.chat.messages.map(cached => cached.id), ['m1']);
+});
+
+test('newer data patches the cached user instead of replacing it', () => {
+  const alice = client.patchOrCreateUser(user(2, 'alice'));
+  client.patchOrCreateChat('t1', { users: [user(2, 'alice_new', { follower_count: 10 })] });
+  assert.equal(client.cache.users.get('2'), alice);
+  assert.equal(alice.username, 'alice_new');
+  assert.equal(alice.followerCount, 10);
+  assert.equal(alice.fullName, 'ALICE_NEW');
+  assert.equal(String(alice), '@alice_new');
+});
+
+test('chats keep their newest 100 messages', () => {
+  const chat = client.patchOrCreateChat('t1');
+  for (let i = 1; i <= 105; i++) {
+    client.createMessage(item(`m${i}`, 2, String(i)), { thread_id: 't1' });
+  }
+  assert.equal(chat.messages.size, 100);
+  assert.equal(chat.messages.firstKey(), 'm6');
+});
+
+test('replies go through the bot with high priority and are cached', async () => {
+  const message = client.createMessage(item('m1', 2, 'ping'), { thread_id: 't1', users: [user(2, 'alice')] });
+  const reply = await message.reply('pong');
+  assert.deepEqual(sent, [{ threadId: 't1', text: 'pong', options: { priority: 'high' } }]);
+  assert.equal(reply.id, 'sent-1');
+  assert.equal(reply.senderId, '1');
+  assert.equal(message.chat.messages.has('sent-1'), true);
+
+  const alice = client.cache.users.get('2');
+  assert.equal(alice.privateChat, message.chat);
+  await alice.send('hello', { priority: 'low' });
+  assert.deepEqual(sent[1], { threadId: 't1', text: 'hello', options: { priority: 'low' } });
+});
+
+test('quote replies and reactions point at the message', async () => {
+  const message = client.createMessage({ ...item('m1', 2, 'ping'), client_context: 'ctx-1' }, { thread_id: 't1' });
+  await message.quoteReply('pong');
+  assert.equal(sent[0].options.priority, 'high');
+  assert.equal(sent[0].options.replyTo, message);
+
+  await message.react();
+  await message.react('🔥');
+  assert.deepEqual(reactions, [
+    { threadId: 't1', itemId: 'm1', emoji: '❤️' },
+    { threadId: 't1', itemId: 'm1', emoji: '🔥' }
+  ]);
+});
+
+test('quoted replies are broadcast with the replied-to item', async () => {
+  const bot = new InstagramBot({ id: 'main', primary: true, username: 'hyperbot' });
+  bot.log = () => {};
+  bot.outbox.enqueue = async (label, send) => send();
+  const broadcasts = [];
+  bot.ig.entity.directThread = threadId => ({
+    broadcastText: async text => { broadcasts.push({ threadId, text }); return { item_id: 'a' }; },
+    broadcast: async options => { broadcasts.push({ threadId, ...options }); return { item_id: 'b' }; }
+  });
+
+  assert.deepEqual(await bot.sendMessage('t1', 'plain'), { item_id: 'a' });
+  assert.deepEqual(await bot.sendMessage('t1', 'quoted', { replyTo: { id: 'm1', raw: { client_context: 'ctx-1' } } }), { item_id: 'b' });
+  assert.deepEqual(broadcasts, [
+    { threadId: 't1', text: 'plain' },
+    { threadId: 't1', item: 'text', form: { text: 'quoted', replied_to_item_id: 'm1', replied_to_client_context: 'ctx-1' } }
+  ]);
+});
+
+test('followers are fetched page by page', async () => {
+  config.followers.sync = { pageDelay: { min: 0, max: 0 }, longPauseEvery: 0, longPause: 0 };
+  const pages = [[user(2, 'alice'), user(3, 'bob')], [user(4, 'carol')]];
+  client.bot.ig = {
+    feed: {
+      accountFollowers: () => {
+        let index = 0;
+        return { items: async () => pages[index++], isMoreAvailable: () => index < pages.length };
+      }
+    }
+  };
+  const dave = client.patchOrCreateUser(user(5, 'dave'));
+  dave.followers.set('9', client.patchOrCreateUser(user(9, 'gone')));
+
+  const followers = await dave.fetchFollowers();
+  assert.deepEqual([...followers.keys()], ['2', '3', '4']);
+  assert.equal(followers.get('4'), client.cache.users.get('4'));
+});
+
+test('the bot cannot follow or message itself', async () => {
+  await assert.rejects(client.user.follow(), /follow\(\) is not available for the bot's own account/);
+  await assert.rejects(client.user.send('hi'), /send\(\) is not available/);
+});
+
+test('collectors take matching messages from their chat until idle', async () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  const start = client.createMessage(item('m0', 2, 'start'), { thread_id: 't1' });
+  const collector = start.createMessageCollector({ filter: message => message.text !== 'skip', idle: 1000 });
+  const collected = [];
+  let ended = null;
+  collector.on('message', message => collected.push(message.text));
+  collector.on('end', reason => { ended = reason; });
+
+  client.createMessage(item('m1', 2, 'one'), { thread_id: 't1' });
+  client.createMessage(item('m2', 2, 'skip'), { thread_id: 't1' });
+  client.createMessage(item('m3', 2, 'elsewhere'), { thread_id: 't2' });
+  await new Promise(setImmediate);
+  mock.timers.tick(999);
+  client.createMessage(item('m4', 2, 'two'), { thread_id: 't1' });
+  await new Promise(setImmediate);
+  mock.timers.tick(999);
+  assert.equal(ended, null);
+
+  mock.timers.tick(1);
+  assert.deepEqual(collected, ['one', 'two']);
+  assert.equal(ended, 'idle');
+  assert.equal(client.listenerCount('messageCreate'), 0);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, splitCommand, parseArguments } from '../core/command-parser.js';
+
+const values = input => tokenize(input).map(token => token.value);
+
+test('tokenize splits on whitespace and keeps quoted strings together', () => {
+  assert.deepEqual(values('say "hello world"  \'a b\' c'), ['say', 'hello world', 'a b', 'c']);
+  assert.deepEqual(values('say “smart quotes” done'), ['say', 'smart quotes', 'done']);
+  assert.equal(tokenize('"quoted"')[0].quoted, true);
+  assert.equal(tokenize('plain')[0].quoted, false);
+});
+
+test('tokenize keeps apostrophes inside words', () => {
+  assert.deepEqual(values("say don't stop"), ['say', "don't", 'stop']);
+  assert.deepEqual(values("ai what's up"), ['ai', "what's", 'up']);
+  assert.deepEqual(values("set followers.welcomeMessage Thanks, I'll follow back"),
+    ['set', 'followers.welcomeMessage', 'Thanks,', "I'll", 'follow', 'back']);
+  assert.deepEqual(values('it\'s "a test" isn\'t it'), ["it's", 'a test', "isn't", 'it']);
+});
+
+test('tokenize keeps an unmatched opening quote as a literal character', () => {
+  assert.deepEqual(values('say "hello world'), ['say', '"hello', 'world']);
+  assert.deepEqual(values("say 'tis"), ['say', "'tis"]);
+  assert.doesNotThrow(() => splitCommand('echo "'));
+});
+
+test('tokenize handles backslash escapes', () => {
+  assert.deepEqual(values('say hello\\ world'), ['say', 'hello world']);
+  assert.deepEqual(values('say "a \\" b"'), ['say', 'a " b']);
+  assert.deepEqual(values('say \\"x'), ['say', '"x']);
+});
+
+test('splitCommand separates the command name', () => {
+  const { name, tokens } = splitCommand("help don't");
+  assert.equal(name, 'help');
+  assert.deepEqual(tokens.map(token => token.value), ["don't"]);
+});
+
+test('parseArguments without a schema returns plain positionals', () => {
+  assert.deepEqual(parseArguments(tokenize('a b'), {}), { args: ['a', 'b'], params: {} });
+});
+
+test('parseArguments validates typed arguments and flags', () => {
+  const command = {
+    args: [
+      { name: 'username', type: 'username', required: true },
+      { name: 'count', type: 'integer', default: 10, min: 1, max: 50 }
+    ],
+    flags: {
+      yes: { type: 'boolean', short: 'y' },
+      limit: { type: 'integer', default: 5 }
+    }
+  };
+  assert.deepEqual(parseArguments(tokenize('@some.one 20 -y --limit=3'), command).params,
+    { username: 'some.one', count: 20, yes: true, limit: 3 });
+  assert.deepEqual(parseArguments(tokenize('user'), command).params,
+    { username: 'user', count: 10, yes: false, limit: 5 });
+  assert.throws(() => parseArguments(tokenize(''), command), /Missing required argument: username/);
+  assert.throws(() => parseArguments(tokenize('user 99'), command), /at most 50/);
+  assert.throws(() => parseArguments(tokenize('user 1.5'), command), /whole number/);
+  assert.throws(() => parseArguments(tokenize('user --nope'), command), /Unknown option: --nope/);
+  assert.throws(() => parseArguments(tokenize('user 1 2'), command), /Too many arguments/);
+});
+
+test('parseArguments joins rest arguments and checks choices', () => {
+  const command = {
+    args: [
+      { name: 'state', type: 'string', choices: ['on', 'off'] },
+      { name: 'text', type: 'string', rest: true }
+    ]
+  };
+  assert.deepEqual(parseArguments(tokenize("ON I'll be back"), command).params, { state: 'on', text: "I'll be back" });
+  assert.throws(() => parseArguments(tokenize('maybe'), command), /one of: on, off/);
+});
+
+test('parseArguments treats quoted and negative values as positionals', () => {
+  const command = { args: [{ name: 'value', type: 'number' }, { name: 'text' }], flags: {} };
+  assert.deepEqual(parseArguments(tokenize('-5 "--not-a-flag"'), command).params, { value: -5, text: '--not-a-flag' });
+  assert.deepEqual(parseArguments(tokenize('-- -x'), { args: [{ name: 'text' }], flags: {} }).params, { text: '-x' });
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ModuleManager } from '../core/module-manager.js';
+import { stringUtils } from '../utils/utils.js';
+
+const fakeModule = (name, commands) => ({ name, getCommands: () => commands });
+const command = (aliases = []) => ({ handler: async () => {}, description: '', aliases });
+
+function createManager(modules) {
+  const manager = new ModuleManager();
+  manager.modules = modules;
+  manager.buildCommandRegistry();
+  return manager;
+}
+
+test('aliases resolve to their command', () => {
+  const manager = createManager([fakeModule('core', { help: command(['h', 'H', 'help']), status: command() })]);
+  assert.equal(manager.getCommand('h').name, 'help');
+  assert.equal(manager.getCommand('HELP').name, 'help');
+  assert.deepEqual(manager.getCommand('help').aliases, ['h']);
+  assert.equal(manager.getCommand('nope'), null);
+});
+
+test('the first module keeps a contested name and the clash is reported', () => {
+  const manager = createManager([
+    fakeModule('core', { help: command(['h']) }),
+    fakeModule('extra', { help: command(), hello: command(['h']) })
+  ]);
+  assert.equal(manager.getCommand('help').moduleName, 'core');
+  assert.equal(manager.getCommand('h').name, 'help');
+  assert.equal(manager.getCommand('hello').moduleName, 'extra');
+  assert.deepEqual(manager.getCommand('hello').aliases, []);
+  assert.deepEqual(manager.getLoadErrors().map(entry => entry.message), [
+    'Command help from module extra conflicts with module core',
+    'Command h from module extra conflicts with module core'
+  ]);
+
+  // Rebuilding starts the command errors over
+  manager.modules.pop();
+  manager.buildCommandRegistry();
+  assert.deepEqual(manager.getLoadErrors(), []);
+});
+
+test('unknown commands get the closest names as suggestions', () => {
+  const manager = createManager([fakeModule('core', {
+    help: command(['commands']),
+    status: command(),
+    stats: command(),
+    unfollow: command()
+  })]);
+  assert.deepEqual(manager.suggestCommands('hlep'), ['help']);
+  assert.deepEqual(manager.suggestCommands('stat'), ['stats', 'status']);
+  assert.deepEqual(manager.suggestCommands('comands'), ['help']);
+  assert.deepEqual(manager.suggestCommands('xyz'), []);
+});
+
+test('edit distance counts a swap of neighbours as one edit', () => {
+  assert.equal(stringUtils.editDistance('help', 'help'), 0);
+  assert.equal(stringUtils.editDistance('hlep', 'help'), 1);
+  assert.equal(stringUtils.editDistance('', 'abc'), 3);
+  assert.equal(stringUtils.editDistance('kitten', 'sitting'), 3);
+});
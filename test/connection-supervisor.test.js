@@ -0,0 +1,143 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { IgLoginRequiredError } from 'instagram-private-api';
+import { config } from '../config.js';
+import { ConnectionSupervisor } from '../core/connection-supervisor.js';
+
+const loginRequired = () => new IgLoginRequiredError({
+  request: { method: 'GET', uri: { path: '/accounts/current_user/' } },
+  statusCode: 403,
+  statusMessage: 'Forbidden',
+  body: { message: 'login_required' }
+});
+
+const flush = () => new Promise(setImmediate);
+
+let bot;
+let supervisor;
+let states;
+
+beforeEach(() => {
+  config.connection = { baseDelay: 100, maxDelay: 1000, maxAttempts: 0, healthCheckInterval: 60000 };
+  mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+  mock.method(Math, 'random', () => 0);
+  bot = {
+    log: () => {},
+    ig: { account: { currentUser: async () => ({}) } },
+    connectRealtime: async () => {},
+    connectFbns: async () => {},
+    authenticate: async () => true
+  };
+  supervisor = new ConnectionSupervisor(bot);
+  states = [];
+  supervisor.on('stateChange', ({ to }) => states.push(to));
+  supervisor.start();
+});
+
+afterEach(() => {
+  supervisor.stop();
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+test('backoff doubles per attempt with jitter and stops at maxDelay', () => {
+  assert.equal(supervisor.getDelay(0), 50);
+  assert.equal(supervisor.getDelay(2), 200);
+  assert.equal(supervisor.getDelay(10), 500);
+  Math.random.mock.mockImplementation(() => 0.999999);
+  assert.ok(supervisor.getDelay(2) > 399 && supervisor.getDelay(2) < 400);
+});
+
+test('a dropped Realtime link is retried until it comes back', async () => {
+  let attempts = 0;
+  bot.connectRealtime = async () => {
+    if (++attempts === 1) throw new Error('socket closed');
+  };
+
+  supervisor.channelDown('realtime', new Error('socket closed'));
+  assert.equal(supervisor.getStatus().channels.realtime.retryAt instanceof Date, true);
+  mock.timers.tick(50);
+  await flush();
+  assert.equal(supervisor.getStatus().channels.realtime.attempts, 1);
+  mock.timers.tick(100);
+  await flush();
+
+  assert.equal(attempts, 2);
+  assert.deepEqual(states, ['online', 'backoff', 'connecting', 'backoff', 'connecting', 'online']);
+  assert.equal(supervisor.getStatus().channels.realtime.attempts, 0);
+});
+
+test('a failing FBNS link only degrades the connection', async () => {
+  bot.connectFbns = async () => { throw new Error('push refused'); };
+  supervisor.channelDown('fbns', new Error('push refused'));
+  mock.timers.tick(50);
+  await flush();
+  assert.equal(supervisor.state, 'degraded');
+  assert.equal(supervisor.reason, 'FBNS push: push refused');
+});
+
+test('maxAttempts failures in a row are fatal until a reconnect', async () => {
+  config.connection.maxAttempts = 2;
+  let up = false;
+  bot.connectRealtime = async () => {
+    if (!up) throw new Error('refused');
+  };
+
+  supervisor.channelDown('realtime', new Error('socket closed'));
+  mock.timers.tick(50);
+  await flush();
+  mock.timers.tick(100);
+  await flush();
+  assert.equal(supervisor.state, 'fatal');
+  assert.equal(supervisor.reason, 'Realtime (MQTT) still down after 2 attempts (refused)');
+
+  // Nothing is retried while fatal
+  mock.timers.tick(10000);
+  await flush();
+  assert.equal(supervisor.getStatus().channels.realtime.attempts, 2);
+
+  up = true;
+  assert.equal(supervisor.reconnect(), true);
+  await flush();
+  assert.equal(supervisor.state, 'online');
+});
+
+test('Realtime waits while the session is recovered by logging in again', async () => {
+  let sessionValid = false;
+  let finishLogin;
+  let realtimeConnects = 0;
+  bot.ig.account.currentUser = async () => {
+    if (!sessionValid) throw loginRequired();
+    return {};
+  };
+  bot.authenticate = () => new Promise(resolve => { finishLogin = resolve; });
+  bot.connectRealtime = async () => { realtimeConnects++; };
+
+  supervisor.channelDown('realtime', new Error('socket closed'));
+  supervisor.channelDown('http', loginRequired());
+  mock.timers.tick(50);
+  await flush();
+
+  const { channels } = supervisor.getStatus();
+  assert.equal(channels.realtime.status, 'waiting');
+  assert.equal(channels.http.status, 'recovering');
+  assert.equal(supervisor.state, 'connecting');
+  assert.equal(realtimeConnects, 0);
+
+  sessionValid = true;
+  finishLogin(true);
+  await flush();
+  assert.equal(realtimeConnects, 1);
+  assert.equal(supervisor.state, 'online');
+});
+
+test('a failed login is fatal straight away', async () => {
+  bot.ig.account.currentUser = async () => { throw loginRequired(); };
+  bot.authenticate = async () => false;
+
+  await supervisor.checkSession();
+  mock.timers.tick(50);
+  await flush();
+  assert.equal(supervisor.state, 'fatal');
+  assert.equal(supervisor.reason, 'Session expired and no login method succeeded');
+});
@@ -0,0 +1,119 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config.js';
+import { Client, Conversation } from '../core/client/client.js';
+
+const item = (id, userId, text) => ({ item_id: id, user_id: userId, text, timestamp: String(Date.now() * 1000) });
+
+let client;
+let said;
+let count;
+
+// A message from `userId` in t1, after pending sends had a chance to go out
+async function answer(userId, text, threadId = 't1') {
+  await new Promise(setImmediate);
+  return client.createMessage(item(`m${++count}`, userId, text), { thread_id: threadId });
+}
+
+beforeEach(() => {
+  config.conversation = { timeout: 120000, cancelWords: ['cancel', 'stop'] };
+  said = [];
+  count = 0;
+  client = new Client({
+    account: { id: 'main' },
+    sendMessage: async (threadId, text) => { said.push(text); return null; }
+  });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('ask resolves with the asked user\'s next message in the chat', async () => {
+  const question = client.createMessage(item('q', '42', '.setup'), { thread_id: 't1' });
+  const asked = question.ask('What colour?');
+  assert.equal(client.isAnswer({ threadId: 't1', senderId: '42' }), true);
+
+  await answer('7', 'red');
+  await answer('42', 'green', 't2');
+  await answer('42', 'blue');
+  assert.equal((await asked).text, 'blue');
+  assert.deepEqual(said, ['What colour?']);
+  assert.equal(client.isAnswer({ threadId: 't1', senderId: '42' }), false);
+});
+
+test('cancel words and silence end the question', async () => {
+  const question = client.createMessage(item('q', '42', '.setup'), { thread_id: 't1' });
+  const cancelled = question.ask('Name?');
+  await answer('42', 'Stop!');
+  assert.equal(await cancelled, null);
+
+  mock.timers.enable({ apis: ['setTimeout'] });
+  const ignored = question.ask('Name?', { timeout: 5000 });
+  await new Promise(setImmediate);
+  mock.timers.tick(5000);
+  assert.equal(await ignored, null);
+  assert.deepEqual(said, ['Name?', '❎ Cancelled', 'Name?', '⌛ No answer, cancelled']);
+});
+
+test('confirm only accepts yes-words', async () => {
+  const question = client.createMessage(item('q', '42', '.unfollow x'), { thread_id: 't1' });
+  const yes = question.confirm('Unfollow @x?');
+  await answer('42', 'Yes.');
+  assert.equal(await yes, true);
+
+  const no = question.confirm('Unfollow @x?');
+  await answer('42', 'maybe');
+  assert.equal(await no, false);
+  assert.deepEqual(said, ['Unfollow @x?\n\nReply yes or no', 'Unfollow @x?\n\nReply yes or no', '❎ Cancelled']);
+});
+
+test('choose takes a number or a label and asks again otherwise', async () => {
+  const question = client.createMessage(item('q', '42', '.units'), { thread_id: 't1' });
+  const chosen = question.choose('Which units?', ['metric', { label: 'Imperial', value: 'imp' }]);
+  await answer('42', 'kelvin');
+  await answer('42', 'imperial');
+  assert.equal(await chosen, 'imp');
+  assert.deepEqual(said, [
+    'Which units?\n\n1. metric\n2. Imperial\n\nReply with a number or a name',
+    '❌ Not one of the choices, reply with 1-2'
+  ]);
+
+  const byNumber = question.choose('Which units?', ['metric', 'imperial']);
+  await answer('42', '1');
+  assert.equal(await byNumber, 'metric');
+});
+
+test('a new question replaces the open one', async () => {
+  const question = client.createMessage(item('q', '42', '.setup'), { thread_id: 't1' });
+  const first = question.ask('First?');
+  await new Promise(setImmediate);
+  const second = question.ask('Second?');
+  assert.equal(await first, null);
+
+  await answer('42', 'answer');
+  assert.equal((await second).text, 'answer');
+  assert.equal(client.conversations.size, 0);
+});
+
+test('answers stay marked after the question closes', async () => {
+  const chat = client.patchOrCreateChat('t1');
+  const asked = new Conversation(chat, '42', { timeout: 1000 }).ask(null);
+
+  const message = client.createMessage(item('m1', '42', 'blue'), { thread_id: 't1' });
+  assert.equal(message.isAnswer, true);
+  assert.equal((await asked).text, 'blue');
+  assert.equal(client.conversations.size, 0);
+
+  assert.equal(client.createMessage(item('m2', '42', 'again'), { thread_id: 't1' }).isAnswer, false);
+});
+
+test('only the asked user in the asked chat answers', async () => {
+  const chat = client.patchOrCreateChat('t1');
+  const asked = new Conversation(chat, '42', { timeout: 1000 }).ask(null);
+
+  assert.equal(client.createMessage(item('m1', '7', 'me?'), { thread_id: 't1' }).isAnswer, false);
+  assert.equal(client.createMessage(item('m2', '42', 'elsewhere'), { thread_id: 't2' }).isAnswer, false);
+  assert.equal(client.createMessage(item('m3', '42', 'here'), { thread_id: 't1' }).isAnswer, true);
+  assert.equal((await asked).text, 'here');
+});
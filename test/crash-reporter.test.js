@@ -0,0 +1,104 @@
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { FileStorage } from '../utils/storage.js';
+import { registerSecret } from '../utils/secrets.js';
+import { notifier } from '../core/notifier.js';
+import { CrashReporter, crashReporter } from '../core/crash-reporter.js';
+import { Scheduler } from '../core/scheduler.js';
+
+// An error whose stack points into a module file
+function moduleError(message = 'boom') {
+  const error = new TypeError(message);
+  error.stack = `TypeError: ${message}\n    at handle (/app/modules/followers.js:10:5)\n    at run (/app/core/bot.js:1:1)`;
+  return error;
+}
+
+let dir;
+let storage;
+let reporter;
+let notices;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'crashes-'));
+});
+
+after(async () => {
+  await fs.remove(dir);
+});
+
+beforeEach(async () => {
+  mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  storage = new FileStorage({ path: path.join(dir, String(Math.random())) });
+  await storage.connect();
+  reporter = new CrashReporter();
+  reporter.collection = storage.collection('crashes');
+  notices = [];
+  mock.method(notifier, 'notify', async text => { notices.push(text); return true; });
+});
+
+afterEach(async () => {
+  mock.timers.reset();
+  mock.restoreAll();
+  await storage.close();
+});
+
+test('only programming errors are captured from module boundaries', async () => {
+  assert.equal(await reporter.capture(new Error('feedback_required'), { source: 'command follow' }), null);
+  const report = await reporter.capture(moduleError(), { source: 'command follow', account: 'shop' });
+
+  assert.equal(report.module, 'followers');
+  assert.equal(notices.length, 1);
+  assert.match(notices[0], /^💥 Error in module followers, command follow, account shop\n/);
+  assert.match(notices[0], /TypeError: boom\nat handle \(\/app\/modules\/followers.js:10:5\)/);
+  assert.equal((await reporter.list()).length, 1);
+});
+
+test('the same error is sent once per window and counted meanwhile', async () => {
+  await reporter.report(moduleError(), { source: 'task poll' });
+  await reporter.report(moduleError(), { source: 'task poll' });
+  await reporter.report(moduleError(), { source: 'task poll' });
+  await reporter.report(moduleError('other'), { source: 'task poll' });
+  assert.equal(notices.length, 2);
+
+  mock.timers.tick(600000);
+  await reporter.report(moduleError(), { source: 'task poll' });
+  assert.equal(notices.length, 3);
+  assert.match(notices[2], /\(repeated 2x before\)/);
+});
+
+test('fatal reports wait for the next start', async () => {
+  await reporter.report(new Error('out of memory'), { fatal: true });
+  assert.deepEqual(notices, []);
+
+  const restarted = new CrashReporter();
+  restarted.collection = reporter.collection;
+  assert.equal(await restarted.deliverPending(), 1);
+  assert.match(notices[0], /^💥 Crash in process\n/);
+  assert.equal(await restarted.deliverPending(), 0);
+});
+
+test('secrets and long stacks are trimmed from the notice', async () => {
+  registerSecret('crash-test-secret');
+  const error = new TypeError('token crash-test-secret rejected');
+  error.stack = [`TypeError: ${error.message}`, ...Array.from({ length: 12 }, (_, i) => `    at frame${i} (/app/core/x.js:${i}:1)`)].join('\n');
+
+  const report = await reporter.report(error, { source: 'process' });
+  assert.equal(report.message, 'token ******** rejected');
+  assert.doesNotMatch(notices[0], /crash-test-secret/);
+  assert.match(notices[0], /at frame7 .*\n… 4 more frames$/);
+});
+
+test('failing scheduled tasks are reported with their module and account', async () => {
+  const captured = [];
+  mock.method(crashReporter, 'capture', async (error, context) => { captured.push(context); });
+
+  await new Scheduler('shop:followers').run('poll', async () => { throw new TypeError('x is undefined'); });
+  await new Scheduler('help').run('tick', async () => { throw new TypeError('y is undefined'); });
+  assert.deepEqual(captured, [
+    { source: 'task poll', module: 'followers', account: 'shop' },
+    { source: 'task tick', module: 'help', account: null }
+  ]);
+});
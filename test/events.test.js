@@ -0,0 +1,153 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '../core/client/client.js';
+import { RealtimeEvents, matchPath } from '../core/events.js';
+import { crashReporter } from '../core/crash-reporter.js';
+import { ModuleManager } from '../core/module-manager.js';
+
+const user = (pk, username) => ({ pk, username });
+
+let bot;
+let events;
+let seen;
+
+// Records every payload of `names` in `seen` as [event, payload]
+function record(...names) {
+  const scope = events.scope('test');
+  for (const name of names) scope.on(name, payload => seen.push([name, payload]));
+  return scope;
+}
+
+beforeEach(() => {
+  bot = { account: { id: 'main' } };
+  bot.client = new Client(bot);
+  events = new RealtimeEvents(bot);
+  bot.events = events;
+  seen = [];
+});
+
+afterEach(() => {
+  events.stop();
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+test('subscriptions can be removed one by one or all at once', async () => {
+  const scope = events.scope('games');
+  const calls = [];
+  const listener = payload => calls.push(`on:${payload.kind}`);
+  scope.on('push', listener);
+  scope.once('push', payload => calls.push(`once:${payload.kind}`));
+
+  events.handlePush({ collapseKey: 'like' });
+  events.handlePush({ collapseKey: 'comment' });
+  scope.off('push', listener);
+  events.handlePush({ collapseKey: 'like' });
+  assert.deepEqual(calls, ['on:like', 'once:like', 'on:comment']);
+
+  scope.on('push', listener).on('seen', listener);
+  assert.equal(events.listenerCount('push'), 1);
+  scope.removeAll();
+  assert.equal(events.listenerCount('push'), 0);
+  assert.equal(events.listenerCount('seen'), 0);
+
+  assert.throws(() => scope.on('typing', listener), /Unknown event typing, expected one of: typing:start/);
+  assert.throws(() => events.on('nope', listener), /Unknown event nope/);
+});
+
+test('a failing listener is reported without stopping the others', async () => {
+  const captured = [];
+  mock.method(crashReporter, 'capture', async (error, context) => { captured.push(context); });
+  events.scope('shop:games').on('push', () => { throw new TypeError('oops'); });
+  record('push');
+
+  events.handlePush({ collapseKey: 'like' });
+  await new Promise(setImmediate);
+  assert.equal(seen.length, 1);
+  assert.deepEqual(captured, [{ source: 'event push', module: 'games', account: 'shop' }]);
+});
+
+test('pushes get a kind and the username from the notification text', () => {
+  record('push', 'push:follow');
+  events.handlePush({ collapseKey: 'new_follower', sourceUserId: 42, message: 'alice.b started following you.' });
+  events.handlePush({ collapseKey: 'something_new', message: '' });
+
+  assert.deepEqual(seen.map(([name, payload]) => [name, payload.kind, payload.userId, payload.username]), [
+    ['push', 'follow', '42', 'alice.b'],
+    ['push:follow', 'follow', '42', 'alice.b'],
+    ['push', null, null, null]
+  ]);
+});
+
+test('typing stops when told or when the indicator runs out', () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  record('typing:start', 'typing:stop');
+  const typing = (status, ttl) => events.handlePatch({
+    op: 'add', path: '/direct_v2/threads/111/activity_indicator_id/abc', value: JSON.stringify({ sender_id: 42, activity_status: status, ttl })
+  });
+
+  typing(1, 5000);
+  typing(1, 5000);
+  typing(0);
+  typing(1, 5000);
+  mock.timers.tick(5000);
+  assert.deepEqual(seen.map(([name, payload]) => `${name} ${payload.threadId}:${payload.userId}`), [
+    'typing:start 111:42', 'typing:stop 111:42', 'typing:start 111:42', 'typing:stop 111:42'
+  ]);
+});
+
+test('reactions are compared with the cached message', () => {
+  bot.client.createMessage({ item_id: 'i1', user_id: 1, timestamp: '1', text: 'hi', reactions: { likes: [{ sender_id: 7 }] } }, { thread_id: '111' });
+  record('reaction:add', 'reaction:remove');
+
+  assert.equal(events.handleSync({
+    op: 'replace',
+    path: '/direct_v2/threads/111/items/i1',
+    reactions: { emojis: [{ sender_id: 8, emoji: '🔥' }] }
+  }), true);
+  assert.deepEqual(seen.map(([name, payload]) => `${name} ${payload.userId} ${payload.emoji} ${payload.message.id}`), [
+    'reaction:add 8 🔥 i1',
+    'reaction:remove 7 ❤️ i1'
+  ]);
+
+  // New items are messages, not events
+  assert.equal(events.handleSync({ op: 'add', path: '/direct_v2/threads/111/items/i2', item_id: 'i2' }), false);
+});
+
+test('group updates become rename, member and admin events', () => {
+  bot.client.patchOrCreateChat('111', { thread_title: 'Old', users: [user(1, 'a'), user(2, 'b')], admin_user_ids: [1] });
+  record('thread:rename', 'member:join', 'member:leave', 'admin:add', 'admin:remove');
+
+  events.handleThreadUpdate({
+    meta: { path: '/direct_v2/inbox/threads/111', op: 'replace', thread_id: '111' },
+    update: { thread_title: 'New', users: [user(2, 'b'), user(3, 'c')], admin_user_ids: [2] }
+  });
+  assert.deepEqual(seen.map(([name, payload]) => `${name} ${payload.userId || payload.name}`), [
+    'thread:rename New',
+    'member:join 3',
+    'member:leave 1',
+    'admin:add 2',
+    'admin:remove 1'
+  ]);
+  assert.equal(seen[1][1].user.username, 'c');
+  assert.equal(seen[0][1].previousName, 'Old');
+});
+
+test('patch paths are recognised by type', () => {
+  assert.deepEqual(matchPath('/direct_v2/threads/1/participants/2/has_seen'), { type: 'seen', threadId: '1', id: '2' });
+  assert.equal(matchPath('/direct_v2/unknown'), null);
+});
+
+test('a module loses its listeners when it unloads', async () => {
+  const manager = new ModuleManager(bot, null, { id: 'main', primary: true });
+  const Listener = class {
+    static manifest = { name: 'listener' };
+    async onLoad(context) {
+      context.events.on('push', () => {});
+    }
+  };
+  await manager.loadModule('listener.js', { ModuleClass: Listener });
+  assert.equal(events.listenerCount('push'), 1);
+  await manager.unloadModule('listener.js');
+  assert.equal(events.listenerCount('push'), 0);
+});
@@ -0,0 +1,112 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { EventEmitter } from 'events';
+import { config } from '../config.js';
+import { FileStorage } from '../utils/storage.js';
+import { Client } from '../core/client/client.js';
+import { RealtimeEvents } from '../core/events.js';
+import { FollowerSync } from '../core/follower-sync.js';
+import { FollowerEvents } from '../core/follower-events.js';
+
+const user = (pk, username = `user${pk}`) => ({ pk, username, follower_count: 0 });
+
+let dir;
+let storage;
+let bot;
+let followers;
+let fetches;
+let newFollowers;
+
+before(async () => {
+  config.followers.sync = { pageDelay: { min: 0, max: 0 }, longPauseEvery: 0, longPause: 0 };
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'follower-events-'));
+});
+
+after(async () => {
+  await storage?.close();
+  await fs.remove(dir);
+});
+
+beforeEach(async () => {
+  await storage?.close();
+  storage = new FileStorage({ path: path.join(dir, String(Date.now() + Math.random())) });
+  await storage.connect();
+  followers = [user(1, 'alice')];
+  fetches = 0;
+  newFollowers = [];
+  bot = new EventEmitter();
+  Object.assign(bot, {
+    account: { id: 'main' },
+    isRunning: true,
+    log: () => {},
+    outbox: { isFeedbackError: () => false },
+    ig: {
+      state: { cookieUserId: '99' },
+      user: { info: async id => user(id) },
+      feed: {
+        accountFollowers: () => {
+          fetches++;
+          let done = false;
+          return {
+            items: async () => { done = true; return followers; },
+            isMoreAvailable: () => !done,
+            serialize: () => ({ done })
+          };
+        }
+      }
+    }
+  });
+  bot.client = new Client(bot);
+  bot.events = new RealtimeEvents(bot);
+  bot.followerSync = new FollowerSync(bot);
+  bot.followerSync.snapshots = storage.collection('follower_snapshots');
+  bot.followerSync.syncs = storage.collection('follower_syncs');
+  bot.followerEvents = new FollowerEvents(bot);
+  bot.on('newFollower', followed => newFollowers.push(followed.username));
+});
+
+afterEach(() => {
+  bot.followerEvents.stop();
+});
+
+test('a follower is announced once, by push or by reconciliation', async () => {
+  const events = bot.followerEvents;
+  await events.reconcile();
+  assert.deepEqual(newFollowers, [], 'the first sync only records the list');
+
+  await events.onFollowPush({ userId: '2' });
+  await events.onFollowPush({ userId: '2' });
+  followers = [user(1, 'alice'), user(2), user(3, 'carol')];
+  await events.reconcile();
+  assert.deepEqual(newFollowers, ['user2', 'carol']);
+
+  // Known followers are not announced again by a push
+  await events.onFollowPush({ userId: '3' });
+  assert.deepEqual(newFollowers, ['user2', 'carol']);
+});
+
+test('pushes reach the follower events through the event bus', async () => {
+  bot.followerEvents.start();
+  const requests = [];
+  bot.on('followRequest', requester => requests.push(requester.id));
+
+  bot.events.handlePush({ collapseKey: 'new_follower', sourceUserId: 5, message: 'user5 started following you.' });
+  bot.events.handlePush({ collapseKey: 'private_user_follow_request', sourceUserId: 6, message: 'user6 has requested to follow you.' });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.deepEqual(newFollowers, ['user5']);
+  assert.deepEqual(requests, ['6']);
+});
+
+test('nothing is looked up or fetched while no one listens', async () => {
+  let lookups = 0;
+  bot.ig.user.info = async id => { lookups++; return user(id); };
+  await bot.followerEvents.reconcile();
+  bot.removeAllListeners('newFollower');
+  await bot.followerEvents.reconcile();
+  await bot.followerEvents.onFollowPush({ userId: '2' });
+  assert.equal(fetches, 1);
+  assert.equal(lookups, 0);
+});
@@ -0,0 +1,146 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { config } from '../config.js';
+import { FileStorage } from '../utils/storage.js';
+import { FollowerSync } from '../core/follower-sync.js';
+
+const user = pk => ({ pk, username: `user${pk}`, full_name: `User ${pk}`, is_private: false });
+
+// Pages of users; `failAt` throws on that page (0-based) once
+function createFeed(pages, { failAt = -1, error = null } = {}) {
+  let index = 0;
+  return {
+    async items() {
+      if (index === failAt) {
+        failAt = -1;
+        throw error;
+      }
+      return pages[index++].map(user);
+    },
+    isMoreAvailable: () => index < pages.length,
+    serialize: () => ({ index }),
+    deserialize: cursor => { index = cursor.index; }
+  };
+}
+
+let dir;
+let storage;
+let feeds;
+let logs;
+let followerSync;
+
+before(async () => {
+  config.followers.sync = { pageDelay: { min: 0, max: 0 }, longPauseEvery: 0, longPause: 0 };
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'follower-sync-'));
+});
+
+after(async () => {
+  await storage?.close();
+  await fs.remove(dir);
+});
+
+beforeEach(async () => {
+  await storage?.close();
+  storage = new FileStorage({ path: path.join(dir, String(Date.now() + Math.random())) });
+  await storage.connect();
+  feeds = [];
+  logs = [];
+  followerSync = new FollowerSync({
+    account: { id: 'main' },
+    log: (level, text) => logs.push(text),
+    outbox: { isFeedbackError: error => error.message === 'feedback_required' },
+    ig: {
+      state: { cookieUserId: '1' },
+      feed: {
+        accountFollowers: () => feeds.shift(),
+        accountFollowing: () => feeds.shift()
+      }
+    }
+  });
+  followerSync.snapshots = storage.collection('follower_snapshots');
+  followerSync.syncs = storage.collection('follower_syncs');
+});
+
+const ids = entries => entries.map(entry => entry.userId).sort();
+
+test('the first sync only records the list', async () => {
+  feeds.push(createFeed([[1, 2], [3]]));
+  const result = await followerSync.sync('followers');
+  assert.equal(result.initial, true);
+  assert.equal(result.complete, true);
+  assert.deepEqual(result.added, []);
+  assert.equal(result.total, 3);
+  assert.equal(result.pages, 2);
+  assert.deepEqual(ids(await followerSync.getSnapshot('followers')), ['1', '2', '3']);
+});
+
+test('later syncs report who was added and removed', async () => {
+  feeds.push(createFeed([[1, 2, 3]]));
+  await followerSync.sync('followers');
+
+  feeds.push(createFeed([[1, 3], [4]]));
+  const result = await followerSync.sync('followers');
+  assert.equal(result.initial, false);
+  assert.deepEqual(ids(result.added), ['4']);
+  assert.deepEqual(ids(result.removed), ['2']);
+  assert.equal(result.total, 3);
+  assert.equal(await followerSync.isKnown('followers', 2), false);
+
+  // A returning follower counts as added again
+  feeds.push(createFeed([[1, 2, 3, 4]]));
+  const back = await followerSync.sync('followers');
+  assert.deepEqual(ids(back.added), ['2']);
+  assert.deepEqual(back.removed, []);
+});
+
+test('followers and following are kept apart', async () => {
+  feeds.push(createFeed([[1, 2]]), createFeed([[5]]));
+  await followerSync.sync('followers');
+  await followerSync.sync('following');
+  assert.deepEqual(ids(await followerSync.getSnapshot('followers')), ['1', '2']);
+  assert.deepEqual(ids(await followerSync.getSnapshot('following')), ['5']);
+  await assert.rejects(async () => followerSync.sync('likes'), /Unknown sync kind/);
+});
+
+test('a rate limited sync resumes from the saved page', async () => {
+  feeds.push(createFeed([[1]]));
+  await followerSync.sync('followers');
+
+  feeds.push(createFeed([[1], [2], [3]], { failAt: 1, error: new Error('feedback_required') }));
+  const stopped = await followerSync.sync('followers');
+  assert.equal(stopped.complete, false);
+  assert.equal(stopped.pages, 1);
+  assert.equal((await followerSync.getStatus('followers')).status, 'interrupted');
+
+  // The next walk starts at page 2 of a new feed
+  feeds.push(createFeed([[9], [2], [3]]));
+  const resumed = await followerSync.sync('followers');
+  assert.equal(resumed.complete, true);
+  assert.equal(resumed.pages, 3);
+  assert.deepEqual(ids(resumed.added), ['2', '3']);
+  assert.deepEqual(resumed.removed, []);
+});
+
+test('other errors are rethrown', async () => {
+  feeds.push(createFeed([[1]], { failAt: 0, error: new Error('boom') }));
+  await assert.rejects(followerSync.sync('followers'), /boom/);
+  assert.equal((await followerSync.getStatus('followers')).status, 'interrupted');
+});
+
+test('concurrent syncs share a run, a fresh one waits for it', async () => {
+  feeds.push(createFeed([[1]]));
+  await followerSync.sync('followers');
+
+  feeds.push(createFeed([[1, 2]]), createFeed([[1]]));
+  const first = followerSync.sync('followers');
+  assert.equal(followerSync.sync('followers'), first);
+  const fresh = followerSync.sync('followers', { fresh: true });
+  assert.equal(followerSync.sync('followers', { fresh: true }), fresh);
+
+  assert.deepEqual(ids((await first).added), ['2']);
+  assert.deepEqual(ids((await fresh).removed), ['2']);
+  assert.equal(feeds.length, 0);
+});
@@ -0,0 +1,130 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { IgChallengeWrongCodeError, IgLoginTwoFactorRequiredError } from 'instagram-private-api';
+import { config } from '../config.js';
+import { LoginPrompt, getPromptChannel } from '../core/login-prompt.js';
+import { InstagramBot } from '../core/bot.js';
+
+const account = { id: 'main', primary: true, username: 'hyperbot', password: 'pw' };
+
+let telegramBot;
+let sent;
+
+// A prompt on the Telegram channel with a stand-in bot client
+function createPrompt() {
+  const prompt = new LoginPrompt(account);
+  prompt.channel = 'telegram';
+  prompt.open = async () => {};
+  prompt.telegramClient = { bot: telegramBot };
+  return prompt;
+}
+
+const reply = (text, { from = 42, type = 'private' } = {}) =>
+  telegramBot.emit('message', { text, from: { id: from }, chat: { type } });
+
+beforeEach(() => {
+  config.telegram.enabled = true;
+  config.telegram.botToken = '123:token';
+  config.telegram.adminUserId = '42';
+  config.instagram.loginCodeTimeout = 300000;
+  config.instagram.loginCodeAttempts = 3;
+  sent = [];
+  telegramBot = new EventEmitter();
+  telegramBot.sendMessage = async (chatId, text) => { sent.push({ chatId, text }); };
+});
+
+test('codes are asked from the Telegram admin when one is configured', () => {
+  assert.equal(getPromptChannel(), 'telegram');
+  config.telegram.adminUserId = undefined;
+  assert.equal(getPromptChannel(), process.stdin.isTTY ? 'stdin' : null);
+});
+
+test('only the admin\'s private reply counts as the code', async () => {
+  const prompt = createPrompt();
+  const answer = prompt.ask('Instagram sent a code');
+  await new Promise(setImmediate);
+
+  assert.deepEqual(sent.map(message => message.chatId), ['42']);
+  assert.match(sent[0].text, /^🔐 @hyperbot: Instagram sent a code\./);
+  reply('111 111', { from: 7 });
+  reply('222 222', { type: 'group' });
+  reply(' 123 456 ');
+  assert.equal(await answer, '123456');
+  assert.equal(telegramBot.listenerCount('message'), 0);
+});
+
+test('"cancel" and silence end the login', async () => {
+  const prompt = createPrompt();
+  const cancelled = prompt.ask('Code please');
+  await new Promise(setImmediate);
+  reply('Cancel');
+  await assert.rejects(cancelled, /Login cancelled by the admin/);
+
+  config.instagram.loginCodeTimeout = 10;
+  await assert.rejects(prompt.ask('Code please'), /No login code received/);
+  assert.equal(telegramBot.listenerCount('message'), 0);
+});
+
+test('without Telegram or a terminal there is nobody to ask', async () => {
+  const prompt = new LoginPrompt(account);
+  prompt.channel = null;
+  await assert.rejects(prompt.ask('Code please'), /nobody to ask/);
+});
+
+test('wrong codes are asked again up to the attempt limit', async () => {
+  const bot = new InstagramBot(account);
+  bot.log = () => {};
+  const questions = [];
+  const prompt = { ask: async question => { questions.push(question); return String(questions.length); } };
+
+  const submitted = [];
+  const result = await bot.submitCode(prompt, 'First code', async code => {
+    submitted.push(code);
+    if (code !== '3') throw new IgChallengeWrongCodeError('wrong');
+    return 'ok';
+  });
+  assert.equal(result, 'ok');
+  assert.deepEqual(submitted, ['1', '2', '3']);
+  assert.deepEqual(questions, ['First code', 'Wrong code (1/3), send the new code', 'Wrong code (2/3), send the new code']);
+
+  config.instagram.loginCodeAttempts = 2;
+  questions.length = 0;
+  await assert.rejects(bot.submitCode(prompt, 'First code', async () => { throw new IgChallengeWrongCodeError('still wrong'); }), /still wrong/);
+  assert.equal(questions.length, 2);
+
+  questions.length = 0;
+  await assert.rejects(bot.submitCode(prompt, 'First code', async () => { throw new Error('network down'); }), /network down/);
+  assert.equal(questions.length, 1);
+});
+
+test('a two-factor login uses the code for twoFactorLogin', async () => {
+  const bot = new InstagramBot(account);
+  bot.log = () => {};
+  const saved = [];
+  bot.saveSession = async reason => { saved.push(reason); };
+  bot.ig.account.login = async () => {
+    throw new IgLoginTwoFactorRequiredError({
+      request: { method: 'POST', uri: { path: '/accounts/login/' } },
+      statusCode: 400,
+      statusMessage: 'Bad Request',
+      body: { two_factor_info: { two_factor_identifier: 'id-1', totp_two_factor_on: true, username: 'hyperbot' } }
+    });
+  };
+  let twoFactor;
+  bot.ig.account.twoFactorLogin = async options => { twoFactor = options; };
+  bot.completeVerification = async function (error, label) {
+    await this.submitTwoFactorCode(error, { ask: async () => '654321' });
+    return label;
+  };
+
+  assert.equal(await bot.tryFreshLogin(), true);
+  assert.deepEqual(twoFactor, {
+    username: 'hyperbot',
+    verificationCode: '654321',
+    twoFactorIdentifier: 'id-1',
+    verificationMethod: '0',
+    trustThisDevice: '1'
+  });
+  assert.deepEqual(saved, ['two-factor login']);
+});
@@ -0,0 +1,100 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { config } from '../config.js';
+import { ModuleManager } from '../core/module-manager.js';
+
+let dir;
+let storageDir;
+let manager;
+const cleaned = [];
+globalThis.moduleLoadingCleaned = cleaned;
+
+// A module whose command description tells the loaded version apart
+const moduleSource = (version, extra = '') => `
+export class EchoModule {
+  constructor() {
+    this.name = 'echo';
+  }
+
+  getCommands() {
+    return { echo: { handler: async () => {}, description: '${version}' } };
+  }
+
+  cleanup() {
+    globalThis.moduleLoadingCleaned.push('${version}');
+  }
+}
+${extra}`;
+
+const writeModule = (file, source) => fs.writeFile(path.join(dir, file), source);
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'modules-'));
+  storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'modules-storage-'));
+  config.storage = { driver: 'file', path: storageDir };
+});
+
+after(async () => {
+  await fs.remove(dir);
+  await fs.remove(storageDir);
+});
+
+beforeEach(async () => {
+  await fs.emptyDir(dir);
+  cleaned.length = 0;
+  manager = new ModuleManager();
+  manager.modulesPath = dir;
+  await writeModule('echo.js', moduleSource('v1'));
+  await manager.loadModules();
+});
+
+test('modules in the directory are loaded with their commands', () => {
+  assert.equal(manager.getCommand('echo').description, 'v1');
+  assert.equal(manager.resolveModuleFile('echo'), 'echo.js');
+  assert.equal(manager.resolveModuleFile('ECHO.js'), 'echo.js');
+  assert.deepEqual(manager.getModuleStats().modules.map(module => module.file), ['echo.js']);
+});
+
+test('reloading swaps in the edited file and cleans up the old instance', async () => {
+  await writeModule('echo.js', moduleSource('v2'));
+  await manager.reloadModule('echo.js');
+  assert.equal(manager.getCommand('echo').description, 'v2');
+  assert.equal(manager.modules.length, 1);
+  assert.deepEqual(cleaned, ['v1']);
+});
+
+test('a broken edit keeps the running version', async () => {
+  await writeModule('echo.js', moduleSource('v2', 'this is not javascript'));
+  await assert.rejects(manager.reloadModule('echo.js'));
+  assert.equal(manager.getCommand('echo').description, 'v1');
+  assert.deepEqual(cleaned, []);
+  assert.deepEqual(manager.getLoadErrors().map(entry => entry.module), ['echo.js']);
+
+  await writeModule('echo.js', moduleSource('v3'));
+  await manager.reloadModule('echo.js');
+  assert.deepEqual(manager.getLoadErrors(), []);
+});
+
+test('unloading removes the module and its commands', async () => {
+  await manager.unloadModule('echo.js');
+  assert.equal(manager.getCommand('echo'), null);
+  assert.equal(manager.modules.length, 0);
+  assert.deepEqual(cleaned, ['v1']);
+  await assert.rejects(manager.unloadModule('echo.js'), /is not loaded/);
+
+  await manager.reloadModule('echo.js');
+  assert.equal(manager.getCommand('echo').description, 'v1');
+});
+
+test('file changes load, reload and unload modules', async () => {
+  await writeModule('echo.js', moduleSource('v2'));
+  await manager.handleFileChange('echo.js');
+  assert.equal(manager.getCommand('echo').description, 'v2');
+
+  await fs.remove(path.join(dir, 'echo.js'));
+  await manager.handleFileChange('echo.js');
+  assert.equal(manager.getCommand('echo'), null);
+});
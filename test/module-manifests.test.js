@@ -0,0 +1,127 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config.js';
+import { ModuleManager } from '../core/module-manager.js';
+
+// Builds a manifest module class that records its lifecycle in `events`
+const defineModule = (name, manifest = {}) => class {
+  static manifest = { name, ...manifest };
+
+  constructor(context) {
+    this.context = context;
+    events.push(`construct ${name}`);
+  }
+
+  getCommands() {
+    return { [`${name}cmd`]: { handler: async () => {}, description: name } };
+  }
+
+  async onLoad(context) {
+    events.push(`load ${name}`);
+    if (manifest.failOnLoad) throw new Error(`${name} refused to load`);
+    context.scheduler.every('tick', 60000, async () => {});
+  }
+
+  async onReady() {
+    events.push(`ready ${name}:${this.context.manager.getCommand(`${name}cmd`) ? 'registered' : 'missing'}`);
+  }
+
+  async onUnload() {
+    events.push(`unload ${name}`);
+  }
+};
+
+const entry = ModuleClass => ({ filename: `${ModuleClass.manifest.name}.js`, ModuleClass });
+
+let manager;
+let events;
+
+beforeEach(() => {
+  events = [];
+  manager = new ModuleManager({ id: 'bot' }, null);
+});
+
+async function loadAll(classes) {
+  for (const { filename, ModuleClass } of manager.resolveLoadOrder(classes.map(entry))) {
+    await manager.loadModule(filename, { ModuleClass });
+  }
+  manager.buildCommandRegistry();
+  await manager.readyModules(manager.modules);
+}
+
+test('dependencies load before the modules that need them', async () => {
+  const Base = defineModule('base');
+  const Middle = defineModule('middle', { dependencies: ['Base'] });
+  const Top = defineModule('top', { dependencies: ['middle', 'base'] });
+  const order = manager.resolveLoadOrder([Top, Middle, Base].map(entry));
+  assert.deepEqual(order.map(item => item.manifest.name), ['base', 'middle', 'top']);
+  assert.deepEqual(manager.getLoadErrors(), []);
+});
+
+test('missing and cyclic dependencies are reported and left out', () => {
+  const order = manager.resolveLoadOrder([
+    defineModule('lonely', { dependencies: ['ghost'] }),
+    defineModule('needslonely', { dependencies: ['lonely'] }),
+    defineModule('ping', { dependencies: ['pong'] }),
+    defineModule('pong', { dependencies: ['ping'] }),
+    defineModule('fine')
+  ].map(entry));
+  assert.deepEqual(order.map(item => item.manifest.name), ['fine']);
+  assert.deepEqual(manager.getLoadErrors().map(error => `${error.module}: ${error.message}`), [
+    'lonely.js: Missing or disabled dependency: ghost',
+    'needslonely.js: Dependency lonely failed to load',
+    'pong.js: Dependency cycle: ping -> pong -> ping',
+    'ping.js: Dependency cycle: ping -> pong -> ping'
+  ]);
+});
+
+test('modules get a context and their hooks in order', async () => {
+  await loadAll([defineModule('base'), defineModule('top', { dependencies: ['base'] })]);
+  assert.deepEqual(events, [
+    'construct base', 'load base',
+    'construct top', 'load top',
+    'ready base:registered', 'ready top:registered'
+  ]);
+
+  const top = manager.findModuleByName('top');
+  assert.equal(top.context.name, 'top');
+  assert.deepEqual(top.context.bot, { id: 'bot' });
+  assert.equal(top.context.modules.get('base'), manager.findModuleByName('base'));
+  assert.deepEqual(top.context.modules.list(), ['base', 'top']);
+  assert.deepEqual(top.context.scheduler.list(), [{ name: 'tick', type: 'interval' }]);
+  await manager.cleanup();
+});
+
+test('required config must be set before a module loads', async () => {
+  config.modulesTest = { token: '' };
+  const Needy = defineModule('needy', { requiredConfig: ['modulesTest.token'] });
+  assert.equal(await manager.loadModule('needy.js', { ModuleClass: Needy }), null);
+  assert.deepEqual(manager.getLoadErrors().map(error => error.message), ['Missing required config: modulesTest.token']);
+  assert.deepEqual(events, []);
+
+  config.modulesTest.token = 'secret';
+  assert.ok(await manager.loadModule('needy.js', { ModuleClass: Needy }));
+  assert.deepEqual(manager.getLoadErrors(), []);
+  delete config.modulesTest;
+  await manager.cleanup();
+});
+
+test('a failing onLoad tears the module down again', async () => {
+  const Broken = defineModule('broken', { failOnLoad: true });
+  assert.equal(await manager.loadModule('broken.js', { ModuleClass: Broken }), null);
+  assert.deepEqual(events, ['construct broken', 'load broken', 'unload broken']);
+  assert.equal(manager.modules.length, 0);
+  assert.deepEqual(manager.getLoadErrors().map(error => error.message), ['broken refused to load']);
+});
+
+test('unloading stops timers and refuses while dependents are loaded', async () => {
+  await loadAll([defineModule('base'), defineModule('top', { dependencies: ['base'] })]);
+  const top = manager.findModuleByName('top');
+
+  await assert.rejects(manager.unloadModule('base.js'), /Module base is required by top/);
+  await manager.unloadModule('top.js');
+  assert.deepEqual(top.context.scheduler.list(), []);
+  assert.equal(manager.getCommand('topcmd'), null);
+  await manager.unloadModule('base.js');
+  assert.deepEqual(events.slice(-2), ['unload top', 'unload base']);
+});
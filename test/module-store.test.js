@@ -0,0 +1,79 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config.js';
+import { ModuleStore, moduleStore } from '../core/module-store.js';
+import { ModuleManager } from '../core/module-manager.js';
+
+const manifest = (name, extra = {}) => ({ name, enabledByDefault: true, defaultConfig: {}, ...extra });
+
+let store;
+
+beforeEach(() => {
+  config.modules.disabled = [];
+  store = new ModuleStore();
+});
+
+test('a chat switch overrides the global one, which overrides the default', async () => {
+  const games = manifest('games', { enabledByDefault: false });
+  assert.equal(store.isEnabled(games), false);
+
+  await store.setEnabled('games', true);
+  assert.equal(store.isEnabled(games, 't1'), true);
+  await store.setEnabled('games', false, 't1');
+  assert.equal(store.isEnabled(games, 't1'), false);
+  assert.equal(store.isEnabled(games, 't2'), true);
+  assert.deepEqual(store.listThreadSwitches('t1'), [{ module: 'games', enabled: false }]);
+
+  assert.equal(await store.clearEnabled('games', 't1'), true);
+  assert.equal(store.isEnabled(games, 't1'), true);
+});
+
+test('config.modules.disabled turns a module off by default', () => {
+  config.modules.disabled = ['followers'];
+  assert.equal(store.isEnabled(manifest('followers')), false);
+  assert.equal(store.isEnabled(manifest('core')), true);
+});
+
+test('module config values take the type of their default', async () => {
+  const welcome = manifest('welcome', { defaultConfig: { text: 'hi', delay: 5, enabled: true, tags: ['a'] } });
+  assert.equal(await store.setConfig(welcome, 'delay', '30'), 30);
+  assert.equal(await store.setConfig(welcome, 'enabled', 'off'), false);
+  assert.deepEqual(await store.setConfig(welcome, 'tags', '["x","y"]'), ['x', 'y']);
+  assert.deepEqual(store.getConfig(welcome), { text: 'hi', delay: 30, enabled: false, tags: ['x', 'y'] });
+
+  await assert.rejects(store.setConfig(welcome, 'delay', 'soon'), /delay must be a number/);
+  await assert.rejects(store.setConfig(welcome, 'enabled', 'maybe'), /must be true or false/);
+  await assert.rejects(store.setConfig(welcome, 'color', 'red'), /Unknown config key for welcome: color/);
+
+  await store.resetConfig(welcome, 'delay');
+  assert.equal(store.getConfig(welcome).delay, 5);
+  await store.resetConfig(welcome);
+  assert.deepEqual(store.getConfig(welcome), welcome.defaultConfig);
+});
+
+test('modules switched off in a chat skip its messages', async () => {
+  moduleStore.enabled.clear();
+  const manager = new ModuleManager();
+  const seen = [];
+  const module = name => ({
+    name,
+    manifest: manifest(name),
+    process: async message => { seen.push(`${name}:${message.threadId}`); return message; }
+  });
+  manager.modules = [module('games'), module('logger')];
+  manager.buildMiddleware();
+
+  await moduleStore.setEnabled('games', false, 't1');
+  await manager.pipeline.run({ threadId: 't1' });
+  await manager.pipeline.run({ threadId: 't2' });
+  assert.deepEqual(seen, ['logger:t1', 'games:t2', 'logger:t2']);
+  moduleStore.enabled.clear();
+});
+
+test('conflicting modules cannot be loaded together', async () => {
+  const manager = new ModuleManager();
+  const define = (name, conflicts = []) => class { static manifest = { name, conflicts }; };
+  assert.ok(await manager.loadModule('old.js', { ModuleClass: define('old') }));
+  assert.equal(await manager.loadModule('new.js', { ModuleClass: define('new', ['old']) }), null);
+  assert.deepEqual(manager.getLoadErrors().map(error => error.message), ['Module new conflicts with old, disable it first']);
+});
@@ -0,0 +1,108 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { IgResponseError } from 'instagram-private-api';
+import { config } from '../config.js';
+import { OutboundQueue } from '../core/bot.js';
+import { rateLimiter, TokenBucket } from '../core/rate-limiter.js';
+
+const feedbackRequired = () => new IgResponseError({
+  request: { method: 'POST', uri: { path: '/direct_v2/threads/broadcast/text/' } },
+  statusCode: 400,
+  statusMessage: 'Bad Request',
+  body: { message: 'feedback_required' }
+});
+
+let queue;
+let events;
+
+beforeEach(() => {
+  config.outbound = { minDelay: 0, maxDelay: 0, maxRetries: 2, retryDelay: 5, feedbackPause: 20 };
+  rateLimiter.outboundBuckets.set('main', new TokenBucket(1000, 60000));
+  mock.method(Math, 'random', () => 0);
+  events = [];
+  queue = new OutboundQueue({
+    account: { id: 'main' },
+    log: () => {},
+    emit: (event, data) => events.push({ event, data })
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('sends go out one at a time, highest priority first', async () => {
+  const order = [];
+  const send = label => async () => { order.push(label); return label; };
+  const sends = [
+    queue.enqueue('a', send('a'), 'low'),
+    queue.enqueue('b', send('b'), 'low'),
+    queue.enqueue('c', send('c')),
+    queue.enqueue('d', send('d'), 'high')
+  ];
+  assert.deepEqual(await Promise.all(sends), ['a', 'b', 'c', 'd']);
+  // "a" was already being sent when the others arrived
+  assert.deepEqual(order, ['a', 'd', 'c', 'b']);
+  assert.equal(queue.getStatus().sent, 4);
+});
+
+test('network errors are retried with backoff', async () => {
+  let attempts = 0;
+  const result = await queue.enqueue('flaky', async () => {
+    if (++attempts < 3) throw Object.assign(new Error('reset'), { code: 'ECONNRESET' });
+    return 'sent';
+  });
+  assert.equal(result, 'sent');
+  assert.equal(attempts, 3);
+  assert.deepEqual(queue.getStatus(), { queued: 0, paused: false, pausedUntil: null, sent: 1, failed: 0, retried: 2, retrying: 0 });
+});
+
+test('other errors and exhausted retries reject the send', async () => {
+  await assert.rejects(queue.enqueue('bad', async () => { throw new Error('400 bad request'); }), /400 bad request/);
+  let attempts = 0;
+  await assert.rejects(queue.enqueue('down', async () => {
+    attempts++;
+    throw Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' });
+  }), /timeout/);
+  assert.equal(attempts, 3);
+  assert.equal(queue.getStatus().failed, 2);
+});
+
+test('a spam response pauses every send and retries the rejected one', async () => {
+  let attempts = 0;
+  const first = queue.enqueue('spam', async () => {
+    if (++attempts === 1) throw feedbackRequired();
+    return 'later';
+  });
+  const second = queue.enqueue('next', async () => 'after');
+  assert.deepEqual(await Promise.all([first, second]), ['later', 'after']);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].event, 'outboundPaused');
+  assert.ok(events[0].data.until instanceof Date);
+});
+
+test('clear rejects everything still queued', async () => {
+  const first = queue.enqueue('first', () => new Promise(resolve => setTimeout(() => resolve('sent'), 10)));
+  const queued = queue.enqueue('queued', async () => 'never');
+  assert.equal(queue.clear('Bot disconnected'), 1);
+  await assert.rejects(queued, /Bot disconnected/);
+  assert.equal(await first, 'sent');
+});
+
+test('clear also rejects sends waiting for a retry and cancels the retry', async () => {
+  let attempts = 0;
+  const pending = queue.enqueue('flaky', async () => {
+    attempts++;
+    throw Object.assign(new Error('reset'), { code: 'ECONNRESET' });
+  });
+  while (!queue.retrying.size) await new Promise(setImmediate);
+
+  assert.equal(queue.getStatus().retrying, 1);
+  assert.equal(queue.clear('Bot disconnected'), 1);
+  await assert.rejects(pending, /Bot disconnected/);
+
+  // Well past the 5ms backoff
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal(attempts, 1);
+  assert.deepEqual([queue.getStatus().queued, queue.getStatus().retrying], [0, 0]);
+});
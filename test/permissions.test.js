@@ -0,0 +1,127 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config.js';
+import { permissions } from '../core/permissions.js';
+import { PermissionsModule } from '../modules/permissions.js';
+
+const commands = new Map([
+  ['ping', { name: 'ping', moduleName: 'core' }],
+  ['restart', { name: 'restart', moduleName: 'core', role: 'owner' }],
+  ['grant', { name: 'grant', moduleName: 'permissions', adminOnly: true }],
+  ['revoke', { name: 'revoke', moduleName: 'permissions', adminOnly: true }]
+]);
+
+beforeEach(() => {
+  config.admin.owners = ['boss'];
+  config.admin.users = ['admin1', 'admin2'];
+  config.admin.allowedCommands = ['*'];
+  permissions.collection = null;
+  permissions.roles.clear();
+  permissions.grants.clear();
+});
+
+test('canRun follows roles and required roles', () => {
+  assert.equal(permissions.canRun('someone', 'ping', commands.get('ping')).allowed, true);
+  assert.deepEqual(permissions.canRun('someone', 'grant', commands.get('grant')),
+    { allowed: false, role: 'user', required: 'admin', reason: 'role' });
+  assert.equal(permissions.canRun('admin1', 'grant', commands.get('grant')).allowed, true);
+  assert.equal(permissions.canRun('admin1', 'restart', commands.get('restart')).allowed, false);
+  assert.equal(permissions.canRun('@Boss', 'restart', commands.get('restart')).allowed, true);
+});
+
+test('canRun blocks banned users and applies config.admin.allowedCommands', async () => {
+  await permissions.setRole('troll', 'banned');
+  assert.equal(permissions.canRun('troll', 'ping', commands.get('ping')).reason, 'banned');
+
+  config.admin.allowedCommands = ['revoke'];
+  assert.equal(permissions.canRun('admin1', 'grant', commands.get('grant')).reason, 'config');
+  assert.equal(permissions.canRun('admin1', 'revoke', commands.get('revoke')).allowed, true);
+});
+
+test('canRun prefers command grants over module grants over roles', async () => {
+  await permissions.setGrant('helper', 'module:permissions', true);
+  assert.equal(permissions.canRun('helper', 'grant', commands.get('grant')).reason, 'grant');
+  await permissions.setGrant('helper', 'command:grant', false);
+  assert.equal(permissions.canRun('helper', 'grant', commands.get('grant')).reason, 'revoked');
+  assert.equal(permissions.canRun('helper', 'revoke', commands.get('revoke')).allowed, true);
+});
+
+test('chat-scoped roles and grants only apply in that chat', async () => {
+  await permissions.setRole('mod', 'admin', 'thread1');
+  assert.equal(permissions.getRole('mod', 'thread1'), 'admin');
+  assert.equal(permissions.getRole('mod', 'thread2'), 'user');
+  await permissions.setGrant('mod', 'command:ping', false, 'thread2');
+  assert.equal(permissions.canRun('mod', 'ping', commands.get('ping'), 'thread2').allowed, false);
+  assert.equal(permissions.canRun('mod', 'ping', commands.get('ping')).allowed, true);
+});
+
+test('owners from config cannot be demoted', async () => {
+  await permissions.setRole('boss', 'banned');
+  assert.equal(permissions.getRole('boss'), 'owner');
+});
+
+function createModule() {
+  const replies = [];
+  const module = new PermissionsModule({ bot: {} });
+  module.moduleManager = {
+    getCommand: name => commands.get(name) || null,
+    getModule: name => ['core', 'permissions'].includes(name) ? { name } : null,
+    getAllCommands: () => commands
+  };
+  // Messages from `senderUsername` whose replies end up in `replies`
+  const from = (senderUsername, threadId = 't') => ({ senderUsername, threadId, reply: async text => replies.push(text) });
+  return { module, replies, from };
+}
+
+test('admins can hand out roles below their own', async () => {
+  const { module, replies, from } = createModule();
+  await module.handleGrant([], from('admin1'), { username: '@Helper', target: 'moderator', here: false });
+  assert.equal(permissions.getRole('helper'), 'moderator');
+  await module.handleGrant([], from('admin1'), { username: 'helper', target: 'admin', here: false });
+  await module.handleGrant([], from('admin1'), { username: 'admin2', target: 'banned', here: false });
+  assert.equal(permissions.getRole('helper'), 'moderator');
+  assert.equal(permissions.getRole('admin2'), 'admin');
+  assert.deepEqual(replies, [
+    '✅ @helper is now moderator',
+    '❌ You cannot manage the admin role',
+    '❌ You cannot change the role of @admin2'
+  ]);
+});
+
+test('grant and revoke undo each other before storing a denial', async () => {
+  const { module, replies, from } = createModule();
+  await module.handleGrant([], from('boss'), { username: 'someone', target: 'command:grant', here: true });
+  assert.equal(permissions.getExplicitGrant('someone', 'command:grant', 't'), true);
+  await module.handleRevoke([], from('boss'), { username: 'someone', target: 'command:grant', here: true });
+  assert.equal(permissions.getExplicitGrant('someone', 'command:grant', 't'), undefined);
+  await module.handleRevoke([], from('boss'), { username: 'someone', target: 'module:core', here: false });
+  assert.equal(permissions.getExplicitGrant('someone', 'module:core'), false);
+  await module.handleGrant([], from('boss'), { username: 'someone', target: 'module:nope', here: false });
+  assert.equal(replies.at(-1), '❌ Unknown module: nope');
+});
+
+test('admins cannot hand out commands they cannot run', () => {
+  const { module } = createModule();
+  assert.match(module.checkTargetChange('admin1', 'someone', 'command:restart', null), /not allowed to run restart/);
+  assert.match(module.checkTargetChange('admin1', 'someone', 'module:core', null), /not allowed to run restart/);
+  assert.equal(module.checkTargetChange('admin1', 'someone', 'command:grant', null), null);
+  assert.equal(module.checkTargetChange('boss', 'someone', 'command:restart', null), null);
+});
+
+test('only users ranked below the actor can have commands granted or revoked', () => {
+  const { module } = createModule();
+  assert.match(module.checkTargetChange('admin1', 'admin2', 'command:ping', null), /cannot change the permissions of @admin2/);
+  assert.match(module.checkTargetChange('admin1', 'boss', 'command:ping', null), /cannot change/);
+  assert.match(module.checkTargetChange('admin1', 'admin1', 'command:grant', null), /cannot change/);
+  assert.equal(module.checkTargetChange('boss', 'admin1', 'command:ping', null), null);
+});
+
+test('grant replies with the denial instead of storing it', async () => {
+  const { module, replies, from } = createModule();
+  await module.handleGrant([], from('admin1'), { username: 'someone', target: 'command:restart', here: false });
+  await module.handleRevoke([], from('admin1'), { username: 'boss', target: 'command:ping', here: false });
+  assert.equal(replies.length, 2);
+  assert.ok(replies.every(reply => reply.startsWith('❌')));
+  assert.equal(permissions.getExplicitGrant('someone', 'command:restart'), undefined);
+  assert.equal(permissions.getExplicitGrant('boss', 'command:ping'), undefined);
+});
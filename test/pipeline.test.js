@@ -0,0 +1,106 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { MessagePipeline, MIDDLEWARE_PRIORITY } from '../core/pipeline.js';
+import { crashReporter } from '../core/crash-reporter.js';
+import { ModuleManager } from '../core/module-manager.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+// A middleware that records its name and passes the message on
+const pass = (seen, name) => async (message, next) => {
+  seen.push(name);
+  await next();
+};
+
+test('middleware runs by priority, in registration order within one', async () => {
+  const pipeline = new MessagePipeline({ id: 'main' });
+  const seen = [];
+  pipeline.use('bridge', pass(seen, 'bridge'), { priority: MIDDLEWARE_PRIORITY.bridge });
+  pipeline.use('a', pass(seen, 'a'));
+  pipeline.use('first', pass(seen, 'first'), { priority: MIDDLEWARE_PRIORITY.first });
+  pipeline.use('b', pass(seen, 'b'));
+
+  assert.equal(await pipeline.run({}), null);
+  assert.deepEqual(seen, ['first', 'a', 'b', 'bridge']);
+  assert.deepEqual(pipeline.getStatus().map(entry => [entry.name, entry.priority]),
+    [['first', 0], ['a', 500], ['b', 500], ['bridge', 900]]);
+
+  // Same name replaces the middleware and its place
+  pipeline.use('a', pass(seen, 'a2'), { priority: MIDDLEWARE_PRIORITY.filter });
+  assert.deepEqual(pipeline.getStatus().map(entry => entry.name), ['first', 'a', 'b', 'bridge']);
+  assert.throws(() => pipeline.use('bad', null), /Middleware bad is not a function/);
+});
+
+test('a middleware that does not call next stops the message', async () => {
+  const pipeline = new MessagePipeline();
+  const seen = [];
+  pipeline.use('spam', async (message, next) => {
+    if (message.text === 'buy now') return;
+    await next();
+  }, { priority: MIDDLEWARE_PRIORITY.filter });
+  pipeline.use('after', pass(seen, 'after'));
+
+  assert.equal(await pipeline.run({ text: 'buy now' }), 'spam');
+  assert.equal(await pipeline.run({ text: 'hello' }), null);
+  assert.deepEqual(seen, ['after']);
+
+  const [spam, after] = pipeline.getStatus();
+  assert.deepEqual([spam.runs, spam.stopped, after.runs, after.stopped], [2, 1, 1, 0]);
+});
+
+test('errors are counted and the message moves on', async () => {
+  const captured = [];
+  mock.method(crashReporter, 'capture', async (error, context) => { captured.push(context); });
+  const pipeline = new MessagePipeline({ id: 'shop' });
+  const seen = [];
+  pipeline.use('broken', async () => { throw new TypeError('nope'); }, { module: 'games' });
+  pipeline.use('after', pass(seen, 'after'));
+
+  assert.equal(await pipeline.run({}), null);
+  assert.deepEqual(seen, ['after']);
+  assert.equal(pipeline.getStatus()[0].errors, 1);
+  assert.deepEqual(captured, [{ source: 'middleware broken', module: 'games', account: 'shop' }]);
+});
+
+test('time spent after next() is not counted against a middleware', async () => {
+  const pipeline = new MessagePipeline();
+  pipeline.use('quick', pass([], 'quick'));
+  pipeline.use('slow', async (message, next) => {
+    await sleep(30);
+    await next();
+  });
+
+  await pipeline.run({});
+  const [quick, slow] = pipeline.getStatus();
+  assert.ok(slow.avgTime >= 25, `slow took ${slow.avgTime}ms`);
+  assert.ok(quick.avgTime < 20, `quick took ${quick.avgTime}ms`);
+  assert.equal(slow.maxTime, slow.avgTime);
+});
+
+test('modules add middleware and observers, removed again on rebuild', async () => {
+  const manager = new ModuleManager();
+  const seen = [];
+  manager.pipeline.use('commands', pass(seen, 'commands'), { priority: MIDDLEWARE_PRIORITY.commands });
+  manager.modules = [{
+    name: 'guard',
+    getMiddleware: () => [
+      { name: 'block', priority: MIDDLEWARE_PRIORITY.filter, handler: pass(seen, 'guard:block') },
+      { name: 'broken' }
+    ],
+    process: async () => { seen.push('guard:process'); }
+  }];
+  manager.buildMiddleware();
+
+  await manager.pipeline.run({ threadId: 't1' });
+  assert.deepEqual(seen, ['guard:block', 'guard:process', 'commands']);
+  assert.deepEqual(manager.getLoadErrors().map(entry => entry.message), ['Middleware guard:broken has no handler']);
+
+  manager.modules = [];
+  manager.buildMiddleware();
+  assert.deepEqual(manager.pipeline.getStatus().map(entry => entry.name), ['commands']);
+  assert.deepEqual(manager.getLoadErrors(), []);
+});
@@ -0,0 +1,63 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config.js';
+import { PrefixManager } from '../core/prefixes.js';
+import { formatUsage } from '../core/command-parser.js';
+
+let prefixes;
+
+beforeEach(() => {
+  config.commands.prefix = '.';
+  config.commands.aliases = ['!', '!!'];
+  config.commands.mentionPrefix = true;
+  config.instagram.username = 'HyperBot';
+  prefixes = new PrefixManager();
+});
+
+test('the global prefix and aliases start commands', () => {
+  assert.deepEqual(prefixes.match('.help me'), { prefix: '.', body: 'help me' });
+  assert.deepEqual(prefixes.match('!ping'), { prefix: '!', body: 'ping' });
+  assert.deepEqual(prefixes.match('!!ping'), { prefix: '!!', body: 'ping' });
+  assert.equal(prefixes.match('hello there'), null);
+  assert.equal(prefixes.match('.'), null);
+  assert.equal(prefixes.match(''), null);
+});
+
+test('mentioning the bot works with or without a prefix', () => {
+  assert.deepEqual(prefixes.match('@hyperbot help'), { prefix: '.', body: 'help' });
+  assert.deepEqual(prefixes.match('@HyperBot .help'), { prefix: '.', body: 'help' });
+  assert.equal(prefixes.match('@hyperbotfan help'), null);
+  assert.equal(prefixes.match('@hyperbot'), null);
+
+  // Each account answers to its own mention
+  assert.deepEqual(prefixes.match('@shopbot help', null, 'ShopBot'), { prefix: '.', body: 'help' });
+  assert.equal(prefixes.match('@hyperbot help', null, 'ShopBot'), null);
+
+  config.commands.mentionPrefix = false;
+  assert.equal(prefixes.match('@hyperbot help'), null);
+});
+
+test('a chat prefix replaces the global one in that chat only', async () => {
+  await prefixes.setThreadPrefix('t1', '$');
+  assert.deepEqual(prefixes.match('$ping', 't1'), { prefix: '$', body: 'ping' });
+  assert.equal(prefixes.match('.ping', 't1'), null);
+  assert.deepEqual(prefixes.match('!ping', 't1'), { prefix: '!', body: 'ping' });
+  assert.equal(prefixes.match('$ping', 't2'), null);
+  assert.equal(prefixes.getPrefix('t1'), '$');
+
+  assert.equal(await prefixes.clearThreadPrefix('t1'), true);
+  assert.equal(prefixes.getPrefix('t1'), '.');
+});
+
+test('chat prefixes must be short symbols', async () => {
+  assert.match(prefixes.validate('a'), /start with a symbol/);
+  assert.match(prefixes.validate('$ $'), /spaces/);
+  assert.match(prefixes.validate('$$$$$$'), /at most 5/);
+  assert.equal(prefixes.validate('>>'), null);
+  await assert.rejects(prefixes.setThreadPrefix('t1', 'go'), /start with a symbol/);
+});
+
+test('usage text follows the prefix in use', () => {
+  assert.equal(formatUsage('ping', { usage: '.ping [count]' }, '$'), '$ping [count]');
+  assert.equal(formatUsage('ping', {}, '!'), '!ping');
+});
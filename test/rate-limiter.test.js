@@ -0,0 +1,99 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config.js';
+import { TokenBucket, RateLimiter } from '../core/rate-limiter.js';
+
+const message = (senderUsername, threadId = 't1') => ({ senderUsername, threadId });
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['Date', 'setTimeout'], now: Date.now() });
+  config.rateLimit = {
+    outbound: { capacity: 2, perMinute: 60 },
+    commands: { capacity: 3, perMinute: 6 },
+    warnInterval: 30
+  };
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('token buckets drain and refill over time', () => {
+  const bucket = new TokenBucket(2, 60);
+  assert.equal(bucket.take(), true);
+  assert.equal(bucket.take(), true);
+  assert.equal(bucket.take(), false);
+  assert.equal(bucket.msUntilAvailable(), 1000);
+
+  mock.timers.tick(1000);
+  assert.equal(bucket.take(), true);
+  mock.timers.tick(60000);
+  assert.equal(bucket.isFull(), true);
+  assert.equal(bucket.tokens, 2);
+});
+
+test('per-user command buckets limit each user separately', () => {
+  const limiter = new RateLimiter();
+  for (let i = 0; i < 3; i++) {
+    assert.equal(limiter.checkCommand('ping', {}, message('alice')).limited, false);
+  }
+  const limit = limiter.checkCommand('ping', {}, message('alice'));
+  assert.equal(limit.limited, true);
+  assert.equal(limit.scope, 'rate');
+  assert.equal(limit.retryAfter, 10000);
+  assert.equal(limiter.checkCommand('ping', {}, message('bob')).limited, false);
+
+  mock.timers.tick(10000);
+  assert.equal(limiter.checkCommand('ping', {}, message('alice')).limited, false);
+});
+
+test('cooldowns apply per user, thread or globally', () => {
+  const limiter = new RateLimiter();
+  const command = { cooldown: { user: 5, thread: 2 } };
+  assert.equal(limiter.checkCommand('roll', command, message('alice')).limited, false);
+
+  const own = limiter.checkCommand('roll', command, message('alice', 't2'));
+  assert.deepEqual(own, { limited: true, retryAfter: 5000, scope: 'user' });
+  assert.equal(limiter.checkCommand('roll', command, message('bob')).scope, 'thread');
+  assert.equal(limiter.checkCommand('roll', command, message('bob', 't2')).limited, false);
+
+  mock.timers.tick(5000);
+  assert.equal(limiter.checkCommand('roll', command, message('alice', 't3')).limited, false);
+});
+
+test('a limited command consumes no tokens', () => {
+  const limiter = new RateLimiter();
+  limiter.checkCommand('roll', { cooldown: 60 }, message('alice'));
+  for (let i = 0; i < 5; i++) {
+    assert.equal(limiter.checkCommand('roll', { cooldown: 60 }, message('alice')).scope, 'user');
+  }
+  assert.equal(Math.floor(limiter.getUserBucket('alice').tokens), 2);
+});
+
+test('warnings go out once per user per interval', () => {
+  const limiter = new RateLimiter();
+  assert.equal(limiter.shouldWarn('alice'), true);
+  assert.equal(limiter.shouldWarn('alice'), false);
+  assert.equal(limiter.shouldWarn('bob'), true);
+
+  mock.timers.tick(30000);
+  assert.equal(limiter.shouldWarn('alice'), true);
+});
+
+test('outbound sends wait for a free token of their account', async () => {
+  const limiter = new RateLimiter();
+  await limiter.acquireOutbound('main');
+  await limiter.acquireOutbound('main');
+
+  let acquired = false;
+  const pending = limiter.acquireOutbound('main').then(() => { acquired = true; });
+  await Promise.resolve();
+  assert.equal(acquired, false);
+
+  // Other accounts have their own bucket
+  await limiter.acquireOutbound('brand');
+
+  mock.timers.tick(1000);
+  await pending;
+  assert.equal(acquired, true);
+});
@@ -0,0 +1,114 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { config } from '../config.js';
+import { FileStorage } from '../utils/storage.js';
+import { SessionStore, isEncryptionEnabled } from '../core/session-store.js';
+
+let dir;
+let storage;
+let store;
+
+before(async () => {
+  config.instagram.sessionEncryptionKey = 'a test passphrase for sessions';
+  config.instagram.sessionHistory = 3;
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'session-store-'));
+});
+
+after(async () => {
+  await storage?.close();
+  await fs.remove(dir);
+});
+
+beforeEach(async () => {
+  await storage?.close();
+  storage = new FileStorage({ path: path.join(dir, String(Date.now() + Math.random())) });
+  await storage.connect();
+  store = new SessionStore({ id: 'main' });
+  store.collection = storage.collection('sessions');
+});
+
+test('sessions are encrypted and decrypt to the saved data', async () => {
+  const session = { cookies: 'sessionid=secret', uuid: 'abc' };
+  const version = await store.save('session', session, { reason: 'login' });
+  assert.equal(version, 1);
+  assert.equal(isEncryptionEnabled(), true);
+
+  const [doc] = await store.collection.find({}).toArray();
+  assert.equal(doc.payload.alg, 'aes-256-gcm');
+  assert.doesNotMatch(JSON.stringify(doc), /sessionid=secret/);
+
+  const loaded = await store.load('session');
+  assert.deepEqual(loaded.data, session);
+  assert.equal(loaded.version, 1);
+});
+
+test('tampered payloads fail the integrity check', async () => {
+  await store.save('session', { cookies: 'sessionid=secret' });
+  const [doc] = await store.collection.find({}).toArray();
+  const data = Buffer.from(doc.payload.data, 'base64');
+  data[0] ^= 1;
+  await store.collection.updateOne({ _id: doc._id }, { $set: { 'payload.data': data.toString('base64') } });
+
+  await assert.rejects(store.load('session'), /integrity check/);
+});
+
+test('unchanged data keeps its version', async () => {
+  assert.equal(await store.save('cookies', [{ key: 'a' }]), 1);
+  assert.equal(await store.save('cookies', [{ key: 'a' }]), 1);
+  assert.equal(await store.save('cookies', [{ key: 'b' }]), 2);
+  assert.equal((await store.history('cookies')).length, 2);
+});
+
+test('only the newest sessionHistory versions are kept', async () => {
+  for (let i = 1; i <= 5; i++) {
+    await store.save('session', { i });
+  }
+  const versions = (await store.history('session')).map(entry => entry.version);
+  assert.deepEqual(versions, [5, 4, 3]);
+  assert.deepEqual((await store.load('session', 3)).data, { i: 3 });
+  assert.equal(await store.load('session', 2), null);
+});
+
+test('rollback stores an older version as the newest', async () => {
+  await store.save('session', { i: 1 });
+  await store.save('session', { i: 2 });
+  assert.equal(await store.rollback('session', null, 'boss'), 3);
+
+  const [latest] = await store.history('session');
+  assert.equal(latest.reason, 'rollback to v1');
+  assert.equal(latest.savedBy, 'boss');
+  assert.deepEqual((await store.load('session')).data, { i: 1 });
+});
+
+test('state is versioned and can be rolled back', async () => {
+  await store.save('state', { sequence: 1 });
+  await store.save('state', { sequence: 2 });
+  assert.equal(await store.rollback('state'), 3);
+  assert.deepEqual((await store.load('state')).data, { sequence: 1 });
+  await assert.rejects(store.rollback('state', 7), /No state version 7/);
+});
+
+test('fewer state versions are kept', async () => {
+  config.instagram.sessionHistory = 5;
+  for (let i = 1; i <= 6; i++) {
+    await store.save('state', { sequence: i });
+  }
+  assert.deepEqual((await store.history('state')).map(entry => entry.version), [6, 5, 4]);
+});
+
+test('exports stay encrypted and import back', async () => {
+  await store.save('cookies', [{ key: 'sessionid', value: 'secret' }]);
+  const exported = await store.export('cookies');
+  assert.equal(exported.format, 'hyper-insta-session');
+  assert.doesNotMatch(JSON.stringify(exported), /secret/);
+
+  const other = new SessionStore({ id: 'shop' });
+  other.collection = store.collection;
+  assert.deepEqual(await other.import(exported), { kind: 'cookies', version: 1 });
+  assert.deepEqual((await other.load('cookies')).data, [{ key: 'sessionid', value: 'secret' }]);
+  assert.deepEqual(await other.import({ uuid: 'plain' }), { kind: 'session', version: 1 });
+  await assert.rejects(store.load('nope'), /Unknown session kind/);
+});
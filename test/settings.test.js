@@ -0,0 +1,69 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config.js';
+import { SettingsService } from '../core/settings.js';
+
+let settings;
+
+beforeEach(() => {
+  config.outbound.minDelay = 1000;
+  config.outbound.maxDelay = 3000;
+  settings = new SettingsService();
+});
+
+afterEach(() => {
+  delete process.env.FOLLOWERS_AUTO_FOLLOW_BACK;
+});
+
+test('values are validated against their spec', async () => {
+  assert.equal(await settings.set('outbound.minDelay', '2000'), 2000);
+  assert.equal(settings.get('outbound.minDelay'), 2000);
+  assert.equal(settings.getSource('outbound.minDelay'), 'runtime');
+  await assert.rejects(settings.set('outbound.minDelay', '-1'), /at least 0/);
+  await assert.rejects(settings.set('outbound.nope', '1'), /Unknown setting/);
+});
+
+test('keys are matched without regard to case', async () => {
+  assert.equal(await settings.set('OUTBOUND.MINDELAY', '1500'), 1500);
+  assert.equal(settings.get('outbound.minDelay'), 1500);
+  assert.deepEqual(settings.list('outbound.min').map(entry => entry.key), ['outbound.minDelay']);
+});
+
+test('an environment variable pins the value', async () => {
+  process.env.FOLLOWERS_AUTO_FOLLOW_BACK = 'off';
+  assert.equal(settings.get('followers.autoFollowBack'), false);
+  assert.equal(settings.getSource('followers.autoFollowBack'), 'env');
+  await assert.rejects(settings.set('followers.autoFollowBack', 'on'), /set by the FOLLOWERS_AUTO_FOLLOW_BACK environment variable/);
+});
+
+test('changes and resets are announced', async () => {
+  const changes = [];
+  settings.on('change', change => changes.push(change));
+  settings.on('change:outbound.maxDelay', value => changes.push(value));
+
+  await settings.set('outbound.maxDelay', '5000');
+  await settings.set('outbound.maxDelay', '5000');
+  assert.equal(await settings.reset('outbound.maxDelay'), true);
+  assert.equal(await settings.reset('outbound.maxDelay'), false);
+  assert.equal(settings.getSource('outbound.maxDelay'), 'default');
+  assert.deepEqual(changes, [
+    { key: 'outbound.maxDelay', value: 5000, previous: 3000 }, 5000,
+    { key: 'outbound.maxDelay', value: 3000, previous: 5000 }, 3000
+  ]);
+});
+
+test('a min setting cannot exceed its max', async () => {
+  await assert.rejects(settings.set('outbound.minDelay', '5000'), /outbound.minDelay must be at most outbound.maxDelay \(3000\)/);
+  await assert.rejects(settings.set('outbound.maxDelay', '500'), /outbound.maxDelay must be at least outbound.minDelay \(1000\)/);
+  await settings.set('outbound.maxDelay', '6000');
+  assert.equal(await settings.set('outbound.minDelay', '5000'), 5000);
+});
+
+test('a reset that would break a min/max pair is refused', async () => {
+  await settings.set('outbound.minDelay', '100');
+  await settings.set('outbound.maxDelay', '500');
+  await assert.rejects(settings.reset('outbound.minDelay'), /at most outbound.maxDelay \(500\)/);
+  assert.equal(await settings.reset('outbound.maxDelay'), true);
+  assert.equal(await settings.reset('outbound.minDelay'), true);
+  assert.equal(settings.get('outbound.minDelay'), 1000);
+});
@@ -0,0 +1,143 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { FileStorage } from '../utils/storage.js';
+
+let dir;
+let storage;
+let users;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-'));
+});
+
+after(async () => {
+  await storage?.close();
+  await fs.remove(dir);
+});
+
+beforeEach(async () => {
+  await storage?.close();
+  storage = new FileStorage({ path: path.join(dir, String(Date.now() + Math.random())) });
+  await storage.connect();
+  users = storage.collection('users');
+  await users.insertMany([
+    { name: 'ann', age: 30, tags: ['admin', 'dev'], joined: new Date('2024-01-01'), profile: { city: 'Oslo' } },
+    { name: 'bob', age: 25, tags: ['dev'], joined: new Date('2024-06-01') },
+    { name: 'cid', age: 40, tags: [], joined: new Date('2025-01-01'), profile: { city: 'Rome' } }
+  ]);
+});
+
+const names = async query => (await users.find(query).toArray()).map(doc => doc.name).sort();
+
+test('queries support comparison, set and existence operators', async () => {
+  assert.deepEqual(await names({ age: { $gt: 25, $lte: 40 } }), ['ann', 'cid']);
+  assert.deepEqual(await names({ age: { $ne: 30 } }), ['bob', 'cid']);
+  assert.deepEqual(await names({ name: { $in: ['ann', 'zed'] } }), ['ann']);
+  assert.deepEqual(await names({ name: { $nin: ['ann', 'bob'] } }), ['cid']);
+  assert.deepEqual(await names({ profile: { $exists: false } }), ['bob']);
+  assert.deepEqual(await names({ 'profile.city': 'Rome' }), ['cid']);
+  assert.deepEqual(await names({ name: { $regex: '^[ab]' } }), ['ann', 'bob']);
+  assert.deepEqual(await names({ missing: null }), ['ann', 'bob', 'cid']);
+});
+
+test('queries match array elements, dates and $and/$or', async () => {
+  assert.deepEqual(await names({ tags: 'dev' }), ['ann', 'bob']);
+  assert.deepEqual(await names({ joined: { $gte: new Date('2024-06-01') } }), ['bob', 'cid']);
+  assert.deepEqual(await names({ joined: new Date('2024-01-01') }), ['ann']);
+  assert.deepEqual(await names({ $or: [{ age: 25 }, { 'profile.city': 'Rome' }] }), ['bob', 'cid']);
+  assert.deepEqual(await names({ $and: [{ tags: 'dev' }, { age: { $lt: 30 } }] }), ['bob']);
+  await assert.rejects(users.find({ age: { $near: 1 } }).toArray(), /Unsupported query operator/);
+});
+
+test('cursors sort, skip and limit', async () => {
+  const docs = await users.find({}).sort({ age: -1 }).skip(1).limit(1).toArray();
+  assert.deepEqual(docs.map(doc => doc.name), ['ann']);
+  const byDate = await users.find({}).sort({ joined: 1 }).toArray();
+  assert.deepEqual(byDate.map(doc => doc.name), ['ann', 'bob', 'cid']);
+  assert.equal(await users.countDocuments({ tags: 'dev' }), 2);
+});
+
+test('update operators change the matched documents', async () => {
+  await users.updateOne({ name: 'ann' }, {
+    $set: { 'profile.city': 'Bergen' },
+    $inc: { age: 1, visits: 2 },
+    $push: { tags: 'ops' },
+    $addToSet: { roles: 'owner' },
+    $unset: { joined: '' }
+  });
+  await users.updateOne({ name: 'ann' }, { $addToSet: { roles: 'owner' }, $pull: { tags: 'dev' } });
+  const ann = await users.findOne({ name: 'ann' });
+  assert.equal(ann.profile.city, 'Bergen');
+  assert.equal(ann.age, 31);
+  assert.equal(ann.visits, 2);
+  assert.deepEqual(ann.tags, ['admin', 'ops']);
+  assert.deepEqual(ann.roles, ['owner']);
+  assert.equal('joined' in ann, false);
+
+  const result = await users.updateMany({ tags: 'dev' }, { $set: { team: 'core' } });
+  assert.equal(result.modifiedCount, 1);
+  assert.deepEqual(await names({ team: 'core' }), ['bob']);
+  await assert.rejects(users.updateOne({ name: 'bob' }, { $rename: { name: 'nick' } }), /Unsupported update operator/);
+});
+
+test('upserts seed the new document from the filter', async () => {
+  const missed = await users.updateOne({ name: 'dee' }, { $set: { age: 20 } });
+  assert.equal(missed.matchedCount, 0);
+  assert.equal(await users.findOne({ name: 'dee' }), null);
+
+  const result = await users.updateOne(
+    { name: 'dee', age: { $gt: 1 } },
+    { $set: { age: 20 }, $setOnInsert: { createdBy: 'test' } },
+    { upsert: true }
+  );
+  assert.equal(result.upsertedCount, 1);
+  const dee = await users.findOne({ name: 'dee' });
+  assert.equal(dee.age, 20);
+  assert.equal(dee.createdBy, 'test');
+  assert.equal(dee._id, result.upsertedId);
+
+  await users.updateOne({ name: 'dee' }, { $setOnInsert: { createdBy: 'other' } }, { upsert: true });
+  assert.equal((await users.findOne({ name: 'dee' })).createdBy, 'test');
+});
+
+test('replacement updates keep the id', async () => {
+  const { _id } = await users.findOne({ name: 'bob' });
+  await users.updateOne({ name: 'bob' }, { name: 'bobby' });
+  assert.deepEqual(await users.findOne({ _id }), { _id, name: 'bobby' });
+});
+
+test('deletes remove matching documents', async () => {
+  assert.equal((await users.deleteOne({ tags: 'dev' })).deletedCount, 1);
+  assert.equal((await users.deleteMany({ age: { $gte: 0 } })).deletedCount, 2);
+  assert.equal(await users.countDocuments(), 0);
+});
+
+test('documents and dates survive a reload from disk', async () => {
+  await storage.close();
+  const reopened = new FileStorage({ path: storage.dir });
+  const ann = await reopened.collection('users').findOne({ name: 'ann' });
+  assert.ok(ann.joined instanceof Date);
+  assert.equal(ann.joined.toISOString(), '2024-01-01T00:00:00.000Z');
+  assert.deepEqual(ann.profile, { city: 'Oslo' });
+});
+
+test('the key-value helpers store values by key', async () => {
+  assert.equal(await storage.get('missing', 'fallback'), 'fallback');
+  await storage.set('mode', { on: true });
+  assert.deepEqual(await storage.get('mode'), { on: true });
+  assert.equal(await storage.delete('mode'), true);
+  assert.equal(await storage.delete('mode'), false);
+});
+
+test('a failed write rejects and later writes still go through', async () => {
+  await fs.remove(storage.dir);
+  await assert.rejects(users.insertOne({ name: 'dan' }), /ENOENT/);
+
+  await fs.ensureDir(storage.dir);
+  assert.equal((await users.insertOne({ name: 'eve' })).acknowledged, true);
+  const reopened = new FileStorage({ path: storage.dir });
+  assert.equal(await reopened.collection('users').countDocuments({ name: 'eve' }), 1);
+});
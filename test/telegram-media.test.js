@@ -0,0 +1,81 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TelegramBridge } from '../telegram/bridge.js';
+
+const photo = url => ({ image_versions2: { candidates: [{ url }] } });
+const video = (url, duration) => ({ video_versions: [{ url }], video_duration: duration, image_versions2: { candidates: [{ url: `${url}.jpg` }] } });
+
+let bridge;
+let sent;
+
+beforeEach(() => {
+  bridge = new TelegramBridge();
+  bridge.telegramChatId = '-100';
+  sent = [];
+  const record = method => async (chatId, file, options) => { sent.push({ method, file, options }); };
+  bridge.telegramBot = {
+    sendPhoto: record('photo'),
+    sendVideo: record('video'),
+    sendVoice: record('voice'),
+    sendAnimation: record('animation'),
+    sendSticker: record('sticker')
+  };
+  bridge.sendSimpleMessage = async (topicId, text) => { sent.push({ method: 'text', text }); };
+  bridge.downloadInstagramMedia = async (url, kind) => ({ filePath: `/tmp/missing/${kind}`, fileName: kind, contentType: 'x/y', url });
+});
+
+test('media payloads become photo and video items, carousels item by item', () => {
+  assert.deepEqual(bridge.extractInstagramMedia({ item_type: 'media', media: photo('p1') }), [{ kind: 'photo', url: 'p1' }]);
+  assert.deepEqual(bridge.extractInstagramMedia({ item_type: 'clip', clip: { clip: video('v1', 12.4) } }),
+    [{ kind: 'video', url: 'v1', duration: 12 }]);
+  assert.deepEqual(bridge.extractInstagramMedia({
+    item_type: 'media_share',
+    media_share: { carousel_media: [photo('p1'), video('v2', 3)] }
+  }).map(item => item.kind), ['photo', 'video']);
+  assert.deepEqual(bridge.extractInstagramMedia({ item_type: 'media' }), []);
+});
+
+test('voice notes and stickers keep their own kinds', () => {
+  assert.deepEqual(bridge.extractInstagramMedia({
+    item_type: 'voice_media',
+    voice_media: { media: { audio: { audio_src: 'a1', duration: 4600 } } }
+  }), [{ kind: 'voice', url: 'a1', duration: 5 }]);
+  assert.deepEqual(bridge.extractInstagramMedia({
+    item_type: 'animated_media',
+    animated_media: { is_sticker: true, images: { fixed_height: { webp: 's1', mp4: 'g1' } } }
+  }), [{ kind: 'sticker', url: 's1' }]);
+  assert.deepEqual(bridge.extractInstagramMedia({
+    item_type: 'animated_media',
+    animated_media: { images: { fixed_height: { mp4: 'g1' } } }
+  }), [{ kind: 'animation', url: 'g1' }]);
+});
+
+test('captions are labelled and cut to the Telegram limit', () => {
+  const caption = bridge.buildMediaCaption({ raw: { item_type: 'media_share', media_share: { caption: { text: 'x'.repeat(2000) } } } });
+  assert.ok(caption.startsWith('📰 Shared post\nxxx'));
+  assert.equal(caption.length, 1024);
+  assert.ok(caption.endsWith('...'));
+  assert.equal(bridge.buildMediaCaption({ raw: { item_type: 'media' }, text: '' }), '');
+});
+
+test('only the first carousel item carries the caption', async () => {
+  await bridge.handleInstagramMedia({
+    threadId: 't1',
+    raw: { item_type: 'media_share', media_share: { carousel_media: [photo('p1'), video('v2', 3)], caption: { text: 'hi' } } }
+  }, 7);
+  assert.deepEqual(sent.map(entry => entry.method), ['photo', 'video']);
+  assert.equal(sent[0].options.caption, '📰 Shared post\nhi');
+  assert.equal(sent[0].options.message_thread_id, 7);
+  assert.equal(sent[1].options.caption, undefined);
+  assert.equal(sent[1].options.duration, 3);
+});
+
+test('media that cannot be forwarded falls back to text', async () => {
+  await bridge.handleInstagramMedia({ threadId: 't1', type: 'media', text: '', raw: { item_type: 'story_share', story_share: { message: 'expired' } } }, 7);
+  assert.deepEqual(sent, [{ method: 'text', text: '📖 Story\nexpired' }]);
+
+  sent = [];
+  bridge.telegramBot.sendPhoto = async () => { throw new Error('file too big'); };
+  await bridge.handleInstagramMedia({ threadId: 't1', raw: { item_type: 'media', media: photo('p1') } }, 7);
+  assert.deepEqual(sent, [{ method: 'text', text: '📷 [Photo]\np1' }]);
+});
@@ -0,0 +1,116 @@
+import { config } from '../config.js';
+import { getSource, mask } from './secrets.js';
+import { checkAccounts, DEFAULT_ACCOUNT_ID } from '../core/accounts.js';
+
+// Values copied from the README or .env.example without being filled in
+const PLACEHOLDER_PATTERN = /^(your[_\-\s].*|.*[_-]here|changeme|change[_-]me|placeholder|example|todo|x{3,}|\*+|<.*>|\$\{.*\})$/i;
+
+function getChecks(cfg) {
+  const telegramEnabled = Boolean(cfg.telegram?.enabled);
+  const usesMongo = cfg.storage?.driver === 'mongo';
+
+  return [
+    { key: 'instagram.username', env: 'INSTAGRAM_USERNAME', required: true },
+    {
+      key: 'instagram.password', env: 'INSTAGRAM_PASSWORD', secret: true,
+      hint: 'only saved sessions and cookies can be used to log in'
+    },
+    {
+      key: 'telegram.botToken', env: 'TELEGRAM_BOT_TOKEN', secret: true, required: telegramEnabled,
+      pattern: /^\d+:[A-Za-z0-9_-]{30,}$/, hint: 'Telegram bridge is disabled'
+    },
+    { key: 'telegram.chatId', env: 'TELEGRAM_CHAT_ID', required: telegramEnabled, pattern: /^-?\d+$/ },
+    { key: 'telegram.adminUserId', env: 'TELEGRAM_ADMIN_ID', pattern: /^\d+$/, hint: 'no Telegram admin notifications or login code prompts' },
+    {
+      key: 'mongo.uri', env: 'MONGODB_URI', secret: true, required: usesMongo && !cfg.storage?.fallbackToFile,
+      pattern: /^mongodb(\+srv)?:\/\//, hint: usesMongo ? 'falling back to file storage' : 'using file storage'
+    },
+    {
+      key: 'instagram.sessionEncryptionKey', env: 'SESSION_ENCRYPTION_KEY', secret: true, pattern: /^.{16,}$/,
+      hint: cfg.instagram?.useMongoSession === false ? 'sessions are kept in files' : 'stored sessions are not encrypted'
+    },
+    ...getAccountChecks(cfg)
+  ];
+}
+
+// Extra accounts from INSTAGRAM_ACCOUNTS; their values are checked directly
+function getAccountChecks(cfg) {
+  return (cfg.accounts || []).flatMap(account => {
+    const key = account.id.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+    return [
+      { key: `accounts.${account.id}.username`, env: `INSTAGRAM_${key}_USERNAME`, required: true, value: account.username },
+      {
+        key: `accounts.${account.id}.password`, env: `INSTAGRAM_${key}_PASSWORD`, secret: true, value: account.password,
+        hint: 'only saved sessions and cookies can be used to log in'
+      },
+      {
+        key: `accounts.${account.id}.chatId`, env: `TELEGRAM_${key}_CHAT_ID`, pattern: /^-?\d+$/, value: account.telegramChatId,
+        hint: 'shares the main Telegram forum'
+      }
+    ];
+  });
+}
+
+function getValue(cfg, key) {
+  return key.split('.').reduce((section, part) => section?.[part], cfg);
+}
+
+function checkValue(check, value) {
+  if (value === undefined || value === null || value === '') return check.required ? 'missing' : 'unset';
+  if (PLACEHOLDER_PATTERN.test(String(value).trim())) return 'placeholder';
+  if (check.pattern && !check.pattern.test(String(value))) return 'invalid';
+  return 'ok';
+}
+
+// Returns { valid, results: [{ key, env, status, level, display, source, hint }] };
+// placeholders and malformed values always fail, missing values fail only when required
+export function validateConfig(cfg = config) {
+  const results = getChecks(cfg).map(check => {
+    const value = 'value' in check ? check.value : getValue(cfg, check.key);
+    const status = checkValue(check, value);
+    const level = status === 'ok' ? 'ok' : status === 'unset' ? 'warn' : 'error';
+    return {
+      key: check.key,
+      env: check.env,
+      status,
+      level,
+      display: check.secret ? mask(value) : (value ?? '(not set)'),
+      source: getSource(check.env),
+      hint: status === 'unset' ? check.hint : null
+    };
+  });
+
+  for (const problem of checkAccounts([{ id: DEFAULT_ACCOUNT_ID }, ...(cfg.accounts || [])])) {
+    results.push({ key: 'accounts', env: 'INSTAGRAM_ACCOUNTS', status: 'invalid', level: 'error', display: problem, source: null, hint: problem });
+  }
+
+  return { valid: results.every(result => result.level !== 'error'), results };
+}
+
+const STATUS_TEXT = {
+  ok: '',
+  unset: 'not set',
+  missing: 'missing (required)',
+  placeholder: 'still a placeholder',
+  invalid: 'malformed'
+};
+
+export function formatConfigReport(report) {
+  const icons = { ok: '✅', warn: '⚠️', error: '❌' };
+  const lines = report.results.map(result => {
+    const details = [
+      result.status === 'ok' ? result.display : STATUS_TEXT[result.status],
+      result.source && result.status !== 'unset' ? `from ${result.source}` : null,
+      result.hint
+    ].filter(Boolean).join(', ');
+    return `  ${icons[result.level]} ${result.key.padEnd(32)} ${details}`;
+  });
+
+  const failed = report.results.filter(result => result.level === 'error');
+  const summary = report.valid
+    ? '🔐 Configuration OK'
+    : `🔐 Configuration invalid: set ${failed.map(result => result.env).join(', ')} ` +
+      '(environment, .env, <NAME>_FILE or /run/secrets)';
+
+  return ['🔧 Configuration check', ...lines, summary].join('\n');
+}
@@ -1,27 +1,49 @@
 import { config } from '../config.js';
-import { MongoClient } from 'mongodb';
+import { createStorage, FileStorage } from './storage.js';
 import { logger } from './utils.js';
 
-const MONGO_URI = config.mongo.uri;
-const DB_NAME = config.mongo.dbName;
+let storage = null;
+let connecting = null;
 
-const client = new MongoClient(MONGO_URI); 
-let isConnected = false;
+async function openStorage() {
+  const primary = createStorage(config.storage, config.mongo);
+  try {
+    return await primary.connect();
+  } catch (error) {
+    logger.error(`❌ ${primary.driver} storage connection failed:`, error.message);
+    await primary.close?.().catch(() => {});
+    if (primary.driver === 'file' || !config.storage?.fallbackToFile) {
+      throw error;
+    }
+    logger.warn('⚠️ Falling back to embedded file storage');
+    return await new FileStorage(config.storage).connect();
+  }
+}
 
+// Returns the shared storage backend; every adapter exposes collection(),
+// ping() and the get/set/delete key-value helpers
 async function connectDb() {
+  if (storage) return storage;
+  if (!connecting) {
+    connecting = openStorage()
+      .then(connected => {
+        storage = connected;
+        return storage;
+      })
+      .finally(() => {
+        connecting = null;
+      });
+  }
+  return connecting;
+}
+
+async function closeDb() {
+  if (!storage) return;
   try {
-    if (!client.topology?.isConnected?.()) {
-      await client.connect();
-      if (!isConnected) {
-        logger.info('✅ MongoDB connected');
-        isConnected = true;
-      }
-    }
-    return client.db(DB_NAME);
-  } catch (error) {
-    logger.error('❌ MongoDB connection failed:', error.message);
-    throw error;
+    await storage.close();
+  } finally {
+    storage = null;
   }
 }
 
-export { connectDb };
+export { connectDb, closeDb };
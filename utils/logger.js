@@ -1,4 +1,5 @@
 import { config } from '../config.js';
+import { redact, redactValue } from './secrets.js';
 
 class Logger {
   constructor() {
@@ -19,7 +20,7 @@ class Logger {
   formatMessage(level, message, ...args) {
     const timestamp = new Date().toISOString();
     const emoji = this.getEmoji(level);
-    return `[${timestamp}] ${emoji} ${level.toUpperCase()}: ${message}`;
+    return `[${timestamp}] ${emoji} ${level.toUpperCase()}: ${redact(String(message))}`;
   }
 
   getEmoji(level) {
@@ -35,31 +36,31 @@ class Logger {
 
   error(message, ...args) {
     if (this.shouldLog('error')) {
-      console.error(this.formatMessage('error', message), ...args);
+      console.error(this.formatMessage('error', message), ...args.map(redactValue));
     }
   }
 
   warn(message, ...args) {
     if (this.shouldLog('warn')) {
-      console.warn(this.formatMessage('warn', message), ...args);
+      console.warn(this.formatMessage('warn', message), ...args.map(redactValue));
     }
   }
 
   info(message, ...args) {
     if (this.shouldLog('info')) {
-      console.log(this.formatMessage('info', message), ...args);
+      console.log(this.formatMessage('info', message), ...args.map(redactValue));
     }
   }
 
   debug(message, ...args) {
     if (this.shouldLog('debug')) {
-      console.log(this.formatMessage('debug', message), ...args);
+      console.log(this.formatMessage('debug', message), ...args.map(redactValue));
     }
   }
 
   trace(message, ...args) {
     if (this.shouldLog('trace')) {
-      console.log(this.formatMessage('trace', message), ...args);
+      console.log(this.formatMessage('trace', message), ...args.map(redactValue));
     }
   }
 }
@@ -0,0 +1,114 @@
+import fs from 'fs';
+import path from 'path';
+import util from 'util';
+
+const SECRETS_DIR = process.env.SECRETS_DIR || '/run/secrets';
+const MASK = '********';
+
+const sources = new Map(); // env name -> where the value came from
+const secretValues = new Set(); // values that must never reach a log line
+
+// Credentials embedded in connection strings and Telegram bot tokens are masked
+// even when they were never registered (e.g. quoted back in a driver error)
+const SECRET_PATTERNS = [
+  [/(mongodb(?:\+srv)?:\/\/[^:/@\s]+:)[^@\s]+@/gi, `$1${MASK}@`],
+  [/\b\d{6,}:[A-Za-z0-9_-]{30,}\b/g, MASK]
+];
+
+function parseEnvLine(line) {
+  const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)?\s*$/);
+  if (!match) return null;
+
+  const raw = (match[2] || '').trim();
+  const quoted = raw.match(/^(["'])(.*)\1\s*(#.*)?$/);
+  if (quoted) {
+    return [match[1], quoted[1] === '"' ? quoted[2].replace(/\\n/g, '\n') : quoted[2]];
+  }
+  return [match[1], raw.replace(/\s+#.*$/, '')];
+}
+
+// Reads KEY=value pairs into process.env; variables that are already set win
+export function loadEnvFile(file = process.env.ENV_FILE || '.env') {
+  const fullPath = path.resolve(file);
+  if (!fs.existsSync(fullPath)) return 0;
+
+  let loaded = 0;
+  for (const line of fs.readFileSync(fullPath, 'utf-8').split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+    const entry = parseEnvLine(line);
+    if (!entry || process.env[entry[0]] !== undefined) continue;
+    process.env[entry[0]] = entry[1];
+    sources.set(entry[0], path.basename(fullPath));
+    loaded++;
+  }
+  return loaded;
+}
+
+function readSecretFile(file) {
+  try {
+    return fs.readFileSync(file, 'utf-8').trim();
+  } catch {
+    return undefined;
+  }
+}
+
+// Looks a value up in the environment (including .env), then in the file named
+// by NAME_FILE, then in the Docker secrets directory (/run/secrets/name)
+export function readEnv(name, { secret = false } = {}) {
+  let value = process.env[name];
+  if (value !== undefined && value !== '') {
+    if (!sources.has(name)) sources.set(name, 'env');
+  } else if (process.env[`${name}_FILE`]) {
+    value = readSecretFile(process.env[`${name}_FILE`]);
+    if (value !== undefined) sources.set(name, `file ${process.env[`${name}_FILE`]}`);
+  } else {
+    const file = [name, name.toLowerCase()]
+      .map(candidate => path.join(SECRETS_DIR, candidate))
+      .find(candidate => fs.existsSync(candidate));
+    value = file ? readSecretFile(file) : undefined;
+    if (value !== undefined) sources.set(name, `file ${file}`);
+  }
+
+  if (value === '') value = undefined;
+  if (secret && value) registerSecret(value);
+  return value;
+}
+
+export function readSecret(name) {
+  return readEnv(name, { secret: true });
+}
+
+export function getSource(name) {
+  return sources.get(name) || null;
+}
+
+export function registerSecret(value) {
+  // Very short values would mask ordinary words in log lines
+  if (typeof value === 'string' && value.length >= 4) secretValues.add(value);
+}
+
+export function redact(text) {
+  if (typeof text !== 'string') return text;
+  let result = text;
+  for (const value of secretValues) {
+    result = result.split(value).join(MASK);
+  }
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+  return result;
+}
+
+// Redacts a log argument; errors and objects are rendered first so nested secrets are caught
+export function redactValue(value) {
+  if (typeof value === 'string') return redact(value);
+  if (value instanceof Error) return redact(value.stack || value.message);
+  if (value && typeof value === 'object') return redact(util.inspect(value, { depth: 4 }));
+  return value;
+}
+
+export function mask(value) {
+  return value ? MASK : '(not set)';
+}
+
+loadEnvFile();
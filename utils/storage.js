@@ -0,0 +1,429 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { MongoClient } from 'mongodb';
+import { logger } from './logger.js';
+
+const KV_COLLECTION = 'kv';
+
+// --- Serialization (keeps Date values intact across JSON round-trips) ---
+
+function serialize(value) {
+  return JSON.stringify(value, function (key, val) {
+    const raw = this[key];
+    if (raw instanceof Date) return { $date: raw.toISOString() };
+    return val;
+  });
+}
+
+function deserialize(text) {
+  return JSON.parse(text, (key, val) => {
+    if (val && typeof val === 'object' && typeof val.$date === 'string' && Object.keys(val).length === 1) {
+      return new Date(val.$date);
+    }
+    return val;
+  });
+}
+
+function clone(value) {
+  return value === undefined ? undefined : deserialize(serialize(value));
+}
+
+// --- Query matching ---
+
+function getPath(doc, key) {
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), doc);
+}
+
+function setPath(doc, key, value) {
+  const parts = key.split('.');
+  let target = doc;
+  for (const part of parts.slice(0, -1)) {
+    if (target[part] == null || typeof target[part] !== 'object') target[part] = {};
+    target = target[part];
+  }
+  target[parts[parts.length - 1]] = value;
+}
+
+function unsetPath(doc, key) {
+  const parts = key.split('.');
+  const parent = parts.length > 1 ? getPath(doc, parts.slice(0, -1).join('.')) : doc;
+  if (parent && typeof parent === 'object') delete parent[parts[parts.length - 1]];
+}
+
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function valuesEqual(a, b) {
+  if (a instanceof Date || b instanceof Date) return comparable(a) === comparable(b);
+  if (a && b && typeof a === 'object') return serialize(a) === serialize(b);
+  return a === b;
+}
+
+function isOperatorObject(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) &&
+    Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+}
+
+function matchValue(actual, expected) {
+  if (isOperatorObject(expected)) {
+    return Object.entries(expected).every(([op, operand]) => matchOperator(actual, op, operand));
+  }
+  if (Array.isArray(actual) && !Array.isArray(expected)) {
+    return actual.some(item => valuesEqual(item, expected));
+  }
+  if (expected === null) return actual == null;
+  return valuesEqual(actual, expected);
+}
+
+function matchOperator(actual, op, operand) {
+  switch (op) {
+    case '$eq': return matchValue(actual, operand);
+    case '$ne': return !matchValue(actual, operand);
+    case '$in': return operand.some(item => matchValue(actual, item));
+    case '$nin': return !operand.some(item => matchValue(actual, item));
+    case '$gt': return actual != null && comparable(actual) > comparable(operand);
+    case '$gte': return actual != null && comparable(actual) >= comparable(operand);
+    case '$lt': return actual != null && comparable(actual) < comparable(operand);
+    case '$lte': return actual != null && comparable(actual) <= comparable(operand);
+    case '$exists': return (actual !== undefined) === Boolean(operand);
+    case '$regex': return typeof actual === 'string' && new RegExp(operand).test(actual);
+    default: throw new Error(`Unsupported query operator: ${op}`);
+  }
+}
+
+function matches(doc, query = {}) {
+  return Object.entries(query).every(([key, expected]) => {
+    if (key === '$and') return expected.every(sub => matches(doc, sub));
+    if (key === '$or') return expected.some(sub => matches(doc, sub));
+    return matchValue(getPath(doc, key), expected);
+  });
+}
+
+function applyUpdate(doc, update, isInsert = false) {
+  const operators = Object.keys(update).filter(key => key.startsWith('$'));
+  if (operators.length === 0) {
+    // Replacement document
+    const { _id } = doc;
+    for (const key of Object.keys(doc)) delete doc[key];
+    Object.assign(doc, clone(update), { _id });
+    return;
+  }
+
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [key, value] of Object.entries(fields)) {
+      switch (op) {
+        case '$set':
+          setPath(doc, key, clone(value));
+          break;
+        case '$setOnInsert':
+          if (isInsert) setPath(doc, key, clone(value));
+          break;
+        case '$unset':
+          unsetPath(doc, key);
+          break;
+        case '$inc':
+          setPath(doc, key, (getPath(doc, key) || 0) + value);
+          break;
+        case '$push': {
+          const list = getPath(doc, key) || [];
+          setPath(doc, key, [...list, clone(value)]);
+          break;
+        }
+        case '$addToSet': {
+          const list = getPath(doc, key) || [];
+          if (!list.some(item => valuesEqual(item, value))) setPath(doc, key, [...list, clone(value)]);
+          break;
+        }
+        case '$pull': {
+          const list = getPath(doc, key) || [];
+          setPath(doc, key, list.filter(item => !matchValue(item, value)));
+          break;
+        }
+        default:
+          throw new Error(`Unsupported update operator: ${op}`);
+      }
+    }
+  }
+}
+
+function seedFromFilter(filter) {
+  const doc = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (!key.startsWith('$') && !isOperatorObject(value)) setPath(doc, key, clone(value));
+  }
+  return doc;
+}
+
+// --- Embedded file-based adapter ---
+
+class FileCursor {
+  constructor(collection, query) {
+    this.collection = collection;
+    this.query = query;
+    this.sortSpec = null;
+    this.skipCount = 0;
+    this.limitCount = 0;
+  }
+
+  sort(spec) {
+    this.sortSpec = spec;
+    return this;
+  }
+
+  skip(count) {
+    this.skipCount = count;
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  async toArray() {
+    let docs = (await this.collection.load()).filter(doc => matches(doc, this.query));
+    if (this.sortSpec) {
+      const entries = Object.entries(this.sortSpec);
+      docs = docs.sort((a, b) => {
+        for (const [key, direction] of entries) {
+          const left = comparable(getPath(a, key));
+          const right = comparable(getPath(b, key));
+          if (left < right) return -direction;
+          if (left > right) return direction;
+        }
+        return 0;
+      });
+    }
+    docs = docs.slice(this.skipCount, this.limitCount ? this.skipCount + this.limitCount : undefined);
+    return docs.map(clone);
+  }
+}
+
+class FileCollection {
+  constructor(storage, name) {
+    this.storage = storage;
+    this.name = name;
+    this.filePath = path.join(storage.dir, `${name}.json`);
+    this.docs = null;
+    this.loading = null;
+    this.writing = Promise.resolve();
+  }
+
+  async load() {
+    if (this.docs) return this.docs;
+    if (!this.loading) {
+      this.loading = (async () => {
+        if (await fs.pathExists(this.filePath)) {
+          this.docs = deserialize(await fs.readFile(this.filePath, 'utf8'));
+        } else {
+          this.docs = [];
+        }
+        return this.docs;
+      })();
+    }
+    return this.loading;
+  }
+
+  persist() {
+    // Writes are chained so concurrent mutations never interleave on disk. A
+    // failed write rejects its caller; the chain carries on with the next one.
+    const run = this.writing.then(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, serialize(this.docs));
+      await fs.rename(tempPath, this.filePath);
+    });
+    this.writing = run.catch(error => {
+      logger.error(`❌ Failed to persist collection ${this.name}:`, error.message);
+    });
+    return run;
+  }
+
+  find(query = {}) {
+    return new FileCursor(this, query);
+  }
+
+  async findOne(query = {}) {
+    const doc = (await this.load()).find(item => matches(item, query));
+    return doc ? clone(doc) : null;
+  }
+
+  async countDocuments(query = {}) {
+    return (await this.load()).filter(doc => matches(doc, query)).length;
+  }
+
+  async insertOne(doc) {
+    const docs = await this.load();
+    const stored = { _id: randomUUID(), ...clone(doc) };
+    docs.push(stored);
+    await this.persist();
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  // Written to disk once for the whole list
+  async insertMany(list) {
+    const docs = await this.load();
+    const stored = list.map(doc => ({ _id: randomUUID(), ...clone(doc) }));
+    docs.push(...stored);
+    if (stored.length) await this.persist();
+    const insertedIds = stored.map(doc => doc._id);
+    return { acknowledged: true, insertedCount: insertedIds.length, insertedIds };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    return this.update(filter, update, options, false);
+  }
+
+  async updateMany(filter, update, options = {}) {
+    return this.update(filter, update, options, true);
+  }
+
+  async update(filter, update, { upsert = false } = {}, many) {
+    const docs = await this.load();
+    const targets = many ? docs.filter(doc => matches(doc, filter)) : [docs.find(doc => matches(doc, filter))].filter(Boolean);
+
+    if (targets.length === 0) {
+      if (!upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+      const doc = { _id: randomUUID(), ...seedFromFilter(filter) };
+      applyUpdate(doc, update, true);
+      docs.push(doc);
+      await this.persist();
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+    }
+
+    for (const doc of targets) applyUpdate(doc, update);
+    await this.persist();
+    return { acknowledged: true, matchedCount: targets.length, modifiedCount: targets.length, upsertedCount: 0, upsertedId: null };
+  }
+
+  async deleteOne(filter) {
+    const docs = await this.load();
+    const index = docs.findIndex(doc => matches(doc, filter));
+    if (index === -1) return { acknowledged: true, deletedCount: 0 };
+    docs.splice(index, 1);
+    await this.persist();
+    return { acknowledged: true, deletedCount: 1 };
+  }
+
+  async deleteMany(filter = {}) {
+    const docs = await this.load();
+    const remaining = docs.filter(doc => !matches(doc, filter));
+    const deletedCount = docs.length - remaining.length;
+    this.docs = remaining;
+    if (deletedCount > 0) await this.persist();
+    return { acknowledged: true, deletedCount };
+  }
+
+  async createIndex() {
+    // Indexes are a no-op for the embedded store; collections are scanned in memory
+    return null;
+  }
+}
+
+class FileStorage {
+  constructor({ path: dir = './data' } = {}) {
+    this.driver = 'file';
+    this.dir = path.resolve(dir);
+    this.collections = new Map();
+  }
+
+  async connect() {
+    await fs.ensureDir(this.dir);
+    logger.info(`✅ File storage ready at ${this.dir}`);
+    return this;
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new FileCollection(this, name));
+    }
+    return this.collections.get(name);
+  }
+
+  async ping() {
+    await fs.access(this.dir);
+    return true;
+  }
+
+  async get(key, defaultValue = null) {
+    const doc = await this.collection(KV_COLLECTION).findOne({ _id: key });
+    return doc ? doc.value : defaultValue;
+  }
+
+  async set(key, value) {
+    await this.collection(KV_COLLECTION).updateOne({ _id: key }, { $set: { value, updatedAt: new Date() } }, { upsert: true });
+    return value;
+  }
+
+  async delete(key) {
+    const result = await this.collection(KV_COLLECTION).deleteOne({ _id: key });
+    return result.deletedCount > 0;
+  }
+
+  async close() {
+    await Promise.all(Array.from(this.collections.values()).map(collection => collection.writing));
+  }
+}
+
+// --- MongoDB adapter ---
+
+class MongoStorage {
+  constructor({ uri, dbName, options = {} } = {}) {
+    this.driver = 'mongo';
+    // Legacy driver flags are rejected by the v6 client
+    const { useNewUrlParser, useUnifiedTopology, ...clientOptions } = options;
+    this.client = new MongoClient(uri, clientOptions);
+    this.dbName = dbName;
+    this.db = null;
+  }
+
+  async connect() {
+    await this.client.connect();
+    this.db = this.client.db(this.dbName);
+    await this.ping();
+    logger.info('✅ MongoDB connected');
+    return this;
+  }
+
+  collection(name) {
+    return this.db.collection(name);
+  }
+
+  async ping() {
+    await this.db.command({ ping: 1 });
+    return true;
+  }
+
+  async get(key, defaultValue = null) {
+    const doc = await this.collection(KV_COLLECTION).findOne({ _id: key });
+    return doc ? doc.value : defaultValue;
+  }
+
+  async set(key, value) {
+    await this.collection(KV_COLLECTION).updateOne({ _id: key }, { $set: { value, updatedAt: new Date() } }, { upsert: true });
+    return value;
+  }
+
+  async delete(key) {
+    const result = await this.collection(KV_COLLECTION).deleteOne({ _id: key });
+    return result.deletedCount > 0;
+  }
+
+  async close() {
+    await this.client.close();
+  }
+}
+
+function createStorage(storageConfig, mongoConfig) {
+  switch (storageConfig?.driver || 'mongo') {
+    case 'mongo':
+      return new MongoStorage(mongoConfig);
+    case 'file':
+      return new FileStorage(storageConfig);
+    default:
+      throw new Error(`Unknown storage driver: ${storageConfig.driver}`);
+  }
+}
+
+export { createStorage, FileStorage, MongoStorage };
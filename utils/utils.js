@@ -1,23 +1,24 @@
 import fs from 'fs-extra';
 import path from 'path';
+import { redact, redactValue } from './secrets.js';
 
-// Simple logger utility
+// Simple logger utility; secrets are masked in every line
 export const logger = {
   info: (message, ...args) => {
-    console.log(`[${new Date().toISOString()}] ℹ️  ${message}`, ...args);
+    console.log(`[${new Date().toISOString()}] ℹ️  ${redact(String(message))}`, ...args.map(redactValue));
   },
   
   error: (message, ...args) => {
-    console.error(`[${new Date().toISOString()}] ❌ ${message}`, ...args);
+    console.error(`[${new Date().toISOString()}] ❌ ${redact(String(message))}`, ...args.map(redactValue));
   },
   
   warn: (message, ...args) => {
-    console.warn(`[${new Date().toISOString()}] ⚠️  ${message}`, ...args);
+    console.warn(`[${new Date().toISOString()}] ⚠️  ${redact(String(message))}`, ...args.map(redactValue));
   },
   
   debug: (message, ...args) => {
     if (process.env.LOG_LEVEL === 'debug') {
-      console.log(`[${new Date().toISOString()}] 🐛 ${message}`, ...args);
+      console.log(`[${new Date().toISOString()}] 🐛 ${redact(String(message))}`, ...args.map(redactValue));
     }
   }
 };
@@ -85,3 +86,42 @@ export const randomUtils = {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 };
+
+// String utilities
+export const stringUtils = {
+  // Levenshtein distance that also counts swapped neighbours ("hlep") as one edit
+  editDistance(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+    for (let i = 1; i <= a.length; i++) {
+      rows[i] = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return rows[a.length][b.length];
+  },
+
+  // Closest candidates within a distance scaled to the input length
+  closestMatches(input, candidates, limit = 3) {
+    const query = input.toLowerCase();
+    const maxDistance = Math.max(1, Math.floor(query.length / 3));
+
+    return candidates
+      .map(candidate => ({
+        candidate,
+        distance: candidate.startsWith(query) ? 0.5 : this.editDistance(query, candidate.toLowerCase())
+      }))
+      .filter(({ distance }) => distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+      .slice(0, limit)
+      .map(({ candidate }) => candidate);
+  }
+};